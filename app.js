@@ -1,17 +1,44 @@
-// Frontend logic: calls backend /api/scan for each pair
-
-const PAIRS = [
-  { symbol: 'BTC/USD', label: 'BTCUSD' },
-  { symbol: 'EUR/AUD', label: 'EURAUD' },
-  { symbol: 'EUR/GBP', label: 'EURGBP' },
-  { symbol: 'GBP/JPY', label: 'GBPJPY' },
-  { symbol: 'GBP/USD', label: 'GBPUSD' },
-  { symbol: 'AUD/NZD', label: 'AUDNZD' },
-  { symbol: 'CHF/JPY', label: 'CHFJPY' },
-  { symbol: 'NZD/USD', label: 'NZDUSD' },
+// Frontend logic: displays the results of the server-side scanner
+
+// Scanning runs on the server; the dashboard only listens to /api/stream.
+let pairs = [];
+let watchlists = [];
+// The user's screener rules, from /api/screeners
+let screeners = [];
+const seenResults = {};
+// Latest result per symbol, so rows can be redrawn when the watchlist changes
+const latestResults = {};
+// Signal shown in the detail panel: { symbol, key, interval? } where key identifies
+// a candidate and interval, when set, overrides the chart timeframe
+let detailSelection = null;
+let chart = null;
+// Identifies what the chart currently shows, so repeated renders do not refetch
+let chartKey = null;
+// /api/timeframes: { timeframes, profiles, defaultProfile }
+let timeframeInfo = null;
+// Timeframe profile name per scanned symbol
+let symbolProfiles = {};
+// Latest /api/stats response
+let latestStats = null;
+// Batch started by "Scan all now" that is still running
+let activeBatchId = null;
+// History panel: query string of the applied filters, and the next page's cursor
+let historyQuery = '';
+let historyCursor = null;
+// Logged-in user: { id, username, role }
+let currentUser = null;
+// HTFs of the default profile, until /api/timeframes has loaded
+const FALLBACK_HTF = [
+  { key: '1d', label: '1D' },
+  { key: '1w', label: '1W' },
 ];
 
-let pollingTimer = null;
+// fetch() for the API; a 401 means the session ended, so the login form comes back
+async function api(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) showLogin();
+  return res;
+}
 
 function $(selector) {
   return document.querySelector(selector);
@@ -42,14 +69,29 @@ function formatDateTime(date) {
   });
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function formatPrice(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return '-';
+  return value
+    .toFixed(5)
+    .replace(/0+$/, '')
+    .replace(/\.$/, '');
+}
+
+function toPair(symbol, labels = {}) {
+  return { symbol, label: labels[symbol] || symbol.replace('/', '') };
 }
 
-function ensureTableRows() {
+function ensureTableRows(symbols, labels) {
+  const next = symbols.map((symbol) => toPair(symbol, labels));
+  const unchanged =
+    pairs.length === next.length &&
+    pairs.every((p, i) => p.symbol === next[i].symbol && p.label === next[i].label);
+  if (unchanged) return;
+  pairs = next;
+
   const tbody = document.querySelector('#pairsTable tbody');
   tbody.innerHTML = '';
-  PAIRS.forEach((pair) => {
+  pairs.forEach((pair) => {
     const tr = document.createElement('tr');
     tr.dataset.symbol = pair.symbol;
 
@@ -57,11 +99,15 @@ function ensureTableRows() {
     tr.appendChild(createEl('td', 'price-cell', '-'));
     tr.appendChild(createEl('td', 'signal-cell', '-'));
     tr.appendChild(createEl('td', 'pattern-cell', '-'));
+    tr.appendChild(createEl('td', 'score-cell', '-'));
+    tr.appendChild(createEl('td', 'plan-cell', '-'));
     tr.appendChild(createEl('td', 'pattern-window-cell', '-'));
     tr.appendChild(createEl('td', 'tf-cell', '-'));
     tr.appendChild(createEl('td', 'confluence-cell', '-'));
     tr.appendChild(createEl('td', 'time-cell', '-'));
 
+    tr.addEventListener('click', () => showDetail(pair.symbol));
+
     tbody.appendChild(tr);
   });
 }
@@ -73,16 +119,15 @@ function updateRow(symbol, data) {
   const priceCell = row.querySelector('.price-cell');
   const signalCell = row.querySelector('.signal-cell');
   const patternCell = row.querySelector('.pattern-cell');
+  const scoreCell = row.querySelector('.score-cell');
+  const planCell = row.querySelector('.plan-cell');
   const patternWindowCell = row.querySelector('.pattern-window-cell');
   const tfCell = row.querySelector('.tf-cell');
   const confCell = row.querySelector('.confluence-cell');
   const timeCell = row.querySelector('.time-cell');
 
   if (typeof data.lastClose === 'number' && !Number.isNaN(data.lastClose)) {
-    priceCell.textContent = data.lastClose
-      .toFixed(5)
-      .replace(/0+$/, '')
-      .replace(/\.$/, '');
+    priceCell.textContent = formatPrice(data.lastClose);
     priceCell.className = 'price-cell';
     if (data.signal?.direction === 'bullish') priceCell.classList.add('price-positive');
     if (data.signal?.direction === 'bearish') priceCell.classList.add('price-negative');
@@ -99,9 +144,22 @@ function updateRow(symbol, data) {
   };
 
   signalCell.innerHTML = '';
+  patternCell.innerHTML = '';
   patternCell.textContent = data.signal?.pattern ?? '-';
+  if (data.signal?.status) {
+    patternCell.appendChild(document.createTextNode(' '));
+    patternCell.appendChild(statusBadge(data.signal.status));
+  }
   tfCell.textContent = data.signal?.timeframe ?? '-';
 
+  scoreCell.textContent = typeof data.signal?.score === 'number' ? data.signal.score : '-';
+  const others = (data.candidates?.length || 0) - 1;
+  if (others > 0) {
+    scoreCell.appendChild(createEl('span', 'more-candidates', ` +${others} more`));
+  }
+
+  planCell.textContent = planSummary(data.signal?.plan);
+
   if (data.signal?.direction === 'bullish') {
     signalCell.appendChild(badge('Bullish', 'badge-bullish'));
   } else if (data.signal?.direction === 'bearish') {
@@ -111,36 +169,34 @@ function updateRow(symbol, data) {
   } else {
     signalCell.appendChild(badge('No signal', 'badge-neutral'));
   }
+  if (data.signal?.stage) {
+    signalCell.appendChild(document.createTextNode(' '));
+    signalCell.appendChild(stageBadge(data.signal));
+  }
 
   confCell.innerHTML = '';
   const normalizeTrend = (t) => (t === 'weak' ? 'sideways' : t || 'N/A');
-  const dayRaw = data.dayTrend;
-  const weekRaw = data.weekTrend;
-  const dayLabel = normalizeTrend(dayRaw);
-  const weekLabel = normalizeTrend(weekRaw);
-
-  confCell.appendChild(
-    badge(
-      `D: ${dayLabel}`,
-      dayRaw === 'bullish' ? 'badge-bullish' : dayRaw === 'bearish' ? 'badge-bearish' : 'badge-weak'
-    )
-  );
-  confCell.appendChild(document.createTextNode(' / '));
-  confCell.appendChild(
-    badge(
-      `W: ${weekLabel}`,
-      weekRaw === 'bullish' ? 'badge-bullish' : weekRaw === 'bearish' ? 'badge-bearish' : 'badge-weak'
-    )
-  );
+
+  // One badge per HTF of the symbol's profile: strength next to the trend, the
+  // reason (per method) on hover
+  const trendBadge = (prefix, raw, detail) => {
+    const strength = detail?.strength > 0 ? ` ${detail.strength}` : '';
+    const span = badge(
+      `${prefix}: ${normalizeTrend(raw)}${strength}`,
+      raw === 'bullish' ? 'badge-bullish' : raw === 'bearish' ? 'badge-bearish' : 'badge-weak'
+    );
+    if (detail?.reason) span.title = detail.reason;
+    return span;
+  };
+  const legacy = { '1d': data.dayTrend, '1w': data.weekTrend };
+  (data.htf || htfFor(symbol)).forEach(({ key, label }, i) => {
+    if (i > 0) confCell.appendChild(document.createTextNode(' / '));
+    const raw = data.error ? 'error' : data.trends?.[key]?.trend || legacy[key];
+    confCell.appendChild(trendBadge(label, raw, data.trends?.[key]));
+  });
 
   if (patternWindowCell) {
-    if (data.signal?.from && data.signal?.to) {
-      const from = new Date(data.signal.from);
-      const to = new Date(data.signal.to);
-      patternWindowCell.textContent = `${formatDateTime(from)} → ${formatDateTime(to)}`;
-    } else {
-      patternWindowCell.textContent = '-';
-    }
+    patternWindowCell.textContent = formatWindow(data.signal);
   }
 
   if (data.updatedAt && timeCell) {
@@ -148,112 +204,1388 @@ function updateRow(symbol, data) {
   }
 }
 
-function logSignal(symbolLabel, signal) {
+function profileOf(symbol) {
+  const name = symbolProfiles[symbol] || timeframeInfo?.defaultProfile;
+  return timeframeInfo?.profiles[name] || null;
+}
+
+function htfFor(symbol) {
+  return profileOf(symbol)?.htf || FALLBACK_HTF;
+}
+
+// "Confluence (1W / 1M)" when every row uses the same HTFs
+function renderConfluenceHeader() {
+  const header = $('#confluenceHeader');
+  if (!header) return;
+  const labels = [...new Set(pairs.map((p) => htfFor(p.symbol).map((tf) => tf.label).join(' / ')))];
+  header.textContent = labels.length === 1 ? `Confluence (${labels[0]})` : 'Confluence (HTF)';
+}
+
+// Chart buttons for the pattern and HTF timeframes of the symbol's profile
+function renderChartTimeframes(symbol, active) {
+  const container = $('#chartTimeframes');
+  const profile = profileOf(symbol);
+  const timeframes = profile ? [...profile.patterns, ...profile.htf] : [];
+  if (!timeframes.some((tf) => tf.key === active)) {
+    timeframes.push({ key: active, label: active });
+  }
+  container.innerHTML = '';
+  timeframes.forEach((tf) => {
+    const btn = createEl('button', 'secondary chart-tf', tf.label);
+    btn.classList.toggle('active', tf.key === active);
+    btn.addEventListener('click', () => {
+      if (!detailSelection) return;
+      detailSelection.interval = tf.key;
+      renderDetail();
+    });
+    container.appendChild(btn);
+  });
+}
+
+function formatWindow(signal) {
+  if (!signal?.from || !signal?.to) return '-';
+  return `${formatDateTime(new Date(signal.from))} → ${formatDateTime(new Date(signal.to))}`;
+}
+
+function planSummary(plan) {
+  if (!plan) return '-';
+  return `E ${formatPrice(plan.entry)} · SL ${formatPrice(plan.stop)} · R:R ${plan.targets[0].rr}`;
+}
+
+// Rule matches get their own key, since a rule may match a built-in candidate
+function candidateKey(c) {
+  return `${c.rule || ''}|${c.pattern}|${c.timeframe}|${c.from}|${c.to}`;
+}
+
+// Built-in candidates and screener rule matches of a scan result
+function resultCandidates(result) {
+  return [...(result?.candidates || []), ...(result?.ruleMatches || [])];
+}
+
+// Opens the detail panel on a symbol's best candidate, or on `candidate`
+function showDetail(symbol, candidate) {
+  const best = latestResults[symbol]?.signal;
+  const selected = candidate || best;
+  detailSelection = { symbol, key: selected ? candidateKey(selected) : null };
+  renderDetail();
+  $('#detailPanel').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function detailRow(label, value) {
+  const row = createEl('div', 'detail-row');
+  row.appendChild(createEl('span', 'detail-label', label));
+  row.appendChild(createEl('span', 'detail-value', value));
+  return row;
+}
+
+function renderPlan(body, plan) {
+  if (!plan) {
+    body.appendChild(detailRow('Trade plan', 'Not available for these levels'));
+    return;
+  }
+  body.appendChild(detailRow('Entry (neckline break)', formatPrice(plan.entry)));
+  body.appendChild(detailRow('Stop', formatPrice(plan.stop)));
+  plan.targets.forEach((t, i) => {
+    body.appendChild(detailRow(`Target ${i + 1}`, `${formatPrice(t.price)} (R:R ${t.rr})`));
+  });
+  body.appendChild(detailRow('Risk per unit', formatPrice(plan.riskPerUnit)));
+  body.appendChild(
+    detailRow(
+      'Position size',
+      `${plan.size} units (${plan.notional} notional), risking ${plan.riskAmount} = ${plan.riskPercent}% of ${plan.accountSize}`
+    )
+  );
+}
+
+// RSI / MACD at the two extremes and the volume readings of a candidate
+function divergenceText(divergence) {
+  const part = (name, r) =>
+    r ? `${name} ${r.first} → ${r.second}${r.diverging ? ' (diverging)' : ''}` : `${name} n/a`;
+  return `${part('RSI', divergence.rsi)} · ${part('MACD', divergence.macd)}`;
+}
+
+function volumeText(volume) {
+  const parts = [];
+  if (volume.fade !== null) parts.push(`${volume.fade}× in the 2nd half of the pattern`);
+  if (volume.breakoutRatio !== null) parts.push(`breakout ${volume.breakoutRatio}× average`);
+  parts.push(`OBV ${volume.obvChange >= 0 ? '+' : ''}${volume.obvChange}`);
+  return `${parts.join(' · ')}${volume.confirmed ? ' (confirms)' : ''}`;
+}
+
+function renderDetail() {
+  const panel = $('#detailPanel');
+  if (!panel || !detailSelection) return;
+  const { symbol, key } = detailSelection;
+  const result = latestResults[symbol];
+  const pair = pairs.find((p) => p.symbol === symbol) || toPair(symbol);
+  const signal = resultCandidates(result).find((c) => candidateKey(c) === key);
+
+  panel.hidden = false;
+  const body = $('#detailBody');
+  body.innerHTML = '';
+  if (signal) {
+    $('#detailTitle').textContent = `${pair.label} · ${signal.direction} ${signal.pattern} on ${signal.timeframe}${scoreText(signal)}`;
+    if (signal.rule) body.appendChild(detailRow('Screener rule', signal.rule));
+    body.appendChild(detailRow('Pattern window', formatWindow(signal)));
+    if (signal.stage) body.appendChild(detailRow('Neckline break', stageText(signal)));
+    if (signal.status) body.appendChild(detailRow('Status', signal.status));
+    if (signal.divergence) body.appendChild(detailRow('Divergence', divergenceText(signal.divergence)));
+    if (signal.volume) body.appendChild(detailRow('Volume', volumeText(signal.volume)));
+    renderPlan(body, signal.plan);
+  } else {
+    $('#detailTitle').textContent = pair.label;
+    body.appendChild(createEl('p', 'candidates-empty', 'No signal on the latest scan.'));
+  }
+
+  const interval =
+    detailSelection.interval || signal?.timeframe || profileOf(symbol)?.patterns[0].key || '1h';
+  renderChartTimeframes(symbol, interval);
+  loadChart(symbol, interval, signal);
+}
+
+async function loadChart(symbol, interval, signal) {
+  const key = [symbol, interval, latestResults[symbol]?.updatedAt, signal && candidateKey(signal)].join('|');
+  if (key === chartKey) return;
+  chartKey = key;
+  if (!chart) chart = createCandleChart($('#chartCanvas'));
+
+  $('#chartMessage').textContent = 'Loading candles...';
+  try {
+    const res = await api(
+      `/api/candles?symbol=${encodeURIComponent(symbol)}&interval=${encodeURIComponent(interval)}`
+    );
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    // A newer selection may have started loading meanwhile
+    if (chartKey !== key) return;
+    // Pattern levels only make sense on the timeframe they were found on
+    chart.setData(json, signal?.timeframe === json.timeframe ? signal : null);
+    $('#chartMessage').textContent = '';
+  } catch (err) {
+    if (chartKey !== key) return;
+    chartKey = null;
+    chart.clear();
+    $('#chartMessage').textContent = `Chart unavailable: ${err.message}`;
+  }
+}
+
+function scoreText(signal) {
+  return typeof signal.score === 'number' ? ` (score ${signal.score})` : '';
+}
+
+// Every candidate and rule match of the latest result per symbol, best score first
+function renderCandidates() {
+  const tbody = $('#candidatesTable tbody');
+  if (!tbody) return;
+  const rows = pairs.flatMap((pair) =>
+    resultCandidates(latestResults[pair.symbol]).map((c) => ({ pair, c }))
+  );
+  rows.sort((a, b) => b.c.score - a.c.score);
+
+  tbody.innerHTML = '';
+  rows.forEach(({ pair, c }) => {
+    const tr = document.createElement('tr');
+    const scoreCell = createEl('td', 'score-cell', String(c.score));
+    scoreCell.title = Object.entries(c.scoreParts || {})
+      .map(([k, v]) => `${k}: ${v === null ? 'n/a' : v}`)
+      .join(', ');
+    tr.appendChild(scoreCell);
+    tr.appendChild(createEl('td', null, pair.label));
+    const signalCell = createEl('td');
+    signalCell.appendChild(
+      createEl(
+        'span',
+        `badge ${c.direction === 'bullish' ? 'badge-bullish' : 'badge-bearish'}`,
+        c.direction === 'bullish' ? 'Bullish' : 'Bearish'
+      )
+    );
+    if (c.stage) {
+      signalCell.appendChild(document.createTextNode(' '));
+      signalCell.appendChild(stageBadge(c));
+    }
+    tr.appendChild(signalCell);
+    const patternCell = createEl('td', null, c.pattern);
+    if (c.status) {
+      patternCell.appendChild(document.createTextNode(' '));
+      patternCell.appendChild(statusBadge(c.status));
+    }
+    if (c.rule) patternCell.appendChild(createEl('div', 'rule-name', `Rule: ${c.rule}`));
+    tr.appendChild(patternCell);
+    tr.appendChild(createEl('td', null, c.timeframe));
+    tr.appendChild(createEl('td', null, formatWindow(c)));
+    tr.addEventListener('click', () => showDetail(pair.symbol, c));
+    tbody.appendChild(tr);
+  });
+  $('#candidatesEmpty').hidden = rows.length > 0;
+}
+
+function logSignal(symbolLabel, signal, at = new Date()) {
   if (!signal) return;
   const log = $('#signalLog');
   const li = document.createElement('li');
-  const now = new Date();
-  li.textContent = `${now.toLocaleString()} - ${symbolLabel} - ${signal.direction.toUpperCase()} ${signal.pattern} on ${signal.timeframe}`;
+  li.textContent = `${at.toLocaleString()} - ${symbolLabel} - ${signal.direction.toUpperCase()} ${signal.pattern} on ${signal.timeframe}${scoreText(signal)}`;
   log.appendChild(li);
 }
 
-async function loadHistory() {
+// Live tick beyond the neckline of a forming pattern; the bar close decides
+function logBreakout(b) {
+  const pair = pairs.find((p) => p.symbol === b.symbol);
+  const li = createEl(
+    'li',
+    'log-breakout',
+    `${new Date(b.at).toLocaleString()} - ${pair?.label || b.symbol} - ${b.direction.toUpperCase()} ${b.pattern} on ${b.timeframe}: ${formatPrice(b.price)} through the neckline at ${formatPrice(b.neckline)}, confirmed if the bar closes beyond it at ${formatTime(new Date(b.barClosesAt))}`
+  );
+  $('#signalLog').appendChild(li);
+}
+
+const STATUS_BADGES = {
+  detected: 'badge-neutral',
+  confirmed: 'badge-weak',
+  'target hit': 'badge-bullish',
+  invalidated: 'badge-bearish',
+  'failed breakout': 'badge-bearish',
+  expired: 'badge-neutral',
+};
+
+function statusBadge(status) {
+  return createEl('span', `badge ${STATUS_BADGES[status] || 'badge-neutral'}`, status);
+}
+
+// Neckline-break stage of a scan candidate
+const STAGE_BADGES = {
+  forming: 'badge-neutral',
+  confirmed: 'badge-weak',
+  failed: 'badge-bearish',
+};
+
+function stageText(signal) {
+  const b = signal.breakout || {};
+  if (signal.stage === 'failed') return `Failed: ${b.reason || 'breakout failed'}`;
+  if (!b.breakoutAt) return 'Forming: neckline not broken yet';
+  const retest = b.retestAt ? `, retested ${formatDateTime(new Date(b.retestAt))}` : '';
+  const prefix = signal.stage === 'confirmed' ? 'Confirmed' : 'Forming (waiting for retest)';
+  return `${prefix}: neckline broken ${formatDateTime(new Date(b.breakoutAt))} at ${formatPrice(b.breakoutPrice)}${retest}`;
+}
+
+function stageBadge(signal) {
+  const span = createEl('span', `badge ${STAGE_BADGES[signal.stage] || 'badge-neutral'}`, signal.stage);
+  span.title = stageText(signal);
+  return span;
+}
+
+function outcomeText(outcome) {
+  if (!outcome) return '';
+  if (outcome.result === 'untracked') return 'outcome not tracked';
+  const result = { target: 'target hit', stop: 'stopped out', open: 'open' }[outcome.result];
+  return `${result} · MFE ${outcome.mfePct}% · MAE ${outcome.maePct}% after ${outcome.barsTracked} bars`;
+}
+
+function historyItem(s) {
+  const li = document.createElement('li');
+  li.dataset.id = s._id;
+  const t = new Date(s.createdAt);
+  li.appendChild(
+    document.createTextNode(
+      `${t.toLocaleString()} - ${s.symbol} - ${s.direction.toUpperCase()} ${s.pattern} on ${s.timeframe} @ ${s.price}${scoreText(s)} `
+    )
+  );
+  if (s.status) {
+    li.appendChild(statusBadge(s.status));
+    const steps = (s.statusHistory || [])
+      .map((h) => `${h.status} ${formatDateTime(new Date(h.at))}`)
+      .join(' → ');
+    li.appendChild(createEl('div', 'status-history', steps));
+  }
+  if (s.outcome) li.appendChild(createEl('div', 'status-history', outcomeText(s.outcome)));
+  if (s.rules?.length) li.appendChild(createEl('div', 'rule-name', `Rules: ${s.rules.join(', ')}`));
+  return li;
+}
+
+// Whether a streamed signal belongs in the filtered History list
+function matchesHistoryFilters(s) {
+  const params = new URLSearchParams(historyQuery);
+  const allows = (name, value) => !params.get(name) || params.get(name).split(',').includes(value);
+  const trend = params.get('trend');
+  const [key, state] = trend ? trend.split(':') : [];
+  const legacy = { '1d': s.dayTrend, '1w': s.weekTrend };
+  return (
+    allows('symbol', s.symbol) &&
+    allows('direction', s.direction) &&
+    allows('pattern', s.pattern) &&
+    allows('timeframe', s.timeframe) &&
+    (!params.get('rule') || (s.rules || []).includes(params.get('rule'))) &&
+    (!trend || (s.htfTrends ? s.htfTrends[key] : legacy[key]) === state) &&
+    // A signal created now is inside any range that is still open-ended
+    !params.get('to')
+  );
+}
+
+// Replaces the entry for an updated signal, or adds a new one at the top
+function upsertHistoryItem(s) {
   const list = $('#historyLog');
   if (!list) return;
+  const existing = list.querySelector(`li[data-id="${s._id}"]`);
+  if (existing) existing.replaceWith(historyItem(s));
+  else if (matchesHistoryFilters(s)) list.prepend(historyItem(s));
+}
+
+function historyParams() {
+  const params = new URLSearchParams();
+  const set = (name, value) => {
+    if (value) params.set(name, value);
+  };
+  set('symbol', $('#historySymbol').value.replace(/\s+/g, '').toUpperCase());
+  set('direction', $('#historyDirection').value);
+  set('pattern', $('#historyPattern').value);
+  set('timeframe', $('#historyTimeframe').value);
+  set('trend', $('#historyTrend').value);
+  set('rule', $('#historyRule').value);
+  // Date inputs are whole UTC days; `to` includes its day
+  set('from', $('#historyFrom').value);
+  if ($('#historyTo').value) params.set('to', `${$('#historyTo').value}T23:59:59.999Z`);
+  return params.toString();
+}
+
+function applyHistoryFilters() {
+  historyQuery = historyParams();
+  const suffix = historyQuery ? `&${historyQuery}` : '';
+  $('#exportCsvLink').href = `/api/signals/export?format=csv${suffix}`;
+  $('#exportJsonLink').href = `/api/signals/export?format=json${suffix}`;
+  loadHistory();
+  loadStats();
+}
+
+// First page of the filtered history, or with `more` the page after the loaded ones
+async function loadHistory({ more = false } = {}) {
+  const list = $('#historyLog');
+  if (!list) return;
+  const params = new URLSearchParams(historyQuery);
+  params.set('limit', '100');
+  if (more && historyCursor) params.set('cursor', historyCursor);
+  $('#historyMessage').textContent = '';
   try {
-    const res = await fetch('/api/signals?limit=100');
-    if (!res.ok) return;
-    const items = await res.json();
-    list.innerHTML = '';
-    items.forEach((s) => {
-      const li = document.createElement('li');
-      const t = new Date(s.createdAt);
-      li.textContent = `${t.toLocaleString()} - ${s.symbol} - ${s.direction.toUpperCase()} ${s.pattern} on ${s.timeframe} @ ${s.price}`;
-      list.appendChild(li);
-    });
+    const res = await api(`/api/signals?${params}`);
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    if (!more) list.innerHTML = '';
+    json.items.forEach((s) => list.appendChild(historyItem(s)));
+    historyCursor = json.nextCursor;
+    $('#historyMoreBtn').hidden = !historyCursor;
+    if (!more && json.items.length === 0) $('#historyMessage').textContent = 'No signals match.';
   } catch (e) {
     console.error('Failed to load history', e);
+    $('#historyMessage').textContent = e.message;
   }
 }
 
-async function scanPair(pair) {
+const formatPct = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+function renderStats() {
+  if (!latestStats) return;
+  const { horizons, overall } = latestStats;
+  const headRow = $('#statsTable thead tr');
+  headRow.innerHTML = '';
+  const labels = ['Group', 'Signals', 'Resolved', 'Hit rate', 'Avg MFE', 'Avg MAE'];
+  [...labels, ...horizons.map((n) => `+${n} bars`)].forEach((label) =>
+    headRow.appendChild(createEl('th', null, label))
+  );
+
+  const tbody = $('#statsTable tbody');
+  tbody.innerHTML = '';
+  const rows = [{ key: 'All', ...overall }, ...latestStats[$('#statsGroup').value]];
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    [
+      row.key,
+      row.signals,
+      `${row.resolved} (${row.targetHits} target / ${row.stopHits} stop)`,
+      row.hitRate === null ? '-' : `${Math.round(row.hitRate * 100)}%`,
+      formatPct(row.avgMfePct),
+      formatPct(row.avgMaePct),
+      ...horizons.map((n) => formatPct(row.avgReturnPct[n])),
+    ].forEach((value) => tr.appendChild(createEl('td', null, String(value))));
+    tbody.appendChild(tr);
+  });
+}
+
+async function loadStats() {
+  $('#statsMessage').textContent = 'Loading...';
   try {
-    const res = await fetch(`/api/scan?symbol=${encodeURIComponent(pair.symbol)}`);
+    const res = await api(`/api/stats${historyQuery ? `?${historyQuery}` : ''}`);
+    const json = await res.json();
     if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
+      throw new Error(json.error || `HTTP ${res.status}`);
     }
-    const json = await res.json();
+    latestStats = json;
+    renderStats();
+    $('#statsMessage').textContent = 'Uses the History filters.';
+  } catch (err) {
+    console.error('Failed to load stats', err);
+    $('#statsMessage').textContent = err.message;
+  }
+}
 
-    const uiData = {
-      lastClose: json.lastClose,
-      dayTrend: json.dayTrend,
-      weekTrend: json.weekTrend,
-      signal: json.signal || null,
-      updatedAt: new Date(),
-    };
-
-    updateRow(pair.symbol, uiData);
-    if (json.signal) {
-      logSignal(pair.label, json.signal);
-      // Refresh MongoDB-backed history when a new signal is created
-      loadHistory();
-    }
+async function loadHistoryFilterOptions() {
+  try {
+    const res = await api('/api/detector/config');
+    if (!res.ok) return;
+    const { patterns } = await res.json();
+    patterns.forEach(({ type }) => {
+      const option = createEl('option', null, type);
+      option.value = type;
+      $('#historyPattern').appendChild(option);
+    });
   } catch (err) {
-    console.error('Error scanning', pair.symbol, err);
+    console.error('Failed to load pattern names', err);
+  }
+}
+
+// Timeframe and HTF trend choices, once /api/timeframes has loaded
+function renderHistoryTimeframeOptions() {
+  if (!timeframeInfo) return;
+  timeframeInfo.timeframes.forEach((tf) => {
+    const option = createEl('option', null, tf.label);
+    option.value = tf.key;
+    $('#historyTimeframe').appendChild(option);
+  });
+  const htfKeys = new Set(
+    Object.values(timeframeInfo.profiles).flatMap((p) => p.htf.map((tf) => tf.key))
+  );
+  timeframeInfo.timeframes
+    .filter((tf) => htfKeys.has(tf.key))
+    .forEach((tf) => {
+      ['bullish', 'bearish', 'sideways'].forEach((trend) => {
+        const option = createEl('option', null, `${tf.label} ${trend}`);
+        option.value = `${tf.key}:${trend}`;
+        $('#historyTrend').appendChild(option);
+      });
+    });
+}
+
+function renderResult(pair, result) {
+  latestResults[pair.symbol] = result;
+  renderCandidates();
+  if (detailSelection?.symbol === pair.symbol) renderDetail();
+  const updatedAt = new Date(result.updatedAt);
+  if (result.error) {
     updateRow(pair.symbol, {
       lastClose: NaN,
-      dayTrend: 'error',
-      weekTrend: 'error',
       signal: null,
       error: true,
-      updatedAt: new Date(),
+      updatedAt,
     });
+    return;
+  }
+
+  updateRow(pair.symbol, {
+    lastClose: result.lastClose,
+    dayTrend: result.dayTrend,
+    weekTrend: result.weekTrend,
+    htf: result.htf,
+    trends: result.trends,
+    signal: result.signal || null,
+    candidates: result.candidates || [],
+    updatedAt,
+  });
+
+  // Only log a signal the first time we see the scan that produced it
+  if (result.signal && seenResults[pair.symbol] !== result.updatedAt) {
+    logSignal(pair.label, result.signal, updatedAt);
   }
+  seenResults[pair.symbol] = result.updatedAt;
 }
 
-async function runScanLoop() {
-  // Enforce a minimum of 1 hour between full scans to stay well under daily limits.
-  const MIN_REFRESH_SEC = 3600; // 1 hour
-  const refreshSec = Math.max(MIN_REFRESH_SEC, Number($('#refreshInterval').value) || MIN_REFRESH_SEC);
-  $('#status').textContent = `Running every ${refreshSec}s`;
-  $('#startBtn').disabled = true;
-  $('#stopBtn').disabled = false;
+// Live quotes only touch the Last cell, which flashes with the tick direction
+function renderQuote(quote) {
+  const cell = document.querySelector(`tr[data-symbol="${quote.symbol}"] .price-cell`);
+  if (!cell) return;
+  cell.textContent = formatPrice(quote.price);
+  cell.title = `Live price at ${formatTime(new Date(quote.time))}`;
+  cell.classList.remove('tick-up', 'tick-down');
+  if (quote.change) {
+    // Restart the animation when the same direction repeats
+    void cell.offsetWidth;
+    cell.classList.add(quote.change > 0 ? 'tick-up' : 'tick-down');
+  }
+}
+
+function renderScannerState(status) {
+  // The scanner serves every user; only admins start and stop it
+  const admin = currentUser?.role === 'admin';
+  $('#startBtn').disabled = status.running || !admin;
+  $('#stopBtn').disabled = !status.running || !admin;
 
-  const DELAY_BETWEEN_PAIRS_MS = 60000; // 60s; ~1 symbol/min -> ~4 Twelve Data requests/min
+  if (!status.running) {
+    $('#status').textContent = 'Stopped';
+  } else if (status.currentSymbol) {
+    const { done, total } = status.progress;
+    $('#status').textContent = `Scanning ${status.currentSymbol} (${done + 1}/${total}), every ${status.intervalSec}s`;
+  } else if (status.nextRunAt) {
+    $('#status').textContent = `Running every ${status.intervalSec}s, next scan at ${formatTime(new Date(status.nextRunAt))}`;
+  } else {
+    $('#status').textContent = `Running every ${status.intervalSec}s`;
+  }
+  if (status.credits) {
+    const c = status.credits;
+    $('#status').textContent += ` · credits left ${c.availableMinute}/${c.perMinute} this minute, ${c.availableDay}/${c.perDay} today`;
+  }
+  if (status.live?.enabled) {
+    const connected = status.live.feeds.filter((f) => f.connected).length;
+    $('#status').textContent += ` · live prices: ${connected}/${status.live.feeds.length} feeds streaming`;
+  }
+}
 
-  const tick = async () => {
-    for (const pair of PAIRS) {
-      await scanPair(pair);
-      // Throttle between pairs to avoid hitting Twelve Data per-minute credit limits
-      await sleep(DELAY_BETWEEN_PAIRS_MS);
+function renderBatch(job) {
+  if (job.id !== activeBatchId) return;
+  const { total, done, failed, retrying } = job.progress;
+  const parts = [`${done + failed}/${total} scanned`];
+  if (failed) parts.push(`${failed} failed`);
+  if (retrying) parts.push(`${retrying} waiting to retry`);
+  if (job.status === 'queued' || job.status === 'running') {
+    if (job.etaSec !== null) parts.push(`ETA ${job.etaSec}s`);
+    $('#batchStatus').textContent = `Batch: ${parts.join(', ')}`;
+    return;
+  }
+  $('#batchStatus').textContent = `Batch ${job.status}: ${parts.join(', ')}`;
+  activeBatchId = null;
+  $('#scanNowBtn').disabled = false;
+}
+
+async function scanAllNow() {
+  if (pairs.length === 0) return;
+  $('#scanNowBtn').disabled = true;
+  try {
+    const res = await api('/api/scan/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ symbols: pairs.map((p) => p.symbol) }),
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || `HTTP ${res.status}`);
     }
+    activeBatchId = json.id;
+    renderBatch(json);
+    loadQuota();
+  } catch (err) {
+    console.error('Failed to start batch scan', err);
+    $('#batchStatus').textContent = err.message;
+    $('#scanNowBtn').disabled = false;
+  }
+}
+
+// Status snapshots include per-symbol results; status events do not
+function renderStatus(status) {
+  if (status.profiles) symbolProfiles = status.profiles;
+  ensureTableRows(status.symbols, status.labels);
+  renderConfluenceHeader();
+  renderScannerState(status);
+  pairs.forEach((pair) => {
+    const result = status.results?.[pair.symbol] || latestResults[pair.symbol];
+    if (result) renderResult(pair, result);
+  });
+  (status.quotes || []).forEach((quote) => renderQuote({ ...quote, change: 0 }));
+}
+
+function renderSymbolResult(result) {
+  const pair = pairs.find((p) => p.symbol === result.symbol);
+  if (pair) renderResult(pair, result);
+}
+
+function subscribeToStream() {
+  const source = new EventSource('/api/stream');
+  const on = (type, handler) =>
+    source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+  on('status', renderStatus);
+  on('scan', renderSymbolResult);
+  on('watchlists', renderWatchlists);
+  on('signal', upsertHistoryItem);
+  on('signal-update', upsertHistoryItem);
+  on('batch', renderBatch);
+  on('paper', loadPaper);
+  on('quote', renderQuote);
+  on('breakout', logBreakout);
+  // Not named 'error', which EventSource uses for connection failures
+  on('server-error', (data) => {
+    console.error('Scanner error', data.symbol, data.error);
+    // Scan failures carry updatedAt and replace the row; other errors (e.g. DB writes) are only logged
+    if (data.updatedAt) renderSymbolResult(data);
+  });
+
+  // EventSource reconnects by itself; the server resends a full status snapshot then.
+  // It gives up on error responses, e.g. once the session has ended.
+  source.onerror = () => {
+    $('#status').textContent = 'Reconnecting to server...';
+    if (source.readyState !== EventSource.CLOSED) return;
+    api('/api/auth/me')
+      .then((res) => {
+        if (res.ok) setTimeout(subscribeToStream, 5000);
+      })
+      .catch(() => setTimeout(subscribeToStream, 5000));
+  };
+}
+
+async function postScannerAction(action, body) {
+  try {
+    const res = await api(`/api/scanner/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {}),
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    renderStatus(json);
+  } catch (err) {
+    console.error(`Failed to ${action} scanner`, err);
+    $('#status').textContent = err.message;
+  }
+}
+
+// JSON API call; resolves to the response body (null for 204) or throws its error
+async function jsonRequest(method, url, body) {
+  const res = await api(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 204) return null;
+  const json = await res.json();
+  if (!res.ok) {
+    throw new Error(json.error || `HTTP ${res.status}`);
+  }
+  return json;
+}
+
+// Watchlists
+
+function setWatchlistMessage(text, isError) {
+  const msg = $('#watchlistMessage');
+  msg.textContent = text || '';
+  msg.className = `watchlist-message${isError ? ' price-negative' : ''}`;
+}
+
+function selectedWatchlist() {
+  return watchlists.find((w) => w.name === $('#watchlistSelect').value) || null;
+}
+
+function renderWatchlists(lists) {
+  watchlists = lists;
+  const select = $('#watchlistSelect');
+  const current = select.value;
+  select.innerHTML = '';
+  lists.forEach((w) => {
+    const option = createEl('option', null, w.enabled ? w.name : `${w.name} (disabled)`);
+    option.value = w.name;
+    select.appendChild(option);
+  });
+  if (lists.some((w) => w.name === current)) select.value = current;
+  renderWatchlistSymbols();
+}
+
+function renderWatchlistSymbols() {
+  const container = $('#watchlistSymbols');
+  container.innerHTML = '';
+  const watchlist = selectedWatchlist();
+  $('#deleteListBtn').disabled = !watchlist;
+  $('#addSymbolBtn').disabled = !watchlist;
+  $('#profileSelect').disabled = !watchlist;
+  if (!watchlist) return;
+  $('#profileSelect').value = watchlist.profile || '';
+
+  watchlist.symbols.forEach((entry) => {
+    const chip = createEl('span', 'symbol-chip', entry.label);
+    chip.title = entry.profile ? `${entry.symbol} (${entry.profile} profile)` : entry.symbol;
+    const remove = createEl('button', 'chip-remove', '×');
+    remove.title = `Remove ${entry.symbol}`;
+    remove.addEventListener('click', () => removeWatchlistSymbol(watchlist.name, entry.symbol));
+    chip.appendChild(remove);
+    container.appendChild(chip);
+  });
+}
+
+async function loadTimeframes() {
+  try {
+    const res = await api('/api/timeframes');
+    if (!res.ok) return;
+    timeframeInfo = await res.json();
+  } catch (err) {
+    console.error('Failed to load timeframe profiles', err);
+    return;
+  }
+  const select = $('#profileSelect');
+  select.innerHTML = '';
+  const fallback = createEl('option', null, `Default profile (${timeframeInfo.defaultProfile})`);
+  fallback.value = '';
+  select.appendChild(fallback);
+  Object.entries(timeframeInfo.profiles).forEach(([name, p]) => {
+    const tfs = (list) => list.map((tf) => tf.label).join('/');
+    const option = createEl('option', null, `${name}: ${tfs(p.patterns)} vs ${tfs(p.htf)}`);
+    option.value = name;
+    select.appendChild(option);
+  });
+  renderConfluenceHeader();
+  renderHistoryTimeframeOptions();
+  pairs.forEach((pair) => {
+    if (latestResults[pair.symbol]) renderResult(pair, latestResults[pair.symbol]);
+  });
+}
+
+async function setWatchlistProfile() {
+  const watchlist = selectedWatchlist();
+  if (!watchlist) return;
+  const profile = $('#profileSelect').value || null;
+  try {
+    await jsonRequest('PUT', `/api/watchlists/${encodeURIComponent(watchlist.name)}`, {
+      profile,
+    });
+    setWatchlistMessage(`${watchlist.name} now uses the ${profile || 'default'} timeframe profile`);
+    await loadWatchlists();
+  } catch (err) {
+    setWatchlistMessage(err.message, true);
+    renderWatchlistSymbols();
+  }
+}
+
+async function loadWatchlists() {
+  try {
+    renderWatchlists(await jsonRequest('GET', '/api/watchlists'));
+  } catch (err) {
+    console.error('Failed to load watchlists', err);
+    setWatchlistMessage(err.message, true);
+  }
+}
+
+async function addWatchlistSymbol() {
+  const watchlist = selectedWatchlist();
+  const symbol = $('#symbolInput').value.trim();
+  if (!watchlist || !symbol) return;
+
+  setWatchlistMessage(`Checking ${symbol} with the data provider...`);
+  $('#addSymbolBtn').disabled = true;
+  try {
+    await jsonRequest('POST', `/api/watchlists/${encodeURIComponent(watchlist.name)}/symbols`, {
+      symbol,
+      label: $('#labelInput').value.trim() || undefined,
+    });
+    $('#symbolInput').value = '';
+    $('#labelInput').value = '';
+    setWatchlistMessage(`Added ${symbol.toUpperCase()} to ${watchlist.name}`);
+    await loadWatchlists();
+  } catch (err) {
+    setWatchlistMessage(err.message, true);
+  } finally {
+    $('#addSymbolBtn').disabled = false;
+  }
+}
+
+async function removeWatchlistSymbol(name, symbol) {
+  try {
+    await jsonRequest(
+      'DELETE',
+      `/api/watchlists/${encodeURIComponent(name)}/symbols/${encodeURIComponent(symbol)}`
+    );
+    setWatchlistMessage(`Removed ${symbol} from ${name}`);
+    await loadWatchlists();
+  } catch (err) {
+    setWatchlistMessage(err.message, true);
+  }
+}
+
+async function createWatchlistFromPrompt() {
+  const name = window.prompt('Name of the new watchlist');
+  if (!name) return;
+  try {
+    await jsonRequest('POST', '/api/watchlists', { name });
+    await loadWatchlists();
+    $('#watchlistSelect').value = name.trim();
+    renderWatchlistSymbols();
+  } catch (err) {
+    setWatchlistMessage(err.message, true);
+  }
+}
+
+async function deleteSelectedWatchlist() {
+  const watchlist = selectedWatchlist();
+  if (!watchlist || !window.confirm(`Delete watchlist "${watchlist.name}"?`)) return;
+  try {
+    await jsonRequest('DELETE', `/api/watchlists/${encodeURIComponent(watchlist.name)}`);
+    setWatchlistMessage(`Deleted ${watchlist.name}`);
+    await loadWatchlists();
+  } catch (err) {
+    setWatchlistMessage(err.message, true);
+  }
+}
+
+// Screener rules
+
+// What "New rule" puts in the editor
+const SCREENER_TEMPLATE = {
+  name: 'New rule',
+  enabled: true,
+  pattern: { types: ['Inverse Head & Shoulders'], directions: ['bullish'] },
+  when: {
+    all: [
+      {
+        left: { indicator: 'close', timeframe: '1d' },
+        op: '>',
+        right: { indicator: 'ema', period: 50, timeframe: '1d' },
+      },
+      { not: { trend: '1w', is: 'bearish' } },
+    ],
+  },
+};
+
+function setScreenerMessage(text, isError) {
+  const msg = $('#screenerMessage');
+  msg.textContent = text || '';
+  msg.className = `watchlist-message${isError ? ' price-negative' : ''}`;
+}
+
+function selectedScreener() {
+  return screeners.find((r) => r.name === $('#screenerSelect').value) || null;
+}
+
+// Shows the selected rule in the editor, or the template when there is none
+function showScreener() {
+  const rule = selectedScreener();
+  $('#deleteScreenerBtn').disabled = !rule;
+  const { owner, ...editable } = rule || SCREENER_TEMPLATE;
+  $('#screenerEditor').value = JSON.stringify(editable, null, 2);
+}
+
+// Fills the rule picker and the History filter's rule choices
+function renderScreeners(rules, selected) {
+  screeners = rules;
+  const select = $('#screenerSelect');
+  const current = selected ?? select.value;
+  select.innerHTML = '';
+  rules.forEach((r) => {
+    const option = createEl('option', null, r.enabled ? r.name : `${r.name} (disabled)`);
+    option.value = r.name;
+    select.appendChild(option);
+  });
+  if (rules.some((r) => r.name === current)) select.value = current;
+
+  const filter = $('#historyRule');
+  const filtered = filter.value;
+  filter.innerHTML = '';
+  const any = createEl('option', null, 'Any screener rule');
+  any.value = '';
+  filter.appendChild(any);
+  rules.forEach((r) => {
+    const option = createEl('option', null, r.name);
+    option.value = r.name;
+    filter.appendChild(option);
+  });
+  filter.value = rules.some((r) => r.name === filtered) ? filtered : '';
+  showScreener();
+}
+
+async function loadScreeners(selected) {
+  try {
+    renderScreeners(await jsonRequest('GET', '/api/screeners'), selected);
+  } catch (err) {
+    console.error('Failed to load screener rules', err);
+    setScreenerMessage(err.message, true);
+  }
+}
+
+function newScreener() {
+  $('#screenerSelect').value = '';
+  showScreener();
+  setScreenerMessage('Edit the rule, then save it');
+}
+
+// Saves the editor's rule over the selected one, or as a new rule when none is selected
+async function saveScreener() {
+  let rule;
+  try {
+    rule = JSON.parse($('#screenerEditor').value);
+  } catch (err) {
+    setScreenerMessage(`Not valid JSON: ${err.message}`, true);
+    return;
+  }
+  const existing = selectedScreener();
+  try {
+    const saved = existing
+      ? await jsonRequest('PUT', `/api/screeners/${encodeURIComponent(existing.name)}`, rule)
+      : await jsonRequest('POST', '/api/screeners', rule);
+    setScreenerMessage(`Saved ${saved.name}; it runs from the next scan`);
+    await loadScreeners(saved.name);
+  } catch (err) {
+    setScreenerMessage(err.message, true);
+  }
+}
+
+async function deleteSelectedScreener() {
+  const rule = selectedScreener();
+  if (!rule || !window.confirm(`Delete screener rule "${rule.name}"?`)) return;
+  try {
+    await jsonRequest('DELETE', `/api/screeners/${encodeURIComponent(rule.name)}`);
+    setScreenerMessage(`Deleted ${rule.name}`);
+    await loadScreeners();
+  } catch (err) {
+    setScreenerMessage(err.message, true);
+  }
+}
+
+// Paper trading
+
+const formatMoney = (value) => (typeof value === 'number' ? value.toFixed(2) : '-');
+
+function pnlCell(value) {
+  const td = createEl('td', null, formatMoney(value));
+  if (value > 0) td.className = 'price-positive';
+  if (value < 0) td.className = 'price-negative';
+  return td;
+}
+
+function fillPaperTable(selector, rows, empty) {
+  const tbody = $(`${selector} tbody`);
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    const td = createEl('td', 'candidates-empty', empty);
+    td.colSpan = $(`${selector} thead tr`).children.length;
+    tbody.appendChild(createEl('tr')).appendChild(td);
+    return;
+  }
+  rows.forEach((cells) => {
+    const tr = document.createElement('tr');
+    cells.forEach((cell) =>
+      tr.appendChild(cell instanceof Node ? cell : createEl('td', null, String(cell)))
+    );
+    tbody.appendChild(tr);
+  });
+}
+
+const paperSetup = (p) => `${p.direction} ${p.pattern} ${p.timeframe}`;
+
+// Fill price, or the entry order of a pending position
+function paperEntry(p) {
+  if (p.status === 'open') return formatPrice(p.entryPrice);
+  return p.entryLevel === undefined ? 'market' : `stop ${formatPrice(p.entryLevel)}`;
+}
+
+// Equity over time, with the starting equity as a dashed line
+function renderEquityCurve(points, startingEquity) {
+  const svg = $('#equityCurve');
+  svg.innerHTML = '';
+  if (points.length < 2) return;
+  const [width, height, pad] = [600, 120, 6];
+  const values = [startingEquity, ...points.map((p) => p.equity)];
+  const min = Math.min(...values);
+  const span = Math.max(...values) - min || 1;
+  const times = points.map((p) => new Date(p.time).getTime());
+  const duration = times[times.length - 1] - times[0] || 1;
+  const x = (time) => ((time - times[0]) / duration) * width;
+  const y = (value) => height - pad - ((value - min) / span) * (height - 2 * pad);
+
+  const svgEl = (tag, attrs) => {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+    return svg.appendChild(el);
   };
+  const base = y(startingEquity);
+  svgEl('line', { x1: 0, x2: width, y1: base, y2: base });
+  svgEl('polyline', {
+    points: points.map((p, i) => `${x(times[i])},${y(p.equity)}`).join(' '),
+  });
+}
+
+function renderPaper(portfolio) {
+  $('#paperContent').hidden = !portfolio.enabled;
+  if (!portfolio.enabled) {
+    $('#paperMessage').textContent = 'Off. Set PAPER_TRADING=true (needs MongoDB).';
+    return;
+  }
+  const { broker, closedTrades, winRate } = portfolio;
+  const { name, ...brokerSettings } = broker;
+  $('#paperSummary').textContent = [
+    `Equity ${formatMoney(portfolio.equity)} (start ${formatMoney(portfolio.startingEquity)})`,
+    `Realized ${formatMoney(portfolio.realized)}`,
+    `Unrealized ${formatMoney(portfolio.unrealized)}`,
+    `${closedTrades} closed trades${winRate === null ? '' : `, ${Math.round(winRate * 100)}% won`}`,
+    `Broker: ${name} ${Object.entries(brokerSettings)
+      .map(([key, value]) => `${key} ${value}`)
+      .join(', ')}`,
+  ].join(' · ');
+  renderEquityCurve(portfolio.equityCurve, portfolio.startingEquity);
+
+  fillPaperTable(
+    '#paperPositionsTable',
+    portfolio.positions.map((p) => [
+      p.symbol,
+      paperSetup(p),
+      p.status,
+      formatPrice(p.quantity),
+      paperEntry(p),
+      formatPrice(p.stop),
+      formatPrice(p.target),
+      formatPrice(p.lastPrice),
+      p.status === 'open' ? pnlCell(p.unrealizedPnl) : '-',
+    ]),
+    'No open positions.'
+  );
+  fillPaperTable(
+    '#paperTradesTable',
+    portfolio.trades.map((p) => [
+      formatDateTime(new Date(p.closedAt)),
+      p.symbol,
+      paperSetup(p),
+      p.status === 'closed' ? p.exitReason : `cancelled (${p.exitReason})`,
+      formatPrice(p.quantity),
+      formatPrice(p.entryPrice),
+      formatPrice(p.exitPrice),
+      p.status === 'closed' ? pnlCell(p.pnl) : '-',
+    ]),
+    'No closed trades yet.'
+  );
+}
+
+async function loadPaper() {
+  try {
+    renderPaper(await jsonRequest('GET', '/api/paper'));
+    if (!$('#paperContent').hidden) {
+      $('#paperMessage').textContent = `Updated ${formatTime(new Date())}`;
+    }
+  } catch (err) {
+    console.error('Failed to load the paper portfolio', err);
+    $('#paperMessage').textContent = err.message;
+  }
+}
+
+// Accounts
+
+function setAuthMessage(text) {
+  $('#authMessage').textContent = text || '';
+  $('#authMessage').className = `watchlist-message${text ? ' price-negative' : ''}`;
+}
+
+// Login form, or the form creating the first (admin) account on a new server
+async function showLogin() {
+  document.body.classList.add('logged-out');
+  $('#userBar').hidden = true;
+  $('#authPanel').hidden = false;
+  let setupRequired = false;
+  try {
+    const res = await fetch('/api/auth/status');
+    setupRequired = res.ok && (await res.json()).setupRequired;
+  } catch (err) {
+    setAuthMessage(err.message);
+  }
+  $('#authForm').dataset.mode = setupRequired ? 'setup' : 'login';
+  $('#authTitle').textContent = setupRequired ? 'Create the admin account' : 'Log in';
+  $('#authSubmit').textContent = setupRequired ? 'Create account' : 'Log in';
+  $('#authPassword').autocomplete = setupRequired ? 'new-password' : 'current-password';
+  $('#authUsername').focus();
+}
+
+async function submitAuth() {
+  const mode = $('#authForm').dataset.mode;
+  setAuthMessage('');
+  try {
+    const res = await fetch(`/api/auth/${mode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: $('#authUsername').value,
+        password: $('#authPassword').value,
+      }),
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || `HTTP ${res.status}`);
+    }
+    // Start over with the new session
+    window.location.reload();
+  } catch (err) {
+    setAuthMessage(err.message);
+  }
+}
+
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  window.location.reload();
+}
 
-  await tick();
-  pollingTimer = setInterval(tick, refreshSec * 1000);
+function renderQuota(quota) {
+  $('#quotaStatus').textContent = `scans left ${quota.availableMinute}/${quota.perMinute} this minute, ${quota.availableDay}/${quota.perDay} today`;
 }
 
-function stopScanLoop() {
-  if (pollingTimer) {
-    clearInterval(pollingTimer);
-    pollingTimer = null;
+async function loadQuota() {
+  try {
+    const res = await api('/api/auth/me');
+    if (res.ok) renderQuota((await res.json()).quota);
+  } catch (err) {
+    console.error('Failed to load scan quota', err);
+  }
+}
+
+// API keys
+
+function setKeysMessage(text, isError) {
+  const msg = $('#keysMessage');
+  msg.textContent = text || '';
+  msg.className = `watchlist-message${isError ? ' price-negative' : ''}`;
+}
+
+function renderKeys(keys) {
+  const tbody = $('#keysTable tbody');
+  tbody.innerHTML = '';
+  keys.forEach((k) => {
+    const tr = document.createElement('tr');
+    [
+      k.name,
+      `${k.prefix}…`,
+      formatDateTime(new Date(k.createdAt)),
+      k.lastUsedAt ? formatDateTime(new Date(k.lastUsedAt)) : 'never',
+    ].forEach((value) => tr.appendChild(createEl('td', null, value)));
+    const revoke = createEl('button', 'secondary', 'Revoke');
+    revoke.addEventListener('click', () => revokeKey(k));
+    const cell = document.createElement('td');
+    cell.appendChild(revoke);
+    tr.appendChild(cell);
+    tbody.appendChild(tr);
+  });
+}
+
+async function loadKeys() {
+  try {
+    renderKeys(await jsonRequest('GET', '/api/keys'));
+  } catch (err) {
+    setKeysMessage(err.message, true);
+  }
+}
+
+async function createKey() {
+  const name = $('#keyNameInput').value.trim();
+  if (!name) return;
+  try {
+    const created = await jsonRequest('POST', '/api/keys', { name });
+    $('#keyNameInput').value = '';
+    // The only time the key can be seen
+    setKeysMessage('');
+    $('#keysMessage').append('Copy this key now, it is not shown again: ');
+    $('#keysMessage').appendChild(createEl('span', 'new-key', created.key));
+    loadKeys();
+  } catch (err) {
+    setKeysMessage(err.message, true);
+  }
+}
+
+async function revokeKey(k) {
+  if (!window.confirm(`Revoke API key "${k.name}"? Scripts using it stop working.`)) return;
+  try {
+    await jsonRequest('DELETE', `/api/keys/${encodeURIComponent(k.id)}`);
+    setKeysMessage(`Revoked ${k.name}`);
+    loadKeys();
+  } catch (err) {
+    setKeysMessage(err.message, true);
+  }
+}
+
+// Server status
+
+const HEALTH_BADGES = {
+  ok: 'badge-bullish',
+  degraded: 'badge-bearish',
+  failing: 'badge-bearish',
+  idle: 'badge-neutral',
+};
+const HEALTH_REFRESH_MS = 30000;
+
+function healthBadge(status) {
+  return createEl('span', `badge ${HEALTH_BADGES[status] || 'badge-neutral'}`, status);
+}
+
+function formatUptime(sec) {
+  const min = Math.floor(sec / 60);
+  const hours = Math.floor(min / 60);
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  if (hours > 0) return `${hours}h ${min % 60}m`;
+  return min > 0 ? `${min}m` : `${sec}s`;
+}
+
+const formatSec = (value) => (value === null || value === undefined ? '-' : `${value}s`);
+
+// "signals 2, api-key 1" for { signals: 2, "api-key": 1 }, or `empty` without counts
+function countsText(counts, empty) {
+  const entries = Object.entries(counts);
+  return entries.length ? entries.map(([key, n]) => `${key} ${n}`).join(', ') : empty;
+}
+
+function renderProviders(health, metrics) {
+  const counts = Object.fromEntries((metrics?.providers || []).map((p) => [p.name, p]));
+  const tbody = $('#providersTable tbody');
+  tbody.innerHTML = '';
+  health.providers.forEach((p) => {
+    const m = counts[p.name];
+    const c = p.credits;
+    const tr = document.createElement('tr');
+    tr.appendChild(createEl('td', null, p.name));
+    const statusCell = document.createElement('td');
+    statusCell.appendChild(healthBadge(p.status));
+    tr.appendChild(statusCell);
+    [
+      m ? m.requests : '-',
+      m ? `${m.errors}${m.rateLimited ? ` (${m.rateLimited} rate-limited)` : ''}` : '-',
+      m ? formatSec(m.avgSec) : '-',
+      c ? `${c.usedToday} used today · ${c.availableMinute}/${c.perMinute} left this minute` : '-',
+      m?.lastError ? `${formatDateTime(new Date(m.lastErrorAt))} ${m.lastError}` : '-',
+    ].forEach((value) => tr.appendChild(createEl('td', null, String(value))));
+    tbody.appendChild(tr);
+  });
+}
+
+function renderScanMetrics(metrics) {
+  $('#scanMetrics').hidden = !metrics;
+  if (!metrics) return;
+  $('#metricsTotals').textContent = [
+    `Signals stored: ${metrics.signals.total}${metrics.signals.total ? ` (${countsText(metrics.signals.byPattern)})` : ''}`,
+    `DB write failures: ${countsText(metrics.dbWriteFailures, 'none')}`,
+    `HTTP: ${metrics.http.requests} requests, ${metrics.http.serverErrors} server errors`,
+  ].join(' · ');
+
+  const tbody = $('#scanMetricsTable tbody');
+  tbody.innerHTML = '';
+  metrics.scans.forEach((s) => {
+    const tr = document.createElement('tr');
+    [
+      s.symbol,
+      s.scans,
+      s.errors,
+      formatSec(s.avgSec),
+      Object.entries(s.timeframes)
+        .map(([tf, t]) => `${tf} ${formatSec(t.avgSec)}`)
+        .join(' · '),
+    ].forEach((value) => tr.appendChild(createEl('td', null, String(value))));
+    tbody.appendChild(tr);
+  });
+}
+
+// `metrics` is the /api/metrics summary, null for non-admins
+function renderHealth(health, metrics) {
+  const badge = $('#healthStatus');
+  badge.className = `badge ${HEALTH_BADGES[health.status]}`;
+  badge.textContent = health.status;
+
+  const { db, scanner, liveQuotes } = health;
+  const live = liveQuotes.enabled
+    ? `${liveQuotes.feeds.filter((f) => f.connected).length}/${liveQuotes.feeds.length} feeds connected`
+    : 'off';
+  $('#healthSummary').textContent = [
+    `Up ${formatUptime(health.uptimeSec)}`,
+    `MongoDB: ${db.state}`,
+    `Scanner: ${scanner.running ? 'running' : 'stopped'}, ${scanner.symbols} symbols`,
+    `Live quotes: ${live}`,
+    ...health.problems,
+  ].join(' · ');
+
+  renderProviders(health, metrics);
+  renderScanMetrics(metrics);
+}
+
+async function loadHealth() {
+  try {
+    // A 503 still carries the report
+    const res = await api('/api/health');
+    const health = await res.json();
+    const metrics =
+      currentUser?.role === 'admin' ? await jsonRequest('GET', '/api/metrics') : null;
+    renderHealth(health, metrics);
+    $('#healthMessage').textContent = `Updated ${formatTime(new Date())}`;
+  } catch (err) {
+    console.error('Failed to load server status', err);
+    $('#healthMessage').textContent = err.message;
   }
-  $('#status').textContent = 'Stopped';
-  $('#startBtn').disabled = false;
-  $('#stopBtn').disabled = true;
 }
 
 // Init
 
-document.addEventListener('DOMContentLoaded', () => {
-  ensureTableRows();
+function startDashboard() {
+  document.body.classList.remove('logged-out');
+  $('#authPanel').hidden = true;
+  $('#userBar').hidden = false;
+  $('#userName').textContent = `${currentUser.username}${currentUser.role === 'admin' ? ' (admin)' : ''}`;
+  subscribeToStream();
   loadHistory();
+  loadHistoryFilterOptions();
+  loadTimeframes().then(loadWatchlists);
+  loadScreeners();
+  loadStats();
+  loadPaper();
+  loadKeys();
+  loadHealth();
+  setInterval(loadHealth, HEALTH_REFRESH_MS);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  $('#authForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitAuth();
+  });
+  $('#logoutBtn').addEventListener('click', logout);
+  $('#createKeyBtn').addEventListener('click', createKey);
+  $('#keyNameInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createKey();
+  });
+
+  $('#historyFilters').addEventListener('submit', (e) => {
+    e.preventDefault();
+    applyHistoryFilters();
+  });
+  $('#historyMoreBtn').addEventListener('click', () => loadHistory({ more: true }));
+  $('#statsGroup').addEventListener('change', renderStats);
+  $('#statsRefreshBtn').addEventListener('click', loadStats);
+  $('#paperRefreshBtn').addEventListener('click', loadPaper);
+  $('#healthRefreshBtn').addEventListener('click', loadHealth);
+
+  $('#detailCloseBtn').addEventListener('click', () => {
+    detailSelection = null;
+    chartKey = null;
+    $('#detailPanel').hidden = true;
+  });
+  $('#watchlistSelect').addEventListener('change', renderWatchlistSymbols);
+  $('#profileSelect').addEventListener('change', setWatchlistProfile);
+  $('#newListBtn').addEventListener('click', createWatchlistFromPrompt);
+  $('#deleteListBtn').addEventListener('click', deleteSelectedWatchlist);
+  $('#addSymbolBtn').addEventListener('click', addWatchlistSymbol);
+  $('#symbolInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addWatchlistSymbol();
+  });
+  $('#screenerSelect').addEventListener('change', () => {
+    showScreener();
+    setScreenerMessage('');
+  });
+  $('#newScreenerBtn').addEventListener('click', newScreener);
+  $('#saveScreenerBtn').addEventListener('click', saveScreener);
+  $('#deleteScreenerBtn').addEventListener('click', deleteSelectedScreener);
 
   $('#startBtn').addEventListener('click', () => {
-    if (!pollingTimer) runScanLoop();
+    const intervalSec = Number($('#refreshInterval').value) || undefined;
+    postScannerAction('start', { intervalSec });
   });
 
   $('#stopBtn').addEventListener('click', () => {
-    stopScanLoop();
+    postScannerAction('stop');
   });
+
+  $('#scanNowBtn').addEventListener('click', scanAllNow);
+
+  fetch('/api/auth/me')
+    .then(async (res) => {
+      if (!res.ok) return showLogin();
+      const me = await res.json();
+      currentUser = me.user;
+      renderQuota(me.quota);
+      return startDashboard();
+    })
+    .catch(() => showLogin());
 });
@@ -0,0 +1,333 @@
+// Candlestick chart on a <canvas>, with EMA lines, swing points and the
+// levels of a detected pattern (sloped necklines projected, the neckline break
+// marked). Scroll to zoom, drag to pan, hover for OHLC.
+
+const CHART_COLORS = {
+  background: '#020617',
+  grid: '#111827',
+  text: '#9ca3af',
+  up: '#22c55e',
+  down: '#ef4444',
+  emaFast: '#38bdf8',
+  emaSlow: '#f59e0b',
+  pivot: '#6b7280',
+  patternPivot: '#facc15',
+  window: 'rgba(250, 204, 21, 0.07)',
+  neckline: '#a78bfa',
+  breakout: '#e5e7eb',
+  stop: '#f87171',
+  target: '#4ade80',
+  crosshair: '#4b5563',
+};
+
+const AXIS_WIDTH = 70;
+const TIME_AXIS_HEIGHT = 22;
+const MIN_VISIBLE_BARS = 20;
+const DEFAULT_VISIBLE_BARS = 150;
+
+function createCandleChart(canvas) {
+  const ctx = canvas.getContext('2d');
+  let data = null;
+  let overlay = null;
+  let view = { start: 0, end: 0 };
+  let hoverX = null;
+  let drag = null;
+
+  const plotWidth = () => canvas.clientWidth - AXIS_WIDTH;
+  const plotHeight = () => canvas.clientHeight - TIME_AXIS_HEIGHT;
+  const barWidth = () => plotWidth() / (view.end - view.start);
+  const xOf = (i) => (i - view.start + 0.5) * barWidth();
+
+  function indexAtTime(iso) {
+    if (!iso) return -1;
+    const t = new Date(iso).getTime();
+    return data.times.findIndex((time) => time >= t);
+  }
+
+  function priceRange() {
+    let low = Infinity;
+    let high = -Infinity;
+    for (let i = view.start; i < view.end; i++) {
+      low = Math.min(low, data.candles[i].low);
+      high = Math.max(high, data.candles[i].high);
+    }
+    overlayLevels().forEach(({ price }) => {
+      low = Math.min(low, price);
+      high = Math.max(high, price);
+    });
+    const pad = (high - low) * 0.05 || high * 0.01;
+    return { low: low - pad, high: high + pad };
+  }
+
+  function overlayLevels() {
+    const plan = overlay?.plan;
+    const levels = overlay?.levels;
+    if (!levels) return [];
+    const lines = [
+      {
+        label: 'Neckline',
+        price: levels.neckline,
+        color: CHART_COLORS.neckline,
+        sloped: levels.necklineLine,
+      },
+    ];
+    if (plan) {
+      lines.push({ label: 'Stop', price: plan.stop, color: CHART_COLORS.stop });
+      lines.push({ label: 'T1', price: plan.targets[0].price, color: CHART_COLORS.target });
+    } else {
+      lines.push({ label: 'Invalidation', price: levels.invalidation, color: CHART_COLORS.stop });
+      lines.push({ label: 'Target', price: levels.target, color: CHART_COLORS.target });
+    }
+    return lines;
+  }
+
+  // Price of a level at bar i: sloped necklines run through their two points
+  function levelAt(level, i) {
+    if (!level.sloped) return level.price;
+    const [i1, i2] = level.sloped.map((p) => indexAtTime(p.time));
+    if (i1 === -1 || i2 <= i1) return level.price;
+    const [p1, p2] = level.sloped;
+    return p1.price + ((p2.price - p1.price) * (i - i1)) / (i2 - i1);
+  }
+
+  function formatAxisPrice(value) {
+    const digits = value >= 1000 ? 1 : value >= 10 ? 3 : 5;
+    return value.toFixed(digits);
+  }
+
+  function draw() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+      canvas.width = width * dpr;
+      canvas.height = height * dpr;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = CHART_COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+    if (!data || data.candles.length === 0) return;
+
+    const { low, high } = priceRange();
+    const yOf = (price) => ((high - price) / (high - low)) * plotHeight();
+    const bw = barWidth();
+
+    // Grid and price axis
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.lineWidth = 1;
+    for (let k = 0; k <= 5; k++) {
+      const price = low + ((high - low) * k) / 5;
+      const y = yOf(price);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(plotWidth(), y);
+      ctx.stroke();
+      ctx.fillText(formatAxisPrice(price), plotWidth() + 6, y + 4);
+    }
+
+    // Time axis: about one label every 110px
+    const step = Math.max(1, Math.round(110 / bw));
+    for (let i = view.start; i < view.end; i += step) {
+      const label = new Date(data.times[i]).toLocaleString(undefined, {
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+      ctx.fillText(label, xOf(i) - 30, plotHeight() + 15);
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, plotWidth(), plotHeight());
+    ctx.clip();
+
+    // Pattern window
+    const fromIdx = indexAtTime(overlay?.from);
+    const toIdx = indexAtTime(overlay?.to);
+    if (fromIdx !== -1 && toIdx !== -1) {
+      ctx.fillStyle = CHART_COLORS.window;
+      ctx.fillRect(xOf(fromIdx) - bw / 2, 0, (toIdx - fromIdx + 1) * bw, plotHeight());
+    }
+
+    // Candles
+    for (let i = view.start; i < view.end; i++) {
+      const c = data.candles[i];
+      const x = xOf(i);
+      const color = c.close >= c.open ? CHART_COLORS.up : CHART_COLORS.down;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(x, yOf(c.high));
+      ctx.lineTo(x, yOf(c.low));
+      ctx.stroke();
+      const top = yOf(Math.max(c.open, c.close));
+      const bodyHeight = Math.max(1, yOf(Math.min(c.open, c.close)) - top);
+      ctx.fillRect(x - Math.max(1, bw * 0.35), top, Math.max(2, bw * 0.7), bodyHeight);
+    }
+
+    // EMAs
+    [
+      [data.ema?.fast, CHART_COLORS.emaFast],
+      [data.ema?.slow, CHART_COLORS.emaSlow],
+    ].forEach(([line, color]) => {
+      if (!line) return;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let started = false;
+      for (let i = view.start; i < view.end; i++) {
+        const value = line.values[i];
+        if (value === null || value === undefined) continue;
+        if (started) ctx.lineTo(xOf(i), yOf(value));
+        else ctx.moveTo(xOf(i), yOf(value));
+        started = true;
+      }
+      ctx.stroke();
+    });
+    ctx.lineWidth = 1;
+
+    // Swing points; the ones inside the pattern window are highlighted
+    const inPattern = (i) => fromIdx !== -1 && toIdx !== -1 && i >= fromIdx && i <= toIdx;
+    const marker = (i, price, above) => {
+      if (i < view.start || i >= view.end) return;
+      const highlighted = inPattern(i);
+      ctx.fillStyle = highlighted ? CHART_COLORS.patternPivot : CHART_COLORS.pivot;
+      const r = highlighted ? 4 : 2.5;
+      const y = yOf(price) + (above ? -r - 3 : r + 3);
+      ctx.beginPath();
+      ctx.arc(xOf(i), y, r, 0, Math.PI * 2);
+      ctx.fill();
+    };
+    (data.pivots?.highs || []).forEach((i) => marker(i, data.candles[i].high, true));
+    (data.pivots?.lows || []).forEach((i) => marker(i, data.candles[i].low, false));
+
+    // Neckline, stop and target, from the start of the pattern to the right edge
+    const startIdx = fromIdx === -1 ? view.start : fromIdx;
+    const edgeIdx = view.start + plotWidth() / bw - 0.5;
+    ctx.setLineDash([6, 4]);
+    overlayLevels().forEach((level) => {
+      ctx.strokeStyle = level.color;
+      ctx.beginPath();
+      ctx.moveTo(xOf(startIdx), yOf(levelAt(level, startIdx)));
+      ctx.lineTo(plotWidth(), yOf(levelAt(level, edgeIdx)));
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Neckline break: a ring around the close of the breakout bar
+    const breakoutIdx = indexAtTime(overlay?.breakout?.breakoutAt);
+    if (breakoutIdx >= view.start && breakoutIdx < view.end) {
+      ctx.strokeStyle = CHART_COLORS.breakout;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(xOf(breakoutIdx), yOf(data.candles[breakoutIdx].close), 6, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+    ctx.restore();
+
+    overlayLevels().forEach((level) => {
+      const price = levelAt(level, edgeIdx);
+      ctx.fillStyle = level.color;
+      ctx.fillText(`${level.label} ${formatAxisPrice(price)}`, plotWidth() - 110, yOf(price) - 4);
+    });
+
+    // Legend
+    ctx.fillStyle = CHART_COLORS.emaFast;
+    ctx.fillText(`EMA${data.ema?.fast?.period ?? ''}`, 8, 14);
+    ctx.fillStyle = CHART_COLORS.emaSlow;
+    ctx.fillText(`EMA${data.ema?.slow?.period ?? ''}`, 60, 14);
+
+    // Crosshair with OHLC readout
+    if (hoverX !== null && hoverX < plotWidth()) {
+      const i = Math.min(view.end - 1, view.start + Math.floor(hoverX / bw));
+      const c = data.candles[i];
+      ctx.strokeStyle = CHART_COLORS.crosshair;
+      ctx.beginPath();
+      ctx.moveTo(xOf(i), 0);
+      ctx.lineTo(xOf(i), plotHeight());
+      ctx.stroke();
+      ctx.fillStyle = CHART_COLORS.text;
+      ctx.fillText(
+        `${new Date(data.times[i]).toLocaleString()}  O ${c.open}  H ${c.high}  L ${c.low}  C ${c.close}`,
+        120,
+        14
+      );
+    }
+  }
+
+  function clampView(start, end) {
+    const n = data.candles.length;
+    const size = Math.min(n, Math.max(MIN_VISIBLE_BARS, end - start));
+    const s = Math.max(0, Math.min(n - size, Math.round(start)));
+    view = { start: s, end: s + size };
+  }
+
+  canvas.addEventListener('mousemove', (e) => {
+    if (!data) return;
+    const x = e.offsetX;
+    if (drag) {
+      const shift = (drag.x - x) / barWidth();
+      clampView(drag.start + shift, drag.end + shift);
+    }
+    hoverX = x;
+    draw();
+  });
+
+  canvas.addEventListener('mouseleave', () => {
+    hoverX = null;
+    drag = null;
+    draw();
+  });
+
+  canvas.addEventListener('mousedown', (e) => {
+    if (data) drag = { x: e.offsetX, start: view.start, end: view.end };
+  });
+
+  window.addEventListener('mouseup', () => {
+    drag = null;
+  });
+
+  canvas.addEventListener(
+    'wheel',
+    (e) => {
+      if (!data) return;
+      e.preventDefault();
+      const size = view.end - view.start;
+      const nextSize = size * (e.deltaY > 0 ? 1.15 : 1 / 1.15);
+      // Keep the bar under the cursor in place
+      const anchor = view.start + Math.min(1, Math.max(0, e.offsetX / plotWidth())) * size;
+      const ratio = (anchor - view.start) / size;
+      clampView(anchor - ratio * nextSize, anchor - ratio * nextSize + nextSize);
+      draw();
+    },
+    { passive: false }
+  );
+
+  window.addEventListener('resize', draw);
+
+  return {
+    // `chartData` is the /api/candles response; `signal` (optional) a scan candidate
+    setData(chartData, signal) {
+      data = {
+        ...chartData,
+        times: chartData.candles.map((c) => new Date(c.time).getTime()),
+      };
+      overlay = signal || null;
+      const n = data.candles.length;
+      // Show the pattern if it is older than the default view
+      const fromIdx = indexAtTime(overlay?.from);
+      const visible = Math.max(DEFAULT_VISIBLE_BARS, fromIdx === -1 ? 0 : n - fromIdx + 10);
+      clampView(n - visible, n);
+      draw();
+    },
+    clear() {
+      data = null;
+      overlay = null;
+      draw();
+    },
+  };
+}
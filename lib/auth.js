@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { createBucket } = require('./creditBudget');
+const { findUserById, findApiKeyUser, publicUser } = require('./users');
+const { logger } = require('./logger');
+
+// ============================
+// Authentication
+// ============================
+
+// The dashboard logs in with a session cookie, scripts send an API key as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`. A session cookie is
+// `<user id>.<expiry>.<signature>`, signed with SESSION_SECRET and the user's
+// password hash, so a new password ends every session of that user. Without
+// SESSION_SECRET a random secret is used and sessions end on restart.
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_HOURS = Number.parseFloat(process.env.SESSION_TTL_HOURS) || 7 * 24;
+const SESSION_TTL_MS = Math.max(SESSION_TTL_HOURS, 0.1) * 60 * 60 * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  logger.warn('SESSION_SECRET is not set. Dashboard sessions will end when the server restarts.');
+}
+
+// Failed logins per IP and username before further attempts are refused
+const LOGIN_ATTEMPTS = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+function sign(payload, passwordHash) {
+  return crypto
+    .createHmac('sha256', SESSION_SECRET)
+    .update(`${payload}|${passwordHash}`)
+    .digest('base64url');
+}
+
+function readCookie(req, name) {
+  const pairs = (req.headers.cookie || '').split(';').map((part) => part.trim().split('='));
+  const found = pairs.find(([key]) => key === name);
+  return found ? decodeURIComponent(found.slice(1).join('=')) : null;
+}
+
+function setSessionCookie(req, res, user) {
+  const expires = Date.now() + SESSION_TTL_MS;
+  const payload = `${user.id}.${expires}`;
+  res.cookie(SESSION_COOKIE, `${payload}.${sign(payload, user.passwordHash)}`, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    expires: new Date(expires),
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+async function sessionUser(token) {
+  const [id, expires, signature] = (token || '').split('.');
+  if (!id || !(Number(expires) > Date.now()) || !signature) return null;
+  const user = await findUserById(id);
+  if (!user) return null;
+  const expected = Buffer.from(sign(`${id}.${expires}`, user.passwordHash));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? user : null;
+}
+
+function apiKeyOf(req) {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.get('x-api-key') || null;
+}
+
+// Resolves to { user, apiKey } (apiKey null for sessions) or null
+async function identify(req) {
+  const key = apiKeyOf(req);
+  if (key) return findApiKeyUser(key);
+  const user = await sessionUser(readCookie(req, SESSION_COOKIE));
+  return user ? { user, apiKey: null } : null;
+}
+
+// Sets req.user (without its password hash) and req.apiKey, or answers 401
+function requireUser(req, res, next) {
+  identify(req)
+    .then((identity) => {
+      if (!identity) {
+        return res.status(401).json({ error: 'Log in or send an API key to use the API' });
+      }
+      req.user = publicUser(identity.user);
+      req.apiKey = identity.apiKey;
+      return next();
+    })
+    .catch(next);
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can do this' });
+  }
+  return next();
+}
+
+// Quota subjects of the caller: the user, plus the API key when it has a quota
+function quotaSubjects(req) {
+  const subjects = [{ key: `user:${req.user.id}`, quota: req.user.quota }];
+  if (req.apiKey?.quota) subjects.push({ key: `key:${req.apiKey.id}`, quota: req.apiKey.quota });
+  return subjects;
+}
+
+// Throttles password guessing: `allowed()` before checking a login, `failed()`
+// after a wrong password and `succeeded()` after a right one
+function createLoginLimiter() {
+  const buckets = new Map();
+  const keyOf = (req, username) => `${req.ip}|${String(username).toLowerCase()}`;
+  return {
+    allowed(req, username) {
+      const bucket = buckets.get(keyOf(req, username));
+      return !bucket || bucket.available() >= 1;
+    },
+    failed(req, username) {
+      const key = keyOf(req, username);
+      // Forget old entries rather than grow without bound
+      if (buckets.size > 10000) buckets.clear();
+      if (!buckets.has(key)) buckets.set(key, createBucket(LOGIN_ATTEMPTS, LOGIN_WINDOW_MS));
+      buckets.get(key).take(1);
+    },
+    succeeded(req, username) {
+      buckets.delete(keyOf(req, username));
+    },
+  };
+}
+
+module.exports = {
+  setSessionCookie,
+  clearSessionCookie,
+  requireUser,
+  requireAdmin,
+  quotaSubjects,
+  createLoginLimiter,
+};
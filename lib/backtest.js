@@ -0,0 +1,260 @@
+const { fetchSeries } = require('./candles');
+const { resolveProfile, intervalToMs } = require('./timeframes');
+const { detectPatternWithConfluence } = require('./patterns');
+const { detectTrendHTF } = require('./trend');
+const { resolveDetectorConfig } = require('./detectorConfig');
+const { checkRuleTimeframes } = require('./confluence');
+const { buildTradePlan } = require('./tradePlan');
+const { badRequest } = require('./validation');
+
+// ============================
+// Historical backtest
+// ============================
+
+// Same candle counts the live /api/scan uses, so each step sees what a scan would have seen
+const SCAN_WINDOW = 400;
+const HTF_WINDOW = 500;
+const MIN_WINDOW = 50;
+const DEFAULT_MAX_BARS = 100;
+// Bars a stop entry waits for the neckline break, like PAPER_ENTRY_MAX_BARS
+const ENTRY_MAX_BARS = 20;
+
+// Number of HTF bars that had fully closed by `time` (candles sorted oldest first)
+function countClosedBars(candles, intervalMs, time) {
+  let lo = 0;
+  let hi = candles.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid].time.getTime() + intervalMs <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Trend as detectTrendHTF would have reported it with only the bars closed by `time`
+function createTrendAt(candles, interval, config) {
+  const intervalMs = intervalToMs(interval);
+  const cache = new Map();
+  return (time) => {
+    const closed = countClosedBars(candles, intervalMs, time);
+    if (!cache.has(closed)) {
+      cache.set(closed, detectTrendHTF(candles.slice(Math.max(0, closed - HTF_WINDOW), closed), config));
+    }
+    return cache.get(closed);
+  };
+}
+
+// Each signal is traded by its trade plan (lib/tradePlan.js), the way paper
+// trading fills it: a stop order on the neckline, or a market order at the next
+// open when the neckline already broke. The stop and the first target wait from
+// the entry bar on; when one bar reaches both, the stop is taken to fill first.
+// R is the move divided by the plan's risk per unit, so gaps show up as R.
+const reaches = (bar, price, up) => (up ? bar.high >= price : bar.low <= price);
+
+// Walks forward from the signal bar. Resolves to null when the entry never
+// filled, else { entryIdx, entryPrice, exitIdx, exitPrice, outcome, r }.
+function simulateTrade(candles, signalIdx, signal, plan, maxBars) {
+  const up = signal.direction !== 'bearish';
+  const target = plan.targets[0].price;
+  const broken = Boolean(signal.breakout?.breakoutAt);
+
+  let entryIdx = -1;
+  let entryPrice;
+  const lastEntryIdx = Math.min(candles.length - 1, signalIdx + ENTRY_MAX_BARS);
+  for (let i = signalIdx + 1; i <= lastEntryIdx; i++) {
+    const bar = candles[i];
+    if (broken) {
+      entryIdx = i;
+      entryPrice = bar.open;
+      break;
+    }
+    if (reaches(bar, plan.entry, up)) {
+      entryIdx = i;
+      // A bar that opens beyond the neckline fills the stop order at the open
+      entryPrice = up ? Math.max(bar.open, plan.entry) : Math.min(bar.open, plan.entry);
+      break;
+    }
+    // The stop level traded first: the pattern is invalidated before the entry
+    if (reaches(bar, plan.stop, !up)) return null;
+  }
+  if (entryIdx === -1) return null;
+
+  const exit = (exitIdx, exitPrice, outcome) => ({
+    entryIdx,
+    entryPrice,
+    exitIdx,
+    exitPrice,
+    outcome,
+    r: (up ? exitPrice - entryPrice : entryPrice - exitPrice) / plan.riskPerUnit,
+  });
+  const lastIdx = Math.min(candles.length - 1, entryIdx + maxBars);
+  for (let i = entryIdx; i <= lastIdx; i++) {
+    const bar = candles[i];
+    if (reaches(bar, plan.stop, !up)) {
+      // Bars that open past the stop fill it at the open
+      return exit(i, up ? Math.min(bar.open, plan.stop) : Math.max(bar.open, plan.stop), 'stop');
+    }
+    if (reaches(bar, target, up)) return exit(i, target, 'target');
+  }
+
+  // Trades still running at the end of the data are left out of the stats
+  return exit(lastIdx, candles[lastIdx].close, lastIdx === entryIdx + maxBars ? 'timeout' : 'open');
+}
+
+function summarize(trades) {
+  const closed = trades.filter((t) => t.outcome !== 'open');
+  const wins = closed.filter((t) => t.r > 0).length;
+  const totalR = closed.reduce((sum, t) => sum + t.r, 0);
+
+  // Drawdown of the cumulative R curve, in R, with trades ordered by exit time
+  let equity = 0;
+  let peak = 0;
+  let maxDrawdownR = 0;
+  [...closed]
+    .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime))
+    .forEach((t) => {
+      equity += t.r;
+      peak = Math.max(peak, equity);
+      maxDrawdownR = Math.max(maxDrawdownR, peak - equity);
+    });
+
+  return {
+    trades: closed.length,
+    open: trades.length - closed.length,
+    wins,
+    losses: closed.length - wins,
+    winRate: closed.length ? wins / closed.length : null,
+    avgR: closed.length ? totalR / closed.length : null,
+    totalR,
+    maxDrawdownR,
+  };
+}
+
+function groupSummary(trades, key) {
+  const groups = {};
+  trades.forEach((t) => {
+    (groups[t[key]] = groups[t[key]] || []).push(t);
+  });
+  return Object.fromEntries(Object.entries(groups).map(([k, list]) => [k, summarize(list)]));
+}
+
+// Pure backtest over already fetched candles:
+// { htf: [{ key, interval, candles }], timeframes: [{ key, interval, candles }] }
+// `options.detector` is a validated detector config layer on top of the global defaults.
+function runBacktest(data, options = {}) {
+  const window = options.window || SCAN_WINDOW;
+  const maxBars = options.maxBars || DEFAULT_MAX_BARS;
+  const config = resolveDetectorConfig(options.detector);
+  const trendAt = data.htf.map((tf) => ({
+    key: tf.key,
+    at: createTrendAt(tf.candles, tf.interval, config),
+  }));
+  const trades = [];
+
+  for (const tf of data.timeframes) {
+    const { candles } = tf;
+    const tfMs = intervalToMs(tf.interval);
+    const seenWindows = new Set();
+    let busyUntil = -1;
+
+    for (let i = MIN_WINDOW - 1; i < candles.length - 1; i++) {
+      if (i < busyUntil) continue;
+
+      const barClose = candles[i].time.getTime() + tfMs;
+      const trends = Object.fromEntries(trendAt.map((htf) => [htf.key, htf.at(barClose)]));
+      const slice = candles.slice(Math.max(0, i + 1 - window), i + 1);
+
+      const signal = detectPatternWithConfluence(slice, tf.key, trends, config);
+      if (!signal) continue;
+
+      // A pattern stays visible for many bars after it forms; trade each one once
+      const windowKey = `${signal.pattern}|${signal.direction}|${signal.from}|${signal.to}`;
+      if (seenWindows.has(windowKey)) continue;
+      seenWindows.add(windowKey);
+
+      const plan = buildTradePlan(signal);
+      if (!plan) continue;
+      const result = simulateTrade(candles, i, signal, plan, maxBars);
+      if (!result) continue;
+
+      busyUntil = result.exitIdx;
+      trades.push({
+        pattern: signal.pattern,
+        timeframe: signal.timeframe,
+        direction: signal.direction,
+        htfTrends: Object.fromEntries(Object.entries(trends).map(([key, t]) => [key, t.trend])),
+        patternFrom: signal.from,
+        patternTo: signal.to,
+        signalTime: candles[i].time.toISOString(),
+        entryTime: candles[result.entryIdx].time.toISOString(),
+        exitTime: candles[result.exitIdx].time.toISOString(),
+        entry: result.entryPrice,
+        stop: plan.stop,
+        target: plan.targets[0].price,
+        exit: result.exitPrice,
+        outcome: result.outcome,
+        bars: result.exitIdx - result.entryIdx,
+        r: result.r,
+      });
+    }
+  }
+
+  trades.sort((a, b) => new Date(a.entryTime) - new Date(b.entryTime));
+
+  return {
+    summary: summarize(trades),
+    byPattern: groupSummary(trades, 'pattern'),
+    byTimeframe: groupSummary(trades, 'timeframe'),
+    trades,
+  };
+}
+
+// `options.profile` names the timeframe profile; `options.timeframes` picks some
+// of its pattern timeframes. Throws with status 400 on unknown names.
+async function backtestSymbol(symbol, options = {}) {
+  const outputsize = options.outputsize || 1000;
+  const profile = resolveProfile(options.profile);
+  const config = resolveDetectorConfig(options.detector);
+  checkRuleTimeframes(config.confluenceRule, profile.htf.map((tf) => tf.key), profile.name);
+  const keys = options.timeframes || profile.patterns.map((tf) => tf.key);
+  const selected = profile.patterns.filter((tf) => keys.includes(tf.key));
+  if (selected.length === 0) {
+    throw badRequest(`No timeframes of the "${profile.name}" profile in [${keys.join(', ')}]`);
+  }
+
+  // Enough HTF history to cover the tested period plus the EMA warm-up
+  const testedMs = outputsize * Math.max(...selected.map((tf) => intervalToMs(tf.interval)));
+  const htf = await Promise.all(
+    profile.htf.map(async (tf) => {
+      const bars = Math.min(5000, Math.ceil(testedMs / intervalToMs(tf.interval)) + HTF_WINDOW);
+      return { ...tf, candles: await fetchSeries(symbol, tf.interval, bars) };
+    })
+  );
+
+  const timeframes = [];
+  for (const tf of selected) {
+    const candles = await fetchSeries(symbol, tf.interval, outputsize);
+    timeframes.push({ ...tf, candles });
+  }
+
+  const result = runBacktest({ htf, timeframes }, options);
+  return {
+    symbol,
+    params: {
+      profile: profile.name,
+      timeframes: selected.map((tf) => tf.key),
+      htf: profile.htf.map((tf) => tf.key),
+      outputsize,
+      window: options.window || SCAN_WINDOW,
+      maxBars: options.maxBars || DEFAULT_MAX_BARS,
+      detector: config,
+    },
+    ...result,
+  };
+}
+
+module.exports = {
+  simulateTrade,
+  runBacktest,
+  backtestSymbol,
+};
@@ -0,0 +1,214 @@
+// ============================
+// Batch scans
+// ============================
+
+// Symbols of every batch go through one queue, `concurrency` scans at a time.
+// Scans that fail with a rate-limit error (err.rateLimited, see
+// providers/twelveData.js and providers/binance.js) are retried up to `maxRetries` times, waiting
+// `retryBaseMs` doubled on every attempt (at least until the credits are back).
+// Daily limits are not retried. Only the last `keepJobs` batches are kept.
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// `scan(symbol, overrides)` runs one scan, `estimateCredits(symbol, overrides)`
+// and `creditWaitMs(n)` feed the ETA, `onResult(job, entry)` and
+// `onProgress(job)` report each finished symbol and every state change.
+function createBatchQueue({
+  scan,
+  estimateCredits = () => 0,
+  creditWaitMs = () => 0,
+  concurrency = 2,
+  maxRetries = 3,
+  retryBaseMs = 15000,
+  keepJobs = 20,
+  onResult = () => {},
+  onProgress = () => {},
+}) {
+  const jobs = new Map();
+  // { job, symbol, attempt, notBefore }
+  const pending = [];
+  let active = 0;
+  let nextId = 1;
+  let wakeTimer = null;
+
+  function finishIfDone(job) {
+    if (job.status !== 'running' && job.status !== 'queued') return;
+    const open = Object.values(job.symbols).some((s) =>
+      ['queued', 'running', 'retrying'].includes(s.status)
+    );
+    if (open) return;
+    job.status = 'done';
+    job.finishedAt = new Date();
+  }
+
+  function settle(task, entry) {
+    const { job, symbol } = task;
+    const state = job.symbols[symbol];
+    state.status = entry.error ? 'failed' : 'done';
+    state.finishedAt = new Date();
+    state.error = entry.error || null;
+    job.results[symbol] = entry;
+    job.durations.push(state.finishedAt - state.startedAt);
+    finishIfDone(job);
+    onResult(job, entry);
+    onProgress(job);
+  }
+
+  async function runTask(task) {
+    const { job, symbol } = task;
+    const state = job.symbols[symbol];
+    active += 1;
+    state.status = 'running';
+    state.attempts = task.attempt + 1;
+    state.startedAt = state.startedAt || new Date();
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = new Date();
+    }
+    onProgress(job);
+
+    try {
+      const result = await scan(symbol, job.overrides);
+      if (job.status !== 'cancelled') settle(task, { ...result, updatedAt: new Date() });
+    } catch (err) {
+      if (job.status === 'cancelled') return;
+      if (err.rateLimited && !err.daily && task.attempt < maxRetries) {
+        const delay = Math.min(
+          MAX_RETRY_DELAY_MS,
+          Math.max(retryBaseMs * 2 ** task.attempt, err.retryAfterMs || 0)
+        );
+        state.status = 'retrying';
+        state.error = err.message;
+        state.nextAttemptAt = new Date(Date.now() + delay);
+        job.retries += 1;
+        pending.push({ ...task, attempt: task.attempt + 1, notBefore: Date.now() + delay });
+        onProgress(job);
+      } else {
+        settle(task, { symbol, error: err.message || 'Scan failed', updatedAt: new Date() });
+      }
+    } finally {
+      active -= 1;
+      pump();
+    }
+  }
+
+  // Starts queued tasks up to the concurrency limit; retries wait for their time
+  function pump() {
+    if (wakeTimer) clearTimeout(wakeTimer);
+    wakeTimer = null;
+    while (active < concurrency) {
+      const now = Date.now();
+      const index = pending.findIndex((t) => t.notBefore <= now);
+      if (index === -1) break;
+      const [task] = pending.splice(index, 1);
+      if (task.job.status === 'cancelled') continue;
+      runTask(task);
+    }
+    if (active < concurrency && pending.length > 0) {
+      const next = Math.min(...pending.map((t) => t.notBefore));
+      wakeTimer = setTimeout(pump, Math.max(0, next - Date.now()));
+    }
+  }
+
+  function prune() {
+    const ids = [...jobs.keys()];
+    ids.slice(0, Math.max(0, ids.length - keepJobs)).forEach((id) => {
+      if (['done', 'cancelled'].includes(jobs.get(id).status)) jobs.delete(id);
+    });
+  }
+
+  // `symbols` are distinct; `overrides` go to every scan of the batch. `owner`
+  // is the id of the user who submitted it.
+  function submit(symbols, overrides = {}, owner = null) {
+    const job = {
+      id: String(nextId++),
+      owner,
+      status: 'queued',
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      overrides,
+      symbols: Object.fromEntries(
+        symbols.map((symbol) => [symbol, { status: 'queued', attempts: 0, error: null }])
+      ),
+      results: {},
+      durations: [],
+      retries: 0,
+    };
+    jobs.set(job.id, job);
+    symbols.forEach((symbol) => pending.push({ job, symbol, attempt: 0, notBefore: 0 }));
+    prune();
+    onProgress(job);
+    pump();
+    return snapshot(job);
+  }
+
+  // Remaining symbols are dropped; scans already running finish but are not recorded
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date();
+      Object.values(job.symbols).forEach((s) => {
+        if (['queued', 'running', 'retrying'].includes(s.status)) s.status = 'cancelled';
+      });
+      onProgress(job);
+    }
+    return snapshot(job);
+  }
+
+  // Rough seconds left: the slower of the average scan time per remaining
+  // symbol and the wait for the credits those symbols may need
+  function etaSec(job, remaining) {
+    if (remaining.length === 0) return 0;
+    const avgMs = job.durations.length
+      ? job.durations.reduce((s, d) => s + d, 0) / job.durations.length
+      : null;
+    const credits = remaining.reduce((s, symbol) => s + estimateCredits(symbol, job.overrides), 0);
+    const retryMs = Math.max(
+      0,
+      ...remaining.map((symbol) => (job.symbols[symbol].nextAttemptAt || 0) - Date.now())
+    );
+    const scanMs = avgMs === null ? 0 : (avgMs * remaining.length) / concurrency;
+    const ms = Math.max(scanMs, creditWaitMs(credits), retryMs);
+    return avgMs === null && ms === 0 ? null : Math.ceil(ms / 1000);
+  }
+
+  // Job state with every result so far; `withResults: false` leaves them out
+  function snapshot(job, { withResults = true } = {}) {
+    const states = Object.values(job.symbols);
+    const count = (status) => states.filter((s) => s.status === status).length;
+    const remaining = Object.keys(job.symbols).filter((symbol) =>
+      ['queued', 'running', 'retrying'].includes(job.symbols[symbol].status)
+    );
+    const { overrides, durations, results, ...rest } = job;
+    return {
+      ...rest,
+      progress: {
+        total: states.length,
+        done: count('done'),
+        failed: count('failed'),
+        running: count('running'),
+        retrying: count('retrying'),
+        queued: count('queued'),
+      },
+      etaSec: ['queued', 'running'].includes(job.status) ? etaSec(job, remaining) : 0,
+      ...(withResults ? { results } : {}),
+    };
+  }
+
+  function get(id, options) {
+    const job = jobs.get(id);
+    return job ? snapshot(job, options) : null;
+  }
+
+  function list() {
+    return [...jobs.values()].reverse().map((job) => snapshot(job, { withResults: false }));
+  }
+
+  return { submit, cancel, get, list, snapshot };
+}
+
+module.exports = {
+  createBatchQueue,
+};
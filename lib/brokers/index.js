@@ -0,0 +1,36 @@
+const mock = require('./mock');
+
+// ============================
+// Brokers
+// ============================
+
+// The paper-trading engine (lib/paperTrading.js) decides when an order triggers
+// and hands it to a broker to fill. Every broker exposes:
+//   name
+//   settings                - shown on the portfolio, e.g. the mock's spread
+//   submitOrder(order)      -> fill { price, quantity, time }, or rejects
+// where `order` is { symbol, side: 'buy' | 'sell', type: 'market' | 'stop' | 'limit',
+// quantity, price?, bar }. `price` is the stop or limit level and `bar` the closed
+// candle the order triggered on: simulated brokers price the fill from it, a
+// live broker would send the order and resolve with the execution.
+const BROKERS = {
+  [mock.name]: mock,
+};
+
+const BROKER_NAME = process.env.PAPER_BROKER || mock.name;
+
+if (!BROKERS[BROKER_NAME]) {
+  throw new Error(
+    `Unknown paper-trading broker "${BROKER_NAME}". Use one of: ${Object.keys(BROKERS).join(', ')}`
+  );
+}
+
+// The broker every paper order goes to
+function currentBroker() {
+  return BROKERS[BROKER_NAME];
+}
+
+module.exports = {
+  BROKERS,
+  currentBroker,
+};
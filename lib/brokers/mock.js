@@ -0,0 +1,49 @@
+// ============================
+// Mock broker (paper trading)
+// ============================
+
+// Fills every order in full on the bar the paper engine hands it, priced like a
+// retail broker would: buys pay half the spread over the reference price and
+// sells get half the spread under it, and market and stop orders slip a little
+// further. PAPER_SPREAD_BPS and PAPER_SLIPPAGE_BPS set both in basis points of
+// the price (defaults 2 and 1).
+function loadBps(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!(Number.isFinite(value) && value >= 0 && value <= 1000)) {
+    throw new Error(`Invalid ${name} "${raw}". Use basis points between 0 and 1000, e.g. 2`);
+  }
+  return value;
+}
+
+const SPREAD_BPS = loadBps('PAPER_SPREAD_BPS', 2);
+const SLIPPAGE_BPS = loadBps('PAPER_SLIPPAGE_BPS', 1);
+
+// Price the order would trade at before costs. A bar that opens beyond a stop
+// fills the stop at the open; a bar that opens beyond a limit fills it at the
+// better open.
+function referencePrice({ side, type, price, bar }) {
+  if (type === 'market') return bar.open;
+  const buy = side === 'buy';
+  if (type === 'stop') return buy ? Math.max(bar.open, price) : Math.min(bar.open, price);
+  return buy ? Math.min(bar.open, price) : Math.max(bar.open, price);
+}
+
+async function submitOrder(order) {
+  if (!order.bar) throw new Error('The mock broker needs the bar to fill on');
+  const reference = referencePrice(order);
+  const bps = SPREAD_BPS / 2 + (order.type === 'limit' ? 0 : SLIPPAGE_BPS);
+  const cost = (reference * bps) / 10000;
+  return {
+    price: order.side === 'buy' ? reference + cost : reference - cost,
+    quantity: order.quantity,
+    time: order.bar.time,
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  submitOrder,
+  settings: { spreadBps: SPREAD_BPS, slippageBps: SLIPPAGE_BPS },
+};
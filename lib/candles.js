@@ -0,0 +1,233 @@
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const { providerFor } = require('./providers');
+const { intervalToMs } = require('./timeframes');
+const { logger } = require('./logger');
+const { dbWriteFailures } = require('./metrics');
+
+// ============================
+// Candle cache
+// ============================
+
+// How long a cached series is served without asking the provider again (seconds)
+const DEFAULT_TTL_SEC = {
+  '1min': 30,
+  '5min': 120,
+  '15min': 300,
+  '30min': 600,
+  '45min': 900,
+  '1h': 900,
+  '2h': 1800,
+  '4h': 3600,
+  '1day': 4 * 3600,
+  '1week': 24 * 3600,
+  '1month': 24 * 3600,
+};
+
+// Largest outputsize requested to catch up a stale series
+const MAX_OUTPUTSIZE = 5000;
+
+function loadTtls() {
+  if (!process.env.CANDLE_TTL_SEC) return DEFAULT_TTL_SEC;
+  try {
+    return { ...DEFAULT_TTL_SEC, ...JSON.parse(process.env.CANDLE_TTL_SEC) };
+  } catch (err) {
+    logger.error('Ignoring invalid CANDLE_TTL_SEC (expected JSON like {"1h":600})', { error: err });
+    return DEFAULT_TTL_SEC;
+  }
+}
+
+const TTL_SEC = loadTtls();
+
+function ttlMs(interval) {
+  return (TTL_SEC[interval] ?? 300) * 1000;
+}
+
+// --- Stores: get(key, interval) -> { candles, depth, fetchedAt } | null, set(key, interval, entry)
+// The key combines provider and symbol so bars from different sources never mix.
+
+const candleSeriesSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  symbol: { type: String, required: true },
+  interval: { type: String, required: true },
+  candles: [
+    {
+      _id: false,
+      time: Date,
+      open: Number,
+      high: Number,
+      low: Number,
+      close: Number,
+      volume: Number,
+    },
+  ],
+  depth: Number,
+  fetchedAt: Date,
+});
+candleSeriesSchema.index({ provider: 1, symbol: 1, interval: 1 }, { unique: true });
+
+const CandleSeries =
+  mongoose.models.CandleSeries || mongoose.model('CandleSeries', candleSeriesSchema);
+
+function createMongoStore() {
+  return {
+    name: 'mongodb',
+    async get({ provider, symbol }, interval) {
+      const doc = await CandleSeries.findOne({ provider, symbol, interval }).lean();
+      if (!doc) return null;
+      return { candles: doc.candles, depth: doc.depth, fetchedAt: doc.fetchedAt };
+    },
+    async set({ provider, symbol }, interval, entry) {
+      await CandleSeries.updateOne(
+        { provider, symbol, interval },
+        { $set: entry },
+        { upsert: true }
+      );
+    },
+  };
+}
+
+function createFileStore(dir) {
+  const fileFor = ({ provider, symbol }, interval) =>
+    path.join(dir, provider, `${symbol.replace(/[^A-Za-z0-9_-]/g, '_')}__${interval}.json`);
+
+  return {
+    name: 'file',
+    async get(key, interval) {
+      let raw;
+      try {
+        raw = await fs.readFile(fileFor(key, interval), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      const entry = JSON.parse(raw);
+      return {
+        candles: entry.candles.map((c) => ({ ...c, time: new Date(c.time) })),
+        depth: entry.depth,
+        fetchedAt: new Date(entry.fetchedAt),
+      };
+    },
+    async set(key, interval, entry) {
+      const file = fileFor(key, interval);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so a crash never leaves a half-written cache file
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(entry));
+      await fs.rename(`${file}.tmp`, file);
+    },
+  };
+}
+
+const store = process.env.MONGODB_URI
+  ? createMongoStore()
+  : createFileStore(process.env.CANDLE_CACHE_DIR || path.join(__dirname, '..', '.cache', 'candles'));
+const cacheEnabled = process.env.CANDLE_CACHE !== 'off';
+
+// Bars from `fresh` replace cached bars with the same time (the last cached bar may have been in progress)
+function mergeCandles(cached, fresh) {
+  if (fresh.length === 0) return cached;
+  const firstFresh = fresh[0].time.getTime();
+  return cached.filter((c) => c.time.getTime() < firstFresh).concat(fresh);
+}
+
+async function readCache(key, interval) {
+  try {
+    return await store.get(key, interval);
+  } catch (err) {
+    logger.error('Candle cache read failed', { ...key, interval, error: err });
+    return null;
+  }
+}
+
+async function writeCache(key, interval, entry) {
+  try {
+    await store.set(key, interval, entry);
+  } catch (err) {
+    dbWriteFailures.inc({ operation: 'candle-cache' });
+    logger.error('Candle cache write failed', { ...key, interval, error: err });
+  }
+}
+
+// Series being refreshed, by provider|symbol|interval -> { outputsize, request }
+const inFlight = new Map();
+
+// Candles for symbol/interval, oldest first. Served from the cache while it is
+// fresh; once stale only bars from the last cached one onwards are requested.
+// Concurrent callers share one refresh per series instead of paying for it twice.
+async function fetchSeries(symbol, interval, outputsize = 300) {
+  const provider = providerFor(symbol);
+  if (!cacheEnabled || !provider.cacheable) {
+    return provider.fetchCandles(symbol, interval, outputsize);
+  }
+
+  const flightKey = `${provider.name}|${symbol}|${interval}`;
+  let flight = inFlight.get(flightKey);
+  while (flight) {
+    if (flight.outputsize >= outputsize) return (await flight.request).slice(-outputsize);
+    // Too shallow for this caller: wait for it, then extend what it cached
+    await flight.request.catch(() => {});
+    flight = inFlight.get(flightKey);
+  }
+
+  const request = refreshSeries(provider, symbol, interval, outputsize);
+  inFlight.set(flightKey, { outputsize, request });
+  try {
+    return (await request).slice(-outputsize);
+  } finally {
+    inFlight.delete(flightKey);
+  }
+}
+
+// The whole cached series, at least `outputsize` bars deep where the provider has them
+async function refreshSeries(provider, symbol, interval, outputsize) {
+  const key = { provider: provider.name, symbol };
+  const now = Date.now();
+  const cached = await readCache(key, interval);
+  const lastBar = cached?.candles[cached.candles.length - 1];
+  const deepEnough = cached && cached.depth >= outputsize;
+  // Too far behind to close the gap with one incremental request
+  const gapTooLarge =
+    lastBar && now - lastBar.time.getTime() > MAX_OUTPUTSIZE * intervalToMs(interval);
+
+  if (deepEnough && now - cached.fetchedAt.getTime() < ttlMs(interval)) {
+    return cached.candles;
+  }
+
+  let candles;
+  let depth;
+  if (deepEnough && lastBar && !gapTooLarge) {
+    const fresh = await provider.fetchCandles(symbol, interval, MAX_OUTPUTSIZE, {
+      startDate: lastBar.time,
+    });
+    candles = mergeCandles(cached.candles, fresh).slice(-cached.depth);
+    depth = cached.depth;
+  } else {
+    // Never shrink the cache below what an earlier, deeper request stored
+    depth = Math.max(outputsize, cached?.depth || 0);
+    candles = await provider.fetchCandles(symbol, interval, depth);
+  }
+
+  await writeCache(key, interval, { candles, depth, fetchedAt: new Date(now) });
+  return candles;
+}
+
+// Whether fetchSeries(symbol, interval, outputsize) can answer without a remote
+// provider request. Uncached providers read local files and cost nothing.
+async function isCached(symbol, interval, outputsize = 300) {
+  const provider = providerFor(symbol);
+  if (!provider.cacheable) return true;
+  if (!cacheEnabled) return false;
+  const cached = await readCache({ provider: provider.name, symbol }, interval);
+  return Boolean(
+    cached &&
+      cached.depth >= outputsize &&
+      Date.now() - cached.fetchedAt.getTime() < ttlMs(interval)
+  );
+}
+
+module.exports = {
+  fetchSeries,
+  isCached,
+  cacheStore: cacheEnabled ? store.name : 'off',
+};
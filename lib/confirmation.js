@@ -0,0 +1,122 @@
+// ============================
+// Neckline-break confirmation
+// ============================
+
+//   forming    no close beyond the neckline yet, or (with requireRetest) the
+//              breakout has not been retested yet
+//   confirmed  a close beyond the neckline, plus a retest when required
+//   failed     a close back inside the neckline before confirmation or within
+//              failedBreakoutBars of the breakout, no retest within retestMaxBars,
+//              or price past the pattern extreme before any breakout
+const STAGE = {
+  FORMING: 'forming',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+// Neckline price at a bar index of `candles`. Sloped necklines come as
+// levels.necklineLine, two { time, price } points, and are projected through
+// both; flat ones, and lines whose points are no longer in `candles`, use levels.neckline.
+function necklineProjector(levels, candles) {
+  const line = levels.necklineLine;
+  if (line) {
+    const [i1, i2] = line.map((p) => {
+      const t = new Date(p.time).getTime();
+      return candles.findIndex((c) => c.time.getTime() === t);
+    });
+    if (i1 !== -1 && i2 > i1) {
+      const slope = (line[1].price - line[0].price) / (i2 - i1);
+      return (i) => line[0].price + slope * (i - i1);
+    }
+  }
+  return () => levels.neckline;
+}
+
+// Neckline price at `time`, for prices between bars. Sloped necklines are
+// projected through their two points in time, which drifts from the bar-based
+// projection across market closures.
+function necklineAtTime(levels, time) {
+  const line = levels.necklineLine;
+  if (!line) return levels.neckline;
+  const [t1, t2] = line.map((p) => new Date(p.time).getTime());
+  if (!(t2 > t1)) return levels.neckline;
+  const slope = (line[1].price - line[0].price) / (t2 - t1);
+  return line[0].price + slope * (new Date(time).getTime() - t1);
+}
+
+// Replays the bars after the pattern window. `signal` needs direction, `to` and
+// levels { neckline, invalidation, necklineLine? }; `rules` are
+// { requireRetest, retestMaxBars, failedBreakoutBars, retestZone } with
+// retestZone a price distance. Returns { stage, breakoutAt, breakoutPrice, retestAt, failedAt, reason }.
+function evaluateBreakout(signal, candles, rules) {
+  const bearish = signal.direction === 'bearish';
+  const necklineAt = necklineProjector(signal.levels, candles);
+  const patternTo = new Date(signal.to).getTime();
+  const beyond = (price, line) => (bearish ? price < line : price > line);
+
+  const result = {
+    stage: STAGE.FORMING,
+    breakoutAt: null,
+    breakoutPrice: null,
+    retestAt: null,
+    failedAt: null,
+    reason: null,
+  };
+  const fail = (c, reason) => {
+    result.stage = STAGE.FAILED;
+    result.failedAt = c.time.toISOString();
+    result.reason = reason;
+  };
+
+  let breakoutIdx = -1;
+  for (let i = 0; i < candles.length; i++) {
+    const c = candles[i];
+    if (c.time.getTime() <= patternTo) continue;
+    const line = necklineAt(i);
+
+    if (breakoutIdx === -1) {
+      if (bearish ? c.high >= signal.levels.invalidation : c.low <= signal.levels.invalidation) {
+        fail(c, 'price moved past the pattern extreme before breaking the neckline');
+        break;
+      }
+      if (beyond(c.close, line)) {
+        breakoutIdx = i;
+        result.breakoutAt = c.time.toISOString();
+        result.breakoutPrice = line;
+        if (!rules.requireRetest) result.stage = STAGE.CONFIRMED;
+      }
+      continue;
+    }
+
+    const bars = i - breakoutIdx;
+    const confirmed = result.stage === STAGE.CONFIRMED;
+    if (!beyond(c.close, line)) {
+      if (!confirmed || bars <= rules.failedBreakoutBars) {
+        fail(c, 'closed back inside the neckline');
+      }
+      break;
+    }
+
+    if (!confirmed) {
+      const touched = bearish ? c.high >= line - rules.retestZone : c.low <= line + rules.retestZone;
+      if (touched) {
+        result.stage = STAGE.CONFIRMED;
+        result.retestAt = c.time.toISOString();
+      } else if (bars >= rules.retestMaxBars) {
+        fail(c, `no retest within ${rules.retestMaxBars} bars`);
+        break;
+      }
+    } else if (bars >= rules.failedBreakoutBars) {
+      break;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  STAGE,
+  necklineProjector,
+  necklineAtTime,
+  evaluateBreakout,
+};
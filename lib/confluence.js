@@ -0,0 +1,141 @@
+const { TIMEFRAMES } = require('./timeframes');
+const { badRequest } = require('./validation');
+
+// ============================
+// HTF confluence rules
+// ============================
+
+// A rule says which higher-timeframe trends allow a bullish pattern, e.g.
+//   1W bullish AND (1D bullish OR 1D sideways)
+// Terms are "<timeframe> <trend>", the timeframe by key or label in any case.
+// AND binds tighter than OR, and NOT negates a term or a group. Bearish patterns
+// use the mirror image of the rule, with bullish and bearish swapped. Without a
+// rule, every HTF of the timeframe profile must agree with the pattern.
+const TREND_STATES = ['bullish', 'bearish', 'sideways', 'neutral'];
+const MIRROR = { bullish: 'bearish', bearish: 'bullish' };
+
+// Parses a rule into a tree of { op: 'and' | 'or', left, right }, { op: 'not', arg }
+// and { op: 'term', timeframe, trend }. Throws with status 400.
+function parseConfluenceRule(rule) {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw badRequest('confluence rule must be a non-empty string');
+  }
+  const tokens = rule.match(/\(|\)|[^\s()]+/g);
+  let pos = 0;
+  const peek = () => tokens[pos]?.toUpperCase();
+  const fail = (message) => {
+    throw badRequest(`Invalid confluence rule "${rule}": ${message}`);
+  };
+
+  function parseTerm() {
+    if (peek() === 'NOT') {
+      pos += 1;
+      return { op: 'not', arg: parseTerm() };
+    }
+    if (peek() === '(') {
+      pos += 1;
+      const node = parseOr();
+      if (tokens[pos] !== ')') fail('missing ")"');
+      pos += 1;
+      return node;
+    }
+    if (pos >= tokens.length) fail('unexpected end of rule');
+    const name = tokens[pos].toLowerCase();
+    const timeframe = TIMEFRAMES.find(
+      (tf) => tf.key.toLowerCase() === name || tf.label.toLowerCase() === name
+    )?.key;
+    const trend = tokens[pos + 1]?.toLowerCase();
+    if (!timeframe) {
+      const names = TIMEFRAMES.map((tf) => tf.label).join(', ');
+      fail(`unknown timeframe "${tokens[pos]}", use one of ${names}`);
+    }
+    if (!TREND_STATES.includes(trend)) {
+      fail(`expected one of ${TREND_STATES.join(', ')} after "${tokens[pos]}"`);
+    }
+    pos += 2;
+    return { op: 'term', timeframe, trend };
+  }
+
+  function parseAnd() {
+    let node = parseTerm();
+    while (peek() === 'AND') {
+      pos += 1;
+      node = { op: 'and', left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() === 'OR') {
+      pos += 1;
+      node = { op: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) fail(`unexpected "${tokens[pos]}"`);
+  return tree;
+}
+
+// `trends` maps timeframe keys to detectTrendHTF results
+function evaluateRule(node, trends, mirrored) {
+  switch (node.op) {
+    case 'and':
+      return evaluateRule(node.left, trends, mirrored) && evaluateRule(node.right, trends, mirrored);
+    case 'or':
+      return evaluateRule(node.left, trends, mirrored) || evaluateRule(node.right, trends, mirrored);
+    case 'not':
+      return !evaluateRule(node.arg, trends, mirrored);
+    default: {
+      const wanted = mirrored ? MIRROR[node.trend] || node.trend : node.trend;
+      return trends[node.timeframe]?.trend === wanted;
+    }
+  }
+}
+
+function ruleTimeframes(node, keys = new Set()) {
+  if (node.op === 'term') keys.add(node.timeframe);
+  [node.left, node.right, node.arg].filter(Boolean).forEach((child) => ruleTimeframes(child, keys));
+  return keys;
+}
+
+// Rules are parsed once; backtests evaluate the same rule on every bar
+const parsedRules = new Map();
+
+function parsedRule(rule) {
+  if (!parsedRules.has(rule)) parsedRules.set(rule, parseConfluenceRule(rule));
+  return parsedRules.get(rule);
+}
+
+// Throws with status 400 when `rule` names a timeframe outside `htfKeys`
+function checkRuleTimeframes(rule, htfKeys, profileName) {
+  if (!rule) return;
+  const missing = [...ruleTimeframes(parsedRule(rule))].filter((key) => !htfKeys.includes(key));
+  if (missing.length > 0) {
+    throw badRequest(
+      `Confluence rule "${rule}" uses ${missing.join(', ')}, which the "${profileName}" timeframe profile does not scan (HTF: ${htfKeys.join(', ')})`
+    );
+  }
+}
+
+// Pattern directions the HTF trends allow under `rule`: [], ['bullish'],
+// ['bearish'] or both. `trends` maps each HTF key of the profile to its trend.
+function confluenceDirections(rule, trends) {
+  if (!rule) {
+    const all = Object.values(trends);
+    return ['bullish', 'bearish'].filter((direction) => all.every((t) => t.trend === direction));
+  }
+  const tree = parsedRule(rule);
+  return ['bullish', 'bearish'].filter((direction) =>
+    evaluateRule(tree, trends, direction === 'bearish')
+  );
+}
+
+module.exports = {
+  TREND_STATES,
+  parseConfluenceRule,
+  checkRuleTimeframes,
+  confluenceDirections,
+};
@@ -0,0 +1,100 @@
+// ============================
+// API credit budget
+// ============================
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Token bucket holding up to `capacity` credits, refilled evenly over `periodMs`
+function createBucket(capacity, periodMs) {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+  const rate = capacity / periodMs;
+
+  function refill(now = Date.now()) {
+    tokens = Math.min(capacity, tokens + (now - updatedAt) * rate);
+    updatedAt = now;
+  }
+
+  return {
+    capacity,
+    available() {
+      refill();
+      return tokens;
+    },
+    // ms until `n` credits will have come in
+    waitMs(n) {
+      refill();
+      const missing = n - tokens;
+      return missing > 0 ? Math.ceil(missing / rate) : 0;
+    },
+    take(n) {
+      refill();
+      tokens -= n;
+    },
+    drain() {
+      refill();
+      tokens = Math.min(tokens, 0);
+    },
+  };
+}
+
+// Per-minute and per-day token buckets in front of a metered API. Callers
+// `await take(n)` before spending n credits; takes are served in order, so a
+// large request is never starved by smaller ones. The day bucket starts full
+// on every restart.
+function createCreditBudget({ perMinute, perDay }) {
+  const minute = createBucket(perMinute, MINUTE_MS);
+  const day = createBucket(perDay, DAY_MS);
+  let queue = Promise.resolve();
+  let waiting = 0;
+
+  const waitMs = (n) => Math.max(minute.waitMs(n), day.waitMs(n));
+
+  async function acquire(n) {
+    // More than a bucket holds is let through once the bucket is full
+    const need = Math.min(n, perMinute, perDay);
+    for (let wait = waitMs(need); wait > 0; wait = waitMs(need)) {
+      await sleep(wait);
+    }
+    minute.take(n);
+    day.take(n);
+  }
+
+  function take(n = 1) {
+    waiting += 1;
+    const turn = queue.then(() => acquire(n));
+    queue = turn.finally(() => {
+      waiting -= 1;
+    });
+    return turn;
+  }
+
+  // The API said the credits are gone: wait for a refill before the next request
+  function drain({ daily = false } = {}) {
+    minute.drain();
+    if (daily) day.drain();
+  }
+
+  function status() {
+    return {
+      perMinute,
+      perDay,
+      availableMinute: Math.floor(minute.available()),
+      availableDay: Math.floor(day.available()),
+      waiting,
+    };
+  }
+
+  // `waitMs(n)`: ms until n more credits could be spent, for ETAs
+  return { take, drain, waitMs, status };
+}
+
+module.exports = {
+  createBucket,
+  createCreditBudget,
+};
@@ -0,0 +1,207 @@
+const { parseConfluenceRule } = require('./confluence');
+const { badRequest } = require('./validation');
+
+// ============================
+// Detector configuration
+// ============================
+
+// Every setting the trend and pattern detectors use. Layers are merged in order:
+//   built-in defaults -> DETECTOR_CONFIG env -> watchlist entry `detector` -> /api/scan `detector`
+// `tolerances` and `atrTolerances` are merged key by key, everything else is replaced.
+const BUILT_IN_DEFAULTS = {
+  pivotLookback: 2, // bars on each side a swing high / low must dominate
+  emaFast: 50,
+  emaSlow: 200,
+  // HTF trend (see lib/trend.js): methods that vote on each HTF's trend
+  trendMethods: ['ema'],
+  adxPeriod: 14,
+  adxThreshold: 25, // ADX below this reads as sideways
+  supertrendPeriod: 10,
+  supertrendMultiplier: 3,
+  // Which HTF trends allow a bullish pattern; bearish ones use the mirror image.
+  // null: every HTF of the timeframe profile agrees (see lib/confluence.js)
+  confluenceRule: null,
+  // `percent`: tolerances are fractions of price. `atr`: multiples of the pattern timeframe's ATR.
+  toleranceMode: 'percent',
+  atrPeriod: 14,
+  flagMaxBars: 15, // longest flag pole and longest flag
+  flagMaxRetrace: 0.5, // share of the pole a flag may give back
+  // Neckline-break confirmation (see lib/confirmation.js)
+  requireRetest: false, // only confirm once price comes back to the broken neckline
+  retestMaxBars: 10, // bars after the breakout the retest must happen within
+  failedBreakoutBars: 5, // a close back inside the neckline this soon fails the breakout
+  // Divergence and volume factors (see lib/factors.js)
+  rsiPeriod: 14,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  // Keep only patterns whose momentum diverges: off, rsi, macd, any (either) or all (both)
+  divergenceFilter: 'off',
+  // Keep only patterns whose volume fades through the pattern and expands on the break
+  volumeFilter: false,
+  volumeBreakoutRatio: 1.5, // breakout bar volume vs the average of the bars before it
+  volumeAvgBars: 20,
+  tolerances: {
+    topsEqual: 0.015, // double / triple tops (bottoms) within 1.5% of each other
+    minDepth: 0.01, // pullback between the tops (bottoms), and rectangle height, at least 1%
+    headMargin: 0.01, // head at least 1% beyond each shoulder
+    shouldersEqual: 0.02,
+    necklineEqual: 0.02,
+    flatEqual: 0.005, // triangle / rectangle boundary counts as horizontal
+    poleMove: 0.03, // minimum flag pole
+    retestZone: 0.003, // a retest comes within 0.3% of the neckline
+  },
+  atrTolerances: {
+    topsEqual: 0.5,
+    minDepth: 1.5,
+    headMargin: 0.5,
+    shouldersEqual: 1,
+    necklineEqual: 1,
+    flatEqual: 0.5,
+    poleMove: 4,
+    retestZone: 0.5,
+  },
+};
+
+const TOLERANCE_KEYS = Object.keys(BUILT_IN_DEFAULTS.tolerances);
+
+// Allowed values per setting
+const SCHEMA = {
+  pivotLookback: { type: 'integer', min: 1, max: 10 },
+  emaFast: { type: 'integer', min: 2, max: 500 },
+  emaSlow: { type: 'integer', min: 3, max: 1000 },
+  trendMethods: { type: 'list', values: ['ema', 'structure', 'adx', 'supertrend'] },
+  adxPeriod: { type: 'integer', min: 2, max: 100 },
+  adxThreshold: { type: 'number', min: 5, max: 60 },
+  supertrendPeriod: { type: 'integer', min: 2, max: 100 },
+  supertrendMultiplier: { type: 'number', min: 0.5, max: 10 },
+  confluenceRule: { type: 'rule' },
+  toleranceMode: { type: 'enum', values: ['percent', 'atr'] },
+  atrPeriod: { type: 'integer', min: 2, max: 200 },
+  flagMaxBars: { type: 'integer', min: 3, max: 100 },
+  flagMaxRetrace: { type: 'number', min: 0.1, max: 0.9 },
+  requireRetest: { type: 'boolean' },
+  retestMaxBars: { type: 'integer', min: 1, max: 100 },
+  failedBreakoutBars: { type: 'integer', min: 1, max: 50 },
+  rsiPeriod: { type: 'integer', min: 2, max: 100 },
+  macdFast: { type: 'integer', min: 2, max: 100 },
+  macdSlow: { type: 'integer', min: 3, max: 200 },
+  macdSignal: { type: 'integer', min: 2, max: 50 },
+  divergenceFilter: { type: 'enum', values: ['off', 'rsi', 'macd', 'any', 'all'] },
+  volumeFilter: { type: 'boolean' },
+  volumeBreakoutRatio: { type: 'number', min: 1, max: 10 },
+  volumeAvgBars: { type: 'integer', min: 5, max: 200 },
+  tolerances: { type: 'tolerances', min: 0, max: 0.2 },
+  atrTolerances: { type: 'tolerances', min: 0, max: 10 },
+};
+
+function checkTolerances(key, value, rule) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw badRequest(`${key} must be an object`);
+  }
+  Object.entries(value).forEach(([name, n]) => {
+    if (!TOLERANCE_KEYS.includes(name)) {
+      throw badRequest(`Unknown ${key} key "${name}". Use one of: ${TOLERANCE_KEYS.join(', ')}`);
+    }
+    if (typeof n !== 'number' || !(n > rule.min && n <= rule.max)) {
+      throw badRequest(`${key}.${name} must be a number in (${rule.min}, ${rule.max}]`);
+    }
+  });
+}
+
+// Checks a partial config (one layer) and returns a copy. Throws with status 400.
+function validateDetectorConfig(config, source = 'detector config') {
+  if (config === undefined || config === null) return {};
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw badRequest(`${source} must be an object`);
+  }
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (!Object.hasOwn(SCHEMA, key)) {
+      throw badRequest(`Unknown ${source} setting "${key}". Use one of: ${Object.keys(SCHEMA).join(', ')}`);
+    }
+    const rule = SCHEMA[key];
+    if (rule.type === 'integer' && !(Number.isInteger(value) && value >= rule.min && value <= rule.max)) {
+      throw badRequest(`${source}: ${key} must be an integer in [${rule.min}, ${rule.max}]`);
+    }
+    if (rule.type === 'number' && !(typeof value === 'number' && value >= rule.min && value <= rule.max)) {
+      throw badRequest(`${source}: ${key} must be a number in [${rule.min}, ${rule.max}]`);
+    }
+    if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      throw badRequest(`${source}: ${key} must be true or false`);
+    }
+    if (rule.type === 'enum' && !rule.values.includes(value)) {
+      throw badRequest(`${source}: ${key} must be one of ${rule.values.join(', ')}`);
+    }
+    if (
+      rule.type === 'list' &&
+      !(
+        Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((v) => rule.values.includes(v)) &&
+        new Set(value).size === value.length
+      )
+    ) {
+      throw badRequest(`${source}: ${key} must be a non-empty list of distinct values from ${rule.values.join(', ')}`);
+    }
+    if (rule.type === 'rule' && value !== null) {
+      try {
+        parseConfluenceRule(value);
+      } catch (err) {
+        throw badRequest(`${source}: ${err.message}`);
+      }
+    }
+    if (rule.type === 'tolerances') checkTolerances(`${source}: ${key}`, value, rule);
+  });
+
+  return JSON.parse(JSON.stringify(config));
+}
+
+function mergeLayers(base, layers) {
+  return layers.reduce(
+    (merged, layer) => ({
+      ...merged,
+      ...layer,
+      tolerances: { ...merged.tolerances, ...layer?.tolerances },
+      atrTolerances: { ...merged.atrTolerances, ...layer?.atrTolerances },
+    }),
+    base
+  );
+}
+
+function loadGlobalDefaults() {
+  if (!process.env.DETECTOR_CONFIG) return BUILT_IN_DEFAULTS;
+  let layer;
+  try {
+    layer = JSON.parse(process.env.DETECTOR_CONFIG);
+  } catch (err) {
+    throw new Error(`Invalid DETECTOR_CONFIG (expected a JSON object): ${err.message}`);
+  }
+  return checkResolved(mergeLayers(BUILT_IN_DEFAULTS, [validateDetectorConfig(layer, 'DETECTOR_CONFIG')]));
+}
+
+// Rules that span several settings, checked on the merged result
+function checkResolved(config) {
+  if (config.emaFast >= config.emaSlow) {
+    throw badRequest(`emaFast (${config.emaFast}) must be lower than emaSlow (${config.emaSlow})`);
+  }
+  if (config.macdFast >= config.macdSlow) {
+    throw badRequest(`macdFast (${config.macdFast}) must be lower than macdSlow (${config.macdSlow})`);
+  }
+  return config;
+}
+
+const DEFAULT_DETECTOR_CONFIG = loadGlobalDefaults();
+
+// Full config for a scan: global defaults plus each (already validated) layer
+function resolveDetectorConfig(...layers) {
+  return checkResolved(mergeLayers(DEFAULT_DETECTOR_CONFIG, layers.filter(Boolean)));
+}
+
+module.exports = {
+  DEFAULT_DETECTOR_CONFIG,
+  DETECTOR_CONFIG_SCHEMA: SCHEMA,
+  TOLERANCE_KEYS,
+  validateDetectorConfig,
+  resolveDetectorConfig,
+};
@@ -0,0 +1,25 @@
+const { EventEmitter } = require('events');
+
+// ============================
+// In-process event bus
+// ============================
+
+// Scan results, signals, scanner status and errors are published here and
+// forwarded to every /api/stream client.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(type, data) {
+  bus.emit('event', { type, data });
+}
+
+// Returns an unsubscribe function
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+};
@@ -0,0 +1,131 @@
+const { rsi, macd, obv } = require('./indicators');
+
+// ============================
+// Divergence and volume factors
+// ============================
+
+// Extra evidence for a pattern, reported on every candidate and optionally
+// used as filters (`divergenceFilter`, `volumeFilter` in the detector config).
+//
+// Divergence compares RSI and the MACD line at two comparable extremes of the
+// pattern, which the detectors already hold at about the same price. A bearish
+// pattern diverges when momentum is lower at the second top than at the first;
+// a bullish one when it is higher at the second bottom.
+const DIVERGENCE_POINTS = {
+  'M-top': ['h1Idx', 'h2Idx'],
+  'Inverted M': ['l1Idx', 'l2Idx'],
+  'Triple Top': ['h1Idx', 'h3Idx'],
+  'Triple Bottom': ['l1Idx', 'l3Idx'],
+  'Head & Shoulders': ['lsIdx', 'rsIdx'],
+  'Inverse Head & Shoulders': ['lsIdx', 'rsIdx'],
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Indicator series of one candle window, computed once for every detector.
+// Live bars from feeds without volume are left out of the volume series.
+function factorSeries(candles, config) {
+  const closes = candles.map((c) => c.close);
+  let withVolume = candles.length;
+  while (withVolume > 0 && !Number.isFinite(candles[withVolume - 1].volume)) withVolume -= 1;
+  return {
+    rsi: rsi(closes, config.rsiPeriod),
+    macd: macd(closes, config.macdFast, config.macdSlow, config.macdSignal).macd,
+    obv: obv(candles.slice(0, withVolume)),
+  };
+}
+
+// { from, to, price, rsi, macd }: the two extremes' times and prices and
+// { first, second, diverging } per oscillator (null while it has too few bars),
+// or null for patterns without two comparable extremes
+function measureDivergence(pattern, direction, candles, series) {
+  const keys = DIVERGENCE_POINTS[pattern.type];
+  if (!keys) return null;
+  const [a, b] = keys.map((key) => pattern.indices[key]);
+  const side = direction === 'bearish' ? 'high' : 'low';
+  const reading = (values, digits) => {
+    if (values[a] === null || values[b] === null) return null;
+    return {
+      first: round(values[a], digits),
+      second: round(values[b], digits),
+      diverging: direction === 'bearish' ? values[b] < values[a] : values[b] > values[a],
+    };
+  };
+  return {
+    from: candles[a].time.toISOString(),
+    to: candles[b].time.toISOString(),
+    price: { first: candles[a][side], second: candles[b][side] },
+    rsi: reading(series.rsi, 2),
+    macd: reading(series.macd, 6),
+  };
+}
+
+function averageVolume(bars) {
+  return bars.length ? bars.reduce((sum, c) => sum + c.volume, 0) / bars.length : 0;
+}
+
+// Volume through the pattern window and on the neckline break, or null
+// without volume data:
+//   fade           average volume of the second half of the window over the first
+//   breakoutRatio  breakout bar volume over the `volumeAvgBars` bars before it
+//                  (null before a breakout)
+//   obvChange      on-balance volume change across the window
+//   confirmed      volume fades (fade < 1) and, once broken, breakoutRatio
+//                  reaches `volumeBreakoutRatio`
+function measureVolume(pattern, candles, series, breakout, config) {
+  if (!series.obv) return null;
+  const indexValues = Object.values(pattern.indices || {}).filter(Number.isInteger);
+  const start = Math.min(...indexValues);
+  const end = Math.max(...indexValues);
+  if (end >= series.obv.length) return null;
+
+  const bars = candles.slice(start, end + 1);
+  const mid = Math.floor(bars.length / 2);
+  const firstHalf = averageVolume(bars.slice(0, mid));
+  const fade =
+    bars.length >= 4 && firstHalf > 0 ? round(averageVolume(bars.slice(mid)) / firstHalf) : null;
+
+  let breakoutRatio = null;
+  const breakIdx = breakout?.breakoutAt
+    ? candles.findIndex((c) => c.time.toISOString() === breakout.breakoutAt)
+    : -1;
+  if (breakIdx > 0 && breakIdx < series.obv.length) {
+    const before = candles.slice(Math.max(0, breakIdx - config.volumeAvgBars), breakIdx);
+    const base = averageVolume(before);
+    if (base > 0) breakoutRatio = round(candles[breakIdx].volume / base);
+  }
+
+  return {
+    fade,
+    breakoutRatio,
+    obvChange: round(series.obv[end] - series.obv[start]),
+    confirmed:
+      (fade === null || fade < 1) &&
+      (breakoutRatio === null || breakoutRatio >= config.volumeBreakoutRatio),
+  };
+}
+
+// Whether the configured filters keep a candidate. The divergence filter does
+// not apply to patterns without divergence points, nor the volume filter to
+// candles without volume.
+function passesFactorFilters({ divergence, volume }, config) {
+  if (config.divergenceFilter !== 'off' && divergence) {
+    const rsiDiverges = Boolean(divergence.rsi?.diverging);
+    const macdDiverges = Boolean(divergence.macd?.diverging);
+    const pass = {
+      rsi: rsiDiverges,
+      macd: macdDiverges,
+      any: rsiDiverges || macdDiverges,
+      all: rsiDiverges && macdDiverges,
+    }[config.divergenceFilter];
+    if (!pass) return false;
+  }
+  return !(config.volumeFilter && volume && !volume.confirmed);
+}
+
+module.exports = {
+  factorSeries,
+  measureDivergence,
+  measureVolume,
+  passesFactorFilters,
+};
@@ -0,0 +1,41 @@
+const { toBinanceSymbol } = require('../providers/binance');
+const { createSocketFeed } = require('./socket');
+
+// ============================
+// Streaming quotes (Binance trade stream)
+// ============================
+
+// Public trades, no API key needed
+const BINANCE_WS_URL = process.env.BINANCE_WS_URL || 'wss://stream.binance.com:9443';
+
+const streamsOf = (symbols) => symbols.map((s) => `${toBinanceSymbol(s).toLowerCase()}@trade`);
+let requestId = 0;
+
+const api = {
+  name: 'binance',
+  url: `${BINANCE_WS_URL}/ws`,
+  subscribeMessage: (symbols) => ({
+    method: 'SUBSCRIBE',
+    params: streamsOf(symbols),
+    id: (requestId += 1),
+  }),
+  unsubscribeMessage: (symbols) => ({
+    method: 'UNSUBSCRIBE',
+    params: streamsOf(symbols),
+    id: (requestId += 1),
+  }),
+  // Trades name the Binance symbol (BTCUSDT); map it back to the subscribed one
+  parse(message, symbols) {
+    if (message.e !== 'trade') return [];
+    const symbol = [...symbols].find((s) => toBinanceSymbol(s) === message.s);
+    if (!symbol) return [];
+    return [
+      { symbol, price: Number(message.p), time: new Date(message.T), volume: Number(message.q) },
+    ];
+  },
+};
+
+module.exports = {
+  name: api.name,
+  createFeed: (handlers) => createSocketFeed(api, handlers),
+};
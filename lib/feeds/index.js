@@ -0,0 +1,28 @@
+const { providerFor } = require('../providers');
+const twelveData = require('./twelveData');
+const binance = require('./binance');
+const replay = require('./replay');
+
+// ============================
+// Streaming quote feeds
+// ============================
+
+// A symbol streams from the feed of its data provider, so ticks and candles
+// always come from the same source. Every feed exposes:
+//   name
+//   createFeed({ onQuote, onStatus }) -> { subscribe(symbols), unsubscribe(symbols), close(), status() }
+// and calls onQuote({ symbol, price, time, volume? }) for every tick.
+const FEEDS = {
+  [twelveData.name]: twelveData,
+  [binance.name]: binance,
+  // The file provider has no live prices; its files are replayed instead
+  [replay.name]: replay,
+};
+
+function feedFor(symbol) {
+  return FEEDS[providerFor(symbol).name];
+}
+
+module.exports = {
+  feedFor,
+};
@@ -0,0 +1,121 @@
+const { readAllCandles, FILE_PROVIDER_UNTIL } = require('../providers/file');
+const { intervalToMs } = require('../timeframes');
+const { logger } = require('../logger');
+
+// ============================
+// Replayed quotes (offline stand-in)
+// ============================
+
+// Plays the file provider's bars back as ticks, so live quotes can be tried
+// without a streaming API. Every bar of the QUOTE_REPLAY_INTERVAL file after
+// QUOTE_REPLAY_FROM (default FILE_PROVIDER_UNTIL, else the last 100 bars)
+// becomes four ticks: open, the extreme price reached first, the other
+// extreme and close. One tick per symbol goes out every QUOTE_REPLAY_TICK_MS.
+const REPLAY_INTERVAL = process.env.QUOTE_REPLAY_INTERVAL || '1h';
+const REPLAY_TICK_MS = Number.parseInt(process.env.QUOTE_REPLAY_TICK_MS, 10) || 1000;
+const REPLAY_FROM = process.env.QUOTE_REPLAY_FROM
+  ? new Date(process.env.QUOTE_REPLAY_FROM)
+  : FILE_PROVIDER_UNTIL;
+const DEFAULT_REPLAY_BARS = 100;
+
+const BAR_MS = intervalToMs(REPLAY_INTERVAL);
+if (REPLAY_FROM && Number.isNaN(REPLAY_FROM.getTime())) {
+  throw new Error(`Invalid QUOTE_REPLAY_FROM "${process.env.QUOTE_REPLAY_FROM}"`);
+}
+
+// A falling bar is assumed to have made its high first. The bar's volume, if
+// any, is spread evenly over its ticks.
+function barTicks(bar) {
+  const extremes = bar.close < bar.open ? [bar.high, bar.low] : [bar.low, bar.high];
+  return [bar.open, ...extremes, bar.close].map((price, i) => ({
+    price,
+    time: new Date(bar.time.getTime() + Math.floor((BAR_MS * i) / 4)),
+    volume: Number.isFinite(bar.volume) ? bar.volume / 4 : undefined,
+  }));
+}
+
+async function loadTicks(symbol) {
+  const candles = await readAllCandles(symbol, REPLAY_INTERVAL);
+  const bars = REPLAY_FROM
+    ? candles.filter((c) => c.time > REPLAY_FROM)
+    : candles.slice(-DEFAULT_REPLAY_BARS);
+  return bars.flatMap(barTicks);
+}
+
+function createFeed({ onQuote, onStatus = () => {} }) {
+  // symbol -> { ticks, pos }, ticks null while the file loads
+  const streams = new Map();
+  const state = {
+    name: 'file',
+    replay: true,
+    interval: REPLAY_INTERVAL,
+    tickMs: REPLAY_TICK_MS,
+    lastQuoteAt: null,
+    error: null,
+  };
+  let timer = null;
+
+  function step() {
+    let playing = 0;
+    streams.forEach((stream, symbol) => {
+      if (!stream.ticks || stream.pos >= stream.ticks.length) return;
+      const tick = stream.ticks[stream.pos];
+      stream.pos += 1;
+      playing += 1;
+      state.lastQuoteAt = new Date();
+      onQuote({ symbol, ...tick });
+      if (stream.pos === stream.ticks.length) onStatus(status());
+    });
+    if (playing === 0 && [...streams.values()].every((s) => s.ticks)) stop();
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(step, REPLAY_TICK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function subscribe(list) {
+    list
+      .filter((symbol) => !streams.has(symbol))
+      .forEach((symbol) => {
+        const stream = { ticks: null, pos: 0 };
+        streams.set(symbol, stream);
+        loadTicks(symbol)
+          .then((ticks) => {
+            stream.ticks = ticks;
+          })
+          .catch((err) => {
+            logger.warn('Quote replay failed', { symbol, error: err });
+            state.error = err.message;
+            stream.ticks = [];
+          })
+          .finally(() => onStatus(status()));
+      });
+    start();
+  }
+
+  function unsubscribe(list) {
+    list.forEach((symbol) => streams.delete(symbol));
+    if (streams.size === 0) stop();
+  }
+
+  function status() {
+    const symbols = [...streams.keys()];
+    const ended = symbols.filter((s) => {
+      const { ticks, pos } = streams.get(s);
+      return ticks && pos >= ticks.length;
+    });
+    return { ...state, connected: timer !== null, symbols, ended };
+  }
+
+  return { subscribe, unsubscribe, close: stop, status };
+}
+
+module.exports = {
+  name: 'file',
+  createFeed,
+};
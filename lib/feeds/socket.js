@@ -0,0 +1,128 @@
+const WebSocket = require('ws');
+
+// ============================
+// WebSocket quote feed
+// ============================
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+// Shared plumbing for streaming price APIs: one connection per feed, opened
+// while any symbol is subscribed, re-subscribed after every reconnect and
+// reconnected with a doubling backoff. Each API supplies:
+//   url                          connection URL
+//   subscribeMessage(symbols)    message(s) adding symbols
+//   unsubscribeMessage(symbols)  message(s) removing them
+//   parse(message, symbols)      parsed JSON message -> quotes [{ symbol, price, time, volume? }]
+//   heartbeat                    { message, ms } to keep idle connections open (optional)
+function createSocketFeed(api, { onQuote, onStatus = () => {} }) {
+  const symbols = new Set();
+  const state = {
+    name: api.name,
+    connected: false,
+    connectedAt: null,
+    lastQuoteAt: null,
+    reconnects: 0,
+    error: null,
+  };
+  let socket = null;
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  function send(messages) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    [].concat(messages).forEach((message) => socket.send(JSON.stringify(message)));
+  }
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer || symbols.size === 0) return;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+    attempt += 1;
+    state.reconnects += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function connect() {
+    if (closed || socket || symbols.size === 0) return;
+    socket = new WebSocket(api.url);
+
+    socket.on('open', () => {
+      attempt = 0;
+      state.connected = true;
+      state.connectedAt = new Date();
+      state.error = null;
+      send(api.subscribeMessage([...symbols]));
+      if (api.heartbeat) {
+        heartbeatTimer = setInterval(() => send(api.heartbeat.message), api.heartbeat.ms);
+      }
+      onStatus(status());
+    });
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return;
+      }
+      api.parse(message, symbols).forEach((quote) => {
+        state.lastQuoteAt = new Date();
+        onQuote(quote);
+      });
+    });
+
+    socket.on('error', (err) => {
+      state.error = err.message;
+    });
+
+    socket.on('close', () => {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+      socket = null;
+      const wasConnected = state.connected;
+      state.connected = false;
+      if (wasConnected || state.error) onStatus(status());
+      scheduleReconnect();
+    });
+  }
+
+  function subscribe(list) {
+    const added = list.filter((symbol) => !symbols.has(symbol));
+    added.forEach((symbol) => symbols.add(symbol));
+    if (added.length === 0) return;
+    if (socket) send(api.subscribeMessage(added));
+    else connect();
+  }
+
+  // The connection is dropped once no symbol is left
+  function unsubscribe(list) {
+    const removed = list.filter((symbol) => symbols.delete(symbol));
+    if (removed.length === 0) return;
+    if (symbols.size > 0) {
+      send(api.unsubscribeMessage(removed));
+    } else if (socket) {
+      socket.close();
+    }
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (socket) socket.close();
+  }
+
+  function status() {
+    return { ...state, symbols: [...symbols] };
+  }
+
+  return { subscribe, unsubscribe, close, status };
+}
+
+module.exports = {
+  createSocketFeed,
+};
@@ -0,0 +1,42 @@
+const { TD_API_KEY } = require('../providers/twelveData');
+const { createSocketFeed } = require('./socket');
+const { logger } = require('../logger');
+
+// ============================
+// Streaming quotes (Twelve Data WebSocket)
+// ============================
+
+// Real-time prices for the same symbols as the REST API. TD_WS_URL can point
+// at a local stand-in.
+const TD_WS_URL =
+  process.env.TD_WS_URL || `wss://ws.twelvedata.com/v1/quotes/price?apikey=${TD_API_KEY}`;
+
+const api = {
+  name: 'twelvedata',
+  url: TD_WS_URL,
+  subscribeMessage: (symbols) => ({ action: 'subscribe', params: { symbols: symbols.join(',') } }),
+  unsubscribeMessage: (symbols) => ({
+    action: 'unsubscribe',
+    params: { symbols: symbols.join(',') },
+  }),
+  // The server drops connections without a heartbeat for a while
+  heartbeat: { message: { action: 'heartbeat' }, ms: 10000 },
+  parse(message) {
+    if (message.event === 'subscribe-status' && message.fails?.length) {
+      logger.warn('[TD WS] Not subscribed', { symbols: message.fails.map((f) => f.symbol) });
+    }
+    if (message.event !== 'price') return [];
+    return [
+      {
+        symbol: message.symbol,
+        price: Number(message.price),
+        time: new Date(message.timestamp * 1000),
+      },
+    ];
+  },
+};
+
+module.exports = {
+  name: api.name,
+  createFeed: (handlers) => createSocketFeed(api, handlers),
+};
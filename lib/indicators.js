@@ -0,0 +1,110 @@
+// ============================
+// Indicators
+// ============================
+
+// Series functions return one value per input bar, null until the indicator
+// has enough bars; `ema` and `atr` keep their older shapes (values from the
+// first full period, and the latest value only).
+
+function ema(values, period) {
+  if (values.length < period) return [];
+  const k = 2 / (period + 1);
+  const result = [];
+  let prevEma = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  result.push(prevEma);
+  for (let i = period; i < values.length; i++) {
+    prevEma = values[i] * k + prevEma * (1 - k);
+    result.push(prevEma);
+  }
+  return result;
+}
+
+// `values` left-padded with nulls to `length`
+function padTo(length, values) {
+  return [...new Array(length - values.length).fill(null), ...values];
+}
+
+// Average true range per bar, Wilder smoothing
+function atrSeries(candles, period = 14) {
+  const out = new Array(candles.length).fill(null);
+  if (candles.length <= period) return out;
+  const trueRanges = candles.slice(1).map((c, i) => {
+    const prevClose = candles[i].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+  let value = trueRanges.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  out[period] = value;
+  for (let i = period; i < trueRanges.length; i++) {
+    value = (value * (period - 1) + trueRanges[i]) / period;
+    out[i + 1] = value;
+  }
+  return out;
+}
+
+// Average true range of the last `period` bars
+function atr(candles, period = 14) {
+  if (candles.length <= period) return null;
+  return atrSeries(candles, period)[candles.length - 1];
+}
+
+// Relative strength index, Wilder smoothing
+function rsi(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+  const value = () => (loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss));
+  out[period] = value();
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = value();
+  }
+  return out;
+}
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastLine = padTo(closes.length, ema(closes, fast));
+  const slowLine = padTo(closes.length, ema(closes, slow));
+  const line = closes.map((_, i) =>
+    fastLine[i] === null || slowLine[i] === null ? null : fastLine[i] - slowLine[i]
+  );
+  const signal = padTo(
+    closes.length,
+    ema(
+      line.filter((v) => v !== null),
+      signalPeriod
+    )
+  );
+  const histogram = line.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
+  return { macd: line, signal, histogram };
+}
+
+// On-balance volume from 0 at the first bar, or null when any bar lacks volume
+function obv(candles) {
+  if (candles.length === 0 || !candles.every((c) => Number.isFinite(c.volume))) return null;
+  const out = [0];
+  for (let i = 1; i < candles.length; i++) {
+    const direction = Math.sign(candles[i].close - candles[i - 1].close);
+    out.push(out[i - 1] + direction * candles[i].volume);
+  }
+  return out;
+}
+
+module.exports = {
+  ema,
+  atr,
+  atrSeries,
+  rsi,
+  macd,
+  obv,
+};
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// ============================
+// JSON files
+// ============================
+
+// One JSON document on disk, for the stores used without MongoDB. `empty()`
+// is what read() resolves to before the file exists; `mode` sets its permissions.
+// update(change) reads the document, lets `change(data)` modify it in place and
+// writes it back, resolving to what `change` returned. Updates are chained, so
+// concurrent requests never overwrite each other's changes, and each write goes
+// to a temporary file renamed over the old one, so a crash never leaves a
+// half-written file.
+function createJsonFile(file, { empty = () => ({}), mode } = {}) {
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return empty();
+      throw err;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2), mode ? { mode } : undefined);
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  let writing = Promise.resolve();
+
+  function update(change) {
+    const next = writing.then(async () => {
+      const data = await read();
+      const result = await change(data);
+      await write(data);
+      return result;
+    });
+    // A failed update rejects its caller only; the next one still runs
+    writing = next.catch(() => {});
+    return next;
+  }
+
+  return { read, update };
+}
+
+module.exports = {
+  createJsonFile,
+};
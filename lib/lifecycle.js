@@ -0,0 +1,103 @@
+const { DEFAULT_DETECTOR_CONFIG } = require('./detectorConfig');
+const { STAGE, evaluateBreakout } = require('./confirmation');
+
+// ============================
+// Signal lifecycle
+// ============================
+
+//   detected -> confirmed         the neckline break is confirmed (lib/confirmation.js:
+//                                 a close beyond it, plus a retest with requireRetest)
+//   detected -> failed breakout   the break failed before it was confirmed
+//   detected -> invalidated       price trades past the pattern extreme first
+//   confirmed -> failed breakout  close back inside the neckline within failedBreakoutBars
+//   confirmed -> target hit       measured-move target reached
+//   confirmed -> invalidated      price trades back past the pattern extreme
+//   either -> expired             nothing decisive within the bar limits below
+const STATUS = {
+  DETECTED: 'detected',
+  CONFIRMED: 'confirmed',
+  TARGET_HIT: 'target hit',
+  INVALIDATED: 'invalidated',
+  FAILED_BREAKOUT: 'failed breakout',
+  EXPIRED: 'expired',
+};
+
+const OPEN_STATUSES = [STATUS.DETECTED, STATUS.CONFIRMED];
+
+const DETECTED_EXPIRY_BARS = 50;
+const CONFIRMED_EXPIRY_BARS = 100;
+
+// Breakout rules of signals stored without their own: the global detector defaults
+function defaultBreakoutRules(levels) {
+  const config = DEFAULT_DETECTOR_CONFIG;
+  return {
+    requireRetest: config.requireRetest,
+    retestMaxBars: config.retestMaxBars,
+    failedBreakoutBars: config.failedBreakoutBars,
+    retestZone: levels.neckline * config.tolerances.retestZone,
+  };
+}
+
+// Replays the bars after the pattern window and returns the transitions after
+// `detected`, each stamped with the time of the bar that caused it.
+// `signal` needs direction, patternTo and levels { neckline, invalidation, target, necklineLine? };
+// `rules` are the evaluateBreakout rules the pattern's stage was worked out with,
+// so status and stage agree on when the break is confirmed or has failed.
+function evaluateLifecycle(signal, candles, rules = defaultBreakoutRules(signal.levels)) {
+  const bearish = signal.direction === 'bearish';
+  const { invalidation, target } = signal.levels;
+  const patternTo = new Date(signal.patternTo).getTime();
+  const breakout = evaluateBreakout({ ...signal, to: signal.patternTo }, candles, rules);
+  // Failures after the break; one before it is price past the extreme
+  const failedAt = breakout.stage === STAGE.FAILED && breakout.breakoutAt ? breakout.failedAt : null;
+  const confirmedAt = rules.requireRetest ? breakout.retestAt : breakout.breakoutAt;
+  const transitions = [];
+  let status = STATUS.DETECTED;
+  let barsInState = 0;
+
+  const move = (next, time) => {
+    status = next;
+    barsInState = 0;
+    transitions.push({ status: next, at: time });
+  };
+
+  for (const c of candles) {
+    if (c.time.getTime() <= patternTo) continue;
+    barsInState += 1;
+    const at = c.time.toISOString();
+    const pastExtreme = bearish ? c.high >= invalidation : c.low <= invalidation;
+
+    if (status === STATUS.DETECTED) {
+      if (pastExtreme) {
+        move(STATUS.INVALIDATED, c.time);
+      } else if (at === failedAt) {
+        move(STATUS.FAILED_BREAKOUT, c.time);
+      } else if (at === confirmedAt) {
+        move(STATUS.CONFIRMED, c.time);
+      } else if (barsInState >= DETECTED_EXPIRY_BARS) {
+        move(STATUS.EXPIRED, c.time);
+      }
+    } else if (status === STATUS.CONFIRMED) {
+      // Stop-side first when one bar touches both
+      if (pastExtreme) {
+        move(STATUS.INVALIDATED, c.time);
+      } else if (at === failedAt) {
+        move(STATUS.FAILED_BREAKOUT, c.time);
+      } else if (bearish ? c.low <= target : c.high >= target) {
+        move(STATUS.TARGET_HIT, c.time);
+      } else if (barsInState >= CONFIRMED_EXPIRY_BARS) {
+        move(STATUS.EXPIRED, c.time);
+      }
+    }
+
+    if (!OPEN_STATUSES.includes(status)) break;
+  }
+
+  return transitions;
+}
+
+module.exports = {
+  STATUS,
+  OPEN_STATUSES,
+  evaluateLifecycle,
+};
@@ -0,0 +1,138 @@
+const { TIMEFRAMES, barStart } = require('./timeframes');
+
+// ============================
+// Live quotes
+// ============================
+
+// Subscribes each symbol to its streaming feed and builds bars of every known
+// timeframe from the ticks. The first bar of each timeframe starts at the
+// first tick, so it only becomes complete once overlaid on fetched candles.
+// A bar closes when the first tick of the next one arrives.
+// `onQuote(quote)` is called for every tick, `onBarClose(symbol, interval, bar)`
+// for every closed bar and `onStatus()` when a feed connects or drops.
+const MAX_LIVE_BARS = 500;
+
+function createQuoteIngestor({
+  feedFor,
+  maxBars = MAX_LIVE_BARS,
+  onQuote = () => {},
+  onBarClose = () => {},
+  onStatus = () => {},
+}) {
+  // feed name -> feed
+  const feeds = new Map();
+  // symbol -> feed name
+  const subscribed = new Map();
+  // symbol -> { symbol, price, time, change }, change since the previous tick
+  const latest = {};
+  // symbol -> interval -> bars, oldest first
+  const bars = {};
+
+  // Returns the bar the tick closed, if it opened a new one. Ticks with a traded
+  // `volume` add it to their bar; bars of feeds without volume have none.
+  function addTick(symbol, interval, { price, time, volume }) {
+    const series = (bars[symbol][interval] = bars[symbol][interval] || []);
+    const start = barStart(time, interval);
+    const current = series[series.length - 1];
+    const traded = Number.isFinite(volume) ? volume : undefined;
+    if (current && current.time.getTime() === start.getTime()) {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+      if (traded !== undefined) current.volume = (current.volume || 0) + traded;
+      return null;
+    }
+    if (current && current.time > start) return null;
+    series.push({ time: start, open: price, high: price, low: price, close: price, volume: traded });
+    if (series.length > maxBars) series.shift();
+    return current || null;
+  }
+
+  function handleQuote(quote) {
+    const { symbol, price, time } = quote;
+    if (!subscribed.has(symbol) || !Number.isFinite(price) || Number.isNaN(time.getTime())) return;
+    const previous = latest[symbol];
+    // Late ticks would move bars backwards
+    if (previous && time < previous.time) return;
+    latest[symbol] = { symbol, price, time, change: previous ? price - previous.price : 0 };
+
+    bars[symbol] = bars[symbol] || {};
+    const closed = TIMEFRAMES.map(({ interval }) => [interval, addTick(symbol, interval, quote)]);
+    onQuote(latest[symbol]);
+    closed.forEach(([interval, bar]) => {
+      if (bar) onBarClose(symbol, interval, bar);
+    });
+  }
+
+  function feedNamed(module) {
+    if (!feeds.has(module.name)) {
+      feeds.set(module.name, module.createFeed({ onQuote: handleQuote, onStatus }));
+    }
+    return feeds.get(module.name);
+  }
+
+  // Streams exactly `symbols`; bars of dropped symbols are forgotten
+  function setSymbols(symbols) {
+    const wanted = new Set(symbols);
+    subscribed.forEach((name, symbol) => {
+      if (wanted.has(symbol)) return;
+      feeds.get(name).unsubscribe([symbol]);
+      subscribed.delete(symbol);
+      delete latest[symbol];
+      delete bars[symbol];
+    });
+
+    const added = new Map();
+    symbols
+      .filter((symbol) => !subscribed.has(symbol))
+      .forEach((symbol) => {
+        const module = feedFor(symbol);
+        if (!module) return;
+        subscribed.set(symbol, module.name);
+        added.set(module, [...(added.get(module) || []), symbol]);
+      });
+    added.forEach((list, module) => feedNamed(module).subscribe(list));
+  }
+
+  // `candles` with the live bars laid over them: a live bar with the time of the
+  // last candle widens its range, sets its close and keeps the larger volume;
+  // later ones are appended. The series keeps its length.
+  function overlay(symbol, interval, candles) {
+    const live = bars[symbol]?.[interval];
+    if (!live || live.length === 0) return candles;
+    const merged = candles.slice();
+    live.forEach((bar) => {
+      const last = merged[merged.length - 1];
+      if (!last || bar.time > last.time) {
+        merged.push({ ...bar });
+      } else if (bar.time.getTime() === last.time.getTime()) {
+        merged[merged.length - 1] = {
+          ...last,
+          high: Math.max(last.high, bar.high),
+          low: Math.min(last.low, bar.low),
+          close: bar.close,
+          volume: Math.max(last.volume ?? 0, bar.volume ?? 0) || last.volume,
+        };
+      }
+    });
+    return candles.length ? merged.slice(-candles.length) : merged;
+  }
+
+  function quotes() {
+    return Object.values(latest);
+  }
+
+  function status() {
+    return {
+      enabled: true,
+      symbols: subscribed.size,
+      feeds: [...feeds.values()].map((feed) => feed.status()),
+    };
+  }
+
+  return { setSymbols, overlay, quotes, status };
+}
+
+module.exports = {
+  createQuoteIngestor,
+};
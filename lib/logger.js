@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// ============================
+// Structured logging
+// ============================
+
+// Every log line is one JSON object: { time, level, msg, ...fields }. Info and
+// debug lines go to stdout, warnings and errors to stderr. LOG_LEVEL (debug,
+// info, warn or error, default info) drops the quieter levels. Error values in
+// fields are logged as their message.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function loadLevel() {
+  const name = process.env.LOG_LEVEL || 'info';
+  if (!LEVELS[name]) {
+    throw new Error(`Invalid LOG_LEVEL "${name}". Use one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  return LEVELS[name];
+}
+
+const MIN_LEVEL = loadLevel();
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { time: new Date().toISOString(), level, msg };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) entry[key] = value instanceof Error ? value.message : value;
+  });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// `base` fields go on every line, e.g. { requestId }
+function createLogger(base = {}) {
+  const at = (level) => (msg, fields = {}) => write(level, msg, { ...base, ...fields });
+  return {
+    debug: at('debug'),
+    info: at('info'),
+    warn: at('warn'),
+    error: at('error'),
+    child: (fields) => createLogger({ ...base, ...fields }),
+  };
+}
+
+const logger = createLogger();
+
+// A client's own X-Request-Id is kept when it looks like an id
+const REQUEST_ID_RE = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Gives every request an id (req.id, echoed as X-Request-Id) and a logger with
+// it (req.log), and logs the request once it is answered. API requests log at
+// info; static files and health checks, which browsers and probes fetch all the
+// time, at debug.
+function requestLogger(req, res, next) {
+  const given = req.get('x-request-id');
+  req.id = given && REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = Date.now();
+  const { path } = req;
+  res.on('close', () => {
+    const quiet = !path.startsWith('/api/') || path === '/api/health';
+    req.log[quiet ? 'debug' : 'info']('request', {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      userId: req.user?.id,
+    });
+  });
+  next();
+}
+
+module.exports = {
+  logger,
+  requestLogger,
+};
@@ -0,0 +1,176 @@
+// ============================
+// Prometheus metrics
+// ============================
+
+// A small in-memory registry rendered in the Prometheus text format for
+// GET /metrics: counters, histograms, and gauges that are read when scraped.
+// Everything starts over on restart. The app's counters and histograms are
+// defined at the bottom; gauges over server state are added in server.js.
+const registry = [];
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One entry per combination of label values, created on first use
+function createSeries(labelNames, create) {
+  const series = new Map();
+  return {
+    get(labels) {
+      const values = labelNames.map((name) => String(labels[name] ?? ''));
+      const key = values.join('\u0000');
+      if (!series.has(key)) {
+        series.set(key, create(Object.fromEntries(labelNames.map((name, i) => [name, values[i]]))));
+      }
+      return series.get(key);
+    },
+    all: () => [...series.values()],
+  };
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+// values() -> [{ labels, value }]
+function counter(name, help, labelNames = []) {
+  const series = createSeries(labelNames, (labels) => ({ labels, value: 0 }));
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, n = 1) {
+      series.get(labels).value += n;
+    },
+    values: () => series.all().map(({ labels, value }) => ({ labels, value })),
+    lines: () => series.all().map((s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+  });
+}
+
+// `collect()` returns the current [{ labels, value }]
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    values: collect,
+    lines: () => collect().map((s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+  });
+}
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Durations in seconds. values() -> [{ labels, count, sum }]
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = createSeries(labelNames, (labels) => ({
+    labels,
+    // Cumulative: counts[i] is the number of observations <= buckets[i]
+    counts: buckets.map(() => 0),
+    count: 0,
+    sum: 0,
+  }));
+
+  function observe(labels, seconds) {
+    const s = series.get(labels);
+    buckets.forEach((le, i) => {
+      if (seconds <= le) s.counts[i] += 1;
+    });
+    s.count += 1;
+    s.sum += seconds;
+  }
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+    // Returns a function that observes the time since startTimer was called
+    startTimer(labels = {}) {
+      const started = process.hrtime.bigint();
+      return () => observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    },
+    values: () => series.all().map(({ labels, count, sum }) => ({ labels, count, sum })),
+    lines: () =>
+      series.all().flatMap((s) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+        `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+        `${name}_count${formatLabels(s.labels)} ${s.count}`,
+      ]),
+  });
+}
+
+function renderMetrics() {
+  return registry
+    .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+    .join('\n')
+    .concat('\n');
+}
+
+// Scans, scheduled or on request. A scan's timeframe step is fetching the
+// timeframe's candles plus either pattern detection or the HTF trend.
+const scansTotal = counter('scanner_scans_total', 'Symbol scans by result', ['symbol', 'result']);
+const scanDuration = histogram('scanner_scan_duration_seconds', 'Duration of a symbol scan', [
+  'symbol',
+]);
+const timeframeDuration = histogram(
+  'scanner_timeframe_duration_seconds',
+  'Duration of one timeframe step of a scan',
+  ['symbol', 'timeframe']
+);
+
+// Market data requests that reach a provider (candle cache hits do not count).
+// The duration includes waiting for Twelve Data credits.
+const providerRequests = counter('scanner_provider_requests_total', 'Market data provider requests', [
+  'provider',
+  'interval',
+]);
+const providerErrors = counter(
+  'scanner_provider_errors_total',
+  'Failed market data provider requests; reason is rate_limit or error',
+  ['provider', 'reason']
+);
+const providerDuration = histogram(
+  'scanner_provider_request_duration_seconds',
+  'Duration of a market data provider request',
+  ['provider']
+);
+const creditsUsed = counter('scanner_provider_credits_used_total', 'API credits spent', ['provider']);
+
+const signalsTotal = counter('scanner_signals_total', 'New signals stored', [
+  'pattern',
+  'direction',
+  'timeframe',
+]);
+const dbWriteFailures = counter(
+  'scanner_db_write_failures_total',
+  'Failed database and cache writes',
+  ['operation']
+);
+const httpRequests = counter('scanner_http_requests_total', 'HTTP requests answered', [
+  'method',
+  'route',
+  'status',
+]);
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+  scansTotal,
+  scanDuration,
+  timeframeDuration,
+  providerRequests,
+  providerErrors,
+  providerDuration,
+  creditsUsed,
+  signalsTotal,
+  dbWriteFailures,
+  httpRequests,
+};
@@ -0,0 +1,23 @@
+const axios = require('axios');
+
+// ============================
+// Discord webhook
+// ============================
+
+// Discord rejects message content over 2000 characters
+const MAX_CONTENT = 2000;
+
+async function send(channel, message) {
+  if (!channel.webhookUrl) throw new Error('discord channel needs a webhookUrl');
+
+  await axios.post(
+    channel.webhookUrl,
+    { content: message.text.slice(0, MAX_CONTENT), username: channel.username || 'Confluence Scanner' },
+    { timeout: 10000 }
+  );
+}
+
+module.exports = {
+  type: 'discord',
+  send,
+};
@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+// ============================
+// SMTP email
+// ============================
+
+// Channel fields override the SMTP_* environment variables, so a channel can
+// point at a local stand-in SMTP server.
+const transports = new Map();
+
+function transportFor(channel) {
+  const options = {
+    host: channel.host || process.env.SMTP_HOST,
+    port: Number(channel.port || process.env.SMTP_PORT || 587),
+    secure: String(channel.secure ?? process.env.SMTP_SECURE) === 'true',
+  };
+  const user = channel.user || process.env.SMTP_USER;
+  const pass = channel.pass || process.env.SMTP_PASS;
+  if (user) options.auth = { user, pass };
+  if (!options.host) throw new Error('email channel needs a host (or SMTP_HOST)');
+
+  const key = JSON.stringify(options);
+  if (!transports.has(key)) transports.set(key, nodemailer.createTransport(options));
+  return transports.get(key);
+}
+
+async function send(channel, message) {
+  if (!channel.to) throw new Error('email channel needs a "to" address');
+
+  await transportFor(channel).sendMail({
+    from: channel.from || process.env.SMTP_FROM || 'scanner@localhost',
+    to: channel.to,
+    subject: message.subject,
+    text: message.text,
+  });
+}
+
+module.exports = {
+  type: 'email',
+  send,
+};
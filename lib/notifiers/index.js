@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const webhook = require('./webhook');
+const email = require('./email');
+const telegram = require('./telegram');
+const discord = require('./discord');
+const { dbWriteFailures } = require('../metrics');
+
+// ============================
+// Signal notifications
+// ============================
+
+// Every notifier exposes:
+//   type
+//   send(channel, { subject, text, payload }) -> resolves once delivered
+const NOTIFIERS = {
+  [webhook.type]: webhook,
+  [email.type]: email,
+  [telegram.type]: telegram,
+  [discord.type]: discord,
+};
+
+// Channel fields that must not leave the server
+const SECRET_FIELDS = ['secret', 'pass', 'botToken', 'webhookUrl', 'url'];
+const FILTER_FIELDS = ['symbols', 'directions', 'patterns', 'timeframes'];
+
+function loadChannels() {
+  if (!process.env.NOTIFY_CHANNELS) return [];
+  let list;
+  try {
+    list = JSON.parse(process.env.NOTIFY_CHANNELS);
+  } catch (err) {
+    throw new Error(`Invalid NOTIFY_CHANNELS (expected a JSON array): ${err.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error('NOTIFY_CHANNELS must be a JSON array');
+
+  return list.map((channel, i) => {
+    if (!NOTIFIERS[channel.type]) {
+      throw new Error(
+        `Unknown notification channel type "${channel.type}". Use one of: ${Object.keys(NOTIFIERS).join(', ')}`
+      );
+    }
+    const filter = channel.filter || {};
+    FILTER_FIELDS.forEach((field) => {
+      if (filter[field] !== undefined && !Array.isArray(filter[field])) {
+        throw new Error(`NOTIFY_CHANNELS[${i}].filter.${field} must be an array`);
+      }
+    });
+    return { ...channel, name: channel.name || `${channel.type}-${i + 1}`, filter };
+  });
+}
+
+const channels = loadChannels();
+
+// --- Delivery log, so the same pattern window is only alerted once per channel
+
+const notificationSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    channel: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+notificationSchema.index({ key: 1, channel: 1 }, { unique: true });
+
+const Notification =
+  mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
+
+const MEMORY_LOG_LIMIT = 10000;
+
+function createMongoLog() {
+  return {
+    async has(key, channel) {
+      return Boolean(await Notification.exists({ key, channel }));
+    },
+    async add(key, channel) {
+      try {
+        await Notification.create({ key, channel });
+      } catch (err) {
+        // Duplicate key: another scan recorded it first
+        if (err.code === 11000) return;
+        dbWriteFailures.inc({ operation: 'notification-log' });
+        throw err;
+      }
+    },
+  };
+}
+
+// Forgets everything on restart, so an open pattern may be alerted once more
+function createMemoryLog() {
+  const sent = new Map();
+  return {
+    async has(key, channel) {
+      return sent.has(`${channel}|${key}`);
+    },
+    async add(key, channel) {
+      sent.set(`${channel}|${key}`, Date.now());
+      if (sent.size > MEMORY_LOG_LIMIT) sent.delete(sent.keys().next().value);
+    },
+  };
+}
+
+const deliveryLog = process.env.MONGODB_URI ? createMongoLog() : createMemoryLog();
+const inFlight = new Set();
+
+// Same key as the stored signal: scans with other settings alert their own patterns
+function signalKey(symbol, signal, settingsKey) {
+  const { pattern, timeframe, direction, from, to } = signal;
+  return [symbol, pattern, timeframe, direction, from, to, settingsKey].join('|');
+}
+
+function matchesFilter(filter, symbol, signal) {
+  const allows = (list, value) => !list || list.length === 0 || list.includes(value);
+  return (
+    allows(filter.symbols, symbol) &&
+    allows(filter.directions, signal.direction) &&
+    allows(filter.patterns, signal.pattern) &&
+    allows(filter.timeframes, signal.timeframe)
+  );
+}
+
+// "bullish (strength 72)" when the scan carries the full trend result
+function trendText(scan, key, trend) {
+  const strength = scan.trends?.[key]?.strength;
+  return typeof strength === 'number' ? `${trend} (strength ${strength})` : trend;
+}
+
+// "1W bullish (strength 72) / 1M sideways (strength 10)" over the profile's HTFs
+function trendLine(scan) {
+  const htf = scan.htf || [
+    { key: '1d', label: 'D' },
+    { key: '1w', label: 'W' },
+  ];
+  const fallback = { '1d': scan.dayTrend, '1w': scan.weekTrend };
+  return htf
+    .map(({ key, label }) => `${label} ${trendText(scan, key, scan.trends?.[key]?.trend || fallback[key])}`)
+    .join(' / ');
+}
+
+function buildMessage(scan) {
+  const { symbol, signal } = scan;
+  const title = `${signal.direction.toUpperCase()} ${signal.pattern} on ${symbol} (${signal.timeframe})`;
+  const lines = [
+    title,
+    `Last close: ${scan.lastClose}`,
+    `Trend: ${trendLine(scan)}`,
+  ];
+  if (typeof signal.score === 'number') lines.push(`Quality score: ${signal.score}/100`);
+  if (signal.stage) {
+    const broke = signal.breakout?.breakoutAt ? `, neckline broken ${signal.breakout.breakoutAt}` : '';
+    lines.push(`Stage: ${signal.stage}${broke}`);
+  }
+  if (signal.plan) {
+    const { entry, stop, targets, size } = signal.plan;
+    lines.push(
+      `Plan: entry ${entry}, stop ${stop}, targets ${targets
+        .map((t) => `${t.price} (R:R ${t.rr})`)
+        .join(', ')}, size ${size}`
+    );
+  }
+  if (signal.from && signal.to) lines.push(`Pattern window: ${signal.from} -> ${signal.to}`);
+
+  return {
+    subject: `[Scanner] ${title}`,
+    text: lines.join('\n'),
+    payload: {
+      event: 'signal',
+      symbol,
+      lastClose: scan.lastClose,
+      profile: scan.profile,
+      dayTrend: scan.dayTrend,
+      weekTrend: scan.weekTrend,
+      trends: scan.trends,
+      signal,
+      sentAt: new Date().toISOString(),
+    },
+  };
+}
+
+async function deliver(channel, key, message) {
+  const slot = `${channel.name}|${key}`;
+  const duplicate = { channel: channel.name, status: 'duplicate' };
+  if (inFlight.has(slot)) return duplicate;
+
+  // Claimed before the log is read, so overlapping scans never both send it
+  inFlight.add(slot);
+  try {
+    if (await deliveryLog.has(key, channel.name)) return duplicate;
+    await NOTIFIERS[channel.type].send(channel, message);
+    await deliveryLog.add(key, channel.name);
+    return { channel: channel.name, status: 'sent' };
+  } catch (err) {
+    return { channel: channel.name, status: 'failed', error: err.message };
+  } finally {
+    inFlight.delete(slot);
+  }
+}
+
+// Sends a scan's signal to every matching channel. `scan` is the /api/scan
+// result; `settingsKey` identifies the settings it ran with (see lib/signals.js).
+async function notifySignal(scan, settingsKey) {
+  if (!scan.signal || channels.length === 0) return [];
+
+  const key = signalKey(scan.symbol, scan.signal, settingsKey);
+  const message = buildMessage(scan);
+  return Promise.all(
+    channels
+      .filter((channel) => matchesFilter(channel.filter, scan.symbol, scan.signal))
+      .map((channel) => deliver(channel, key, message))
+  );
+}
+
+// Sends a sample signal, ignoring filters and the delivery log
+async function sendTestNotification(channelName) {
+  const targets = channelName ? channels.filter((c) => c.name === channelName) : channels;
+  if (channelName && targets.length === 0) {
+    throw new Error(`Unknown notification channel "${channelName}"`);
+  }
+
+  const message = buildMessage({
+    symbol: 'TEST/USD',
+    lastClose: 1.2345,
+    dayTrend: 'bearish',
+    weekTrend: 'bearish',
+    signal: { direction: 'bearish', pattern: 'M-top', timeframe: '1h', from: null, to: null },
+  });
+  message.payload.event = 'test';
+  message.subject = '[Scanner] Test notification';
+  message.text = `Test notification, not a real signal\n${message.text}`;
+
+  return Promise.all(
+    targets.map(async (channel) => {
+      try {
+        await NOTIFIERS[channel.type].send(channel, message);
+        return { channel: channel.name, status: 'sent' };
+      } catch (err) {
+        return { channel: channel.name, status: 'failed', error: err.message };
+      }
+    })
+  );
+}
+
+// Channel list with secrets removed, for the API
+function listChannels() {
+  return channels.map((channel) => {
+    const safe = { ...channel };
+    SECRET_FIELDS.forEach((field) => {
+      if (safe[field]) safe[field] = '***';
+    });
+    return safe;
+  });
+}
+
+module.exports = {
+  notifySignal,
+  sendTestNotification,
+  listChannels,
+};
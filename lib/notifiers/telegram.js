@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+// ============================
+// Telegram bot
+// ============================
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+
+async function send(channel, message) {
+  if (!channel.botToken || !channel.chatId) {
+    throw new Error('telegram channel needs botToken and chatId');
+  }
+
+  const apiBase = channel.apiBase || process.env.TELEGRAM_API_BASE || DEFAULT_API_BASE;
+  const res = await axios.post(
+    `${apiBase}/bot${channel.botToken}/sendMessage`,
+    { chat_id: channel.chatId, text: message.text, disable_web_page_preview: true },
+    { timeout: 10000 }
+  );
+  if (res.data && res.data.ok === false) {
+    throw new Error(`[Telegram] ${res.data.description || 'sendMessage failed'}`);
+  }
+}
+
+module.exports = {
+  type: 'telegram',
+  send,
+};
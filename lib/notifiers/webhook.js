@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// ============================
+// Generic HTTP webhook
+// ============================
+
+// Receivers verify a delivery by recomputing
+//   HMAC-SHA256(secret, `${X-Scanner-Timestamp}.${raw body}`)
+// and comparing it with X-Scanner-Signature (sent as "sha256=<hex>").
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function send(channel, message) {
+  if (!channel.url) throw new Error('webhook channel needs a url');
+
+  const body = JSON.stringify(message.payload);
+  const timestamp = String(Date.now());
+  const headers = { 'Content-Type': 'application/json', 'X-Scanner-Timestamp': timestamp };
+  if (channel.secret) {
+    headers['X-Scanner-Signature'] = `sha256=${sign(channel.secret, timestamp, body)}`;
+  }
+
+  await axios.post(channel.url, body, { headers, timeout: 10000 });
+}
+
+module.exports = {
+  type: 'webhook',
+  send,
+  sign,
+};
@@ -0,0 +1,187 @@
+// ============================
+// Signal outcomes
+// ============================
+
+// What price did after a signal was stored, measured from its `price` (the
+// last close at detection) on the bars of its timeframe that opened later:
+//   mfePct / maePct  max favourable / adverse excursion in % of price (both >= 0),
+//                    up to the first target or stop hit
+//   mfeR / maeR      the same in multiples of the plan's risk per unit
+//   returns          direction-adjusted % return at the close N bars later
+//   targetHit / stopHit  { at, bars } of the first bar reaching the plan's first
+//                    target / stop (the pattern target / invalidation without a plan).
+//                    When one bar reaches both, the stop counts.
+//   result           'target', 'stop' or 'open'; 'untracked' when the candles
+//                    never reached back to the detection
+// Tracking completes after the first hit once every horizon has a return, or
+// after OUTCOME_MAX_BARS bars.
+const OUTCOME_MAX_BARS = 100;
+
+function loadHorizons() {
+  if (!process.env.OUTCOME_HORIZONS) return [5, 10, 20];
+  const horizons = process.env.OUTCOME_HORIZONS.split(',').map((v) => Number(v.trim()));
+  if (horizons.some((n) => !(Number.isInteger(n) && n >= 1 && n <= OUTCOME_MAX_BARS))) {
+    throw new Error(
+      `Invalid OUTCOME_HORIZONS "${process.env.OUTCOME_HORIZONS}": use bar counts in [1, ${OUTCOME_MAX_BARS}], e.g. 5,10,20`
+    );
+  }
+  return [...new Set(horizons)].sort((a, b) => a - b);
+}
+
+const OUTCOME_HORIZONS = loadHorizons();
+
+const round = (value, digits = 4) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+// `signal` is a stored record (direction, price, createdAt, plan?, target,
+// invalidation); `candles` closed bars of its timeframe, oldest first. Returns
+// null when the candles do not reach back to the detection.
+function evaluateOutcome(signal, candles) {
+  const detectedAt = new Date(signal.createdAt).getTime();
+  if (!signal.price || candles.length === 0 || candles[0].time.getTime() > detectedAt) {
+    return null;
+  }
+
+  const bearish = signal.direction === 'bearish';
+  const sign = bearish ? -1 : 1;
+  const price = signal.price;
+  const target = signal.plan?.targets?.[0]?.price ?? signal.target;
+  const stop = signal.plan?.stop ?? signal.invalidation;
+  const risk = signal.plan?.riskPerUnit || null;
+  const after = candles.filter((c) => c.time.getTime() > detectedAt).slice(0, OUTCOME_MAX_BARS);
+
+  let favourable = 0;
+  let adverse = 0;
+  let targetHit = null;
+  let stopHit = null;
+  const returns = {};
+
+  after.forEach((c, i) => {
+    const bars = i + 1;
+    if (!targetHit && !stopHit) {
+      favourable = Math.max(favourable, bearish ? price - c.low : c.high - price);
+      adverse = Math.max(adverse, bearish ? c.high - price : price - c.low);
+      if (stop != null && (bearish ? c.high >= stop : c.low <= stop)) {
+        stopHit = { at: c.time, bars };
+      } else if (target != null && (bearish ? c.low <= target : c.high >= target)) {
+        targetHit = { at: c.time, bars };
+      }
+    }
+    if (OUTCOME_HORIZONS.includes(bars)) {
+      returns[bars] = round(((c.close - price) / price) * 100 * sign);
+    }
+  });
+
+  const resolved = Boolean(targetHit || stopHit);
+  const allReturns = OUTCOME_HORIZONS.every((n) => returns[n] !== undefined);
+  return {
+    barsTracked: after.length,
+    mfePct: round((favourable / price) * 100),
+    maePct: round((adverse / price) * 100),
+    mfeR: risk ? round(favourable / risk, 2) : null,
+    maeR: risk ? round(adverse / risk, 2) : null,
+    returns,
+    targetHit,
+    stopHit,
+    result: targetHit ? 'target' : stopHit ? 'stop' : 'open',
+    complete: (resolved && allReturns) || after.length >= OUTCOME_MAX_BARS,
+    updatedAt: new Date(),
+  };
+}
+
+// --- Statistics
+
+// "1d:bullish 1w:bullish", from htfTrends or the older dayTrend / weekTrend
+function trendCombination(signal) {
+  return Object.entries(signal.htfTrends || { '1d': signal.dayTrend, '1w': signal.weekTrend })
+    .filter(([, trend]) => trend)
+    .map(([key, trend]) => `${key}:${trend}`)
+    .join(' ');
+}
+
+const STATS_GROUPS = {
+  pattern: (s) => s.pattern,
+  timeframe: (s) => s.timeframe,
+  symbol: (s) => s.symbol,
+  trend: trendCombination,
+};
+
+function emptyBucket() {
+  return { signals: 0, tracked: 0, targetHits: 0, stopHits: 0, mfe: [], mae: [], returns: {} };
+}
+
+// Signals whose candles never reached back to their detection are 'untracked'
+function addToBucket(bucket, outcome) {
+  bucket.signals += 1;
+  if (!outcome || outcome.result === 'untracked') return;
+  bucket.tracked += 1;
+  if (outcome.result === 'target') bucket.targetHits += 1;
+  if (outcome.result === 'stop') bucket.stopHits += 1;
+  bucket.mfe.push(outcome.mfePct);
+  bucket.mae.push(outcome.maePct);
+  Object.entries(outcome.returns || {}).forEach(([bars, value]) => {
+    (bucket.returns[bars] = bucket.returns[bars] || []).push(value);
+  });
+}
+
+const mean = (list) =>
+  list.length ? round(list.reduce((s, v) => s + v, 0) / list.length, 3) : null;
+
+// hitRate is target hits over signals that hit target or stop
+function summarize(bucket) {
+  const resolved = bucket.targetHits + bucket.stopHits;
+  return {
+    signals: bucket.signals,
+    tracked: bucket.tracked,
+    resolved,
+    targetHits: bucket.targetHits,
+    stopHits: bucket.stopHits,
+    hitRate: resolved ? round(bucket.targetHits / resolved, 3) : null,
+    avgMfePct: mean(bucket.mfe),
+    avgMaePct: mean(bucket.mae),
+    avgReturnPct: Object.fromEntries(
+      Object.entries(bucket.returns).map(([bars, values]) => [bars, mean(values)])
+    ),
+  };
+}
+
+// Feed stored signals to add(); result() gives overall and per-group stats,
+// groups sorted by signal count
+function createStatsAccumulator() {
+  const overall = emptyBucket();
+  const groups = Object.fromEntries(Object.keys(STATS_GROUPS).map((name) => [name, {}]));
+
+  function add(signal) {
+    addToBucket(overall, signal.outcome);
+    Object.entries(STATS_GROUPS).forEach(([name, keyOf]) => {
+      const key = keyOf(signal) || 'unknown';
+      groups[name][key] = groups[name][key] || emptyBucket();
+      addToBucket(groups[name][key], signal.outcome);
+    });
+  }
+
+  function result() {
+    const by = (name) =>
+      Object.entries(groups[name])
+        .map(([key, bucket]) => ({ key, ...summarize(bucket) }))
+        .sort((a, b) => b.signals - a.signals);
+    return {
+      horizons: OUTCOME_HORIZONS,
+      overall: summarize(overall),
+      byPattern: by('pattern'),
+      byTimeframe: by('timeframe'),
+      bySymbol: by('symbol'),
+      byTrend: by('trend'),
+    };
+  }
+
+  return { add, result };
+}
+
+module.exports = {
+  OUTCOME_HORIZONS,
+  OUTCOME_MAX_BARS,
+  evaluateOutcome,
+  trendCombination,
+  createStatsAccumulator,
+};
@@ -0,0 +1,469 @@
+const mongoose = require('mongoose');
+const { currentBroker } = require('./brokers');
+const { DEFAULT_SIZING } = require('./tradePlan');
+const { logger } = require('./logger');
+const { httpError } = require('./validation');
+
+// ============================
+// Paper trading
+// ============================
+
+// With PAPER_TRADING=true (and MongoDB) the signal /api/scan alerts opens a
+// simulated position for the user who scanned, at most one per user and stored
+// signal. A position is
+//   pending    waiting on its entry order: a stop order on the neckline break,
+//              or a market order at the next open when the neckline already broke
+//   open       entered; a stop order and a limit order on the plan's first
+//              target wait, and whichever fills cancels the other
+//   closed     the stop or the target filled
+//   cancelled  the entry never filled: the stop level traded first
+//              (invalidated), PAPER_ENTRY_MAX_BARS bars passed (expired) or the
+//              broker rejected it
+// Positions move on closed bars of the signal's timeframe that open after the
+// scan. When one bar reaches both the stop and the target, the stop is taken to
+// come first. Orders are filled by the broker (see lib/brokers), and each
+// position risks the plan's riskPercent of the user's paper equity:
+// PAPER_STARTING_EQUITY (default ACCOUNT_SIZE) plus the realized P&L.
+const STATUS = {
+  PENDING: 'pending',
+  OPEN: 'open',
+  CLOSED: 'closed',
+  CANCELLED: 'cancelled',
+};
+const ACTIVE = [STATUS.PENDING, STATUS.OPEN];
+const TRADES_LIMIT = 100;
+const CURVE_POINTS = 500;
+
+function loadConfig() {
+  const rawEquity = process.env.PAPER_STARTING_EQUITY;
+  const startingEquity = rawEquity ? Number(rawEquity) : DEFAULT_SIZING.accountSize;
+  if (!(Number.isFinite(startingEquity) && startingEquity > 0)) {
+    throw new Error(`Invalid PAPER_STARTING_EQUITY "${rawEquity}". Use a positive number, e.g. 10000`);
+  }
+  const rawBars = process.env.PAPER_ENTRY_MAX_BARS;
+  const entryMaxBars = rawBars ? Number(rawBars) : 20;
+  if (!(Number.isInteger(entryMaxBars) && entryMaxBars >= 1)) {
+    throw new Error(`Invalid PAPER_ENTRY_MAX_BARS "${rawBars}". Use a whole number of bars, e.g. 20`);
+  }
+  return {
+    enabled: process.env.PAPER_TRADING === 'true',
+    startingEquity,
+    entryMaxBars,
+  };
+}
+
+const PAPER_CONFIG = loadConfig();
+
+// --- Records
+
+const positionSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true },
+    signalId: { type: String, required: true },
+    symbol: String,
+    timeframe: String,
+    pattern: String,
+    direction: String,
+    broker: String,
+    status: { type: String, enum: Object.values(STATUS), default: STATUS.PENDING },
+    quantity: Number,
+    riskPercent: Number,
+    // Plan levels: the entry stop level (unset for market entries), stop and first target
+    entryLevel: Number,
+    stop: Number,
+    target: Number,
+    entryPrice: Number,
+    exitPrice: Number,
+    // stop or target once closed; invalidated, expired or rejected once cancelled
+    exitReason: String,
+    openedAt: Date,
+    closedAt: Date,
+    pnl: Number,
+    // Close of the last bar, for the unrealized P&L of open positions
+    lastPrice: Number,
+    // Open time of the last bar the position was moved through
+    lastBarTime: Date,
+    barsWaited: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+positionSchema.index({ owner: 1, signalId: 1 }, { unique: true });
+positionSchema.index({ status: 1 });
+positionSchema.index({ owner: 1, status: 1, closedAt: -1 });
+
+const orderSchema = new mongoose.Schema(
+  {
+    owner: String,
+    position: mongoose.Schema.Types.ObjectId,
+    symbol: String,
+    side: { type: String, enum: ['buy', 'sell'] },
+    type: { type: String, enum: ['market', 'stop', 'limit'] },
+    purpose: { type: String, enum: ['entry', 'stop', 'target'] },
+    quantity: Number,
+    // Stop or limit level
+    price: Number,
+    status: { type: String, enum: ['open', 'filled', 'cancelled'], default: 'open' },
+    broker: String,
+    filledAt: Date,
+    // Last rejection by the broker
+    error: String,
+  },
+  { timestamps: true }
+);
+orderSchema.index({ position: 1 });
+
+const fillSchema = new mongoose.Schema(
+  {
+    owner: String,
+    order: mongoose.Schema.Types.ObjectId,
+    position: mongoose.Schema.Types.ObjectId,
+    symbol: String,
+    side: String,
+    quantity: Number,
+    price: Number,
+    time: Date,
+    broker: String,
+  },
+  { timestamps: true }
+);
+fillSchema.index({ position: 1 });
+
+// One point per user and update run that moved their positions
+const equitySchema = new mongoose.Schema({
+  owner: String,
+  time: Date,
+  equity: Number,
+  realized: Number,
+  unrealized: Number,
+  openPositions: Number,
+});
+equitySchema.index({ owner: 1, time: -1 });
+
+const PaperPosition =
+  mongoose.models.PaperPosition || mongoose.model('PaperPosition', positionSchema);
+const PaperOrder = mongoose.models.PaperOrder || mongoose.model('PaperOrder', orderSchema);
+const PaperFill = mongoose.models.PaperFill || mongoose.model('PaperFill', fillSchema);
+const PaperEquity = mongoose.models.PaperEquity || mongoose.model('PaperEquity', equitySchema);
+
+// --- Engine
+
+const longOf = (position) => position.direction !== 'bearish';
+
+function pnlAt(position, price) {
+  const move = longOf(position) ? price - position.entryPrice : position.entryPrice - price;
+  return move * position.quantity;
+}
+
+// A position as the API shows it: without its owner, with unrealized P&L when open
+function publicPosition({ owner, __v, ...position }) {
+  if (position.status !== STATUS.OPEN) return position;
+  return { ...position, unrealizedPnl: pnlAt(position, position.lastPrice ?? position.entryPrice) };
+}
+
+// Whether a bar trades at or through `level`, going up or down
+function reaches(bar, level, up) {
+  return up ? bar.high >= level : bar.low <= level;
+}
+
+// Count, wins and summed P&L of the user's closed positions
+async function closedStats(owner) {
+  const [row] = await PaperPosition.aggregate([
+    { $match: { owner, status: STATUS.CLOSED } },
+    {
+      $group: {
+        _id: null,
+        pnl: { $sum: '$pnl' },
+        trades: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $gt: ['$pnl', 0] }, 1, 0] } },
+      },
+    },
+  ]);
+  return row || { pnl: 0, trades: 0, wins: 0 };
+}
+
+// Opens a pending position for `owner` on a stored signal of a scan (with its
+// `id` and trade `plan`). `candles` are the scan's candles of the signal's
+// timeframe; the position only moves on bars opening after the last of them.
+// Resolves to the position as the API shows it, the existing one when the user
+// already trades the signal, or null when the plan leaves nothing to trade.
+async function openPaperPosition(owner, symbol, signal, candles) {
+  const { plan } = signal;
+  if (!plan || !signal.id || !candles || candles.length === 0) return null;
+  const existing = await PaperPosition.findOne({ owner, signalId: signal.id }).lean();
+  if (existing) return publicPosition(existing);
+
+  const equity = PAPER_CONFIG.startingEquity + (await closedStats(owner)).pnl;
+  const quantity = (equity * plan.riskPercent) / 100 / plan.riskPerUnit;
+  if (!(quantity > 0)) return null;
+  // Waiting for a break that already happened would never fill
+  const broken = Boolean(signal.breakout?.breakoutAt);
+  const broker = currentBroker().name;
+
+  let position;
+  try {
+    position = await PaperPosition.create({
+      owner,
+      signalId: signal.id,
+      symbol,
+      timeframe: signal.timeframe,
+      pattern: signal.pattern,
+      direction: signal.direction,
+      broker,
+      quantity,
+      riskPercent: plan.riskPercent,
+      entryLevel: broken ? undefined : plan.entry,
+      stop: plan.stop,
+      target: plan.targets[0].price,
+      lastBarTime: candles[candles.length - 1].time,
+    });
+  } catch (err) {
+    // Two scans of the same signal raced; the other one opened it
+    if (err.code !== 11000) throw err;
+    return publicPosition(await PaperPosition.findOne({ owner, signalId: signal.id }).lean());
+  }
+  await PaperOrder.create({
+    owner,
+    position: position._id,
+    symbol,
+    side: longOf(position) ? 'buy' : 'sell',
+    type: broken ? 'market' : 'stop',
+    purpose: 'entry',
+    quantity,
+    price: broken ? undefined : plan.entry,
+    broker,
+  });
+  return publicPosition(position.toObject());
+}
+
+// Has the broker fill `order` on `bar` and records the fill. Resolves to the
+// fill, or null when the broker rejected the order.
+async function execute(order, bar) {
+  const broker = currentBroker();
+  let fill;
+  try {
+    fill = await broker.submitOrder({
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      quantity: order.quantity,
+      price: order.price,
+      bar,
+    });
+  } catch (err) {
+    logger.warn('Paper order rejected', { symbol: order.symbol, purpose: order.purpose, error: err });
+    order.error = err.message;
+    await order.save();
+    return null;
+  }
+  order.status = 'filled';
+  order.filledAt = fill.time;
+  order.error = undefined;
+  await order.save();
+  await PaperFill.create({
+    owner: order.owner,
+    order: order._id,
+    position: order.position,
+    symbol: order.symbol,
+    side: order.side,
+    quantity: fill.quantity,
+    price: fill.price,
+    time: fill.time,
+    broker: broker.name,
+  });
+  return fill;
+}
+
+async function cancelOrders(orders) {
+  for (const order of orders.filter((o) => o.status === 'open')) {
+    order.status = 'cancelled';
+    await order.save();
+  }
+}
+
+// Moves a position through `bars`, closed bars opening after its lastBarTime,
+// and saves it. A rejected exit leaves the position on the bar before, so the
+// next run retries that bar.
+async function advancePosition(position, bars) {
+  const orders = await PaperOrder.find({ position: position._id, status: 'open' });
+  const orderFor = (purpose) => orders.find((o) => o.purpose === purpose && o.status === 'open');
+  const up = longOf(position);
+  const finish = async (status, reason, time) => {
+    await cancelOrders(orders);
+    position.status = status;
+    position.exitReason = reason;
+    position.closedAt = time;
+  };
+
+  for (const bar of bars) {
+    if (position.status === STATUS.PENDING) {
+      const entry = orderFor('entry');
+      if (entry.type !== 'market' && !reaches(bar, position.entryLevel, up)) {
+        position.lastBarTime = bar.time;
+        position.barsWaited += 1;
+        if (reaches(bar, position.stop, !up)) {
+          await finish(STATUS.CANCELLED, 'invalidated', bar.time);
+          break;
+        }
+        if (position.barsWaited >= PAPER_CONFIG.entryMaxBars) {
+          await finish(STATUS.CANCELLED, 'expired', bar.time);
+          break;
+        }
+        continue;
+      }
+      const fill = await execute(entry, bar);
+      if (!fill) {
+        await finish(STATUS.CANCELLED, 'rejected', bar.time);
+        break;
+      }
+      position.status = STATUS.OPEN;
+      position.entryPrice = fill.price;
+      position.quantity = fill.quantity;
+      position.openedAt = fill.time;
+      const exit = {
+        owner: position.owner,
+        position: position._id,
+        symbol: position.symbol,
+        side: up ? 'sell' : 'buy',
+        quantity: fill.quantity,
+        broker: entry.broker,
+      };
+      orders.push(
+        ...(await PaperOrder.create([
+          { ...exit, type: 'stop', purpose: 'stop', price: position.stop },
+          { ...exit, type: 'limit', purpose: 'target', price: position.target },
+        ]))
+      );
+    }
+
+    // Exits are checked on the entry bar too
+    const stopHit = reaches(bar, position.stop, !up);
+    if (stopHit || reaches(bar, position.target, up)) {
+      const fill = await execute(orderFor(stopHit ? 'stop' : 'target'), bar);
+      if (!fill) break;
+      await finish(STATUS.CLOSED, stopHit ? 'stop' : 'target', fill.time);
+      position.exitPrice = fill.price;
+      position.pnl = pnlAt(position, fill.price);
+      position.lastPrice = fill.price;
+      position.lastBarTime = bar.time;
+      break;
+    }
+    position.lastPrice = bar.close;
+    position.lastBarTime = bar.time;
+  }
+  await position.save();
+}
+
+// Adds a point to the user's equity curve: starting equity, realized P&L and
+// open positions marked at their last close
+async function recordEquity(owner) {
+  const [closed, open] = await Promise.all([
+    closedStats(owner),
+    PaperPosition.find({ owner, status: STATUS.OPEN }).lean(),
+  ]);
+  const unrealized = open.reduce((sum, p) => sum + pnlAt(p, p.lastPrice ?? p.entryPrice), 0);
+  await PaperEquity.create({
+    owner,
+    time: new Date(),
+    equity: PAPER_CONFIG.startingEquity + closed.pnl + unrealized,
+    realized: closed.pnl,
+    unrealized,
+    openPositions: open.length,
+  });
+}
+
+// Moves every pending and open position through the bars that closed since
+// the last run. `loadCandles(symbol, timeframe)` resolves to that timeframe's
+// latest candles; a series that fails to load is skipped until the next run.
+// Resolves to the ids of the users whose positions moved, after adding a point
+// to each one's equity curve.
+async function updatePaperPositions(loadCandles) {
+  const active = await PaperPosition.find({ status: { $in: ACTIVE } });
+  const groups = {};
+  active.forEach((position) => {
+    const key = `${position.symbol}|${position.timeframe}`;
+    (groups[key] = groups[key] || []).push(position);
+  });
+
+  const owners = new Set();
+  for (const positions of Object.values(groups)) {
+    const { symbol, timeframe } = positions[0];
+    let candles;
+    try {
+      // The last bar may still be forming
+      candles = (await loadCandles(symbol, timeframe)).slice(0, -1);
+    } catch (err) {
+      logger.warn('Paper trading: no candles', { symbol, timeframe, error: err });
+      continue;
+    }
+
+    for (const position of positions) {
+      const bars = candles.filter((c) => c.time > position.lastBarTime);
+      if (bars.length === 0) continue;
+      await advancePosition(position, bars);
+      owners.add(position.owner);
+    }
+  }
+
+  for (const owner of owners) await recordEquity(owner);
+  return [...owners];
+}
+
+// --- Portfolio
+
+// The user's equity, pending and open positions, latest closed or cancelled
+// positions and equity curve
+async function paperPortfolio(owner) {
+  const [active, done, curve, closed] = await Promise.all([
+    PaperPosition.find({ owner, status: { $in: ACTIVE } }).sort({ createdAt: -1 }).lean(),
+    PaperPosition.find({ owner, status: { $in: [STATUS.CLOSED, STATUS.CANCELLED] } })
+      .sort({ closedAt: -1 })
+      .limit(TRADES_LIMIT)
+      .lean(),
+    PaperEquity.find({ owner }).sort({ time: -1 }).limit(CURVE_POINTS).lean(),
+    closedStats(owner),
+  ]);
+  const positions = active.map(publicPosition);
+  const unrealized = positions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+  const broker = currentBroker();
+  return {
+    broker: { name: broker.name, ...broker.settings },
+    startingEquity: PAPER_CONFIG.startingEquity,
+    equity: PAPER_CONFIG.startingEquity + closed.pnl + unrealized,
+    realized: closed.pnl,
+    unrealized,
+    closedTrades: closed.trades,
+    winRate: closed.trades > 0 ? closed.wins / closed.trades : null,
+    positions,
+    trades: done.map(publicPosition),
+    equityCurve: curve.reverse().map(({ time, equity }) => ({ time, equity })),
+  };
+}
+
+// One of the user's positions with its orders and fills; throws with status 404
+async function paperPositionDetail(owner, id) {
+  const position = mongoose.isValidObjectId(id)
+    ? await PaperPosition.findOne({ _id: id, owner }).lean()
+    : null;
+  if (!position) throw httpError(404, `Paper position "${id}" not found`);
+  const [orders, fills] = await Promise.all([
+    PaperOrder.find({ position: position._id }).sort({ createdAt: 1 }).select('-owner -__v').lean(),
+    PaperFill.find({ position: position._id }).sort({ time: 1 }).select('-owner -__v').lean(),
+  ]);
+  return { position: publicPosition(position), orders, fills };
+}
+
+// Drops every paper record of a deleted user
+async function deletePaperData(owner) {
+  await Promise.all(
+    [PaperPosition, PaperOrder, PaperFill, PaperEquity].map((model) => model.deleteMany({ owner }))
+  );
+}
+
+module.exports = {
+  PAPER_CONFIG,
+  openPaperPosition,
+  updatePaperPositions,
+  paperPortfolio,
+  paperPositionDetail,
+  deletePaperData,
+};
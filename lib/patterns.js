@@ -0,0 +1,655 @@
+const { DEFAULT_DETECTOR_CONFIG } = require('./detectorConfig');
+const { scorePattern } = require('./scoring');
+const { STAGE, evaluateBreakout } = require('./confirmation');
+const { confluenceDirections } = require('./confluence');
+const { atr } = require('./indicators');
+const {
+  factorSeries,
+  measureDivergence,
+  measureVolume,
+  passesFactorFilters,
+} = require('./factors');
+
+// ============================
+// Trend + pattern detection
+// ============================
+
+// Every detector takes a full detector config (see lib/detectorConfig.js)
+
+function findPivots(candles, lookback = 3) {
+  const highs = [];
+  const lows = [];
+  for (let i = lookback; i < candles.length - lookback; i++) {
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - lookback; j <= i + lookback; j++) {
+      if (candles[j].high > candles[i].high) isHigh = false;
+      if (candles[j].low < candles[i].low) isLow = false;
+    }
+    if (isHigh) highs.push(i);
+    if (isLow) lows.push(i);
+  }
+  return { highs, lows };
+}
+
+function approxEqual(a, b, tolerance = 0.01) {
+  const diff = Math.abs(a - b);
+  const avg = (Math.abs(a) + Math.abs(b)) / 2 || 1;
+  return diff / avg <= tolerance;
+}
+
+// Tolerance checks for one candle window, as fractions of price or as ATR multiples:
+//   equal(a, b, key)            - a and b are close enough to count as the same level
+//   exceeds(distance, ref, key) - a move of `distance` away from price `ref` is large enough
+function createTolerance(candles, config) {
+  if (config.toleranceMode === 'atr') {
+    const limits = config.atrTolerances;
+    const unit = atr(candles, config.atrPeriod);
+    if (!unit) return null;
+    return {
+      equal: (a, b, key) => Math.abs(a - b) <= limits[key] * unit,
+      exceeds: (distance, ref, key) => distance >= limits[key] * unit,
+      distance: (ref, key) => limits[key] * unit,
+    };
+  }
+
+  const limits = config.tolerances;
+  return {
+    equal: (a, b, key) => approxEqual(a, b, limits[key]),
+    exceeds: (distance, ref, key) => distance / ref >= limits[key],
+    distance: (ref, key) => ref * limits[key],
+  };
+}
+
+function detectMTop(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (highs.length < 2 || lows.length < 1) return null;
+
+  const lastHighs = highs.slice(-4);
+  for (let i = lastHighs.length - 1; i >= 1; i--) {
+    const h1Idx = lastHighs[i - 1];
+    const h2Idx = lastHighs[i];
+    const midLows = lows.filter((x) => x > h1Idx && x < h2Idx);
+    if (midLows.length === 0) continue;
+    const lIdx = midLows[0];
+
+    const h1 = candles[h1Idx].high;
+    const h2 = candles[h2Idx].high;
+    const low = candles[lIdx].low;
+
+    if (!tol.equal(h1, h2, 'topsEqual')) continue;
+    if (!tol.exceeds(Math.max(h1, h2) - low, Math.max(h1, h2), 'minDepth')) continue;
+
+    return {
+      type: 'M-top',
+      indices: { h1Idx, h2Idx, lIdx },
+      neckline: low,
+      extreme: Math.max(h1, h2),
+      stop: h2,
+      symmetry: [h1, h2],
+    };
+  }
+  return null;
+}
+
+function detectInvertedM(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (lows.length < 2 || highs.length < 1) return null;
+
+  const lastLows = lows.slice(-4);
+  for (let i = lastLows.length - 1; i >= 1; i--) {
+    const l1Idx = lastLows[i - 1];
+    const l2Idx = lastLows[i];
+    const midHighs = highs.filter((x) => x > l1Idx && x < l2Idx);
+    if (midHighs.length === 0) continue;
+    const hIdx = midHighs[0];
+
+    const l1 = candles[l1Idx].low;
+    const l2 = candles[l2Idx].low;
+    const high = candles[hIdx].high;
+
+    if (!tol.equal(l1, l2, 'topsEqual')) continue;
+    if (!tol.exceeds(high - Math.min(l1, l2), Math.min(l1, l2), 'minDepth')) continue;
+
+    return {
+      type: 'Inverted M',
+      indices: { l1Idx, l2Idx, hIdx },
+      neckline: high,
+      extreme: Math.min(l1, l2),
+      stop: l2,
+      symmetry: [l1, l2],
+    };
+  }
+  return null;
+}
+
+function detectHeadAndShoulders(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (highs.length < 3 || lows.length < 2) return null;
+
+  const lastHighs = highs.slice(-6);
+  if (lastHighs.length < 3) return null;
+
+  for (let i = lastHighs.length - 3; i >= 0; i--) {
+    const lsIdx = lastHighs[i];
+    const headIdx = lastHighs[i + 1];
+    const rsIdx = lastHighs[i + 2];
+
+    const ls = candles[lsIdx].high;
+    const head = candles[headIdx].high;
+    const rs = candles[rsIdx].high;
+
+    if (!(tol.exceeds(head - ls, ls, 'headMargin') && tol.exceeds(head - rs, rs, 'headMargin'))) {
+      continue;
+    }
+    if (!tol.equal(ls, rs, 'shouldersEqual')) continue;
+
+    const neckLows = lows.filter((x) => x > lsIdx && x < rsIdx);
+    if (neckLows.length < 2) continue;
+    const n1Idx = neckLows[0];
+    const n2Idx = neckLows[neckLows.length - 1];
+    const n1 = candles[n1Idx].low;
+    const n2 = candles[n2Idx].low;
+    if (!tol.equal(n1, n2, 'necklineEqual')) continue;
+
+    return {
+      type: 'Head & Shoulders',
+      indices: { lsIdx, headIdx, rsIdx, n1Idx, n2Idx },
+      neckline: Math.min(n1, n2),
+      extreme: head,
+      symmetry: [ls, rs],
+      necklinePoints: [n1, n2],
+      necklineLine: [
+        { idx: n1Idx, price: n1 },
+        { idx: n2Idx, price: n2 },
+      ],
+    };
+  }
+  return null;
+}
+
+function detectInverseHeadAndShoulders(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (lows.length < 3 || highs.length < 2) return null;
+
+  const lastLows = lows.slice(-6);
+  if (lastLows.length < 3) return null;
+
+  for (let i = lastLows.length - 3; i >= 0; i--) {
+    const lsIdx = lastLows[i];
+    const headIdx = lastLows[i + 1];
+    const rsIdx = lastLows[i + 2];
+
+    const ls = candles[lsIdx].low;
+    const head = candles[headIdx].low;
+    const rs = candles[rsIdx].low;
+
+    if (!(tol.exceeds(ls - head, ls, 'headMargin') && tol.exceeds(rs - head, rs, 'headMargin'))) {
+      continue;
+    }
+    if (!tol.equal(ls, rs, 'shouldersEqual')) continue;
+
+    const neckHighs = highs.filter((x) => x > lsIdx && x < rsIdx);
+    if (neckHighs.length < 2) continue;
+    const n1Idx = neckHighs[0];
+    const n2Idx = neckHighs[neckHighs.length - 1];
+    const n1 = candles[n1Idx].high;
+    const n2 = candles[n2Idx].high;
+    if (!tol.equal(n1, n2, 'necklineEqual')) continue;
+
+    return {
+      type: 'Inverse Head & Shoulders',
+      indices: { lsIdx, headIdx, rsIdx, n1Idx, n2Idx },
+      neckline: Math.max(n1, n2),
+      extreme: head,
+      symmetry: [ls, rs],
+      necklinePoints: [n1, n2],
+      necklineLine: [
+        { idx: n1Idx, price: n1 },
+        { idx: n2Idx, price: n2 },
+      ],
+    };
+  }
+  return null;
+}
+
+// Three tops (bottoms) at the same level with a pullback between each pair
+function detectTripleTop(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (highs.length < 3 || lows.length < 2) return null;
+
+  const lastHighs = highs.slice(-5);
+  for (let i = lastHighs.length - 3; i >= 0; i--) {
+    const [h1Idx, h2Idx, h3Idx] = lastHighs.slice(i, i + 3);
+    const tops = [h1Idx, h2Idx, h3Idx].map((idx) => candles[idx].high);
+    const top = Math.max(...tops);
+    if (!tops.every((h) => tol.equal(h, top, 'topsEqual'))) continue;
+
+    const l1Idx = lows.find((x) => x > h1Idx && x < h2Idx);
+    const l2Idx = lows.find((x) => x > h2Idx && x < h3Idx);
+    if (l1Idx === undefined || l2Idx === undefined) continue;
+    const neckline = Math.min(candles[l1Idx].low, candles[l2Idx].low);
+    const shallowest = Math.max(candles[l1Idx].low, candles[l2Idx].low);
+    if (!tol.exceeds(top - shallowest, top, 'minDepth')) continue;
+
+    return {
+      type: 'Triple Top',
+      indices: { h1Idx, h2Idx, h3Idx, l1Idx, l2Idx },
+      neckline,
+      extreme: top,
+      stop: candles[h3Idx].high,
+      symmetry: [Math.min(...tops), top],
+      necklinePoints: [candles[l1Idx].low, candles[l2Idx].low],
+    };
+  }
+  return null;
+}
+
+function detectTripleBottom(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (lows.length < 3 || highs.length < 2) return null;
+
+  const lastLows = lows.slice(-5);
+  for (let i = lastLows.length - 3; i >= 0; i--) {
+    const [l1Idx, l2Idx, l3Idx] = lastLows.slice(i, i + 3);
+    const bottoms = [l1Idx, l2Idx, l3Idx].map((idx) => candles[idx].low);
+    const bottom = Math.min(...bottoms);
+    if (!bottoms.every((l) => tol.equal(l, bottom, 'topsEqual'))) continue;
+
+    const h1Idx = highs.find((x) => x > l1Idx && x < l2Idx);
+    const h2Idx = highs.find((x) => x > l2Idx && x < l3Idx);
+    if (h1Idx === undefined || h2Idx === undefined) continue;
+    const neckline = Math.max(candles[h1Idx].high, candles[h2Idx].high);
+    const shallowest = Math.min(candles[h1Idx].high, candles[h2Idx].high);
+    if (!tol.exceeds(shallowest - bottom, bottom, 'minDepth')) continue;
+
+    return {
+      type: 'Triple Bottom',
+      indices: { l1Idx, l2Idx, l3Idx, h1Idx, h2Idx },
+      neckline,
+      extreme: bottom,
+      stop: candles[l3Idx].low,
+      symmetry: [bottom, Math.max(...bottoms)],
+      necklinePoints: [candles[h1Idx].high, candles[h2Idx].high],
+    };
+  }
+  return null;
+}
+
+// --- Converging / parallel boundaries drawn through the last three pivot highs and lows
+
+// 'flat', 'rising', 'falling', or null when the three points zigzag
+function boundaryDirection(points, tol) {
+  const [a, b, c] = points;
+  if (points.every((p) => tol.equal(p, a, 'flatEqual'))) return 'flat';
+  if (tol.equal(a, c, 'flatEqual')) return null;
+  if (a < b && b < c) return 'rising';
+  if (a > b && b > c) return 'falling';
+  return null;
+}
+
+// Boundaries of the latest consolidation, or null when the pivots do not overlap in time
+function findBoundaries(candles, config) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (highs.length < 3 || lows.length < 3) return null;
+
+  const highIdx = highs.slice(-3);
+  const lowIdx = lows.slice(-3);
+  // Both lines must describe the same stretch of bars
+  if (Math.max(highIdx[0], lowIdx[0]) >= Math.min(highIdx[2], lowIdx[2])) return null;
+
+  const highPoints = highIdx.map((idx) => candles[idx].high);
+  const lowPoints = lowIdx.map((idx) => candles[idx].low);
+  const slope = (idx, points) => (points[2] - points[0]) / (idx[2] - idx[0]);
+  // Sloped boundary through the first and last pivot
+  const line = (idx, points) => [
+    { idx: idx[0], price: points[0] },
+    { idx: idx[2], price: points[2] },
+  ];
+
+  return {
+    tol,
+    highIdx,
+    lowIdx,
+    highPoints,
+    lowPoints,
+    upper: boundaryDirection(highPoints, tol),
+    lower: boundaryDirection(lowPoints, tol),
+    upperSlope: slope(highIdx, highPoints),
+    lowerSlope: slope(lowIdx, lowPoints),
+    upperLine: line(highIdx, highPoints),
+    lowerLine: line(lowIdx, lowPoints),
+    indices: {
+      h1Idx: highIdx[0],
+      h2Idx: highIdx[1],
+      h3Idx: highIdx[2],
+      l1Idx: lowIdx[0],
+      l2Idx: lowIdx[1],
+      l3Idx: lowIdx[2],
+    },
+  };
+}
+
+// Flat resistance over rising lows; breaks up
+function detectAscendingTriangle(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const b = findBoundaries(candles, config);
+  if (!b || b.upper !== 'flat' || b.lower !== 'rising') return null;
+  return {
+    type: 'Ascending Triangle',
+    indices: b.indices,
+    neckline: Math.max(...b.highPoints),
+    extreme: b.lowPoints[0],
+    necklinePoints: [Math.min(...b.highPoints), Math.max(...b.highPoints)],
+  };
+}
+
+// Flat support under falling highs; breaks down
+function detectDescendingTriangle(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const b = findBoundaries(candles, config);
+  if (!b || b.lower !== 'flat' || b.upper !== 'falling') return null;
+  return {
+    type: 'Descending Triangle',
+    indices: b.indices,
+    neckline: Math.min(...b.lowPoints),
+    extreme: b.highPoints[0],
+    necklinePoints: [Math.min(...b.lowPoints), Math.max(...b.lowPoints)],
+  };
+}
+
+// Falling highs over rising lows; breaks in either direction, so the HTF trend picks it
+function detectSymmetricalTriangle(candles, config = DEFAULT_DETECTOR_CONFIG, direction) {
+  const b = findBoundaries(candles, config);
+  if (!b || b.upper !== 'falling' || b.lower !== 'rising') return null;
+  const bearish = direction === 'bearish';
+  return {
+    type: 'Symmetrical Triangle',
+    indices: b.indices,
+    neckline: bearish ? b.lowPoints[2] : b.highPoints[2],
+    extreme: bearish ? b.highPoints[0] : b.lowPoints[0],
+    necklineLine: bearish ? b.lowerLine : b.upperLine,
+  };
+}
+
+// Both lines rising, the lower one steeper; breaks down
+function detectRisingWedge(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const b = findBoundaries(candles, config);
+  if (!b || b.upper !== 'rising' || b.lower !== 'rising') return null;
+  if (!(b.lowerSlope > b.upperSlope)) return null;
+  return {
+    type: 'Rising Wedge',
+    indices: b.indices,
+    neckline: b.lowPoints[2],
+    extreme: Math.max(...b.highPoints),
+    necklineLine: b.lowerLine,
+  };
+}
+
+// Both lines falling, the upper one steeper; breaks up
+function detectFallingWedge(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  const b = findBoundaries(candles, config);
+  if (!b || b.upper !== 'falling' || b.lower !== 'falling') return null;
+  if (!(b.upperSlope < b.lowerSlope)) return null;
+  return {
+    type: 'Falling Wedge',
+    indices: b.indices,
+    neckline: b.highPoints[2],
+    extreme: Math.min(...b.lowPoints),
+    necklineLine: b.upperLine,
+  };
+}
+
+// Flat resistance and flat support at least `minDepth` apart; the HTF trend picks the side
+function detectRectangle(candles, config = DEFAULT_DETECTOR_CONFIG, direction) {
+  const b = findBoundaries(candles, config);
+  if (!b || b.upper !== 'flat' || b.lower !== 'flat') return null;
+  const resistance = Math.max(...b.highPoints);
+  const support = Math.min(...b.lowPoints);
+  if (!b.tol.exceeds(resistance - support, support, 'minDepth')) return null;
+  const bearish = direction === 'bearish';
+  const necklinePoints = bearish ? b.lowPoints : b.highPoints;
+  return {
+    type: 'Rectangle',
+    indices: b.indices,
+    neckline: bearish ? support : resistance,
+    extreme: bearish ? resistance : support,
+    necklinePoints: [Math.min(...necklinePoints), Math.max(...necklinePoints)],
+  };
+}
+
+// --- Flags: a sharp pole followed by a shallow pullback that is still running
+
+function detectFlag(candles, config, bullish) {
+  const tol = createTolerance(candles, config);
+  if (!tol) return null;
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  const maxBars = config.flagMaxBars;
+  const priceOf = (c) => (bullish ? c.high : c.low);
+  const baseOf = (c) => (bullish ? c.low : c.high);
+  const beyond = (a, b) => (bullish ? a > b : a < b);
+
+  // Pole tip: the most extreme swing of the recent bars, so the flag never exceeds it
+  let tipIdx = -1;
+  for (let i = Math.max(0, candles.length - maxBars); i < candles.length; i++) {
+    if (tipIdx === -1 || beyond(priceOf(candles[i]), priceOf(candles[tipIdx]))) tipIdx = i;
+  }
+  if (!(bullish ? highs : lows).includes(tipIdx)) return null;
+  const flagBars = candles.length - 1 - tipIdx;
+  if (flagBars < 3) return null;
+
+  // Pole base: the opposite extreme within flagMaxBars before the tip
+  let baseIdx = -1;
+  for (let i = Math.max(0, tipIdx - maxBars); i < tipIdx; i++) {
+    if (baseIdx === -1 || beyond(baseOf(candles[baseIdx]), baseOf(candles[i]))) baseIdx = i;
+  }
+  if (baseIdx === -1) return null;
+
+  const tip = priceOf(candles[tipIdx]);
+  const base = baseOf(candles[baseIdx]);
+  const pole = Math.abs(tip - base);
+  if (!tol.exceeds(pole, base, 'poleMove')) return null;
+
+  // The flag may give back at most flagMaxRetrace of the pole
+  let flagIdx = tipIdx + 1;
+  for (let i = tipIdx + 1; i < candles.length; i++) {
+    if (beyond(baseOf(candles[flagIdx]), baseOf(candles[i]))) flagIdx = i;
+  }
+  const flagExtreme = baseOf(candles[flagIdx]);
+  if (Math.abs(tip - flagExtreme) > pole * config.flagMaxRetrace) return null;
+
+  return {
+    type: bullish ? 'Bull Flag' : 'Bear Flag',
+    indices: { baseIdx, tipIdx, flagIdx },
+    neckline: tip,
+    extreme: flagExtreme,
+    // Flags project the pole, not the flag depth
+    target: bullish ? tip + pole : tip - pole,
+  };
+}
+
+function detectBullFlag(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  return detectFlag(candles, config, true);
+}
+
+function detectBearFlag(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  return detectFlag(candles, config, false);
+}
+
+// ============================
+// Detector registry
+// ============================
+
+// Every detector for each direction the HTF trends allow runs and each match
+// becomes a scored candidate; on equal scores the earlier entry ranks first, so
+// more specific shapes come before the ones they contain (a triple top also
+// holds a double top).
+// `directions` lists the signal directions a detector can produce; detectors
+// valid for both are called once per allowed direction.
+const PATTERN_DETECTORS = [
+  { type: 'Triple Top', directions: ['bearish'], detect: detectTripleTop },
+  { type: 'M-top', directions: ['bearish'], detect: detectMTop },
+  { type: 'Head & Shoulders', directions: ['bearish'], detect: detectHeadAndShoulders },
+  { type: 'Triple Bottom', directions: ['bullish'], detect: detectTripleBottom },
+  { type: 'Inverted M', directions: ['bullish'], detect: detectInvertedM },
+  {
+    type: 'Inverse Head & Shoulders',
+    directions: ['bullish'],
+    detect: detectInverseHeadAndShoulders,
+  },
+  { type: 'Descending Triangle', directions: ['bearish'], detect: detectDescendingTriangle },
+  { type: 'Ascending Triangle', directions: ['bullish'], detect: detectAscendingTriangle },
+  { type: 'Rising Wedge', directions: ['bearish'], detect: detectRisingWedge },
+  { type: 'Falling Wedge', directions: ['bullish'], detect: detectFallingWedge },
+  { type: 'Bear Flag', directions: ['bearish'], detect: detectBearFlag },
+  { type: 'Bull Flag', directions: ['bullish'], detect: detectBullFlag },
+  {
+    type: 'Symmetrical Triangle',
+    directions: ['bearish', 'bullish'],
+    detect: detectSymmetricalTriangle,
+  },
+  { type: 'Rectangle', directions: ['bearish', 'bullish'], detect: detectRectangle },
+];
+
+function buildPatternSignal(direction, tfLabel, patternResult, candles) {
+  const indices = patternResult.indices || {};
+  const indexValues = Object.values(indices).filter((v) => Number.isInteger(v));
+  let from = null;
+  let to = null;
+
+  if (indexValues.length > 0) {
+    const startIdx = Math.min(...indexValues);
+    const endIdx = Math.max(...indexValues);
+    from = candles[startIdx]?.time || null;
+    to = candles[endIdx]?.time || null;
+  }
+
+  // Neckline break confirms the pattern, a move past the extreme (top / head)
+  // invalidates it, and the measured move projects the pattern height from the
+  // neckline unless the detector supplies its own target. Trade plans put the
+  // stop past the last top / bottom when the detector names one, else past the extreme.
+  const { neckline, extreme } = patternResult;
+  const height = Math.abs(extreme - neckline);
+  const levels = {
+    neckline,
+    invalidation: extreme,
+    stop: patternResult.stop ?? extreme,
+    target:
+      patternResult.target ?? (direction === 'bearish' ? neckline - height : neckline + height),
+  };
+  // Sloped necklines (H&S, wedges, symmetrical triangles) are projected when
+  // checking for the break; `neckline` stays the level the trade plan enters at
+  if (patternResult.necklineLine) {
+    levels.necklineLine = patternResult.necklineLine.map(({ idx, price }) => ({
+      time: candles[idx].time.toISOString(),
+      price,
+    }));
+  }
+
+  return {
+    direction,
+    pattern: patternResult.type,
+    timeframe: tfLabel,
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    levels,
+  };
+}
+
+// Every pattern on `candles` the confluence rule and the divergence / volume
+// filters allow, best score first, each with its neckline-break `stage`,
+// `breakout` details and the `breakoutRules` they were worked out with, and its
+// `divergence` and `volume` readings. `trends` maps
+// each HTF key of the timeframe profile to its detectTrendHTF result. Passing
+// `directions` looks for those directions instead of the ones the rule allows.
+function detectPatternCandidates(
+  candles,
+  tfLabel,
+  trends,
+  config = DEFAULT_DETECTOR_CONFIG,
+  directions = confluenceDirections(config.confluenceRule, trends)
+) {
+  if (directions.length === 0) return [];
+  const atrValue = atr(candles, config.atrPeriod);
+  const tol = createTolerance(candles, config);
+  const series = factorSeries(candles, config);
+  // The last bar may still be forming, so only closed bars can break the neckline
+  const closed = candles.slice(0, -1);
+
+  const candidates = [];
+  directions.forEach((direction) => {
+    PATTERN_DETECTORS.forEach((detector) => {
+      if (!detector.directions.includes(direction)) return;
+      const p = detector.detect(candles, config, direction);
+      if (!p) return;
+      const signal = buildPatternSignal(direction, tfLabel, p, candles);
+      const breakoutRules = {
+        requireRetest: config.requireRetest,
+        retestMaxBars: config.retestMaxBars,
+        failedBreakoutBars: config.failedBreakoutBars,
+        retestZone: tol ? tol.distance(signal.levels.neckline, 'retestZone') : 0,
+      };
+      const { stage, ...breakout } = evaluateBreakout(signal, closed, breakoutRules);
+      const factors = {
+        divergence: measureDivergence(p, direction, candles, series),
+        volume: measureVolume(p, candles, series, breakout, config),
+      };
+      if (!passesFactorFilters(factors, config)) return;
+      candidates.push({
+        ...signal,
+        ...scorePattern(p, candles, atrValue),
+        stage,
+        breakout,
+        breakoutRules,
+        ...factors,
+      });
+    });
+  });
+
+  // Array#sort is stable, so registry order breaks ties
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+// Highest scoring candidate whose breakout has not failed, or null
+function detectPatternWithConfluence(candles, tfLabel, trends, config = DEFAULT_DETECTOR_CONFIG) {
+  return (
+    detectPatternCandidates(candles, tfLabel, trends, config).find(
+      (c) => c.stage !== STAGE.FAILED
+    ) || null
+  );
+}
+
+module.exports = {
+  findPivots,
+  approxEqual,
+  detectMTop,
+  detectInvertedM,
+  detectHeadAndShoulders,
+  detectInverseHeadAndShoulders,
+  detectTripleTop,
+  detectTripleBottom,
+  detectAscendingTriangle,
+  detectDescendingTriangle,
+  detectSymmetricalTriangle,
+  detectRisingWedge,
+  detectFallingWedge,
+  detectRectangle,
+  detectBullFlag,
+  detectBearFlag,
+  PATTERN_DETECTORS,
+  buildPatternSignal,
+  detectPatternCandidates,
+  detectPatternWithConfluence,
+};
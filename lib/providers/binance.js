@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { httpError } = require('../validation');
+
+// ============================
+// External API (Binance spot klines)
+// ============================
+
+// Public market data, no API key needed. Crypto only.
+const BINANCE_BASE_URL = process.env.BINANCE_BASE_URL || 'https://api.binance.com';
+const MAX_LIMIT = 1000;
+
+const INTERVALS = {
+  '1min': '1m',
+  '5min': '5m',
+  '15min': '15m',
+  '30min': '30m',
+  '1h': '1h',
+  '2h': '2h',
+  '4h': '4h',
+  '1day': '1d',
+  '1week': '1w',
+  '1month': '1M',
+};
+
+// BTC/USD -> BTCUSDT, ETH/BTC -> ETHBTC
+function toBinanceSymbol(symbol) {
+  const [base, quote] = symbol.toUpperCase().split('/');
+  if (!quote) return base;
+  return base + (quote === 'USD' ? 'USDT' : quote);
+}
+
+// HTTP 429, or 418 once Binance bans an IP that kept going after a 429.
+// Marked like Twelve Data's rate-limit errors so callers retry after Retry-After.
+function rateLimitError(res, symbol, interval) {
+  const message = res.data?.msg || `HTTP ${res.status}`;
+  const err = httpError(429, `[Binance] ${message} (symbol=${symbol}, interval=${interval})`);
+  err.rateLimited = true;
+  err.daily = false;
+  const retryAfterSec = Number(res.headers?.['retry-after']);
+  err.retryAfterMs = Number.isFinite(retryAfterSec) ? retryAfterSec * 1000 : null;
+  return err;
+}
+
+async function getKlines(symbol, interval, params) {
+  try {
+    const res = await axios.get(BINANCE_BASE_URL + '/api/v3/klines', {
+      params: { symbol: toBinanceSymbol(symbol), interval: INTERVALS[interval], ...params },
+    });
+    return res.data.map((k) => ({
+      time: new Date(k[0]),
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[5]),
+    }));
+  } catch (err) {
+    if ([418, 429].includes(err.response?.status)) {
+      throw rateLimitError(err.response, symbol, interval);
+    }
+    const msg = err.response?.data?.msg;
+    if (!msg) throw err;
+    throw new Error(`[Binance] ${msg} (symbol=${symbol}, interval=${interval})`);
+  }
+}
+
+// Binance caps each call at 1000 klines, so larger requests are paged
+async function fetchKlines(symbol, interval, outputsize = 300, { startDate } = {}) {
+  if (!INTERVALS[interval]) {
+    throw new Error(`[Binance] Unsupported interval (symbol=${symbol}, interval=${interval})`);
+  }
+
+  let candles = [];
+  if (startDate) {
+    // Page forwards from startDate
+    let startTime = startDate.getTime();
+    while (candles.length < outputsize) {
+      const limit = Math.min(MAX_LIMIT, outputsize - candles.length);
+      const page = await getKlines(symbol, interval, { startTime, limit });
+      candles = candles.concat(page);
+      if (page.length < limit) break;
+      startTime = page[page.length - 1].time.getTime() + 1;
+    }
+    return candles;
+  }
+
+  // Page backwards from now
+  let endTime;
+  while (candles.length < outputsize) {
+    const limit = Math.min(MAX_LIMIT, outputsize - candles.length);
+    const page = await getKlines(symbol, interval, endTime ? { endTime, limit } : { limit });
+    candles = page.concat(candles);
+    if (page.length < limit) break;
+    endTime = page[0].time.getTime() - 1;
+  }
+  return candles;
+}
+
+module.exports = {
+  name: 'binance',
+  cacheable: true,
+  fetchCandles: fetchKlines,
+  toBinanceSymbol,
+};
@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// ============================
+// Local CSV / JSON candles (offline)
+// ============================
+
+// Files are looked up as <dir>/<SYMBOL without punctuation>_<interval>.csv or .json,
+// e.g. data/candles/EURGBP_1h.csv. Setting FILE_PROVIDER_UNTIL hides every bar
+// after that time, which lets a past day be replayed through the scanner.
+const FILE_PROVIDER_DIR =
+  process.env.FILE_PROVIDER_DIR || path.join(__dirname, '..', '..', 'data', 'candles');
+const FILE_PROVIDER_UNTIL = process.env.FILE_PROVIDER_UNTIL
+  ? new Date(process.env.FILE_PROVIDER_UNTIL)
+  : null;
+
+if (FILE_PROVIDER_UNTIL && Number.isNaN(FILE_PROVIDER_UNTIL.getTime())) {
+  throw new Error(`Invalid FILE_PROVIDER_UNTIL "${process.env.FILE_PROVIDER_UNTIL}"`);
+}
+
+// Datetimes without a timezone are read as UTC, like the Twelve Data provider requests them
+function parseTime(value) {
+  if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return parseTime(Number(s));
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return new Date(`${s}T00:00:00Z`);
+  if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(s)) return new Date(`${s.replace(' ', 'T')}Z`);
+  return new Date(s);
+}
+
+function toCandle(row) {
+  return {
+    time: parseTime(row.datetime ?? row.time ?? row.date ?? row.timestamp),
+    open: parseFloat(row.open),
+    high: parseFloat(row.high),
+    low: parseFloat(row.low),
+    close: parseFloat(row.close),
+    // Optional column
+    volume: row.volume === undefined || row.volume === '' ? undefined : parseFloat(row.volume),
+  };
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = lines[0].split(',').map((h) => h.trim().toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',');
+    return Object.fromEntries(header.map((h, i) => [h, cells[i]?.trim()]));
+  });
+}
+
+// Accepts an array of rows or a saved Twelve Data /time_series response ({ values: [...] })
+function parseJson(text) {
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data.values || [];
+}
+
+async function readRows(symbol, interval) {
+  const base = path.join(FILE_PROVIDER_DIR, `${symbol.replace(/[^A-Za-z0-9_-]/g, '')}_${interval}`);
+  for (const [ext, parse] of [
+    ['.csv', parseCsv],
+    ['.json', parseJson],
+  ]) {
+    try {
+      return parse(await fs.readFile(base + ext, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw new Error(`[File] ${err.message} (symbol=${symbol}, interval=${interval})`);
+      }
+    }
+  }
+  throw new Error(`[File] No ${base}.csv or .json (symbol=${symbol}, interval=${interval})`);
+}
+
+// Every bar in the file, oldest first, ignoring FILE_PROVIDER_UNTIL
+async function readAllCandles(symbol, interval) {
+  const rows = await readRows(symbol, interval);
+  return rows
+    .map(toCandle)
+    .filter((c) => !Number.isNaN(c.time.getTime()) && Number.isFinite(c.close))
+    .sort((a, b) => a.time - b.time);
+}
+
+async function readCandles(symbol, interval, outputsize = 300, { startDate } = {}) {
+  let candles = await readAllCandles(symbol, interval);
+  if (FILE_PROVIDER_UNTIL) candles = candles.filter((c) => c.time <= FILE_PROVIDER_UNTIL);
+  if (startDate) candles = candles.filter((c) => c.time >= startDate);
+  return candles.slice(-outputsize);
+}
+
+module.exports = {
+  name: 'file',
+  // Already local, nothing to gain from caching
+  cacheable: false,
+  fetchCandles: readCandles,
+  readAllCandles,
+  FILE_PROVIDER_UNTIL,
+};
@@ -0,0 +1,94 @@
+const twelveData = require('./twelveData');
+const binance = require('./binance');
+const file = require('./file');
+const { providerRequests, providerErrors, providerDuration } = require('../metrics');
+
+// ============================
+// Market data providers
+// ============================
+
+// Every provider exposes:
+//   name
+//   cacheable    - whether results should go through the candle cache
+//   fetchCandles(symbol, interval, outputsize, { startDate }) -> candles, oldest first
+
+// Time of the last successful and failed request per provider, for /api/health
+const lastRequests = {};
+
+// Counts and times every fetchCandles call (see lib/metrics.js)
+function instrument(provider) {
+  const last = { lastSuccessAt: null, lastErrorAt: null, lastError: null };
+  lastRequests[provider.name] = last;
+  return {
+    ...provider,
+    async fetchCandles(symbol, interval, ...rest) {
+      providerRequests.inc({ provider: provider.name, interval });
+      const stopTimer = providerDuration.startTimer({ provider: provider.name });
+      try {
+        const candles = await provider.fetchCandles(symbol, interval, ...rest);
+        last.lastSuccessAt = new Date();
+        return candles;
+      } catch (err) {
+        last.lastErrorAt = new Date();
+        last.lastError = err.message;
+        providerErrors.inc({ provider: provider.name, reason: err.rateLimited ? 'rate_limit' : 'error' });
+        throw err;
+      } finally {
+        stopTimer();
+      }
+    },
+  };
+}
+
+const PROVIDERS = Object.fromEntries(
+  [twelveData, binance, file].map((provider) => [provider.name, instrument(provider)])
+);
+
+function loadSymbolProviders() {
+  if (!process.env.DATA_PROVIDER_BY_SYMBOL) return {};
+  try {
+    return JSON.parse(process.env.DATA_PROVIDER_BY_SYMBOL);
+  } catch (err) {
+    throw new Error(
+      `Invalid DATA_PROVIDER_BY_SYMBOL (expected JSON like {"BTC/USD":"binance"}): ${err.message}`
+    );
+  }
+}
+
+const DEFAULT_PROVIDER = process.env.DATA_PROVIDER || twelveData.name;
+const SYMBOL_PROVIDERS = loadSymbolProviders();
+
+[DEFAULT_PROVIDER, ...Object.values(SYMBOL_PROVIDERS)].forEach((name) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(
+      `Unknown data provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+});
+
+function providerFor(symbol) {
+  return PROVIDERS[SYMBOL_PROVIDERS[symbol] || DEFAULT_PROVIDER];
+}
+
+// Names of every provider the current configuration can pick
+function providersInUse() {
+  return [...new Set([DEFAULT_PROVIDER, ...Object.values(SYMBOL_PROVIDERS)])];
+}
+
+// { name, lastSuccessAt, lastErrorAt, lastError } of every provider in use
+function providerStatus() {
+  return providersInUse().map((name) => ({ name, ...lastRequests[name] }));
+}
+
+// Cheapest possible request (one daily bar) to confirm the symbol's provider knows it
+async function checkSymbol(symbol) {
+  const candles = await providerFor(symbol).fetchCandles(symbol, '1day', 1);
+  if (candles.length === 0) throw new Error(`No data returned for ${symbol}`);
+}
+
+module.exports = {
+  providerFor,
+  providersInUse,
+  providerStatus,
+  checkSymbol,
+};
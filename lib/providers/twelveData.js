@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { createCreditBudget } = require('../creditBudget');
+const { creditsUsed } = require('../metrics');
+const { httpError } = require('../validation');
+
+// ============================
+// External API (Twelve Data)
+// ============================
+
+const TD_BASE_URL = 'https://api.twelvedata.com';
+const TD_API_KEY = process.env.TWELVE_DATA_API_KEY;
+
+// Every /time_series call costs one credit; keep a rolling log so callers can pace themselves
+const CREDIT_WINDOW_MS = 60 * 1000;
+const creditLog = [];
+
+function creditsUsedLastMinute(now = Date.now()) {
+  while (creditLog.length && creditLog[0] <= now - CREDIT_WINDOW_MS) creditLog.shift();
+  return creditLog.length;
+}
+
+// Credits spent since midnight UTC, when the daily allowance starts over
+let creditDay = { date: null, used: 0 };
+
+function countCredit() {
+  const date = new Date().toISOString().slice(0, 10);
+  if (creditDay.date !== date) creditDay = { date, used: 0 };
+  creditDay.used += 1;
+  creditLog.push(Date.now());
+  creditsUsed.inc({ provider: 'twelvedata' });
+}
+
+function creditsUsedToday() {
+  return creditDay.date === new Date().toISOString().slice(0, 10) ? creditDay.used : 0;
+}
+
+// Every request waits for a credit from this budget. The free tier allows 8
+// credits per minute and 800 per day.
+const creditBudget = createCreditBudget({
+  perMinute: Number.parseInt(process.env.TD_CREDITS_PER_MINUTE, 10) || 8,
+  perDay: Number.parseInt(process.env.TD_CREDITS_PER_DAY, 10) || 800,
+});
+
+// HTTP 429 or "You have run out of API credits for the current minute/day".
+// Marked so callers can retry once the credits are back.
+function rateLimitError(message, symbol, interval) {
+  const daily = /for the day|daily/i.test(message);
+  creditBudget.drain({ daily });
+  const err = httpError(429, `[TD] ${message} (symbol=${symbol}, interval=${interval})`);
+  err.rateLimited = true;
+  err.daily = daily;
+  // Minute credits come back at the start of the next minute
+  err.retryAfterMs = daily ? null : CREDIT_WINDOW_MS - (Date.now() % CREDIT_WINDOW_MS);
+  return err;
+}
+
+const isRateLimit = (code, message) => code === 429 || /run out of api credits/i.test(message || '');
+
+// Datetimes are requested in UTC so cached bars line up across scans
+function parseDatetime(value) {
+  return new Date(value.length === 10 ? `${value}T00:00:00Z` : `${value.replace(' ', 'T')}Z`);
+}
+
+function formatDatetime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Raw /time_series call. Pass `startDate` to only get bars at or after that time.
+async function fetchTimeSeries(symbol, interval, outputsize = 300, { startDate } = {}) {
+  if (!TD_API_KEY) throw new Error('TWELVE_DATA_API_KEY not configured');
+
+  const url = new URL(TD_BASE_URL + '/time_series');
+  url.searchParams.set('symbol', symbol);
+  url.searchParams.set('interval', interval);
+  url.searchParams.set('outputsize', outputsize);
+  url.searchParams.set('timezone', 'UTC');
+  if (startDate) url.searchParams.set('start_date', formatDatetime(startDate));
+  url.searchParams.set('apikey', TD_API_KEY);
+
+  await creditBudget.take(1);
+  countCredit();
+  let res;
+  try {
+    res = await axios.get(url.toString());
+  } catch (err) {
+    const data = err.response?.data;
+    if (isRateLimit(err.response?.status, data?.message)) {
+      throw rateLimitError(data?.message || 'Too many requests', symbol, interval);
+    }
+    throw err;
+  }
+  if (res.data.status === 'error') {
+    // An incremental request with nothing newer than startDate is not a failure
+    if (startDate && /no data is available/i.test(res.data.message || '')) return [];
+    if (isRateLimit(res.data.code, res.data.message)) {
+      throw rateLimitError(res.data.message, symbol, interval);
+    }
+    // Preserve Twelve Data error message and include symbol/interval for easier debugging
+    const msg = res.data.message || 'API error';
+    throw new Error(`[TD] ${msg} (symbol=${symbol}, interval=${interval})`);
+  }
+
+  const values = res.data.values || [];
+  const candles = values
+    .map((v) => ({
+      time: parseDatetime(v.datetime),
+      open: parseFloat(v.open),
+      high: parseFloat(v.high),
+      low: parseFloat(v.low),
+      close: parseFloat(v.close),
+      // Forex and some indices come without volume
+      volume: v.volume === undefined ? undefined : parseFloat(v.volume),
+    }))
+    .reverse();
+
+  return candles;
+}
+
+module.exports = {
+  name: 'twelvedata',
+  cacheable: true,
+  fetchCandles: fetchTimeSeries,
+  TD_API_KEY,
+  creditsUsedLastMinute,
+  creditsUsedToday,
+  creditBudget,
+};
@@ -0,0 +1,112 @@
+const { createBucket } = require('./creditBudget');
+const { badRequest } = require('./validation');
+
+// ============================
+// Scan quotas
+// ============================
+
+// Every user has a scan quota: token buckets of `perMinute` and `perDay` scans,
+// refilled evenly like the credit budget. /api/scan and /api/backtest take one
+// scan, a batch one per symbol. An API key with its own quota takes from its
+// bucket and its user's. Quotas live in memory and start full on every restart.
+// SCAN_QUOTA sets the default, a user's or key's `quota` replaces part of it.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const BUILT_IN_QUOTA = { perMinute: 10, perDay: 500 };
+const MAX_QUOTA = 100000;
+
+// Partial quota { perMinute?, perDay? }; null clears it. Throws with status 400.
+function validateQuota(input, name = 'quota') {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw badRequest(`${name} must be an object like {"perMinute":10,"perDay":500}`);
+  }
+  const quota = {};
+  Object.entries(input).forEach(([key, value]) => {
+    if (!['perMinute', 'perDay'].includes(key)) {
+      throw badRequest(`Unknown ${name} setting "${key}". Use perMinute or perDay`);
+    }
+    if (!(Number.isInteger(value) && value >= 1 && value <= MAX_QUOTA)) {
+      throw badRequest(`${name}.${key} must be an integer in [1, ${MAX_QUOTA}]`);
+    }
+    quota[key] = value;
+  });
+  return quota;
+}
+
+function loadDefaultQuota() {
+  if (!process.env.SCAN_QUOTA) return BUILT_IN_QUOTA;
+  let layer;
+  try {
+    layer = JSON.parse(process.env.SCAN_QUOTA);
+  } catch (err) {
+    throw new Error(`Invalid SCAN_QUOTA (expected a JSON object): ${err.message}`);
+  }
+  return { ...BUILT_IN_QUOTA, ...validateQuota(layer, 'SCAN_QUOTA') };
+}
+
+const DEFAULT_QUOTA = loadDefaultQuota();
+
+// Subjects are { key, quota? }: 'user:<id>' or 'key:<id>' and its own quota
+function createQuotaTracker(defaults = DEFAULT_QUOTA) {
+  // subject key -> { limits, minute, day }
+  const buckets = new Map();
+
+  function bucketsOf({ key, quota }) {
+    const limits = { ...defaults, ...quota };
+    const entry = buckets.get(key);
+    // A changed quota starts over with full buckets
+    const same = entry?.limits.perMinute === limits.perMinute && entry?.limits.perDay === limits.perDay;
+    if (same) return entry;
+    const fresh = {
+      limits,
+      minute: createBucket(limits.perMinute, MINUTE_MS),
+      day: createBucket(limits.perDay, DAY_MS),
+    };
+    buckets.set(key, fresh);
+    return fresh;
+  }
+
+  // Takes `n` scans from every subject, or none when one of them is short.
+  // More than a bucket holds is let through once it is full, as with credits.
+  // Returns { ok, retryAfterSec }.
+  function take(subjects, n = 1) {
+    const entries = subjects.map(bucketsOf);
+    const waitMs = Math.max(
+      0,
+      ...entries.map(({ limits, minute, day }) =>
+        Math.max(
+          minute.waitMs(Math.min(n, limits.perMinute)),
+          day.waitMs(Math.min(n, limits.perDay))
+        )
+      )
+    );
+    if (waitMs > 0) return { ok: false, retryAfterSec: Math.ceil(waitMs / 1000) };
+    entries.forEach(({ minute, day }) => {
+      minute.take(n);
+      day.take(n);
+    });
+    return { ok: true, retryAfterSec: 0 };
+  }
+
+  function status(subject) {
+    const { limits, minute, day } = bucketsOf(subject);
+    return {
+      ...limits,
+      availableMinute: Math.max(0, Math.floor(minute.available())),
+      availableDay: Math.max(0, Math.floor(day.available())),
+    };
+  }
+
+  function forget(key) {
+    buckets.delete(key);
+  }
+
+  return { take, status, forget };
+}
+
+module.exports = {
+  DEFAULT_QUOTA,
+  validateQuota,
+  createQuotaTracker,
+};
@@ -0,0 +1,131 @@
+const { logger } = require('./logger');
+
+// ============================
+// Background scanner
+// ============================
+
+const BUDGET_POLL_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Scans every watchlist symbol once per `intervalSec`, one symbol at a time,
+// and waits whenever the next scan would push the rolling one-minute credit
+// usage above `creditsPerMinute`. `creditsPerScan` is a number or a function of
+// the symbol; a scan costing more than a minute's budget waits for an idle
+// minute instead of forever. `onResult(entry)` is called for every stored
+// result or error and `onStatus()` whenever the scanner state changes.
+function createScheduler({
+  scan,
+  getSymbols,
+  creditsUsed,
+  creditsPerScan,
+  creditsPerMinute,
+  intervalSec,
+  onResult = () => {},
+  onStatus = () => {},
+}) {
+  const state = {
+    running: false,
+    intervalSec,
+    creditsPerMinute,
+    currentSymbol: null,
+    cycleStartedAt: null,
+    cycleFinishedAt: null,
+    nextRunAt: null,
+    progress: { done: 0, total: 0 },
+    lastError: null,
+  };
+  const results = {};
+  let generation = 0;
+  let timer = null;
+
+  const costOf = (symbol) =>
+    typeof creditsPerScan === 'function' ? creditsPerScan(symbol) : creditsPerScan;
+
+  async function waitForBudget(gen, symbol) {
+    const cost = Math.min(costOf(symbol), state.creditsPerMinute);
+    while (creditsUsed() + cost > state.creditsPerMinute) {
+      if (gen !== generation) return false;
+      await sleep(BUDGET_POLL_MS);
+    }
+    return gen === generation;
+  }
+
+  async function runCycle(gen) {
+    timer = null;
+    const symbols = getSymbols();
+    const startedAt = Date.now();
+    state.cycleStartedAt = new Date(startedAt);
+    state.nextRunAt = null;
+    state.progress = { done: 0, total: symbols.length };
+    onStatus();
+
+    for (const symbol of symbols) {
+      if (!(await waitForBudget(gen, symbol))) return;
+      state.currentSymbol = symbol;
+      onStatus();
+      try {
+        const result = await scan(symbol);
+        results[symbol] = { ...result, updatedAt: new Date() };
+      } catch (err) {
+        logger.error('Scheduled scan failed', { symbol, error: err });
+        results[symbol] = { symbol, error: err.message || 'Scan failed', updatedAt: new Date() };
+        state.lastError = { symbol, message: err.message, at: new Date() };
+      }
+      if (gen !== generation) return;
+      onResult(results[symbol]);
+      state.progress.done += 1;
+    }
+
+    state.currentSymbol = null;
+    state.cycleFinishedAt = new Date();
+    const delay = Math.max(0, startedAt + state.intervalSec * 1000 - Date.now());
+    state.nextRunAt = new Date(Date.now() + delay);
+    timer = setTimeout(() => runCycle(gen), delay);
+    onStatus();
+  }
+
+  function start(options = {}) {
+    if (options.intervalSec) state.intervalSec = options.intervalSec;
+    if (state.running) {
+      onStatus();
+      return;
+    }
+    state.running = true;
+    generation += 1;
+    runCycle(generation);
+  }
+
+  function stop() {
+    if (!state.running) return;
+    state.running = false;
+    generation += 1;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    state.currentSymbol = null;
+    state.nextRunAt = null;
+    onStatus();
+  }
+
+  // Results of scans run outside the cycle, e.g. live re-checks
+  function setResult(entry) {
+    results[entry.symbol] = entry;
+  }
+
+  function status() {
+    return {
+      ...state,
+      creditsUsedLastMinute: creditsUsed(),
+      symbols: getSymbols(),
+      results,
+    };
+  }
+
+  return { start, stop, setResult, status };
+}
+
+module.exports = {
+  createScheduler,
+};
@@ -0,0 +1,114 @@
+// ============================
+// What each user sees
+// ============================
+
+// Users only see their own watchlists, the scanner results of the symbols in
+// them (from the scan with their own settings), the scans they asked for
+// themselves, their signals, their batches and their paper positions.
+
+// A scan result (or error entry) as the user sees it: the scan with their own
+// settings when the symbol was scanned with several, and only their own
+// screener rule matches
+function scopeScan(user, { variants, ...entry }) {
+  const own = variants?.find((v) => v.owners.includes(user.id));
+  const result = own ? { ...entry, ...own.result } : entry;
+  if (!result.ruleMatches) return result;
+  const ruleMatches = result.ruleMatches
+    .filter((match) => match.owner === user.id)
+    .map(({ owner, ...match }) => match);
+  return { ...result, ruleMatches };
+}
+
+// A stored signal without its owners, and with the names of the user's rules
+// that matched it in place of every user's
+function scopeSignal(user, { owners, rules, ...signal }) {
+  return {
+    ...signal,
+    rules: (rules || []).filter((rule) => rule.owner === user.id).map((rule) => rule.name),
+  };
+}
+
+// A stored-signal filter limited to the user's own signals
+function ownSignals(user, filter) {
+  return { ...filter, owners: user.id };
+}
+
+// Views that depend on who watches what. `getTargets()` returns the current
+// scan targets (see loadScanTargets in lib/watchlists.js).
+function createScopes(getTargets) {
+  const watchedBy = (user, symbol) =>
+    getTargets().some((t) => t.symbol === symbol && t.owners.includes(user.id));
+
+  // Scanner status limited to the user's symbols, with their labels and profiles
+  function scopeStatus(user, status) {
+    const mine = (symbol) => watchedBy(user, symbol);
+    const own = getTargets().filter((t) => t.owners.includes(user.id));
+    const results =
+      status.results &&
+      Object.fromEntries(
+        Object.entries(status.results)
+          .filter(([symbol]) => mine(symbol))
+          .map(([symbol, r]) => [symbol, scopeScan(user, r)])
+      );
+    return {
+      ...status,
+      symbols: status.symbols.filter(mine),
+      currentSymbol: mine(status.currentSymbol) ? status.currentSymbol : null,
+      lastError: status.lastError && mine(status.lastError.symbol) ? status.lastError : null,
+      live: status.live.enabled
+        ? {
+            ...status.live,
+            feeds: status.live.feeds.map((f) => ({
+              ...f,
+              symbols: f.symbols.filter(mine),
+              ...(f.ended && { ended: f.ended.filter(mine) }),
+            })),
+          }
+        : status.live,
+      quotes: status.quotes && status.quotes.filter((q) => mine(q.symbol)),
+      labels: Object.fromEntries(own.map((t) => [t.symbol, t.labels[user.id]])),
+      profiles: Object.fromEntries(own.map((t) => [t.symbol, t.profile])),
+      results,
+    };
+  }
+
+  // What a stream client sees of an event, or null to skip it
+  function scopeEvent(user, { type, data }) {
+    switch (type) {
+      case 'status':
+        return scopeStatus(user, data);
+      // Scans someone asked for are theirs alone
+      case 'scan':
+      case 'server-error':
+        return (data.requestedBy ? data.requestedBy === user.id : watchedBy(user, data.symbol))
+          ? scopeScan(user, data)
+          : null;
+      case 'quote':
+        return watchedBy(user, data.symbol) ? data : null;
+      case 'breakout': {
+        const { owners, ...breakout } = data;
+        return owners.includes(user.id) ? breakout : null;
+      }
+      case 'signal':
+      case 'signal-update':
+        return data.owners?.includes(user.id) ? scopeSignal(user, data) : null;
+      case 'batch':
+        return data.owner === user.id ? data : null;
+      case 'paper':
+        return data.owner === user.id ? {} : null;
+      case 'watchlists':
+        return data.filter((w) => w.owner === user.id);
+      default:
+        return data;
+    }
+  }
+
+  return { watchedBy, scopeStatus, scopeEvent };
+}
+
+module.exports = {
+  scopeScan,
+  scopeSignal,
+  ownSignals,
+  createScopes,
+};
@@ -0,0 +1,80 @@
+// ============================
+// Pattern quality score
+// ============================
+
+// Each part is 0..1; parts a pattern has no data for are left out and the
+// remaining weights rescaled. The total is 0..100.
+const SCORE_WEIGHTS = {
+  symmetry: 25, // tops / shoulders at the same level
+  neckline: 20, // flat neckline
+  height: 20, // pattern height in ATRs
+  volume: 15, // volume fading through the pattern
+  recency: 20, // how recently the pattern completed
+};
+
+// A pattern this many ATRs tall scores full marks on height
+const FULL_HEIGHT_ATR = 6;
+// Patterns that ended this many bars ago score zero on recency
+const RECENCY_BARS = 30;
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const round2 = (v) => Math.round(v * 100) / 100;
+
+function volumeTrend(candles, startIdx, endIdx) {
+  const bars = candles.slice(startIdx, endIdx + 1);
+  if (bars.length < 4 || !bars.every((c) => Number.isFinite(c.volume))) return null;
+  const mid = Math.floor(bars.length / 2);
+  const avg = (list) => list.reduce((sum, c) => sum + c.volume, 0) / list.length;
+  const first = avg(bars.slice(0, mid));
+  const second = avg(bars.slice(mid));
+  if (first + second === 0) return null;
+  return clamp01(0.5 + (first - second) / (first + second));
+}
+
+// `pattern` is a detector result; `atrValue` the ATR of the same candles.
+// Returns { score, scoreParts }.
+function scorePattern(pattern, candles, atrValue) {
+  const indexValues = Object.values(pattern.indices || {}).filter(Number.isInteger);
+  const startIdx = Math.min(...indexValues);
+  const endIdx = Math.max(...indexValues);
+  const height = Math.abs(pattern.extreme - pattern.neckline);
+
+  const parts = {
+    symmetry: null,
+    neckline: null,
+    height: null,
+    volume: volumeTrend(candles, startIdx, endIdx),
+    recency: clamp01(1 - (candles.length - 1 - endIdx) / RECENCY_BARS),
+  };
+  if (pattern.symmetry && height > 0) {
+    const [a, b] = pattern.symmetry;
+    parts.symmetry = clamp01(1 - Math.abs(a - b) / (height / 2));
+  }
+  if (pattern.necklinePoints && height > 0) {
+    const [a, b] = pattern.necklinePoints;
+    parts.neckline = clamp01(1 - Math.abs(a - b) / height);
+  }
+  if (atrValue > 0) {
+    parts.height = clamp01(height / atrValue / FULL_HEIGHT_ATR);
+  }
+
+  let total = 0;
+  let weights = 0;
+  Object.entries(parts).forEach(([key, value]) => {
+    if (value === null) return;
+    total += SCORE_WEIGHTS[key] * value;
+    weights += SCORE_WEIGHTS[key];
+  });
+
+  return {
+    score: weights ? Math.round((total / weights) * 100) : 0,
+    scoreParts: Object.fromEntries(
+      Object.entries(parts).map(([key, value]) => [key, value === null ? null : round2(value)])
+    ),
+  };
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  scorePattern,
+};
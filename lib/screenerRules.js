@@ -0,0 +1,352 @@
+const { TIMEFRAMES } = require('./timeframes');
+const { PATTERN_DETECTORS, detectPatternCandidates } = require('./patterns');
+const { detectTrendHTF } = require('./trend');
+const { TREND_STATES } = require('./confluence');
+const { STAGE } = require('./confirmation');
+const { ema, atrSeries, rsi, macd } = require('./indicators');
+const { badRequest } = require('./validation');
+
+// ============================
+// Screener rules
+// ============================
+
+// A screener rule picks pattern candidates and keeps those for which its
+// conditions hold. Unlike the built-in confluence rule it sees patterns in both
+// directions on any timeframe, whatever the HTF trends say:
+//   {
+//     "pattern": { "types": ["Inverse Head & Shoulders"], "timeframes": ["4h"] },
+//     "when": { "all": [
+//       { "left": { "indicator": "close", "timeframe": "1d" }, "op": ">",
+//         "right": { "indicator": "ema", "period": 50, "timeframe": "1d" } },
+//       { "not": { "trend": "1w", "is": "bearish" } }
+//     ] }
+//   }
+// `pattern` may also limit `directions`, `stages` (default forming and
+// confirmed) and `minScore`; its `timeframes` default to the symbol's pattern
+// timeframes. `when` is optional. Conditions are:
+//   { "all": [...] }, { "any": [...] }, { "not": {...} }
+//   { "trend": "<timeframe>", "is": state or [states] } where states are the
+//     trend states plus "aligned" / "opposed" (with / against the pattern)
+//   { "pattern": type or [types] or "any", "timeframe": ..., "directions"?, "stages"? }
+//     another pattern on that timeframe
+//   { "left": operand, "op": ">" | ">=" | "<" | "<=", "right": operand }
+// An operand is a number or { "indicator", "timeframe"?, "period"?, "barsAgo"? }.
+// Indicators are read on closed bars only: barsAgo 0 (the default) is the last
+// closed bar. The timeframe defaults to the pattern's.
+const INDICATORS = {
+  open: { period: false },
+  high: { period: false },
+  low: { period: false },
+  close: { period: false },
+  volume: { period: false },
+  ema: { period: 'required' },
+  rsi: { period: 'rsiPeriod' },
+  atr: { period: 'atrPeriod' },
+  macd: { period: false },
+  macdSignal: { period: false },
+  macdHistogram: { period: false },
+};
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+const TREND_IS = [...TREND_STATES, 'aligned', 'opposed'];
+const PATTERN_TYPES = PATTERN_DETECTORS.map((d) => d.type);
+const STAGES = Object.values(STAGE);
+const DIRECTIONS = ['bullish', 'bearish'];
+const DEFAULT_STAGES = [STAGE.FORMING, STAGE.CONFIRMED];
+const MAX_CONDITIONS = 50;
+const MAX_DEPTH = 8;
+const MAX_PERIOD = 500;
+const MAX_BARS_AGO = 100;
+
+// --- Validation. Every function throws with status 400 naming the bad part.
+
+const describe = (value) => JSON.stringify(value);
+
+function timeframeKey(value, where) {
+  const key = TIMEFRAMES.find((tf) => tf.key === value)?.key;
+  if (!key) {
+    throw badRequest(
+      `${where}: unknown timeframe ${describe(value)}, use one of ${TIMEFRAMES.map((tf) => tf.key).join(', ')}`
+    );
+  }
+  return key;
+}
+
+// A value or list of values from `allowed`, as a list
+function oneOrMore(value, allowed, where) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((v) => !allowed.includes(v))) {
+    throw badRequest(`${where} must be one or more of: ${allowed.join(', ')}`);
+  }
+  return [...new Set(list)];
+}
+
+function checkKeys(node, allowed, where) {
+  const unknown = Object.keys(node).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw badRequest(`${where}: unknown field "${unknown[0]}". Use: ${allowed.join(', ')}`);
+  }
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function normalizeOperand(input, where) {
+  if (typeof input === 'number' && Number.isFinite(input)) return input;
+  if (!isObject(input)) {
+    throw badRequest(`${where} must be a number or { "indicator": ... }`);
+  }
+  checkKeys(input, ['indicator', 'timeframe', 'period', 'barsAgo'], where);
+  if (!Object.hasOwn(INDICATORS, input.indicator)) {
+    throw badRequest(`${where}: unknown indicator ${describe(input.indicator)}, use one of ${Object.keys(INDICATORS).join(', ')}`);
+  }
+  const spec = INDICATORS[input.indicator];
+  const operand = { indicator: input.indicator };
+  if (input.timeframe !== undefined) operand.timeframe = timeframeKey(input.timeframe, where);
+  if (input.period !== undefined) {
+    if (!spec.period) throw badRequest(`${where}: ${input.indicator} takes no period`);
+    if (!(Number.isInteger(input.period) && input.period >= 1 && input.period <= MAX_PERIOD)) {
+      throw badRequest(`${where}: period must be an integer in [1, ${MAX_PERIOD}]`);
+    }
+    operand.period = input.period;
+  } else if (spec.period === 'required') {
+    throw badRequest(`${where}: ${input.indicator} needs a period`);
+  }
+  if (input.barsAgo !== undefined) {
+    if (!(Number.isInteger(input.barsAgo) && input.barsAgo >= 0 && input.barsAgo <= MAX_BARS_AGO)) {
+      throw badRequest(`${where}: barsAgo must be an integer in [0, ${MAX_BARS_AGO}]`);
+    }
+    operand.barsAgo = input.barsAgo;
+  }
+  return operand;
+}
+
+function normalizeCondition(input, where, counter, depth) {
+  counter.count += 1;
+  if (counter.count > MAX_CONDITIONS) throw badRequest(`A rule may have at most ${MAX_CONDITIONS} conditions`);
+  if (depth > MAX_DEPTH) throw badRequest(`${where}: conditions nest deeper than ${MAX_DEPTH} levels`);
+  if (!isObject(input)) throw badRequest(`${where} must be an object`);
+
+  if ('all' in input || 'any' in input) {
+    const op = 'all' in input ? 'all' : 'any';
+    checkKeys(input, [op], where);
+    if (!Array.isArray(input[op]) || input[op].length === 0) {
+      throw badRequest(`${where}.${op} must be a non-empty array of conditions`);
+    }
+    return {
+      [op]: input[op].map((c, i) => normalizeCondition(c, `${where}.${op}[${i}]`, counter, depth + 1)),
+    };
+  }
+  if ('not' in input) {
+    checkKeys(input, ['not'], where);
+    return { not: normalizeCondition(input.not, `${where}.not`, counter, depth + 1) };
+  }
+  if ('trend' in input) {
+    checkKeys(input, ['trend', 'is'], where);
+    return {
+      trend: timeframeKey(input.trend, where),
+      is: oneOrMore(input.is, TREND_IS, `${where}.is`),
+    };
+  }
+  if ('pattern' in input) {
+    checkKeys(input, ['pattern', 'timeframe', 'directions', 'stages'], where);
+    const condition = {
+      pattern: input.pattern === 'any' ? 'any' : oneOrMore(input.pattern, PATTERN_TYPES, `${where}.pattern`),
+      timeframe: timeframeKey(input.timeframe, where),
+      stages: input.stages === undefined ? DEFAULT_STAGES : oneOrMore(input.stages, STAGES, `${where}.stages`),
+    };
+    if (input.directions !== undefined) {
+      condition.directions = oneOrMore(input.directions, DIRECTIONS, `${where}.directions`);
+    }
+    return condition;
+  }
+  if ('left' in input) {
+    checkKeys(input, ['left', 'op', 'right'], where);
+    if (!Object.hasOwn(OPERATORS, input.op)) {
+      throw badRequest(`${where}.op must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    return {
+      left: normalizeOperand(input.left, `${where}.left`),
+      op: input.op,
+      right: normalizeOperand(input.right, `${where}.right`),
+    };
+  }
+  throw badRequest(`${where} must have one of: all, any, not, trend, pattern, left`);
+}
+
+function normalizeSelector(input = {}) {
+  if (!isObject(input)) throw badRequest('pattern must be an object');
+  checkKeys(input, ['types', 'timeframes', 'directions', 'stages', 'minScore'], 'pattern');
+  const selector = {
+    stages: input.stages === undefined ? DEFAULT_STAGES : oneOrMore(input.stages, STAGES, 'pattern.stages'),
+  };
+  if (input.types !== undefined) selector.types = oneOrMore(input.types, PATTERN_TYPES, 'pattern.types');
+  if (input.timeframes !== undefined) {
+    if (!Array.isArray(input.timeframes) || input.timeframes.length === 0) {
+      throw badRequest('pattern.timeframes must be a non-empty array');
+    }
+    selector.timeframes = [...new Set(input.timeframes.map((tf) => timeframeKey(tf, 'pattern.timeframes')))];
+  }
+  if (input.directions !== undefined) {
+    selector.directions = oneOrMore(input.directions, DIRECTIONS, 'pattern.directions');
+  }
+  if (input.minScore !== undefined) {
+    if (!(typeof input.minScore === 'number' && input.minScore >= 0 && input.minScore <= 100)) {
+      throw badRequest('pattern.minScore must be a number in [0, 100]');
+    }
+    selector.minScore = input.minScore;
+  }
+  return selector;
+}
+
+// { pattern, when? } with defaults filled in
+function normalizeRuleLogic(input) {
+  const logic = { pattern: normalizeSelector(input.pattern) };
+  if (input.when !== undefined && input.when !== null) {
+    logic.when = normalizeCondition(input.when, 'when', { count: 0 }, 1);
+  }
+  return logic;
+}
+
+// Timeframe keys a rule reads, given the symbol's pattern timeframes
+function ruleTimeframes(rule, patternKeys) {
+  const selected = rule.pattern.timeframes || patternKeys;
+  const keys = new Set(selected);
+  const visit = (node) => {
+    if (node.all || node.any) (node.all || node.any).forEach(visit);
+    else if (node.not) visit(node.not);
+    else if (node.trend) keys.add(node.trend);
+    else if (node.pattern) keys.add(node.timeframe);
+    else {
+      [node.left, node.right].forEach((operand) => {
+        if (operand.timeframe) keys.add(operand.timeframe);
+      });
+    }
+  };
+  if (rule.when) visit(rule.when);
+  return [...keys];
+}
+
+// --- Evaluation
+
+// What rules read from one scan of one symbol. `series` maps timeframe keys to
+// candles (the last bar may be forming) and must hold every timeframe the
+// rules read; `trends` holds the HTF trends the scan already computed. Trends,
+// candidates and indicator series of other timeframes are computed on first use.
+function createRuleContext({ series, trends, config }) {
+  const cache = new Map();
+  const memo = (key, compute) => {
+    if (!cache.has(key)) cache.set(key, compute());
+    return cache.get(key);
+  };
+
+  const candlesOf = (tf) => series[tf] || [];
+  const closedOf = (tf) => memo(`closed|${tf}`, () => candlesOf(tf).slice(0, -1));
+
+  function trend(tf) {
+    return trends[tf] || memo(`trend|${tf}`, () => detectTrendHTF(candlesOf(tf), config));
+  }
+
+  // Candidates in both directions, best score first
+  function candidates(tf) {
+    return memo(`patterns|${tf}`, () =>
+      candlesOf(tf).length > 0
+        ? detectPatternCandidates(candlesOf(tf), tf, trends, config, DIRECTIONS)
+        : []
+    );
+  }
+
+  function indicatorSeries(tf, indicator, period) {
+    return memo(`${tf}|${indicator}|${period}`, () => {
+      const closed = closedOf(tf);
+      const closes = closed.map((c) => c.close);
+      const pad = (values) => [...new Array(closed.length - values.length).fill(null), ...values];
+      switch (indicator) {
+        case 'ema':
+          return pad(ema(closes, period));
+        case 'rsi':
+          return rsi(closes, period);
+        case 'atr':
+          return atrSeries(closed, period);
+        case 'macd':
+        case 'macdSignal':
+        case 'macdHistogram': {
+          const lines = macd(closes, config.macdFast, config.macdSlow, config.macdSignal);
+          return { macd: lines.macd, macdSignal: lines.signal, macdHistogram: lines.histogram }[indicator];
+        }
+        default:
+          return closed.map((c) => c[indicator]);
+      }
+    });
+  }
+
+  // Operand value, or null when the series is too short
+  function value(operand, candidate) {
+    if (typeof operand === 'number') return operand;
+    const tf = operand.timeframe || candidate.timeframe;
+    const spec = INDICATORS[operand.indicator];
+    const period = operand.period ?? (spec.period ? config[spec.period] : null);
+    const values = indicatorSeries(tf, operand.indicator, period);
+    const v = values[values.length - 1 - (operand.barsAgo || 0)];
+    return Number.isFinite(v) ? v : null;
+  }
+
+  return { trend, candidates, value };
+}
+
+function evaluateCondition(node, candidate, context) {
+  if (node.all) return node.all.every((c) => evaluateCondition(c, candidate, context));
+  if (node.any) return node.any.some((c) => evaluateCondition(c, candidate, context));
+  if (node.not) return !evaluateCondition(node.not, candidate, context);
+  if (node.trend) {
+    const actual = context.trend(node.trend).trend;
+    return node.is.some((wanted) => {
+      if (wanted === 'aligned') return actual === candidate.direction;
+      if (wanted === 'opposed') return DIRECTIONS.includes(actual) && actual !== candidate.direction;
+      return actual === wanted;
+    });
+  }
+  if (node.pattern) {
+    return context
+      .candidates(node.timeframe)
+      .some(
+        (c) =>
+          (node.pattern === 'any' || node.pattern.includes(c.pattern)) &&
+          node.stages.includes(c.stage) &&
+          (!node.directions || node.directions.includes(c.direction))
+      );
+  }
+  const left = context.value(node.left, candidate);
+  const right = context.value(node.right, candidate);
+  return left !== null && right !== null && OPERATORS[node.op](left, right);
+}
+
+// Candidates of `rule` on the scan behind `context`, best score first.
+// `patternKeys` are the symbol's pattern timeframes.
+function matchRule(rule, context, patternKeys) {
+  const { pattern: selector, when } = rule;
+  return (selector.timeframes || patternKeys)
+    .flatMap((tf) => context.candidates(tf))
+    .filter(
+      (c) =>
+        (!selector.types || selector.types.includes(c.pattern)) &&
+        (!selector.directions || selector.directions.includes(c.direction)) &&
+        selector.stages.includes(c.stage) &&
+        (selector.minScore === undefined || c.score >= selector.minScore) &&
+        (!when || evaluateCondition(when, c, context))
+    )
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  INDICATORS,
+  normalizeRuleLogic,
+  ruleTimeframes,
+  createRuleContext,
+  matchRule,
+};
@@ -0,0 +1,199 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { normalizeRuleLogic } = require('./screenerRules');
+const { SYMBOL_RE, httpError, badRequest } = require('./validation');
+const { createJsonFile } = require('./jsonFile');
+
+// ============================
+// Screener rules storage
+// ============================
+
+// A screener is { owner, name, enabled, symbols?, pattern, when? }: a rule in the
+// format of lib/screenerRules.js that runs on every scan of a symbol its owner
+// watches or scans. `symbols` limits it to some of those symbols. Names are
+// unique per owner.
+const MAX_SCREENERS = 50;
+
+function normalizeScreener(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw badRequest('A screener rule must be a JSON object');
+  }
+  const unknown = Object.keys(input).filter(
+    (key) => !['owner', 'name', 'enabled', 'symbols', 'pattern', 'when'].includes(key)
+  );
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown field "${unknown[0]}". Use: name, enabled, symbols, pattern, when`);
+  }
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 64) {
+    throw badRequest('name is required (max 64 characters)');
+  }
+
+  const screener = { name, enabled: input.enabled !== false };
+  if (input.symbols !== undefined && input.symbols !== null) {
+    if (!Array.isArray(input.symbols) || input.symbols.length === 0) {
+      throw badRequest('symbols must be a non-empty array, or left out for every symbol');
+    }
+    screener.symbols = [
+      ...new Set(
+        input.symbols.map((symbol) => {
+          const normalized = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+          if (!SYMBOL_RE.test(normalized)) throw badRequest(`Invalid symbol "${symbol}"`);
+          return normalized;
+        })
+      ),
+    ];
+  }
+  return { ...screener, ...normalizeRuleLogic(input) };
+}
+
+// --- Stores: list(owner?), get(owner, name), save(owner, screener, previousName?)
+// and remove(owner, name). list() without an owner returns every rule.
+
+const screenerSchema = new mongoose.Schema(
+  {
+    owner: { type: String, required: true },
+    name: { type: String, required: true },
+    enabled: { type: Boolean, default: true },
+    symbols: { type: [String], default: undefined },
+    pattern: mongoose.Schema.Types.Mixed,
+    when: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  },
+  { timestamps: true }
+);
+screenerSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+const Screener = mongoose.models.Screener || mongoose.model('Screener', screenerSchema);
+
+function toPlain(doc) {
+  const screener = {
+    owner: doc.owner,
+    name: doc.name,
+    enabled: doc.enabled,
+    symbols: doc.symbols,
+    pattern: doc.pattern,
+    when: doc.when,
+  };
+  if (!screener.symbols) delete screener.symbols;
+  if (!screener.when) delete screener.when;
+  return screener;
+}
+
+function createMongoStore() {
+  return {
+    async list(owner) {
+      const filter = owner ? { owner } : {};
+      return (await Screener.find(filter).sort({ createdAt: 1 }).lean()).map(toPlain);
+    },
+    async get(owner, name) {
+      const doc = await Screener.findOne({ owner, name }).lean();
+      return doc ? toPlain(doc) : null;
+    },
+    async save(owner, screener, previousName = screener.name) {
+      // Fields left out of the new version are cleared
+      const update = { ...screener, owner };
+      const cleared = ['symbols', 'when'].filter((field) => !screener[field]);
+      if (cleared.length > 0) update.$unset = Object.fromEntries(cleared.map((f) => [f, 1]));
+      await Screener.findOneAndUpdate({ owner, name: previousName }, update, { upsert: true });
+    },
+    async remove(owner, name) {
+      return (await Screener.deleteOne({ owner, name })).deletedCount > 0;
+    },
+  };
+}
+
+function createFileStore(file) {
+  const { read: readAll, update } = createJsonFile(file, { empty: () => [] });
+  const isScreener = (owner, name) => (s) => s.owner === owner && s.name === name;
+
+  return {
+    async list(owner) {
+      const screeners = await readAll();
+      return owner ? screeners.filter((s) => s.owner === owner) : screeners;
+    },
+    async get(owner, name) {
+      return (await readAll()).find(isScreener(owner, name)) || null;
+    },
+    async save(owner, screener, previousName = screener.name) {
+      await update((screeners) => {
+        const idx = screeners.findIndex(isScreener(owner, previousName));
+        if (idx === -1) screeners.push({ owner, ...screener });
+        else screeners[idx] = { owner, ...screener };
+      });
+    },
+    async remove(owner, name) {
+      return update((screeners) => {
+        const idx = screeners.findIndex(isScreener(owner, name));
+        if (idx !== -1) screeners.splice(idx, 1);
+        return idx !== -1;
+      });
+    },
+  };
+}
+
+const store = process.env.MONGODB_URI
+  ? createMongoStore()
+  : createFileStore(
+      process.env.SCREENERS_FILE || path.join(__dirname, '..', '.data', 'screeners.json')
+    );
+
+// --- Operations used by the API. Each throws an error with status 400/404/409 on bad input.
+
+function notFound(name) {
+  return httpError(404, `Screener rule "${name}" not found`);
+}
+
+function conflict(name) {
+  return httpError(409, `Screener rule "${name}" already exists`);
+}
+
+// Every user's rules without an owner; for the API always pass one
+async function listScreeners(owner) {
+  return store.list(owner);
+}
+
+async function getScreener(owner, name) {
+  const screener = await store.get(owner, name);
+  if (!screener) throw notFound(name);
+  return screener;
+}
+
+async function createScreener(owner, input) {
+  const screener = normalizeScreener(input);
+  if (await store.get(owner, screener.name)) throw conflict(screener.name);
+  if ((await store.list(owner)).length >= MAX_SCREENERS) {
+    throw badRequest(`A user may have at most ${MAX_SCREENERS} screener rules`);
+  }
+  await store.save(owner, screener);
+  return { owner, ...screener };
+}
+
+// Replaces a rule; `input.name` may rename it. Fields left out are cleared,
+// except the name.
+async function updateScreener(owner, name, input) {
+  await getScreener(owner, name);
+  const screener = normalizeScreener({ name, ...input });
+  if (screener.name !== name && (await store.get(owner, screener.name))) {
+    throw conflict(screener.name);
+  }
+  await store.save(owner, screener, name);
+  return { owner, ...screener };
+}
+
+async function deleteScreener(owner, name) {
+  if (!(await store.remove(owner, name))) throw notFound(name);
+}
+
+// Enabled rules of every user, for the scanner
+async function loadEnabledScreeners() {
+  return (await store.list()).filter((s) => s.enabled !== false);
+}
+
+module.exports = {
+  listScreeners,
+  getScreener,
+  createScreener,
+  updateScreener,
+  deleteScreener,
+  loadEnabledScreeners,
+};
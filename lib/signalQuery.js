@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { STATUS } = require('./lifecycle');
+const { TIMEFRAMES } = require('./timeframes');
+const { PATTERN_DETECTORS } = require('./patterns');
+const { TREND_STATES } = require('./confluence');
+const { OUTCOME_HORIZONS, trendCombination } = require('./outcomes');
+const { parseSymbol, badRequest } = require('./validation');
+
+// ============================
+// Signal history queries
+// ============================
+
+// Newest first; _id breaks ties so cursors never skip or repeat a record
+const SIGNAL_SORT = { createdAt: -1, _id: -1 };
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+// Query parameters of the history endpoints, and those that may repeat
+const SIGNAL_QUERY_PARAMS = [
+  'symbol',
+  'direction',
+  'pattern',
+  'timeframe',
+  'status',
+  'trend',
+  'rule',
+  'from',
+  'to',
+  'limit',
+  'cursor',
+];
+const SIGNAL_LIST_PARAMS = [
+  'symbol',
+  'direction',
+  'pattern',
+  'timeframe',
+  'status',
+  'trend',
+  'rule',
+];
+
+// "a,b" or ?x=a&x=b -> ['a', 'b']
+function listParam(value) {
+  if (value === undefined || value === '') return null;
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function checkList(name, values, allowed) {
+  const unknown = values.filter((v) => !allowed.includes(v));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown ${name} "${unknown[0]}". Use one of: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+function dateParam(name, value) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be an ISO date, e.g. 2024-05-01 or 2024-05-01T12:00:00Z`);
+  }
+  return date;
+}
+
+function encodeCursor(doc) {
+  return Buffer.from(`${doc.createdAt.toISOString()}|${doc._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const createdAt = new Date(time);
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    throw badRequest('Invalid cursor');
+  }
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+}
+
+// HTF trend terms like "1w:bullish". Records stored before timeframe profiles
+// only carry dayTrend / weekTrend, so 1d / 1w also match those.
+function trendFilter(term) {
+  const [key, trend] = term.split(':');
+  checkList('trend timeframe', [key], TIMEFRAMES.map((tf) => tf.key));
+  if (!TREND_STATES.includes(trend)) {
+    throw badRequest(`trend must look like 1w:bullish (trends: ${TREND_STATES.join(', ')})`);
+  }
+  const legacy = { '1d': 'dayTrend', '1w': 'weekTrend' }[key];
+  const match = [{ [`htfTrends.${key}`]: trend }];
+  if (legacy) match.push({ [legacy]: trend, htfTrends: { $exists: false } });
+  return { $or: match };
+}
+
+// Validates the history query parameters and builds the MongoDB filter:
+//   symbol, direction, pattern, timeframe, status  comma-separated lists
+//   trend      HTF trend terms, all of which must match, e.g. 1w:bullish,1d:bullish
+//   rule       names of `owner`'s screener rules, any of which matched the signal
+//   from, to   createdAt range (ISO dates, inclusive)
+//   limit      1-500, default 50 (ignored by exports)
+//   cursor     nextCursor of the previous page
+// Throws with status 400. Returns { filter, limit }.
+function parseSignalQuery(query = {}, owner = undefined) {
+  const and = [];
+  const symbols = listParam(query.symbol);
+  if (symbols) and.push({ symbol: { $in: symbols.map((s) => parseSymbol(s)) } });
+
+  const directions = listParam(query.direction);
+  if (directions) {
+    and.push({ direction: { $in: checkList('direction', directions, ['bullish', 'bearish']) } });
+  }
+  const patterns = listParam(query.pattern);
+  if (patterns) {
+    const known = PATTERN_DETECTORS.map((d) => d.type);
+    and.push({ pattern: { $in: checkList('pattern', patterns, known) } });
+  }
+  const timeframes = listParam(query.timeframe);
+  if (timeframes) {
+    const known = TIMEFRAMES.map((tf) => tf.key);
+    and.push({ timeframe: { $in: checkList('timeframe', timeframes, known) } });
+  }
+  const statuses = listParam(query.status);
+  if (statuses) {
+    and.push({ status: { $in: checkList('status', statuses, Object.values(STATUS)) } });
+  }
+  (listParam(query.trend) || []).forEach((term) => and.push(trendFilter(term)));
+  const rules = listParam(query.rule);
+  if (rules) and.push({ rules: { $elemMatch: { owner, name: { $in: rules } } } });
+
+  const from = dateParam('from', query.from);
+  const to = dateParam('to', query.to);
+  if (from && to && from > to) throw badRequest('from must not be after to');
+  if (from || to) {
+    and.push({ createdAt: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } });
+  }
+
+  if (query.cursor) {
+    const { createdAt, _id } = decodeCursor(query.cursor);
+    and.push({ $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }] });
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT)) {
+      throw badRequest(`limit must be an integer in [1, ${MAX_LIMIT}]`);
+    }
+  }
+
+  return { filter: and.length ? { $and: and } : {}, limit };
+}
+
+// --- CSV export
+
+const CSV_COLUMNS = [
+  ['createdAt', (s) => s.createdAt?.toISOString()],
+  ['symbol', (s) => s.symbol],
+  ['direction', (s) => s.direction],
+  ['pattern', (s) => s.pattern],
+  ['timeframe', (s) => s.timeframe],
+  ['profile', (s) => s.profile],
+  ['htfTrends', trendCombination],
+  // Rule names, for records whose rules were narrowed to the reader's (see server.js)
+  ['rules', (s) => s.rules?.join('; ')],
+  ['score', (s) => s.score],
+  ['stage', (s) => s.stage],
+  ['status', (s) => s.status],
+  ['price', (s) => s.price],
+  ['patternFrom', (s) => s.patternFrom?.toISOString()],
+  ['patternTo', (s) => s.patternTo?.toISOString()],
+  ['neckline', (s) => s.neckline],
+  ['invalidation', (s) => s.invalidation],
+  ['target', (s) => s.target],
+  ['entry', (s) => s.plan?.entry],
+  ['stop', (s) => s.plan?.stop],
+  ['target1', (s) => s.plan?.targets?.[0]?.price],
+  ['rr1', (s) => s.plan?.targets?.[0]?.rr],
+  ['size', (s) => s.plan?.size],
+  ['breakoutAt', (s) => s.breakout?.breakoutAt],
+  ['statusChangedAt', (s) => s.statusHistory?.[s.statusHistory.length - 1]?.at?.toISOString()],
+  ['lastSeenAt', (s) => s.lastSeenAt?.toISOString()],
+  ['outcome', (s) => s.outcome?.result],
+  ['mfePct', (s) => s.outcome?.mfePct],
+  ['maePct', (s) => s.outcome?.maePct],
+  ...OUTCOME_HORIZONS.map((bars) => [`return${bars}`, (s) => s.outcome?.returns?.[bars]]),
+];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_HEADER = `${CSV_COLUMNS.map(([name]) => name).join(',')}\n`;
+
+// One CSV line for a (lean) signal record
+function signalToCsv(signal) {
+  return `${CSV_COLUMNS.map(([, get]) => csvCell(get(signal))).join(',')}\n`;
+}
+
+module.exports = {
+  SIGNAL_SORT,
+  SIGNAL_QUERY_PARAMS,
+  SIGNAL_LIST_PARAMS,
+  CSV_HEADER,
+  parseSignalQuery,
+  encodeCursor,
+  signalToCsv,
+};
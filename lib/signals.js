@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { STATUS, OPEN_STATUSES, evaluateLifecycle } = require('./lifecycle');
+const { evaluateOutcome } = require('./outcomes');
+const { logger } = require('./logger');
+
+// ============================
+// Stored signals
+// ============================
+
+// One record per symbol + pattern + timeframe + pattern window + scan settings.
+// Later scans that still see the same pattern only bump lastSeenAt; the
+// lifecycle moves it on. `settingsKey` identifies the settings the pattern was
+// found with (see scanSettingsKey), so users scanning with different settings
+// never share a record.
+// `owners` are the ids of the users who see it: those watching the symbol and
+// those who scanned it themselves. `rules` are the screener rules that matched
+// it (see lib/screenerRules.js), by owner and rule name.
+const signalSchema = new mongoose.Schema(
+  {
+    owners: { type: [String], default: undefined },
+    settingsKey: String,
+    rules: { type: [{ _id: false, owner: String, name: String }], default: undefined },
+    symbol: String,
+    direction: String,
+    pattern: String,
+    timeframe: String,
+    // Timeframe profile of the scan and its HTF trends by timeframe key
+    profile: String,
+    htfTrends: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    dayTrend: String,
+    weekTrend: String,
+    price: Number,
+    patternFrom: Date,
+    patternTo: Date,
+    neckline: Number,
+    necklineLine: { type: [{ _id: false, time: Date, price: Number }], default: undefined },
+    invalidation: Number,
+    target: Number,
+    score: Number,
+    plan: {
+      entry: Number,
+      stop: Number,
+      targets: [{ _id: false, price: Number, rr: Number }],
+      riskPerUnit: Number,
+      accountSize: Number,
+      riskPercent: Number,
+      riskAmount: Number,
+      size: Number,
+      notional: Number,
+    },
+    scoreParts: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // Neckline-break stage at the last sighting (see lib/confirmation.js)
+    stage: String,
+    breakout: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // Rules the stage was worked out with; the lifecycle confirms by the same ones
+    breakoutRules: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // RSI / MACD divergence and volume readings at the last sighting (see lib/factors.js)
+    divergence: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    volume: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    status: { type: String, enum: Object.values(STATUS), default: STATUS.DETECTED },
+    statusHistory: [{ _id: false, status: String, at: Date }],
+    lastSeenAt: Date,
+    // What price did after detection (see lib/outcomes.js)
+    outcome: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  },
+  { timestamps: true }
+);
+signalSchema.index(
+  {
+    symbol: 1,
+    pattern: 1,
+    timeframe: 1,
+    direction: 1,
+    patternFrom: 1,
+    patternTo: 1,
+    settingsKey: 1,
+  },
+  { unique: true }
+);
+signalSchema.index({ symbol: 1, status: 1 });
+// History queries page newest first, within one user's signals
+signalSchema.index({ owners: 1, createdAt: -1, _id: -1 });
+
+const Signal = mongoose.models.Signal || mongoose.model('Signal', signalSchema);
+
+// Short hash of what a scan's candidates depend on: { profile, config, sizing }
+function scanSettingsKey(settings) {
+  return crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex').slice(0, 12);
+}
+
+// Inserts the signal or bumps lastSeenAt on the existing record. The quality
+// score, breakout stage and divergence / volume readings are refreshed on every
+// sighting, since they change as the pattern ages.
+// `htfTrends` maps HTF keys to trends; 1d / 1w also fill dayTrend / weekTrend.
+// `owners` and `rules` are added to the record's. Resolves to { doc, created }.
+async function recordSignal(
+  symbol,
+  signal,
+  { settingsKey, profile, htfTrends = {}, price, owners = [], rules = [] }
+) {
+  const now = new Date();
+  const key = {
+    symbol,
+    pattern: signal.pattern,
+    timeframe: signal.timeframe,
+    direction: signal.direction,
+    patternFrom: signal.from,
+    patternTo: signal.to,
+    settingsKey,
+  };
+  const update = {
+    $set: {
+      lastSeenAt: now,
+      score: signal.score,
+      scoreParts: signal.scoreParts,
+      stage: signal.stage,
+      breakout: signal.breakout,
+      divergence: signal.divergence,
+      volume: signal.volume,
+    },
+    $addToSet: { owners: { $each: owners }, rules: { $each: rules } },
+    $setOnInsert: {
+      profile,
+      htfTrends,
+      dayTrend: htfTrends['1d'],
+      weekTrend: htfTrends['1w'],
+      price,
+      neckline: signal.levels?.neckline,
+      necklineLine: signal.levels?.necklineLine,
+      invalidation: signal.levels?.invalidation,
+      target: signal.levels?.target,
+      plan: signal.plan || undefined,
+      breakoutRules: signal.breakoutRules,
+      status: STATUS.DETECTED,
+      statusHistory: [{ status: STATUS.DETECTED, at: now }],
+    },
+  };
+
+  try {
+    const res = await Signal.findOneAndUpdate(key, update, {
+      upsert: true,
+      new: true,
+      includeResultMetadata: true,
+    });
+    return { doc: res.value, created: !res.lastErrorObject?.updatedExisting };
+  } catch (err) {
+    // Two scans raced to insert the same window; the other one won
+    if (err.code !== 11000) throw err;
+    await Signal.updateOne(key, { $set: update.$set, $addToSet: update.$addToSet });
+    return { doc: await Signal.findOne(key), created: false };
+  }
+}
+
+// Moves every open signal of `symbol` through its lifecycle using the latest
+// candles per timeframe key. Resolves to the records whose status changed.
+async function updateOpenSignals(symbol, candlesByTimeframe) {
+  const open = await Signal.find({ symbol, status: { $in: OPEN_STATUSES } });
+  const changed = [];
+
+  for (const doc of open) {
+    const candles = candlesByTimeframe[doc.timeframe];
+    // Records stored before levels existed cannot be evaluated
+    if (!candles || candles.length < 2 || doc.neckline == null) continue;
+
+    // The last bar may still be forming; only closed bars move the lifecycle,
+    // so replaying the same history always yields the same transitions.
+    const closed = candles.slice(0, -1);
+    let transitions;
+    if (closed[0].time > doc.patternTo) {
+      // The pattern has scrolled out of the fetched window without resolving
+      transitions = [{ status: STATUS.EXPIRED, at: closed[closed.length - 1].time }];
+    } else {
+      const replayed = evaluateLifecycle(
+        {
+          direction: doc.direction,
+          patternTo: doc.patternTo,
+          levels: {
+            neckline: doc.neckline,
+            necklineLine: doc.necklineLine?.length ? doc.necklineLine : undefined,
+            invalidation: doc.invalidation,
+            target: doc.target,
+          },
+        },
+        closed,
+        doc.breakoutRules || undefined
+      );
+      // Replayed transitions carry the time of their bar and are new after the
+      // newest recorded one. `detected` carries the scan time and never comes
+      // out of the replay, so it does not count.
+      const last = doc.statusHistory.filter((t) => t.status !== STATUS.DETECTED).at(-1);
+      transitions = last ? replayed.filter((t) => t.at > last.at) : replayed;
+      while (transitions[0]?.status === doc.status) transitions.shift();
+    }
+    if (transitions.length === 0) continue;
+
+    doc.statusHistory.push(...transitions);
+    doc.status = transitions[transitions.length - 1].status;
+    await doc.save();
+    changed.push(doc);
+  }
+
+  return changed;
+}
+
+// Re-evaluates the outcome of every signal still being tracked.
+// `loadCandles(symbol, timeframe)` resolves to that timeframe's latest candles;
+// a series that fails to load is skipped until the next run. Resolves to the
+// records whose outcome changed.
+async function updateSignalOutcomes(loadCandles) {
+  const tracked = await Signal.find({ 'outcome.complete': { $ne: true }, price: { $gt: 0 } });
+  const groups = {};
+  tracked.forEach((doc) => {
+    const key = `${doc.symbol}|${doc.timeframe}`;
+    (groups[key] = groups[key] || []).push(doc);
+  });
+
+  const changed = [];
+  for (const docs of Object.values(groups)) {
+    const { symbol, timeframe } = docs[0];
+    let candles;
+    try {
+      // The last bar may still be forming
+      candles = (await loadCandles(symbol, timeframe)).slice(0, -1);
+    } catch (err) {
+      logger.warn('Outcome tracking: no candles', { symbol, timeframe, error: err });
+      continue;
+    }
+    if (candles.length === 0) continue;
+
+    for (const doc of docs) {
+      let outcome = evaluateOutcome(doc, candles);
+      if (!outcome) {
+        // The candles no longer reach back to the detection: freeze what we have
+        outcome = { ...(doc.outcome || { result: 'untracked' }), complete: true };
+        outcome.updatedAt = new Date();
+      }
+      if (doc.outcome && doc.outcome.barsTracked === outcome.barsTracked && !outcome.complete) {
+        continue;
+      }
+      doc.outcome = outcome;
+      await doc.save();
+      changed.push(doc);
+    }
+  }
+
+  return changed;
+}
+
+// Gives signals stored before users existed to `owner`
+async function claimSignals(owner) {
+  return (await Signal.updateMany({ owners: { $exists: false } }, { $set: { owners: [owner] } }))
+    .modifiedCount;
+}
+
+module.exports = {
+  Signal,
+  scanSettingsKey,
+  recordSignal,
+  claimSignals,
+  updateOpenSignals,
+  updateSignalOutcomes,
+};
@@ -0,0 +1,145 @@
+const { badRequest } = require('./validation');
+
+// ============================
+// Timeframes
+// ============================
+
+// Every timeframe the scanner can use. `key` is what the API, watchlists and
+// confluence rules use, `interval` what providers are asked for, `label` what the UI shows.
+const TIMEFRAMES = [
+  { key: '15m', interval: '15min', label: '15m' },
+  { key: '30m', interval: '30min', label: '30m' },
+  { key: '1h', interval: '1h', label: '1h' },
+  { key: '4h', interval: '4h', label: '4h' },
+  { key: '1d', interval: '1day', label: '1D' },
+  { key: '1w', interval: '1week', label: '1W' },
+  { key: '1mo', interval: '1month', label: '1M' },
+];
+
+// A profile names the timeframes patterns are searched on and the higher
+// timeframes (HTF) whose trends must confirm them, shortest first.
+const BUILT_IN_PROFILES = {
+  standard: { patterns: ['1h', '4h'], htf: ['1d', '1w'] },
+  intraday: { patterns: ['15m', '30m'], htf: ['4h', '1d'] },
+  swing: { patterns: ['1d'], htf: ['1w', '1mo'] },
+  position: { patterns: ['1w'], htf: ['1mo'] },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Bar length per Twelve Data interval, used to work out when a bar has closed
+const INTERVAL_MS = {
+  '1min': MINUTE_MS,
+  '5min': 5 * MINUTE_MS,
+  '15min': 15 * MINUTE_MS,
+  '30min': 30 * MINUTE_MS,
+  '45min': 45 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '2h': 120 * MINUTE_MS,
+  '4h': 240 * MINUTE_MS,
+  '1day': 1440 * MINUTE_MS,
+  '1week': 7 * 1440 * MINUTE_MS,
+  '1month': 30 * 1440 * MINUTE_MS,
+};
+
+function intervalToMs(interval) {
+  const ms = INTERVAL_MS[interval];
+  if (!ms) throw new Error(`Unsupported interval "${interval}"`);
+  return ms;
+}
+
+// Weekly bars open on Monday 00:00 UTC (1970-01-05, four days after the epoch)
+const WEEK_OFFSET_MS = 4 * 1440 * MINUTE_MS;
+
+// Open time of the bar of `interval` that `time` falls in (UTC)
+function barStart(time, interval) {
+  const t = time.getTime();
+  if (interval === '1month') {
+    return new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), 1));
+  }
+  const ms = intervalToMs(interval);
+  const offset = interval === '1week' ? WEEK_OFFSET_MS : 0;
+  return new Date(Math.floor((t - offset) / ms) * ms + offset);
+}
+
+// Timeframe by key or provider interval, e.g. '1d' or '1day'
+function findTimeframe(keyOrInterval) {
+  return TIMEFRAMES.find((tf) => tf.key === keyOrInterval || tf.interval === keyOrInterval);
+}
+
+function checkProfile(name, profile) {
+  const keys = TIMEFRAMES.map((tf) => tf.key);
+  const checkList = (field, max) => {
+    const list = profile?.[field];
+    if (
+      !Array.isArray(list) ||
+      list.length === 0 ||
+      list.length > max ||
+      list.some((key) => !keys.includes(key)) ||
+      new Set(list).size !== list.length
+    ) {
+      throw new Error(
+        `Timeframe profile "${name}": ${field} must list 1-${max} distinct timeframes from ${keys.join(', ')}`
+      );
+    }
+  };
+  checkList('patterns', 4);
+  checkList('htf', 3);
+  const lengthOf = (key) => intervalToMs(findTimeframe(key).interval);
+  const longestPattern = Math.max(...profile.patterns.map(lengthOf));
+  if (profile.htf.some((key) => lengthOf(key) <= longestPattern)) {
+    throw new Error(
+      `Timeframe profile "${name}": every htf timeframe must be longer than the pattern timeframes`
+    );
+  }
+  return { patterns: [...profile.patterns], htf: [...profile.htf] };
+}
+
+// Built-in profiles plus TIMEFRAME_PROFILES (JSON, e.g. {"scalp":{"patterns":["15m"],"htf":["1h","4h"]}})
+function loadProfiles() {
+  if (!process.env.TIMEFRAME_PROFILES) return BUILT_IN_PROFILES;
+  let extra;
+  try {
+    extra = JSON.parse(process.env.TIMEFRAME_PROFILES);
+  } catch (err) {
+    throw new Error(`Invalid TIMEFRAME_PROFILES (expected a JSON object): ${err.message}`);
+  }
+  const profiles = { ...BUILT_IN_PROFILES };
+  Object.entries(extra).forEach(([name, profile]) => {
+    profiles[name] = checkProfile(name, profile);
+  });
+  return profiles;
+}
+
+const TIMEFRAME_PROFILES = loadProfiles();
+const DEFAULT_PROFILE = process.env.TIMEFRAME_PROFILE || 'standard';
+if (!Object.hasOwn(TIMEFRAME_PROFILES, DEFAULT_PROFILE)) {
+  throw new Error(
+    `Unknown TIMEFRAME_PROFILE "${DEFAULT_PROFILE}". Use one of: ${Object.keys(TIMEFRAME_PROFILES).join(', ')}`
+  );
+}
+
+// Profile name -> { name, patterns: [timeframe], htf: [timeframe] }. Throws with status 400.
+function resolveProfile(name = DEFAULT_PROFILE) {
+  if (!Object.hasOwn(TIMEFRAME_PROFILES, name)) {
+    throw badRequest(
+      `Unknown timeframe profile "${name}". Use one of: ${Object.keys(TIMEFRAME_PROFILES).join(', ')}`
+    );
+  }
+  const profile = TIMEFRAME_PROFILES[name];
+  return {
+    name,
+    patterns: profile.patterns.map(findTimeframe),
+    htf: profile.htf.map(findTimeframe),
+  };
+}
+
+module.exports = {
+  TIMEFRAMES,
+  TIMEFRAME_PROFILES,
+  DEFAULT_PROFILE,
+  findTimeframe,
+  resolveProfile,
+  intervalToMs,
+  barStart,
+};
@@ -0,0 +1,78 @@
+const { badRequest } = require('./validation');
+
+// ============================
+// Trade plans
+// ============================
+
+//   entry    stop order on the neckline break
+//   stop     past the last top / bottom of double and triple tops, else past the
+//            pattern extreme (the head, the flag's pullback)
+//   targets  the measured move, then twice that distance
+//   size     units that lose riskPercent of accountSize if the stop is hit
+const TARGET_MULTIPLES = [1, 2];
+
+// Checks { accountSize, riskPercent } and returns them as numbers. Throws with status 400.
+function validateSizing(input, source = 'sizing') {
+  const accountSize = Number(input.accountSize);
+  const riskPercent = Number(input.riskPercent);
+  if (!(Number.isFinite(accountSize) && accountSize > 0)) {
+    throw badRequest(`${source}: accountSize must be a positive number`);
+  }
+  if (!(Number.isFinite(riskPercent) && riskPercent > 0 && riskPercent <= 100)) {
+    throw badRequest(`${source}: riskPercent must be a number in (0, 100]`);
+  }
+  return { accountSize, riskPercent };
+}
+
+function loadDefaultSizing() {
+  return validateSizing(
+    {
+      accountSize: process.env.ACCOUNT_SIZE || 10000,
+      riskPercent: process.env.RISK_PERCENT || 1,
+    },
+    'ACCOUNT_SIZE / RISK_PERCENT'
+  );
+}
+
+const DEFAULT_SIZING = loadDefaultSizing();
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Plan for a signal with levels { neckline, stop, target }, or null when
+// the levels leave no room between entry and stop
+function buildTradePlan(signal, sizing = DEFAULT_SIZING) {
+  const levels = signal.levels;
+  if (!levels) return null;
+  const bearish = signal.direction === 'bearish';
+  const entry = levels.neckline;
+  const stop = levels.stop ?? levels.invalidation;
+  const risk = bearish ? stop - entry : entry - stop;
+  if (!(risk > 0)) return null;
+
+  const move = Math.abs(levels.target - entry);
+  const targets = TARGET_MULTIPLES.map((multiple) => {
+    const price = bearish ? entry - move * multiple : entry + move * multiple;
+    return { price, rr: round((move * multiple) / risk, 2) };
+  });
+
+  const riskAmount = (sizing.accountSize * sizing.riskPercent) / 100;
+  const size = riskAmount / risk;
+
+  return {
+    entry,
+    stop,
+    targets,
+    riskPerUnit: risk,
+    accountSize: sizing.accountSize,
+    riskPercent: sizing.riskPercent,
+    riskAmount: round(riskAmount, 2),
+    size: round(size, 6),
+    notional: round(size * entry, 2),
+  };
+}
+
+module.exports = {
+  DEFAULT_SIZING,
+  validateSizing,
+  buildTradePlan,
+};
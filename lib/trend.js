@@ -0,0 +1,224 @@
+const { DEFAULT_DETECTOR_CONFIG } = require('./detectorConfig');
+const { findPivots } = require('./patterns');
+const { ema, atr } = require('./indicators');
+
+// ============================
+// Higher-timeframe trend
+// ============================
+
+// Each method returns { trend, reason, strength } where trend is bullish,
+// bearish, sideways or neutral (not enough data) and strength is 0..100.
+// `trendMethods` in the detector config picks which ones run.
+
+const clamp100 = (v) => Math.round(Math.max(0, Math.min(100, v)));
+
+// Close above EMA fast above EMA slow, or the reverse. Strength is the EMA
+// spread, with 3 ATRs scoring 100.
+function emaStackTrend(candles, config) {
+  const { emaFast, emaSlow } = config;
+  if (candles.length < emaFast + 10) {
+    return { trend: 'neutral', reason: 'Not enough data', strength: 0 };
+  }
+
+  const closes = candles.map((c) => c.close);
+  const fast = ema(closes, emaFast);
+  const slow = ema(closes, emaSlow);
+  if (slow.length === 0) {
+    return { trend: 'neutral', reason: 'Not enough EMA data', strength: 0 };
+  }
+
+  const lastClose = closes[closes.length - 1];
+  const lastFast = fast[fast.length - 1];
+  const lastSlow = slow[slow.length - 1];
+  const unit = atr(candles, config.atrPeriod);
+  const strength = unit ? clamp100((Math.abs(lastFast - lastSlow) / (3 * unit)) * 100) : 0;
+
+  if (lastClose > lastFast && lastFast > lastSlow) {
+    return { trend: 'bullish', reason: `Close > EMA${emaFast} > EMA${emaSlow}`, strength };
+  }
+  if (lastClose < lastFast && lastFast < lastSlow) {
+    return { trend: 'bearish', reason: `Close < EMA${emaFast} < EMA${emaSlow}`, strength };
+  }
+  // Neither clearly bullish nor clearly bearish: treat as sideways
+  return { trend: 'sideways', reason: 'Mixed EMAs', strength: 0 };
+}
+
+// Higher highs and higher lows, or lower highs and lower lows, over the last
+// three swing highs and lows. Strength is the share of the four swing-to-swing
+// steps that agree.
+function marketStructureTrend(candles, config) {
+  const { highs, lows } = findPivots(candles, config.pivotLookback);
+  if (highs.length < 2 || lows.length < 2) {
+    return { trend: 'neutral', reason: 'Not enough swing points', strength: 0 };
+  }
+
+  const steps = (idx, key) =>
+    idx
+      .slice(-3)
+      .map((i) => candles[i][key])
+      .map((price, i, prices) => (i === 0 ? 0 : Math.sign(price - prices[i - 1])))
+      .slice(1);
+  const highSteps = steps(highs, 'high');
+  const lowSteps = steps(lows, 'low');
+  const lastHigh = highSteps[highSteps.length - 1];
+  const lastLow = lowSteps[lowSteps.length - 1];
+  const all = [...highSteps, ...lowSteps];
+  const share = (sign) => clamp100((all.filter((s) => s === sign).length / all.length) * 100);
+
+  if (lastHigh > 0 && lastLow > 0) {
+    return { trend: 'bullish', reason: 'Higher high and higher low', strength: share(1) };
+  }
+  if (lastHigh < 0 && lastLow < 0) {
+    return { trend: 'bearish', reason: 'Lower high and lower low', strength: share(-1) };
+  }
+  return { trend: 'sideways', reason: 'Mixed swing highs and lows', strength: 0 };
+}
+
+// Wilder's ADX with +DI / -DI. Returns the latest values, or null without enough bars.
+function adx(candles, period) {
+  if (candles.length < period * 2 + 1) return null;
+  const tr = [];
+  const plusDM = [];
+  const minusDM = [];
+  for (let i = 1; i < candles.length; i++) {
+    const c = candles[i];
+    const prev = candles[i - 1];
+    const up = c.high - prev.high;
+    const down = prev.low - c.low;
+    tr.push(Math.max(c.high - c.low, Math.abs(c.high - prev.close), Math.abs(c.low - prev.close)));
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+
+  const sum = (list) => list.slice(0, period).reduce((s, v) => s + v, 0);
+  let trS = sum(tr);
+  let plusS = sum(plusDM);
+  let minusS = sum(minusDM);
+  const dx = [];
+  let plusDI = 0;
+  let minusDI = 0;
+  for (let i = period; i <= tr.length; i++) {
+    if (i > period) {
+      trS = trS - trS / period + tr[i - 1];
+      plusS = plusS - plusS / period + plusDM[i - 1];
+      minusS = minusS - minusS / period + minusDM[i - 1];
+    }
+    plusDI = trS ? (100 * plusS) / trS : 0;
+    minusDI = trS ? (100 * minusS) / trS : 0;
+    dx.push(plusDI + minusDI ? (100 * Math.abs(plusDI - minusDI)) / (plusDI + minusDI) : 0);
+  }
+
+  let value = dx.slice(0, period).reduce((s, v) => s + v, 0) / period;
+  for (let i = period; i < dx.length; i++) {
+    value = (value * (period - 1) + dx[i]) / period;
+  }
+  return { adx: value, plusDI, minusDI };
+}
+
+// ADX above adxThreshold means a trend, in the direction of the stronger DI.
+// Strength is the ADX itself.
+function adxTrend(candles, config) {
+  const result = adx(candles, config.adxPeriod);
+  if (!result) return { trend: 'neutral', reason: 'Not enough data for ADX', strength: 0 };
+  const value = result.adx.toFixed(1);
+  const strength = clamp100(result.adx);
+  if (result.adx < config.adxThreshold) {
+    return { trend: 'sideways', reason: `ADX ${value} < ${config.adxThreshold}`, strength };
+  }
+  if (result.plusDI > result.minusDI) {
+    return { trend: 'bullish', reason: `ADX ${value}, +DI > -DI`, strength };
+  }
+  return { trend: 'bearish', reason: `ADX ${value}, -DI > +DI`, strength };
+}
+
+// Supertrend: ATR bands around the bar midpoint that only ratchet in the trend's
+// direction; a close through the active band flips it. Strength is the distance
+// from close to the active band, with one band width (multiplier × ATR) scoring 100.
+function supertrendTrend(candles, config) {
+  const period = config.supertrendPeriod;
+  const multiplier = config.supertrendMultiplier;
+  if (candles.length < period + 2) {
+    return { trend: 'neutral', reason: 'Not enough data for Supertrend', strength: 0 };
+  }
+
+  let atrValue = null;
+  let upper = null;
+  let lower = null;
+  let up = true;
+  const trueRanges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const c = candles[i];
+    const prev = candles[i - 1];
+    trueRanges.push(
+      Math.max(c.high - c.low, Math.abs(c.high - prev.close), Math.abs(c.low - prev.close))
+    );
+    if (trueRanges.length < period) continue;
+    atrValue =
+      atrValue === null
+        ? trueRanges.reduce((s, v) => s + v, 0) / period
+        : (atrValue * (period - 1) + trueRanges[trueRanges.length - 1]) / period;
+
+    const mid = (c.high + c.low) / 2;
+    const basicUpper = mid + multiplier * atrValue;
+    const basicLower = mid - multiplier * atrValue;
+    upper = upper === null || basicUpper < upper || prev.close > upper ? basicUpper : upper;
+    lower = lower === null || basicLower > lower || prev.close < lower ? basicLower : lower;
+    if (up && c.close < lower) up = false;
+    else if (!up && c.close > upper) up = true;
+  }
+
+  const close = candles[candles.length - 1].close;
+  const band = up ? lower : upper;
+  const strength = clamp100((Math.abs(close - band) / (multiplier * atrValue)) * 100);
+  const level = band.toPrecision(6);
+  return up
+    ? { trend: 'bullish', reason: `Close above Supertrend ${level}`, strength }
+    : { trend: 'bearish', reason: `Close below Supertrend ${level}`, strength };
+}
+
+const TREND_METHODS = {
+  ema: emaStackTrend,
+  structure: marketStructureTrend,
+  adx: adxTrend,
+  supertrend: supertrendTrend,
+};
+
+// Runs every method in config.trendMethods. The trend is the one more than half
+// of the methods with enough data agree on, else sideways; strength is the mean
+// strength of the methods that agree. `methods` holds each method's own result.
+function detectTrendHTF(candles, config = DEFAULT_DETECTOR_CONFIG) {
+  if (!candles || candles.length === 0) {
+    return { trend: 'neutral', reason: 'Not enough data', strength: 0, methods: {} };
+  }
+
+  const methods = {};
+  config.trendMethods.forEach((name) => {
+    methods[name] = TREND_METHODS[name](candles, config);
+  });
+  const results = Object.values(methods);
+  if (results.length === 1) return { ...results[0], methods };
+
+  const voting = results.filter((r) => r.trend !== 'neutral');
+  if (voting.length === 0) {
+    return { trend: 'neutral', reason: 'Not enough data', strength: 0, methods };
+  }
+  const trend =
+    ['bullish', 'bearish'].find(
+      (t) => voting.filter((r) => r.trend === t).length > voting.length / 2
+    ) || 'sideways';
+  const agreeing = voting.filter((r) => r.trend === trend);
+  const strength = agreeing.length
+    ? Math.round(agreeing.reduce((s, r) => s + r.strength, 0) / agreeing.length)
+    : 0;
+  const reason = Object.entries(methods)
+    .map(([name, r]) => `${name}: ${r.reason}`)
+    .join('; ');
+
+  return { trend, reason, strength, methods };
+}
+
+module.exports = {
+  TREND_METHODS,
+  adx,
+  detectTrendHTF,
+};
@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const { validateQuota } = require('./quotas');
+const { createJsonFile } = require('./jsonFile');
+const { httpError, badRequest } = require('./validation');
+const { logger } = require('./logger');
+const { dbWriteFailures } = require('./metrics');
+
+// ============================
+// Users and API keys
+// ============================
+
+// A user is { id, username, role, quota?, passwordHash, createdAt } with role
+// 'admin' or 'user'; admins manage accounts and the scanner. An API key is
+// { id, owner, name, prefix, hash, quota?, createdAt, lastUsedAt }, owner being
+// the user id. Passwords are stored as salted scrypt hashes. Keys are random
+// and only their SHA-256 hash is kept, so a key is shown once, when created.
+
+const scrypt = promisify(crypto.scrypt);
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/;
+const ROLES = ['admin', 'user'];
+const KEY_PREFIX = 'tcs_';
+// lastUsedAt is written at most this often per key
+const KEY_TOUCH_MS = 60 * 1000;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [, salt, hash] = stored.split(':');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), 64);
+  return crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+}
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(128)}`;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function publicKey(apiKey) {
+  const { hash, ...rest } = apiKey;
+  return rest;
+}
+
+// --- Stores: users, keys (see below) with list / get / find / save / remove
+
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true },
+    role: { type: String, enum: ROLES, default: 'user' },
+    passwordHash: String,
+    quota: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  },
+  { timestamps: true }
+);
+const apiKeySchema = new mongoose.Schema(
+  {
+    owner: { type: String, index: true },
+    name: String,
+    prefix: String,
+    hash: { type: String, unique: true },
+    quota: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    lastUsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
+
+function plainUser(doc) {
+  return {
+    id: String(doc._id),
+    username: doc.username,
+    role: doc.role,
+    quota: doc.quota,
+    passwordHash: doc.passwordHash,
+    createdAt: doc.createdAt,
+  };
+}
+
+function plainKey(doc) {
+  return {
+    id: String(doc._id),
+    owner: doc.owner,
+    name: doc.name,
+    prefix: doc.prefix,
+    hash: doc.hash,
+    quota: doc.quota,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.lastUsedAt || null,
+  };
+}
+
+function createMongoStore() {
+  const byId = (id) => (mongoose.isValidObjectId(id) ? { _id: id } : null);
+  return {
+    async countUsers() {
+      return User.countDocuments();
+    },
+    async listUsers() {
+      return (await User.find().sort({ createdAt: 1 }).lean()).map(plainUser);
+    },
+    async getUser(id) {
+      const doc = byId(id) && (await User.findOne(byId(id)).lean());
+      return doc ? plainUser(doc) : null;
+    },
+    async findUser(username) {
+      const doc = await User.findOne({ username }).lean();
+      return doc ? plainUser(doc) : null;
+    },
+    // Resolves to the user with its id
+    async saveUser(user) {
+      const { id, createdAt, ...fields } = user;
+      if (id) {
+        const unset = fields.quota ? {} : { $unset: { quota: 1 } };
+        await User.updateOne({ _id: id }, { $set: fields, ...unset });
+        return user;
+      }
+      return plainUser(await User.create(fields));
+    },
+    async removeUser(id) {
+      await ApiKey.deleteMany({ owner: id });
+      return (await User.deleteOne({ _id: id })).deletedCount > 0;
+    },
+    async listKeys(owner) {
+      return (await ApiKey.find({ owner }).sort({ createdAt: 1 }).lean()).map(plainKey);
+    },
+    async findKey(hash) {
+      const doc = await ApiKey.findOne({ hash }).lean();
+      return doc ? plainKey(doc) : null;
+    },
+    async saveKey(apiKey) {
+      return plainKey(await ApiKey.create(apiKey));
+    },
+    async touchKey(id, at) {
+      await ApiKey.updateOne({ _id: id }, { $set: { lastUsedAt: at } });
+    },
+    async removeKey(owner, id) {
+      if (!byId(id)) return false;
+      return (await ApiKey.deleteOne({ _id: id, owner })).deletedCount > 0;
+    },
+  };
+}
+
+// Users and keys share one JSON file: { users: [...], apiKeys: [...] }
+function createFileStore(file) {
+  // Holds password hashes: readable by the server's user only
+  const { read: readAll, update } = createJsonFile(file, {
+    empty: () => ({ users: [], apiKeys: [] }),
+    mode: 0o600,
+  });
+  const revive = (record) => {
+    if (!record) return record;
+    const dates = { createdAt: new Date(record.createdAt) };
+    if ('lastUsedAt' in record) dates.lastUsedAt = record.lastUsedAt && new Date(record.lastUsedAt);
+    return { ...record, ...dates };
+  };
+
+  return {
+    async countUsers() {
+      return (await readAll()).users.length;
+    },
+    async listUsers() {
+      return (await readAll()).users.map(revive);
+    },
+    async getUser(id) {
+      return revive((await readAll()).users.find((u) => u.id === id)) || null;
+    },
+    async findUser(username) {
+      return revive((await readAll()).users.find((u) => u.username === username)) || null;
+    },
+    async saveUser(user) {
+      const saved = user.id ? user : { ...user, id: crypto.randomUUID(), createdAt: new Date() };
+      await update((data) => {
+        const idx = data.users.findIndex((u) => u.id === saved.id);
+        if (idx === -1) data.users.push(saved);
+        else data.users[idx] = saved;
+      });
+      return saved;
+    },
+    async removeUser(id) {
+      return update((data) => {
+        const count = data.users.length;
+        data.users = data.users.filter((u) => u.id !== id);
+        data.apiKeys = data.apiKeys.filter((k) => k.owner !== id);
+        return data.users.length < count;
+      });
+    },
+    async listKeys(owner) {
+      return (await readAll()).apiKeys.filter((k) => k.owner === owner).map(revive);
+    },
+    async findKey(hash) {
+      return revive((await readAll()).apiKeys.find((k) => k.hash === hash)) || null;
+    },
+    async saveKey(apiKey) {
+      const saved = { ...apiKey, id: crypto.randomUUID(), createdAt: new Date(), lastUsedAt: null };
+      await update((data) => data.apiKeys.push(saved));
+      return saved;
+    },
+    async touchKey(id, at) {
+      await update((data) => {
+        const apiKey = data.apiKeys.find((k) => k.id === id);
+        if (apiKey) apiKey.lastUsedAt = at;
+      });
+    },
+    async removeKey(owner, id) {
+      return update((data) => {
+        const count = data.apiKeys.length;
+        data.apiKeys = data.apiKeys.filter((k) => !(k.id === id && k.owner === owner));
+        return data.apiKeys.length < count;
+      });
+    },
+  };
+}
+
+const store = process.env.MONGODB_URI
+  ? createMongoStore()
+  : createFileStore(process.env.USERS_FILE || path.join(__dirname, '..', '.data', 'users.json'));
+
+// --- Operations used by the API. Each throws an error with status 400/404/409 on bad input.
+
+function notFound(what) {
+  return httpError(404, `${what} not found`);
+}
+
+function conflict(message) {
+  return httpError(409, message);
+}
+
+function checkUsername(value) {
+  const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!USERNAME_RE.test(username)) {
+    throw badRequest('username must be 3-32 letters, digits or . _ -');
+  }
+  return username;
+}
+
+function checkNewPassword(value, name = 'password') {
+  if (typeof value !== 'string' || value.length < 8 || value.length > 200) {
+    throw badRequest(`${name} must be 8-200 characters`);
+  }
+  return value;
+}
+
+function checkRole(value) {
+  if (!ROLES.includes(value)) throw badRequest(`role must be one of: ${ROLES.join(', ')}`);
+  return value;
+}
+
+async function countUsers() {
+  return store.countUsers();
+}
+
+async function listUsers() {
+  return (await store.listUsers()).map(publicUser);
+}
+
+// Full record, password hash included
+async function findUserById(id) {
+  return store.getUser(id);
+}
+
+async function createUser({ username, password, role = 'user', quota } = {}) {
+  const user = {
+    username: checkUsername(username),
+    role: checkRole(role),
+    passwordHash: await hashPassword(checkNewPassword(password)),
+  };
+  if (quota != null) user.quota = validateQuota(quota);
+  if (await store.findUser(user.username)) {
+    throw conflict(`User "${user.username}" already exists`);
+  }
+  return publicUser(await store.saveUser(user));
+}
+
+async function adminCount() {
+  return (await store.listUsers()).filter((u) => u.role === 'admin').length;
+}
+
+// The first admin, who inherits records stored before accounts existed
+async function firstAdmin() {
+  const admin = (await store.listUsers()).find((u) => u.role === 'admin');
+  return admin ? publicUser(admin) : null;
+}
+
+// Admin changes: { role?, quota? (null clears it), password? }
+async function updateUser(id, input = {}) {
+  const user = await store.getUser(id);
+  if (!user) throw notFound(`User "${id}"`);
+  const unknown = Object.keys(input).filter((key) => !['role', 'quota', 'password'].includes(key));
+  if (unknown.length > 0) throw badRequest(`Unknown user setting "${unknown[0]}"`);
+
+  if (input.role !== undefined) {
+    checkRole(input.role);
+    if (user.role === 'admin' && input.role !== 'admin' && (await adminCount()) === 1) {
+      throw conflict('The last admin cannot be demoted');
+    }
+    user.role = input.role;
+  }
+  if (input.quota !== undefined) {
+    const quota = validateQuota(input.quota);
+    if (quota && Object.keys(quota).length > 0) user.quota = quota;
+    else delete user.quota;
+  }
+  if (input.password !== undefined) {
+    user.passwordHash = await hashPassword(checkNewPassword(input.password));
+  }
+  return publicUser(await store.saveUser(user));
+}
+
+async function deleteUser(id) {
+  const user = await store.getUser(id);
+  if (!user) throw notFound(`User "${id}"`);
+  if (user.role === 'admin' && (await adminCount()) === 1) {
+    throw conflict('The last admin cannot be deleted');
+  }
+  await store.removeUser(id);
+}
+
+// Resolves to the full user record, or null when the name or password is wrong
+async function verifyLogin(username, password) {
+  const user =
+    typeof username === 'string' ? await store.findUser(username.trim().toLowerCase()) : null;
+  const given = typeof password === 'string' ? password : '';
+  const ok = await checkPassword(given, user?.passwordHash || DUMMY_HASH);
+  return ok && user ? user : null;
+}
+
+async function changePassword(id, currentPassword, newPassword) {
+  const user = await store.getUser(id);
+  if (!user) throw notFound(`User "${id}"`);
+  const current = typeof currentPassword === 'string' ? currentPassword : '';
+  if (!(await checkPassword(current, user.passwordHash))) throw badRequest('currentPassword is wrong');
+  user.passwordHash = await hashPassword(checkNewPassword(newPassword, 'newPassword'));
+  return store.saveUser(user);
+}
+
+async function listApiKeys(owner) {
+  return (await store.listKeys(owner)).map(publicKey);
+}
+
+// Resolves to the key record plus `key`, the only time the key itself is returned
+async function createApiKey(owner, { name, quota } = {}) {
+  const label = typeof name === 'string' ? name.trim() : '';
+  if (!label || label.length > 64) throw badRequest('name is required (max 64 characters)');
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = {
+    owner,
+    name: label,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+  };
+  if (quota != null) apiKey.quota = validateQuota(quota);
+  return { ...publicKey(await store.saveKey(apiKey)), key };
+}
+
+async function revokeApiKey(owner, id) {
+  if (!(await store.removeKey(owner, id))) throw notFound(`API key "${id}"`);
+}
+
+// Resolves to { user, apiKey } for a valid key, or null
+async function findApiKeyUser(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+  const apiKey = await store.findKey(hashKey(key));
+  const user = apiKey && (await store.getUser(apiKey.owner));
+  if (!user) return null;
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > KEY_TOUCH_MS) {
+    store.touchKey(apiKey.id, now).catch((err) => {
+      dbWriteFailures.inc({ operation: 'api-key' });
+      logger.error('API key update failed', { keyId: apiKey.id, error: err });
+    });
+  }
+  return { user, apiKey: publicKey(apiKey) };
+}
+
+module.exports = {
+  publicUser,
+  countUsers,
+  listUsers,
+  findUserById,
+  firstAdmin,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyLogin,
+  changePassword,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  findApiKeyUser,
+};
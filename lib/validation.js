@@ -0,0 +1,58 @@
+// ============================
+// Request validation
+// ============================
+
+// Symbols as data providers spell them: BTC/USD, EURGBP, AAPL, BINANCE:BTCUSDT
+const SYMBOL_RE = /^[A-Za-z0-9.:_/-]{1,32}$/;
+
+// Error with the HTTP status the API answers it with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function badRequest(message) {
+  return httpError(400, message);
+}
+
+// Trimmed, upper-cased symbol. Throws with status 400.
+function parseSymbol(value, name = 'symbol') {
+  if (typeof value !== 'string' || !SYMBOL_RE.test(value.trim())) {
+    throw badRequest(`${name} must be 1-32 letters, digits or . : _ / - (e.g. BTC/USD)`);
+  }
+  return value.trim().toUpperCase();
+}
+
+// Integer query / body parameter in [min, max], `fallback` when absent
+function intParam(value, name, min, max, fallback) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!(Number.isInteger(n) && n >= min && n <= max)) {
+    throw badRequest(`${name} must be an integer in [${min}, ${max}]`);
+  }
+  return n;
+}
+
+// Rejects query parameters a route does not know, and repeated ones
+// (?a=1&a=2 or a[x]=1) except those named in `lists`. Throws with status 400.
+function checkQuery(query, allowed, lists = []) {
+  Object.entries(query).forEach(([name, value]) => {
+    if (!allowed.includes(name)) {
+      throw badRequest(`Unknown query parameter "${name}". Use: ${allowed.join(', ')}`);
+    }
+    const values = Array.isArray(value) && lists.includes(name) ? value : [value];
+    if (values.some((v) => typeof v !== 'string')) {
+      throw badRequest(`${name} must be given once, as plain text`);
+    }
+  });
+}
+
+module.exports = {
+  SYMBOL_RE,
+  httpError,
+  badRequest,
+  parseSymbol,
+  intParam,
+  checkQuery,
+};
@@ -0,0 +1,349 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { DEFAULT_PROFILE, resolveProfile } = require('./timeframes');
+const { validateDetectorConfig, resolveDetectorConfig } = require('./detectorConfig');
+const { checkRuleTimeframes } = require('./confluence');
+const { checkSymbol } = require('./providers');
+const { SYMBOL_RE, httpError, badRequest } = require('./validation');
+const { createJsonFile } = require('./jsonFile');
+
+// ============================
+// Watchlists
+// ============================
+
+// A watchlist is
+//   { owner, name, enabled, profile?, symbols: [{ symbol, label, profile?, timeframes?, detector? }] }
+// `owner` is the id of the user it belongs to; names are unique per owner.
+// `profile` names the timeframe profile (see lib/timeframes.js); a symbol's own
+// one wins over the list's. `timeframes` picks some of the profile's pattern
+// timeframes. `detector` is the symbol's detector profile (see lib/detectorConfig.js).
+// The scanner scans every symbol of every enabled list once per distinct set of
+// settings it is watched with. When a symbol sits in several lists of one user,
+// the overrides of that user's first list win.
+
+function checkProfileName(profile, symbol) {
+  if (typeof profile !== 'string') {
+    throw badRequest(`profile${symbol ? ` for ${symbol}` : ''} must be a string`);
+  }
+  return resolveProfile(profile);
+}
+
+// `listProfile` is the profile name of the watchlist the entry belongs to
+function normalizeEntry(entry, listProfile = DEFAULT_PROFILE) {
+  const input = typeof entry === 'string' ? { symbol: entry } : entry || {};
+  const symbol = typeof input.symbol === 'string' ? input.symbol.trim().toUpperCase() : '';
+  if (!SYMBOL_RE.test(symbol)) {
+    throw badRequest(`Invalid symbol "${input.symbol}"`);
+  }
+
+  const label = typeof input.label === 'string' ? input.label.trim() : '';
+  const normalized = { symbol, label: label || symbol.replace('/', '') };
+
+  if (input.profile != null) {
+    checkProfileName(input.profile, symbol);
+    normalized.profile = input.profile;
+  }
+  const profile = resolveProfile(normalized.profile || listProfile);
+
+  if (input.timeframes !== undefined && input.timeframes !== null) {
+    const known = profile.patterns.map((tf) => tf.key);
+    if (
+      !Array.isArray(input.timeframes) ||
+      input.timeframes.length === 0 ||
+      input.timeframes.some((tf) => !known.includes(tf))
+    ) {
+      throw badRequest(`timeframes for ${symbol} must be a non-empty subset of [${known.join(', ')}]`);
+    }
+    normalized.timeframes = [...new Set(input.timeframes)];
+  }
+
+  // Bare `tolerances` is shorthand for `detector.tolerances`
+  const detectorInput =
+    input.tolerances != null ? { ...input.detector, tolerances: input.tolerances } : input.detector;
+  if (detectorInput != null) {
+    const detector = validateDetectorConfig(detectorInput, `detector for ${symbol}`);
+    normalized.detector = detector;
+  }
+  // The confluence rule may only name HTFs the profile scans
+  checkRuleTimeframes(
+    resolveDetectorConfig(normalized.detector).confluenceRule,
+    profile.htf.map((tf) => tf.key),
+    profile.name
+  );
+
+  return normalized;
+}
+
+function normalizeWatchlist(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 64) {
+    throw badRequest('name is required (max 64 characters)');
+  }
+  if (input.symbols !== undefined && !Array.isArray(input.symbols)) {
+    throw badRequest('symbols must be an array');
+  }
+
+  const watchlist = { name, enabled: input.enabled !== false };
+  if (input.profile != null) {
+    checkProfileName(input.profile);
+    watchlist.profile = input.profile;
+  }
+
+  const symbols = [];
+  (input.symbols || [])
+    .map((entry) => normalizeEntry(entry, watchlist.profile))
+    .forEach((entry) => {
+      if (!symbols.some((s) => s.symbol === entry.symbol)) symbols.push(entry);
+    });
+
+  return { ...watchlist, symbols };
+}
+
+// --- Stores: list(owner?), get(owner, name), save(owner, watchlist, previousName?),
+// remove(owner, name) and claim(owner). list() without an owner returns every list.
+
+const watchlistSchema = new mongoose.Schema(
+  {
+    owner: String,
+    name: { type: String, required: true },
+    enabled: { type: Boolean, default: true },
+    profile: String,
+    symbols: [
+      {
+        _id: false,
+        symbol: String,
+        label: String,
+        profile: String,
+        timeframes: { type: [String], default: undefined },
+        detector: { type: mongoose.Schema.Types.Mixed, default: undefined },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+watchlistSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+const Watchlist = mongoose.models.Watchlist || mongoose.model('Watchlist', watchlistSchema);
+
+function toPlain(doc) {
+  return {
+    owner: doc.owner,
+    name: doc.name,
+    enabled: doc.enabled,
+    profile: doc.profile,
+    symbols: doc.symbols,
+  };
+}
+
+function createMongoStore() {
+  return {
+    async list(owner) {
+      const filter = owner ? { owner } : {};
+      return (await Watchlist.find(filter).sort({ createdAt: 1 }).lean()).map(toPlain);
+    },
+    async get(owner, name) {
+      const doc = await Watchlist.findOne({ owner, name }).lean();
+      return doc ? toPlain(doc) : null;
+    },
+    async save(owner, watchlist, previousName = watchlist.name) {
+      // Back to the default profile clears the stored one
+      const record = { ...watchlist, owner };
+      const update = watchlist.profile ? record : { ...record, $unset: { profile: 1 } };
+      await Watchlist.findOneAndUpdate({ owner, name: previousName }, update, { upsert: true });
+    },
+    async remove(owner, name) {
+      return (await Watchlist.deleteOne({ owner, name })).deletedCount > 0;
+    },
+    async claim(owner) {
+      return (await Watchlist.updateMany({ owner: { $exists: false } }, { $set: { owner } }))
+        .modifiedCount;
+    },
+  };
+}
+
+function createFileStore(file) {
+  const { read: readAll, update } = createJsonFile(file, { empty: () => [] });
+  const isList = (owner, name) => (w) => w.owner === owner && w.name === name;
+
+  return {
+    async list(owner) {
+      const lists = await readAll();
+      return owner ? lists.filter((w) => w.owner === owner) : lists;
+    },
+    async get(owner, name) {
+      return (await readAll()).find(isList(owner, name)) || null;
+    },
+    async save(owner, watchlist, previousName = watchlist.name) {
+      await update((lists) => {
+        const idx = lists.findIndex(isList(owner, previousName));
+        if (idx === -1) lists.push({ owner, ...watchlist });
+        else lists[idx] = { owner, ...watchlist };
+      });
+    },
+    async remove(owner, name) {
+      return update((lists) => {
+        const idx = lists.findIndex(isList(owner, name));
+        if (idx !== -1) lists.splice(idx, 1);
+        return idx !== -1;
+      });
+    },
+    async claim(owner) {
+      return update((lists) => {
+        const unowned = lists.filter((w) => !w.owner);
+        unowned.forEach((w) => {
+          w.owner = owner;
+        });
+        return unowned.length;
+      });
+    },
+  };
+}
+
+const store = process.env.MONGODB_URI
+  ? createMongoStore()
+  : createFileStore(
+      process.env.WATCHLIST_FILE || path.join(__dirname, '..', '.data', 'watchlists.json')
+    );
+
+// --- Operations used by the API. Each throws an error with status 400/404/409 on bad input.
+
+// Symbols new to a list are checked against their data provider before saving
+async function validateNewSymbols(entries, existing = []) {
+  for (const entry of entries) {
+    if (existing.some((s) => s.symbol === entry.symbol)) continue;
+    try {
+      await checkSymbol(entry.symbol);
+    } catch (err) {
+      throw badRequest(`Symbol ${entry.symbol} was rejected by the data provider: ${err.message}`);
+    }
+  }
+}
+
+function notFound(name) {
+  return httpError(404, `Watchlist "${name}" not found`);
+}
+
+// Every list without an owner; for the API always pass one
+async function listWatchlists(owner) {
+  return store.list(owner);
+}
+
+async function getWatchlist(owner, name) {
+  const watchlist = await store.get(owner, name);
+  if (!watchlist) throw notFound(name);
+  return watchlist;
+}
+
+async function createWatchlist(owner, input) {
+  const watchlist = normalizeWatchlist(input);
+  if (await store.get(owner, watchlist.name)) {
+    throw httpError(409, `Watchlist "${watchlist.name}" already exists`);
+  }
+  await validateNewSymbols(watchlist.symbols);
+  await store.save(owner, watchlist);
+  return { owner, ...watchlist };
+}
+
+// Replaces a list; `input.name` may rename it
+async function updateWatchlist(owner, name, input) {
+  const existing = await getWatchlist(owner, name);
+  const watchlist = normalizeWatchlist({ ...existing, ...input });
+  if (watchlist.name !== name && (await store.get(owner, watchlist.name))) {
+    throw httpError(409, `Watchlist "${watchlist.name}" already exists`);
+  }
+  await validateNewSymbols(watchlist.symbols, existing.symbols);
+  await store.save(owner, watchlist, name);
+  return { owner, ...watchlist };
+}
+
+async function deleteWatchlist(owner, name) {
+  if (!(await store.remove(owner, name))) throw notFound(name);
+}
+
+// Adds a symbol or replaces its overrides
+async function addSymbol(owner, name, entryInput) {
+  const watchlist = await getWatchlist(owner, name);
+  const entry = normalizeEntry(entryInput, watchlist.profile);
+  await validateNewSymbols([entry], watchlist.symbols);
+  const idx = watchlist.symbols.findIndex((s) => s.symbol === entry.symbol);
+  if (idx === -1) watchlist.symbols.push(entry);
+  else watchlist.symbols[idx] = entry;
+  await store.save(owner, watchlist);
+  return watchlist;
+}
+
+async function removeSymbol(owner, name, symbol) {
+  const watchlist = await getWatchlist(owner, name);
+  const kept = watchlist.symbols.filter((s) => s.symbol !== symbol.toUpperCase());
+  if (kept.length === watchlist.symbols.length) {
+    throw httpError(404, `${symbol} is not in watchlist "${name}"`);
+  }
+  watchlist.symbols = kept;
+  await store.save(owner, watchlist);
+  return watchlist;
+}
+
+// Creates a "default" list for `owner` from `symbols` when no list exists yet
+async function seedWatchlists(owner, symbols) {
+  if ((await store.list()).length > 0) return false;
+  await store.save(owner, normalizeWatchlist({ name: 'default', symbols }));
+  return true;
+}
+
+// Gives lists stored before users existed to `owner`; resolves to their count
+async function claimWatchlists(owner) {
+  return store.claim(owner);
+}
+
+// Entries to scan: one per symbol and distinct settings. Each entry carries its
+// effective timeframe profile, `timeframes` and `detector` when set, `owners`,
+// the users who watch the symbol with exactly these settings, and `labels`, each
+// owner's label for it. Lists without an owner predate accounts and are scanned
+// for nobody in particular.
+async function loadScanTargets() {
+  const targets = [];
+  // owner|symbol pairs already placed, so a user's first list wins
+  const placed = new Set();
+  (await store.list())
+    .filter((w) => w.enabled !== false)
+    .forEach((w) => {
+      const owner = w.owner || '';
+      w.symbols.forEach((entry) => {
+        if (placed.has(`${owner}|${entry.symbol}`)) return;
+        placed.add(`${owner}|${entry.symbol}`);
+        const profile = entry.profile || w.profile || DEFAULT_PROFILE;
+        const settings = {
+          profile,
+          ...(entry.timeframes && { timeframes: [...entry.timeframes].sort() }),
+          ...(entry.detector && { detector: entry.detector }),
+        };
+        // Detector layers that resolve to the same config scan alike
+        const key = JSON.stringify([
+          profile,
+          settings.timeframes || null,
+          resolveDetectorConfig(entry.detector),
+        ]);
+        let target = targets.find((t) => t.symbol === entry.symbol && t.key === key);
+        if (!target) {
+          target = { symbol: entry.symbol, ...settings, key, owners: [], labels: {} };
+          targets.push(target);
+        }
+        if (owner) target.owners.push(owner);
+        target.labels[owner] = entry.label;
+      });
+    });
+  return targets.map(({ key, ...target }) => target);
+}
+
+module.exports = {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  addSymbol,
+  removeSymbol,
+  seedWatchlists,
+  claimWatchlists,
+  loadScanTargets,
+};
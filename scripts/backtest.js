@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Command-line version of POST /api/backtest
+//
+//   npm run backtest -- BTC/USD --timeframes 1h,4h --outputsize 2000 --max-bars 100
+//   npm run backtest -- EUR/GBP --json > eurgbp.json
+//   npm run backtest -- AAPL --profile swing
+//   npm run backtest -- BTC/USD --detector '{"toleranceMode":"atr","pivotLookback":3}'
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backtestSymbol } = require('../lib/backtest');
+const { validateDetectorConfig } = require('../lib/detectorConfig');
+const { intParam } = require('../lib/validation');
+
+function parseArgs(argv) {
+  const args = { json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--profile') args.profile = argv[++i];
+    else if (arg === '--timeframes') args.timeframes = argv[++i].split(',');
+    else if (arg === '--outputsize') args.outputsize = intParam(argv[++i], '--outputsize', 100, 5000);
+    else if (arg === '--window') args.window = intParam(argv[++i], '--window', 50, 1000);
+    else if (arg === '--max-bars') args.maxBars = intParam(argv[++i], '--max-bars', 1, 1000);
+    else if (arg === '--detector') args.detector = validateDetectorConfig(JSON.parse(argv[++i]), '--detector');
+    else if (!args.symbol) args.symbol = arg;
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+  return args;
+}
+
+function fmt(value, digits = 2) {
+  return typeof value === 'number' ? value.toFixed(digits) : '-';
+}
+
+function printRow(label, s) {
+  console.log(
+    [
+      label.padEnd(26),
+      String(s.trades).padStart(6),
+      (s.winRate === null ? '-' : `${fmt(s.winRate * 100, 1)}%`).padStart(8),
+      fmt(s.avgR).padStart(7),
+      fmt(s.totalR).padStart(8),
+      fmt(s.maxDrawdownR).padStart(7),
+    ].join(' ')
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.symbol) {
+    console.error(
+      'Usage: node scripts/backtest.js SYMBOL [--profile NAME] [--timeframes 1h,4h] [--outputsize N] [--window N] [--max-bars N] [--detector JSON] [--json]'
+    );
+    process.exit(1);
+  }
+
+  // The candle cache lives in MongoDB when it is configured
+  if (process.env.MONGODB_URI) await mongoose.connect(process.env.MONGODB_URI);
+  let result;
+  try {
+    result = await backtestSymbol(args.symbol, args);
+  } finally {
+    await mongoose.disconnect();
+  }
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(
+    `Backtest ${result.symbol} (${result.params.profile}: ${result.params.timeframes.join(', ')})\n`
+  );
+  console.log(
+    ['Group'.padEnd(26), 'Trades', 'Win rate', '  Avg R', ' Total R', '  Max DD'].join(' ')
+  );
+  printRow('All', result.summary);
+  Object.entries(result.byPattern).forEach(([k, s]) => printRow(`Pattern: ${k}`, s));
+  Object.entries(result.byTimeframe).forEach(([k, s]) => printRow(`Timeframe: ${k}`, s));
+
+  console.log('\nTrades');
+  result.trades.forEach((t) => {
+    console.log(
+      `${t.entryTime} ${t.timeframe.padEnd(3)} ${t.direction.padEnd(7)} ${t.pattern.padEnd(24)} ` +
+        `${t.outcome.padEnd(7)} ${fmt(t.r).padStart(6)}R in ${t.bars} bars`
+    );
+  });
+}
+
+main().catch((err) => {
+  console.error('Backtest failed:', err.message);
+  process.exit(1);
+});
@@ -1,16 +1,140 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const {
+  TD_API_KEY,
+  creditsUsedLastMinute,
+  creditsUsedToday,
+  creditBudget,
+} = require('./lib/providers/twelveData');
+const { providerFor, providersInUse, providerStatus } = require('./lib/providers');
+const { fetchSeries, isCached, cacheStore } = require('./lib/candles');
+const {
+  TIMEFRAMES,
+  TIMEFRAME_PROFILES,
+  DEFAULT_PROFILE,
+  findTimeframe,
+  resolveProfile,
+  intervalToMs,
+  barStart,
+} = require('./lib/timeframes');
+const { findPivots, PATTERN_DETECTORS, detectPatternCandidates } = require('./lib/patterns');
+const { ema } = require('./lib/indicators');
+const { detectTrendHTF } = require('./lib/trend');
+const { STAGE, necklineAtTime } = require('./lib/confirmation');
+const { checkRuleTimeframes } = require('./lib/confluence');
+const {
+  DEFAULT_DETECTOR_CONFIG,
+  DETECTOR_CONFIG_SCHEMA,
+  validateDetectorConfig,
+  resolveDetectorConfig,
+} = require('./lib/detectorConfig');
+const { backtestSymbol } = require('./lib/backtest');
+const { DEFAULT_SIZING, validateSizing, buildTradePlan } = require('./lib/tradePlan');
+const { createScheduler } = require('./lib/scheduler');
+const { createBatchQueue } = require('./lib/batchScan');
+const { createQuoteIngestor } = require('./lib/liveQuotes');
+const { feedFor } = require('./lib/feeds');
+const { publish, subscribe } = require('./lib/events');
+const { scopeScan, scopeSignal, ownSignals, createScopes } = require('./lib/scopes');
+const {
+  Signal,
+  recordSignal,
+  claimSignals,
+  updateOpenSignals,
+  updateSignalOutcomes,
+  scanSettingsKey,
+} = require('./lib/signals');
+const { createStatsAccumulator } = require('./lib/outcomes');
+const {
+  SIGNAL_SORT,
+  SIGNAL_QUERY_PARAMS,
+  SIGNAL_LIST_PARAMS,
+  CSV_HEADER,
+  parseSignalQuery,
+  encodeCursor,
+  signalToCsv,
+} = require('./lib/signalQuery');
+const {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  addSymbol,
+  removeSymbol,
+  seedWatchlists,
+  claimWatchlists,
+  loadScanTargets,
+} = require('./lib/watchlists');
+const { ruleTimeframes, createRuleContext, matchRule } = require('./lib/screenerRules');
+const {
+  listScreeners,
+  getScreener,
+  createScreener,
+  updateScreener,
+  deleteScreener,
+  loadEnabledScreeners,
+} = require('./lib/screeners');
+const {
+  PAPER_CONFIG,
+  openPaperPosition,
+  updatePaperPositions,
+  paperPortfolio,
+  paperPositionDetail,
+  deletePaperData,
+} = require('./lib/paperTrading');
+const { notifySignal, sendTestNotification, listChannels } = require('./lib/notifiers');
+const {
+  publicUser,
+  countUsers,
+  listUsers,
+  findUserById,
+  firstAdmin,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyLogin,
+  changePassword,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require('./lib/users');
+const {
+  setSessionCookie,
+  clearSessionCookie,
+  requireUser,
+  requireAdmin,
+  quotaSubjects,
+  createLoginLimiter,
+} = require('./lib/auth');
+const { createQuotaTracker } = require('./lib/quotas');
+const { httpError, badRequest, parseSymbol, intParam, checkQuery } = require('./lib/validation');
+const { logger, requestLogger } = require('./lib/logger');
+const {
+  gauge,
+  renderMetrics,
+  scansTotal,
+  scanDuration,
+  timeframeDuration,
+  providerRequests,
+  providerErrors,
+  providerDuration,
+  creditsUsed,
+  signalsTotal,
+  dbWriteFailures,
+  httpRequests,
+} = require('./lib/metrics');
 
 const app = express();
 const rawPort = process.env.PORT || '4000';
 const PORT = Number.parseInt(rawPort, 10);
 
 if (!Number.isFinite(PORT)) {
-  console.error(`Invalid PORT value "${rawPort}". Use a numeric port, e.g. 4000.`);
+  logger.error(`Invalid PORT value "${rawPort}". Use a numeric port, e.g. 4000.`);
   process.exit(1);
 }
 // ============================
@@ -19,417 +143,1522 @@ if (!Number.isFinite(PORT)) {
 
 const mongoUri = process.env.MONGODB_URI;
 if (!mongoUri) {
-  console.warn('MONGODB_URI is not set. Signals will not be stored.');
+  logger.warn('MONGODB_URI is not set. Signals will not be stored.');
 } else {
   mongoose
     .connect(mongoUri)
-    .then(() => console.log('MongoDB connected'))
-    .catch((err) => console.error('MongoDB connection error', err));
-}
-
-const signalSchema = new mongoose.Schema(
-  {
-    symbol: String,
-    direction: String,
-    pattern: String,
-    timeframe: String,
-    dayTrend: String,
-    weekTrend: String,
-    price: Number,
-    patternFrom: Date,
-    patternTo: Date,
-  },
-  { timestamps: true }
-);
-
-const Signal = mongoose.models.Signal || mongoose.model('Signal', signalSchema);
+    .then(() => logger.info('MongoDB connected'))
+    .catch((err) => logger.error('MongoDB connection error', { error: err }));
+  mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+}
 
 // ============================
-// External API (Twelve Data)
+// Market data providers
 // ============================
 
-const TD_BASE_URL = 'https://api.twelvedata.com';
-const TD_API_KEY = process.env.TWELVE_DATA_API_KEY;
-
-if (!TD_API_KEY) {
-  console.error(
-    'TWELVE_DATA_API_KEY is not set. Set it in a .env file (see .env.example) before starting the server.'
+if (providersInUse().includes('twelvedata') && !TD_API_KEY) {
+  logger.error(
+    'TWELVE_DATA_API_KEY is not set. Set it in a .env file (see .env.example), or pick another DATA_PROVIDER, before starting the server.'
   );
   process.exit(1);
 }
-const PATTERN_TIMEFRAMES = [
-  { key: '1h', interval: '1h' },
-  { key: '4h', interval: '4h' },
-];
 
-const HTF_DAY = { key: '1d', interval: '1day' };
-const HTF_WEEK = { key: '1w', interval: '1week' };
+// ============================
+// Scanning
+// ============================
+
+// With ALERT_CONFIRMED_ONLY=true, patterns are only alerted once their neckline
+// break is confirmed; /api/scan?confirmedOnly= overrides it per request
+const ALERT_CONFIRMED_ONLY = process.env.ALERT_CONFIRMED_ONLY === 'true';
+
+// Detector config, timeframe profile and pattern timeframes of a scan. A
+// per-request profile replaces the watchlist's, along with its choice of pattern
+// timeframes. Throws with status 400 on unknown profiles or a confluence rule
+// naming HTFs the profile does not scan.
+function resolveScanSetup(settings, overrides = {}) {
+  const config = resolveDetectorConfig(settings.detector, overrides.detector);
+  const profile = resolveProfile(overrides.profile || settings.profile);
+  checkRuleTimeframes(
+    config.confluenceRule,
+    profile.htf.map((tf) => tf.key),
+    profile.name
+  );
+  const ownProfile = !overrides.profile || overrides.profile === settings.profile;
+  const timeframes =
+    ownProfile && settings.timeframes
+      ? profile.patterns.filter((tf) => settings.timeframes.includes(tf.key))
+      : profile.patterns;
+  return { config, profile, timeframes };
+}
 
-async function fetchSeries(symbol, interval, outputsize = 300) {
-  if (!TD_API_KEY) throw new Error('TWELVE_DATA_API_KEY not configured');
+// Bars fetched per pattern timeframe
+const PATTERN_BARS = 400;
 
-  const url = new URL(TD_BASE_URL + '/time_series');
-  url.searchParams.set('symbol', symbol);
-  url.searchParams.set('interval', interval);
-  url.searchParams.set('outputsize', outputsize);
-  url.searchParams.set('apikey', TD_API_KEY);
+// symbol -> [{ owners, candidates }] of its latest watchlist scans, one per
+// settings, watched by the live quote checks
+const scanCandidates = {};
 
-  const res = await axios.get(url.toString());
-  if (res.data.status === 'error') {
-    // Preserve Twelve Data error message and include symbol/interval for easier debugging
-    const msg = res.data.message || 'API error';
-    throw new Error(`[TD] ${msg} (symbol=${symbol}, interval=${interval})`);
-  }
+// Fetched candles with the bars built from live ticks laid over them
+async function loadSeries(symbol, tf, outputsize) {
+  const candles = await fetchSeries(symbol, tf.interval, outputsize);
+  return liveQuotes ? liveQuotes.overlay(symbol, tf.interval, candles) : candles;
+}
 
-  const values = res.data.values || [];
-  const candles = values
-    .map((v) => ({
-      time: new Date(v.datetime),
-      open: parseFloat(v.open),
-      high: parseFloat(v.high),
-      low: parseFloat(v.low),
-      close: parseFloat(v.close),
-    }))
-    .reverse();
+// Enabled screener rules of every user (see lib/screeners.js), reloaded
+// whenever a rule changes
+let screeners = [];
 
-  return candles;
+async function refreshScreeners() {
+  screeners = await loadEnabledScreeners();
 }
 
-// ============================
-// Trend + pattern detection
-// ============================
+// Users a scan's signals go to: the one who asked for it, or else those
+// watching the symbol with these settings
+function scanOwners(settings, overrides) {
+  return overrides.requestedBy ? [overrides.requestedBy] : settings.owners || [];
+}
+
+// Rules of those users that apply to the symbol
+function screenersFor(symbol, owners) {
+  return screeners.filter(
+    (rule) => owners.includes(rule.owner) && (!rule.symbols || rule.symbols.includes(symbol))
+  );
+}
+
+// Timeframes the rules read beyond the profile's HTFs and pattern timeframes
+function extraRuleTimeframes(rules, profile, timeframes) {
+  const scanned = [...profile.htf, ...timeframes].map((tf) => tf.key);
+  const keys = new Set(rules.flatMap((rule) => ruleTimeframes(rule, timeframes.map((tf) => tf.key))));
+  return [...keys].filter((key) => !scanned.includes(key)).map((key) => findTimeframe(key));
+}
+
+// Keys of every timeframe a scan loads: HTFs, pattern timeframes and
+// timeframes only screener rules read
+function scanTimeframes(symbol, settings, overrides) {
+  const { profile, timeframes } = resolveScanSetup(settings, overrides);
+  const rules = screenersFor(symbol, scanOwners(settings, overrides));
+  return [...profile.htf, ...timeframes, ...extraRuleTimeframes(rules, profile, timeframes)].map(
+    (tf) => tf.key
+  );
+}
 
-function ema(values, period) {
-  if (values.length < period) return [];
-  const k = 2 / (period + 1);
-  const result = [];
-  let prevEma = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
-  result.push(prevEma);
-  for (let i = period; i < values.length; i++) {
-    prevEma = values[i] * k + prevEma * (1 - k);
-    result.push(prevEma);
+// Twelve Data credits scanning `symbol` with each of `settingsList` in turn may
+// spend: one per distinct series (fewer when the candle cache is fresh, which
+// also serves later scans the series an earlier one loaded). Other providers are free.
+function scanCredits(symbol, settingsList, overrides = {}) {
+  if (providerFor(symbol).name !== 'twelvedata') return 0;
+  try {
+    return new Set(settingsList.flatMap((settings) => scanTimeframes(symbol, settings, overrides)))
+      .size;
+  } catch (err) {
+    // The scan itself reports the broken settings
+    return 0;
   }
-  return result;
 }
 
-function detectTrendHTF(candles) {
-  if (!candles || candles.length < 60) {
-    return { trend: 'neutral', reason: 'Not enough data' };
+// Runs one timeframe step of a scan, timed for the scanner_timeframe_duration_seconds metric
+async function timedStep(symbol, tf, step) {
+  const stopTimer = timeframeDuration.startTimer({ symbol, timeframe: tf.key });
+  try {
+    return await step();
+  } finally {
+    stopTimer();
   }
+}
 
-  const closes = candles.map((c) => c.close);
-  const ema50 = ema(closes, 50);
-  const ema200 = ema(closes, 200);
-  if (ema200.length === 0) {
-    return { trend: 'neutral', reason: 'Not enough EMA data' };
+// `settings` are the watchlist overrides: { profile?, timeframes?, detector? }
+// plus `owners`, the users watching the symbol with them.
+// `overrides` are per-request: { profile?, detector?, sizing?, confirmedOnly?, requestedBy?, paperTrade?, log? },
+// where `profile` replaces the timeframe profile, `detector` is a detector config
+// layer on top of the watchlist's, `sizing` replaces the account size / risk %
+// used for trade plans, `confirmedOnly` replaces ALERT_CONFIRMED_ONLY,
+// `requestedBy` is the id of the user who asked for the scan and `log` the
+// request's logger. Stored signals go to that user, or to the owners when no
+// one asked, and the screener rules of those users run on the scan too: their
+// matches come back as `ruleMatches` and are stored for the rule's owner alone.
+// Signals and alerts are keyed by the settings the scan ran with, so scans with
+// other settings never update or silence them. With `paperTrade` and paper
+// trading on, the alerted signal opens a paper position for `requestedBy`,
+// returned as `paperPosition`.
+async function scanSymbol(symbol, settings, overrides = {}) {
+  const stopTimer = scanDuration.startTimer({ symbol });
+  try {
+    const result = await runScan(symbol, settings, overrides);
+    scansTotal.inc({ symbol, result: 'ok' });
+    return result;
+  } catch (err) {
+    scansTotal.inc({ symbol, result: 'error' });
+    throw err;
+  } finally {
+    stopTimer();
   }
+}
+
+async function runScan(symbol, settings, overrides) {
+  const { config, profile, timeframes } = resolveScanSetup(settings, overrides);
+  const sizing = overrides.sizing || DEFAULT_SIZING;
+  const confirmedOnly = overrides.confirmedOnly ?? ALERT_CONFIRMED_ONLY;
+  const settingsKey = scanSettingsKey({ profile: profile.name, config, sizing });
+  const owners = scanOwners(settings, overrides);
+  const rules = screenersFor(symbol, owners);
+  const log = overrides.log || logger;
+  // Candles of every timeframe the scan loaded, by key
+  const candlesByTimeframe = {};
+
+  // HTF key -> trend, shortest HTF first
+  const trends = Object.fromEntries(
+    await Promise.all(
+      profile.htf.map((tf) =>
+        timedStep(symbol, tf, async () => {
+          const htfCandles = await loadSeries(symbol, tf, 500);
+          candlesByTimeframe[tf.key] = htfCandles;
+          return [tf.key, detectTrendHTF(htfCandles, config)];
+        })
+      )
+    )
+  );
+  const htfTrends = Object.fromEntries(Object.entries(trends).map(([key, t]) => [key, t.trend]));
+
+  let lastClose = null;
+  // Every pattern timeframe is scanned; candidates from all of them are ranked together
+  const candidates = [];
 
-  const lastClose = closes[closes.length - 1];
-  const lastEma50 = ema50[ema50.length - 1];
-  const lastEma200 = ema200[ema200.length - 1];
+  for (const tf of timeframes) {
+    await timedStep(symbol, tf, async () => {
+      const tfCandles = await loadSeries(symbol, tf, PATTERN_BARS);
+      candlesByTimeframe[tf.key] = tfCandles;
+      if (tfCandles.length === 0) return;
+      // Close of the shortest timeframe with data
+      if (lastClose === null) lastClose = tfCandles[tfCandles.length - 1].close;
 
-  if (lastClose > lastEma50 && lastEma50 > lastEma200) {
-    return { trend: 'bullish', reason: 'Close > EMA50 > EMA200' };
+      candidates.push(...detectPatternCandidates(tfCandles, tf.key, trends, config));
+    });
   }
-  if (lastClose < lastEma50 && lastEma50 < lastEma200) {
-    return { trend: 'bearish', reason: 'Close < EMA50 < EMA200' };
+  // Stable sort: on equal scores the shorter timeframe ranks first
+  candidates.sort((a, b) => b.score - a.score);
+  candidates.forEach((candidate) => {
+    candidate.plan = buildTradePlan(candidate, sizing);
+  });
+  // Failed breakouts stay in the list, flagged, but are never the signal
+  const bestSignal = candidates.find((c) => c.stage !== STAGE.FAILED) || null;
+  const alertSignal = confirmedOnly
+    ? candidates.find((c) => c.stage === STAGE.CONFIRMED) || null
+    : bestSignal;
+
+  // Screener rules see both directions on any timeframe, whatever the HTFs say
+  const ruleMatches = [];
+  if (rules.length > 0) {
+    // A timeframe that fails to load leaves the rules reading it without data
+    // rather than failing the scan for everyone watching the symbol
+    for (const tf of extraRuleTimeframes(rules, profile, timeframes)) {
+      try {
+        await timedStep(symbol, tf, async () => {
+          candlesByTimeframe[tf.key] = await loadSeries(symbol, tf, PATTERN_BARS);
+        });
+      } catch (err) {
+        log.warn('Screener rule timeframe failed to load', { symbol, timeframe: tf.key, error: err });
+      }
+    }
+    const context = createRuleContext({ series: candlesByTimeframe, trends, config });
+    const patternKeys = timeframes.map((tf) => tf.key);
+    rules.forEach((rule) => {
+      matchRule(rule, context, patternKeys).forEach((match) => {
+        ruleMatches.push({
+          ...match,
+          plan: buildTradePlan(match, sizing),
+          rule: rule.name,
+          owner: rule.owner,
+        });
+      });
+    });
   }
-  // Neither clearly bullish nor clearly bearish: treat as sideways
-  return { trend: 'sideways', reason: 'Mixed EMAs' };
-}
 
-function findPivots(candles, lookback = 3) {
-  const highs = [];
-  const lows = [];
-  for (let i = lookback; i < candles.length - lookback; i++) {
-    let isHigh = true;
-    let isLow = true;
-    for (let j = i - lookback; j <= i + lookback; j++) {
-      if (candles[j].high > candles[i].high) isHigh = false;
-      if (candles[j].low < candles[i].low) isLow = false;
+  if (mongoUri) {
+    try {
+      // Record id -> the candidates and rule matches stored as it
+      const byId = {};
+      for (const candidate of candidates) {
+        const { doc, created } = await recordSignal(symbol, candidate, {
+          settingsKey,
+          profile: profile.name,
+          htfTrends,
+          price: lastClose,
+          owners,
+        });
+        if (created) {
+          const { pattern, direction, timeframe } = candidate;
+          signalsTotal.inc({ pattern, direction, timeframe });
+          publish('signal', doc.toJSON());
+        }
+        candidate.id = doc.id;
+        candidate.status = doc.status;
+        (byId[doc.id] = byId[doc.id] || []).push(candidate);
+      }
+      for (const match of ruleMatches) {
+        const { doc, created } = await recordSignal(symbol, match, {
+          settingsKey,
+          profile: profile.name,
+          htfTrends,
+          price: lastClose,
+          owners: [match.owner],
+          rules: [{ owner: match.owner, name: match.rule }],
+        });
+        if (created) {
+          const { pattern, direction, timeframe } = match;
+          signalsTotal.inc({ pattern, direction, timeframe });
+          publish('signal', doc.toJSON());
+        }
+        match.id = doc.id;
+        match.status = doc.status;
+        (byId[doc.id] = byId[doc.id] || []).push(match);
+      }
+
+      const changed = await updateOpenSignals(symbol, candlesByTimeframe);
+      changed.forEach((doc) => {
+        publish('signal-update', doc.toJSON());
+        (byId[doc.id] || []).forEach((c) => {
+          c.status = doc.status;
+        });
+      });
+    } catch (dbErr) {
+      dbWriteFailures.inc({ operation: 'signals' });
+      log.error('Failed to store signal', { symbol, error: dbErr });
+      publish('server-error', { symbol, error: `Failed to store signal: ${dbErr.message}` });
+    }
+  }
+
+  const result = {
+    symbol,
+    lastClose,
+    profile: profile.name,
+    htf: profile.htf.map(({ key, label }) => ({ key, label })),
+    // Kept for older clients; null when the profile has no 1D / 1W HTF
+    dayTrend: htfTrends['1d'] ?? null,
+    weekTrend: htfTrends['1w'] ?? null,
+    // Full trend results per HTF, with reason, strength and each method's verdict
+    trends,
+    confluenceRule: config.confluenceRule,
+    // Best candidate, kept for alerts and older clients
+    signal: bestSignal,
+    candidates,
+    // Every user's; each user only gets their own (see scopeScan)
+    ruleMatches,
+  };
+
+  if (overrides.paperTrade && PAPER_TRADING && alertSignal?.id) {
+    try {
+      result.paperPosition = await openPaperPosition(
+        overrides.requestedBy,
+        symbol,
+        alertSignal,
+        candlesByTimeframe[alertSignal.timeframe]
+      );
+      if (result.paperPosition) publish('paper', { owner: overrides.requestedBy });
+    } catch (err) {
+      dbWriteFailures.inc({ operation: 'paper' });
+      log.error('Failed to open paper position', { symbol, error: err });
+      publish('server-error', { symbol, error: `Failed to open paper position: ${err.message}` });
     }
-    if (isHigh) highs.push(i);
-    if (isLow) lows.push(i);
   }
-  return { highs, lows };
+
+  // Only the best candidate (or, with confirmedOnly, the best confirmed one) is
+  // alerted. Alerts go out in the background so slow channels never hold up a scan.
+  if (alertSignal) {
+    notifySignal({ ...result, signal: alertSignal }, settingsKey)
+      .then((deliveries) => deliveries.forEach((d) => reportDelivery(symbol, d)))
+      .catch((err) => logger.error('Notification error', { symbol, error: err }));
+  }
+
+  return result;
 }
 
-function approxEqual(a, b, tolerance = 0.01) {
-  const diff = Math.abs(a - b);
-  const avg = (Math.abs(a) + Math.abs(b)) / 2 || 1;
-  return diff / avg <= tolerance;
+function reportDelivery(symbol, delivery) {
+  if (delivery.status !== 'failed') return;
+  logger.error('Notification failed', { channel: delivery.channel, symbol, error: delivery.error });
+  publish('server-error', {
+    symbol,
+    error: `Notification via ${delivery.channel} failed: ${delivery.error}`,
+  });
 }
 
-function detectMTop(candles) {
-  const { highs, lows } = findPivots(candles, 2);
-  if (highs.length < 2 || lows.length < 1) return null;
+// ============================
+// Background scheduler
+// ============================
 
-  const lastHighs = highs.slice(-4);
-  for (let i = lastHighs.length - 2; i >= 1; i--) {
-    const h1Idx = lastHighs[i - 1];
-    const h2Idx = lastHighs[i];
-    const midLows = lows.filter((x) => x > h1Idx && x < h2Idx);
-    if (midLows.length === 0) continue;
-    const lIdx = midLows[0];
+// Enforce a minimum of 1 hour between full scans to stay well under daily limits.
+const MIN_SCAN_INTERVAL_SEC = 3600;
+const DEFAULT_WATCHLIST = [
+  'BTC/USD',
+  'EUR/AUD',
+  'EUR/GBP',
+  'GBP/JPY',
+  'GBP/USD',
+  'AUD/NZD',
+  'CHF/JPY',
+  'NZD/USD',
+];
 
-    const h1 = candles[h1Idx].high;
-    const h2 = candles[h2Idx].high;
-    const low = candles[lIdx].low;
+// Seeds the first admin's "default" watchlist
+const seedSymbols = process.env.WATCHLIST
+  ? process.env.WATCHLIST.split(',').map((s) => s.trim()).filter(Boolean)
+  : DEFAULT_WATCHLIST;
 
-    if (!approxEqual(h1, h2, 0.015)) continue;
-    const dropPerc = (Math.max(h1, h2) - low) / Math.max(h1, h2);
-    if (dropPerc < 0.01) continue;
+// Symbols of every enabled watchlist, one entry per distinct settings with the
+// users watching with them (see loadScanTargets), reloaded whenever a list changes
+let scanTargets = [];
 
-    return {
-      type: 'M-top',
-      indices: { h1Idx, h2Idx, lIdx },
-    };
-  }
-  return null;
+function watchedSymbols() {
+  return [...new Set(scanTargets.map((t) => t.symbol))];
+}
+
+function targetsOf(symbol) {
+  return scanTargets.filter((t) => t.symbol === symbol);
 }
 
-function detectInvertedM(candles) {
-  const { highs, lows } = findPivots(candles, 2);
-  if (lows.length < 2 || highs.length < 1) return null;
+// The settings `userId` watches `symbol` with; {} (the defaults) when they do not
+function settingsFor(symbol, userId) {
+  return scanTargets.find((t) => t.symbol === symbol && t.owners.includes(userId)) || {};
+}
 
-  const lastLows = lows.slice(-4);
-  for (let i = lastLows.length - 2; i >= 1; i--) {
-    const l1Idx = lastLows[i - 1];
-    const l2Idx = lastLows[i];
-    const midHighs = highs.filter((x) => x > l1Idx && x < l2Idx);
-    if (midHighs.length === 0) continue;
-    const hIdx = midHighs[0];
+// Scans a watchlist symbol once per settings it is watched with. Resolves to
+// the first scan's result plus `variants`, every scan's { owners, result }, of
+// which scopeScan hands each user their own. Fails when one of the scans fails.
+async function scanWatched(symbol) {
+  const targets = targetsOf(symbol);
+  const variants = [];
+  let failure = null;
+  for (const settings of targets.length > 0 ? targets : [{}]) {
+    try {
+      variants.push({ owners: settings.owners || [], result: await scanSymbol(symbol, settings) });
+    } catch (err) {
+      failure = failure || err;
+    }
+  }
+  if (variants.length > 0) {
+    scanCandidates[symbol] = variants.map(({ owners, result }) => ({
+      owners,
+      candidates: result.candidates,
+    }));
+  }
+  if (failure) throw failure;
+  return { ...variants[0].result, variants };
+}
 
-    const l1 = candles[l1Idx].low;
-    const l2 = candles[l2Idx].low;
-    const high = candles[hIdx].high;
+async function refreshScanTargets() {
+  scanTargets = await loadScanTargets();
+  if (liveQuotes) liveQuotes.setSymbols(watchedSymbols());
+  publish('status', scannerState());
+  // Every user's lists; each stream client only gets its own
+  publish('watchlists', await listWatchlists());
+}
 
-    if (!approxEqual(l1, l2, 0.015)) continue;
-    const risePerc = (high - Math.min(l1, l2)) / Math.min(l1, l2);
-    if (risePerc < 0.01) continue;
+const scheduler = createScheduler({
+  scan: scanWatched,
+  getSymbols: watchedSymbols,
+  creditsUsed: () => creditsUsedLastMinute(),
+  creditsPerScan: (symbol) => scanCredits(symbol, targetsOf(symbol)),
+  creditsPerMinute: creditBudget.status().perMinute,
+  intervalSec: Math.max(
+    MIN_SCAN_INTERVAL_SEC,
+    Number.parseInt(process.env.SCAN_INTERVAL_SEC, 10) || MIN_SCAN_INTERVAL_SEC
+  ),
+  onResult: (entry) => publish(entry.error ? 'server-error' : 'scan', entry),
+  onStatus: () => publish('status', scannerState()),
+});
 
-    return {
-      type: 'Inverted M',
-      indices: { l1Idx, l2Idx, hIdx },
-    };
-  }
-  return null;
+// Every user's; scopeStatus adds the user's own labels and profiles
+function scannerStatus() {
+  return {
+    ...scheduler.status(),
+    credits: creditBudget.status(),
+    live: liveQuotes ? liveQuotes.status() : { enabled: false },
+    quotes: liveQuotes ? liveQuotes.quotes() : [],
+  };
 }
 
-function detectHeadAndShoulders(candles) {
-  const { highs, lows } = findPivots(candles, 2);
-  if (highs.length < 3 || lows.length < 2) return null;
+// Scanner status without the per-symbol results and quotes, for frequent status events
+function scannerState() {
+  const { results, quotes, ...state } = scannerStatus();
+  return state;
+}
 
-  const lastHighs = highs.slice(-6);
-  if (lastHighs.length < 3) return null;
+// ============================
+// Batch scans
+// ============================
 
-  for (let i = lastHighs.length - 3; i >= 0; i--) {
-    const lsIdx = lastHighs[i];
-    const headIdx = lastHighs[i + 1];
-    const rsIdx = lastHighs[i + 2];
+const positiveInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return n > 0 ? n : fallback;
+};
+const BATCH_MAX_SYMBOLS = 100;
+
+const batchQueue = createBatchQueue({
+  scan: (symbol, overrides) =>
+    scanSymbol(symbol, settingsFor(symbol, overrides.requestedBy), overrides),
+  estimateCredits: (symbol, overrides) =>
+    scanCredits(symbol, [settingsFor(symbol, overrides.requestedBy)], overrides),
+  creditWaitMs: (n) => creditBudget.waitMs(n),
+  concurrency: positiveInt(process.env.BATCH_CONCURRENCY, 2),
+  maxRetries: positiveInt(process.env.BATCH_MAX_RETRIES, 3),
+  retryBaseMs: positiveInt(process.env.BATCH_RETRY_BASE_SEC, 15) * 1000,
+  onResult: (job, entry) =>
+    publish(entry.error ? 'server-error' : 'scan', { ...entry, requestedBy: job.owner }),
+  onProgress: (job) => publish('batch', batchQueue.snapshot(job, { withResults: false })),
+});
 
-    const ls = candles[lsIdx].high;
-    const head = candles[headIdx].high;
-    const rs = candles[rsIdx].high;
+// ============================
+// Live quotes
+// ============================
 
-    if (!(head > ls * 1.01 && head > rs * 1.01)) continue;
-    if (!approxEqual(ls, rs, 0.02)) continue;
+// With LIVE_QUOTES=true every watchlist symbol streams from its provider's quote
+// feed (see lib/feeds). Ticks build the in-progress bars that scans and charts
+// lay over the fetched candles and go out as `quote` events, at most one per
+// symbol every QUOTE_THROTTLE_MS. A tick beyond the neckline of a forming
+// pattern is published as a `breakout` event straight away; the break itself is
+// only judged on closed bars, so the symbol is re-scanned whenever a bar of a
+// timeframe with open candidates closes.
+const LIVE_QUOTES = process.env.LIVE_QUOTES === 'true';
+const QUOTE_THROTTLE_MS = positiveInt(process.env.QUOTE_THROTTLE_MS, 1000);
+
+const pendingQuotes = new Map();
+let quoteTimer = null;
+
+function queueQuote(quote) {
+  pendingQuotes.set(quote.symbol, quote);
+  if (quoteTimer) return;
+  quoteTimer = setTimeout(() => {
+    quoteTimer = null;
+    pendingQuotes.forEach((q) => publish('quote', q));
+    pendingQuotes.clear();
+  }, QUOTE_THROTTLE_MS);
+}
 
-    const neckLows = lows.filter((x) => x > lsIdx && x < rsIdx);
-    if (neckLows.length < 2) continue;
-    const n1Idx = neckLows[0];
-    const n2Idx = neckLows[neckLows.length - 1];
-    const n1 = candles[n1Idx].low;
-    const n2 = candles[n2Idx].low;
-    if (!approxEqual(n1, n2, 0.02)) continue;
+// Candidate -> open time of the bar its neckline break was last announced in
+const announcedBreaks = new WeakMap();
 
-    return {
-      type: 'Head & Shoulders',
-      indices: { lsIdx, headIdx, rsIdx, n1Idx, n2Idx },
-    };
+function checkBreakouts({ symbol, price, time }) {
+  (scanCandidates[symbol] || []).forEach(({ owners, candidates }) =>
+    candidates.forEach((c) => checkBreakout(symbol, owners, c, price, time))
+  );
+}
+
+// Published to `owners`, the users whose settings found the candidate
+function checkBreakout(symbol, owners, c, price, time) {
+  if (c.stage !== STAGE.FORMING || c.breakout?.breakoutAt) return;
+  const neckline = necklineAtTime(c.levels, time);
+  if (c.direction === 'bearish' ? price >= neckline : price <= neckline) return;
+  const { interval } = findTimeframe(c.timeframe);
+  const barOpen = barStart(time, interval).getTime();
+  if (announcedBreaks.get(c) === barOpen) return;
+  announcedBreaks.set(c, barOpen);
+  publish('breakout', {
+    symbol,
+    owners,
+    pattern: c.pattern,
+    direction: c.direction,
+    timeframe: c.timeframe,
+    price,
+    neckline,
+    at: time,
+    // The break counts if the bar closes beyond the neckline
+    barClosesAt: new Date(barOpen + intervalToMs(interval)),
+  });
+}
+
+// symbol -> 'running', or 'again' when another bar closed during the re-check
+const rechecks = new Map();
+
+async function recheckSymbol(symbol) {
+  if (rechecks.has(symbol)) {
+    rechecks.set(symbol, 'again');
+    return;
+  }
+  rechecks.set(symbol, 'running');
+  try {
+    const result = { ...(await scanWatched(symbol)), trigger: 'live', updatedAt: new Date() };
+    scheduler.setResult(result);
+    publish('scan', result);
+  } catch (err) {
+    // Only logged: the row keeps the last good scan
+    logger.error('Live re-check failed', { symbol, error: err });
+    publish('server-error', { symbol, error: `Live re-check failed: ${err.message}` });
+  } finally {
+    const again = rechecks.get(symbol) === 'again';
+    rechecks.delete(symbol);
+    if (again) recheckSymbol(symbol);
   }
-  return null;
 }
 
-function detectInverseHeadAndShoulders(candles) {
-  const { highs, lows } = findPivots(candles, 2);
-  if (lows.length < 3 || highs.length < 2) return null;
+// Stopping the scanner also stops the re-checks; quotes keep flowing
+function onBarClose(symbol, interval) {
+  const tf = findTimeframe(interval);
+  const watched = (scanCandidates[symbol] || []).some(({ candidates }) =>
+    candidates.some((c) => c.timeframe === tf?.key && c.stage !== STAGE.FAILED)
+  );
+  if (watched && scheduler.status().running) recheckSymbol(symbol);
+}
 
-  const lastLows = lows.slice(-6);
-  if (lastLows.length < 3) return null;
+const liveQuotes = LIVE_QUOTES
+  ? createQuoteIngestor({
+      feedFor,
+      onQuote: (quote) => {
+        queueQuote(quote);
+        checkBreakouts(quote);
+      },
+      onBarClose,
+      onStatus: () => publish('status', scannerState()),
+    })
+  : null;
 
-  for (let i = lastLows.length - 3; i >= 0; i--) {
-    const lsIdx = lastLows[i];
-    const headIdx = lastLows[i + 1];
-    const rsIdx = lastLows[i + 2];
+// ============================
+// Outcome tracking
+// ============================
 
-    const ls = candles[lsIdx].low;
-    const head = candles[headIdx].low;
-    const rs = candles[rsIdx].low;
+// Re-checks the outcome of stored signals against the latest candles of their
+// timeframe. Scans keep those candles cached, so a run mostly costs no credits.
+const OUTCOME_INTERVAL_SEC = positiveInt(process.env.OUTCOME_INTERVAL_SEC, 3600);
+let outcomeRunning = false;
 
-    if (!(head < ls * 0.99 && head < rs * 0.99)) continue;
-    if (!approxEqual(ls, rs, 0.02)) continue;
+async function trackOutcomes() {
+  if (outcomeRunning || mongoose.connection.readyState !== 1) return;
+  outcomeRunning = true;
+  try {
+    const changed = await updateSignalOutcomes((symbol, timeframe) => {
+      const tf = findTimeframe(timeframe);
+      if (!tf) throw new Error(`Unknown timeframe "${timeframe}"`);
+      return fetchSeries(symbol, tf.interval, PATTERN_BARS);
+    });
+    changed.forEach((doc) => publish('signal-update', doc.toJSON()));
+  } catch (err) {
+    dbWriteFailures.inc({ operation: 'outcomes' });
+    logger.error('Outcome tracking failed', { error: err });
+  } finally {
+    outcomeRunning = false;
+  }
+}
 
-    const neckHighs = highs.filter((x) => x > lsIdx && x < rsIdx);
-    if (neckHighs.length < 2) continue;
-    const n1Idx = neckHighs[0];
-    const n2Idx = neckHighs[neckHighs.length - 1];
-    const n1 = candles[n1Idx].high;
-    const n2 = candles[n2Idx].high;
-    if (!approxEqual(n1, n2, 0.02)) continue;
+// ============================
+// Paper trading
+// ============================
 
-    return {
-      type: 'Inverse Head & Shoulders',
-      indices: { lsIdx, headIdx, rsIdx, n1Idx, n2Idx },
-    };
+// Signals alerted by /api/scan open paper positions for the caller (see
+// lib/paperTrading.js); this moves them bar by bar on the candles of their
+// timeframe, which scans mostly keep cached.
+const PAPER_TRADING = PAPER_CONFIG.enabled && Boolean(mongoUri);
+if (PAPER_CONFIG.enabled && !mongoUri) {
+  logger.warn('PAPER_TRADING needs MONGODB_URI. Paper trading is off.');
+}
+const PAPER_INTERVAL_SEC = positiveInt(process.env.PAPER_INTERVAL_SEC, 900);
+let paperRunning = false;
+
+async function trackPaperPositions() {
+  if (paperRunning || mongoose.connection.readyState !== 1) return;
+  paperRunning = true;
+  try {
+    const owners = await updatePaperPositions((symbol, timeframe) => {
+      const tf = findTimeframe(timeframe);
+      if (!tf) throw new Error(`Unknown timeframe "${timeframe}"`);
+      return fetchSeries(symbol, tf.interval, PATTERN_BARS);
+    });
+    owners.forEach((owner) => publish('paper', { owner }));
+  } catch (err) {
+    dbWriteFailures.inc({ operation: 'paper' });
+    logger.error('Paper trading update failed', { error: err });
+  } finally {
+    paperRunning = false;
   }
-  return null;
 }
 
-function buildPatternSignal(direction, tfLabel, patternResult, candles) {
-  const indices = patternResult.indices || {};
-  const indexValues = Object.values(indices).filter((v) => Number.isInteger(v));
-  let from = null;
-  let to = null;
+// ============================
+// Accounts
+// ============================
 
-  if (indexValues.length > 0) {
-    const startIdx = Math.min(...indexValues);
-    const endIdx = Math.max(...indexValues);
-    from = candles[startIdx]?.time || null;
-    to = candles[endIdx]?.time || null;
+// Every /api route but login needs a user (see lib/auth.js). Users only see
+// their own watchlists, the scanner results of the symbols in them, their
+// signals and their batches. Scans count against per-user scan quotas.
+const scanQuota = createQuotaTracker();
+
+// Records stored before accounts existed go to the first admin, who also gets
+// the "default" watchlist from WATCHLIST when there is no list at all
+async function adoptLegacyData(admin) {
+  const lists = await claimWatchlists(admin.id);
+  if (lists > 0) logger.info(`Gave ${lists} existing watchlists to ${admin.username}`);
+  if (mongoUri) {
+    const signals = await claimSignals(admin.id);
+    if (signals > 0) logger.info(`Gave ${signals} existing signals to ${admin.username}`);
+  }
+  if (await seedWatchlists(admin.id, seedSymbols)) {
+    logger.info(`Created watchlist "default" with ${seedSymbols.length} symbols`);
   }
+}
 
-  return {
-    direction,
-    pattern: patternResult.type,
-    timeframe: tfLabel,
-    from: from ? from.toISOString() : null,
-    to: to ? to.toISOString() : null,
-  };
+// Stream events and scanner status as each user sees them
+const { scopeStatus, scopeEvent } = createScopes(() => scanTargets);
+
+// Takes `n` scans from the caller's quota, or answers 429 and returns false
+function takeScanQuota(req, res, n = 1) {
+  const { ok, retryAfterSec } = scanQuota.take(quotaSubjects(req), n);
+  if (ok) return true;
+  res.set('Retry-After', String(retryAfterSec));
+  res.status(429).json({ error: `Scan quota used up, try again in ${retryAfterSec}s` });
+  return false;
 }
 
-function detectPatternWithConfluence(candles, tfLabel, dayTrend, weekTrend) {
-  const mTop = detectMTop(candles);
-  const invM = detectInvertedM(candles);
-  const hs = detectHeadAndShoulders(candles);
-  const invHs = detectInverseHeadAndShoulders(candles);
+// ============================
+// Health and metrics
+// ============================
 
-  const isBearishHTF = dayTrend.trend === 'bearish' && weekTrend.trend === 'bearish';
-  const isBullishHTF = dayTrend.trend === 'bullish' && weekTrend.trend === 'bullish';
+// GET /api/health is open to load balancers and uptime checks, so it leaves out
+// symbols and error messages; /api/metrics (admins) and /metrics have those.
+// The health status is "degraded" while MongoDB is unreachable or a provider's
+// last request failed, and the response is 503 while MongoDB is unreachable.
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
 
-  if (isBearishHTF && (mTop || hs)) {
-    const p = mTop || hs;
-    return buildPatternSignal('bearish', tfLabel, p, candles);
-  }
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function dbStatus() {
+  if (!mongoUri) return { configured: false, state: 'not configured' };
+  return { configured: true, state: DB_STATES[mongoose.connection.readyState] || 'unknown' };
+}
 
-  if (isBullishHTF && (invM || invHs)) {
-    const p = invM || invHs;
-    return buildPatternSignal('bullish', tfLabel, p, candles);
+function providerHealth({ name, lastSuccessAt, lastErrorAt }) {
+  let status = 'idle';
+  if (lastErrorAt && !(lastSuccessAt > lastErrorAt)) status = 'failing';
+  else if (lastSuccessAt) status = 'ok';
+  const health = { name, status, lastSuccessAt, lastErrorAt };
+  if (name === 'twelvedata') {
+    health.credits = {
+      ...creditBudget.status(),
+      usedLastMinute: creditsUsedLastMinute(),
+      usedToday: creditsUsedToday(),
+    };
   }
+  return health;
+}
 
-  return null;
+function healthReport() {
+  const db = dbStatus();
+  const providers = providerStatus().map(providerHealth);
+  const problems = [
+    ...(db.configured && db.state !== 'connected' ? [`MongoDB is ${db.state}`] : []),
+    ...providers.filter((p) => p.status === 'failing').map((p) => `${p.name} requests are failing`),
+  ];
+  const { running, cycleFinishedAt, nextRunAt } = scheduler.status();
+  return {
+    status: problems.length > 0 ? 'degraded' : 'ok',
+    problems,
+    uptimeSec: Math.round(process.uptime()),
+    db,
+    providers,
+    scanner: { running, symbols: watchedSymbols().length, cycleFinishedAt, nextRunAt },
+    liveQuotes: liveQuotes
+      ? {
+          enabled: true,
+          feeds: liveQuotes.status().feeds.map(({ name, connected }) => ({ name, connected })),
+        }
+      : { enabled: false },
+  };
+}
+
+// Totals of a metric's series by one label, e.g. { twelvedata: 12 }
+function totalsBy(metric, label, filter = () => true) {
+  const totals = {};
+  metric
+    .values()
+    .filter(({ labels }) => filter(labels))
+    .forEach(({ labels, value }) => {
+      totals[labels[label]] = (totals[labels[label]] || 0) + value;
+    });
+  return totals;
+}
+
+// The metrics as JSON for the dashboard's status panel: per-symbol scans with
+// their average durations, provider requests, signals and write failures
+function metricsSummary() {
+  const scans = {};
+  const scanEntry = (symbol) => {
+    scans[symbol] = scans[symbol] || { symbol, scans: 0, errors: 0, avgSec: null, timeframes: {} };
+    return scans[symbol];
+  };
+  scansTotal.values().forEach(({ labels, value }) => {
+    const entry = scanEntry(labels.symbol);
+    entry.scans += value;
+    if (labels.result === 'error') entry.errors += value;
+  });
+  scanDuration.values().forEach(({ labels, count, sum }) => {
+    scanEntry(labels.symbol).avgSec = round(sum / count);
+  });
+  timeframeDuration.values().forEach(({ labels, count, sum }) => {
+    scanEntry(labels.symbol).timeframes[labels.timeframe] = { count, avgSec: round(sum / count) };
+  });
+
+  const requests = totalsBy(providerRequests, 'provider');
+  const errors = totalsBy(providerErrors, 'provider');
+  const rateLimited = totalsBy(providerErrors, 'provider', (l) => l.reason === 'rate_limit');
+  const credits = totalsBy(creditsUsed, 'provider');
+  const durations = Object.fromEntries(
+    providerDuration.values().map(({ labels, count, sum }) => [labels.provider, round(sum / count)])
+  );
+  const byPattern = totalsBy(signalsTotal, 'pattern');
+  const http = httpRequests.values();
+
+  return {
+    scans: Object.values(scans).sort((a, b) => a.symbol.localeCompare(b.symbol)),
+    providers: providerStatus().map((p) => ({
+      ...p,
+      requests: requests[p.name] || 0,
+      errors: errors[p.name] || 0,
+      rateLimited: rateLimited[p.name] || 0,
+      avgSec: durations[p.name] ?? null,
+      creditsUsed: credits[p.name] || 0,
+    })),
+    signals: {
+      total: Object.values(byPattern).reduce((sum, n) => sum + n, 0),
+      byPattern,
+    },
+    dbWriteFailures: totalsBy(dbWriteFailures, 'operation'),
+    http: {
+      requests: http.reduce((sum, { value }) => sum + value, 0),
+      serverErrors: http
+        .filter(({ labels }) => Number(labels.status) >= 500)
+        .reduce((sum, { value }) => sum + value, 0),
+    },
+  };
+}
+
+gauge('scanner_up_seconds', 'Seconds since the server started', () => [
+  { labels: {}, value: Math.round(process.uptime()) },
+]);
+gauge('scanner_db_connected', '1 while MongoDB is connected (only with MONGODB_URI)', () =>
+  mongoUri ? [{ labels: {}, value: mongoose.connection.readyState === 1 ? 1 : 0 }] : []
+);
+gauge('scanner_provider_credits_available', 'Twelve Data credits left in the budget', () => {
+  const { availableMinute, availableDay } = creditBudget.status();
+  return providersInUse().includes('twelvedata')
+    ? [
+        { labels: { provider: 'twelvedata', window: 'minute' }, value: availableMinute },
+        { labels: { provider: 'twelvedata', window: 'day' }, value: availableDay },
+      ]
+    : [];
+});
+gauge('scanner_provider_credits_used_today', 'Twelve Data credits spent since midnight UTC', () =>
+  providersInUse().includes('twelvedata')
+    ? [{ labels: { provider: 'twelvedata' }, value: creditsUsedToday() }]
+    : []
+);
+gauge('scanner_running', '1 while the background scanner is running', () => [
+  { labels: {}, value: scheduler.status().running ? 1 : 0 },
+]);
+gauge('scanner_watched_symbols', 'Symbols in enabled watchlists', () => [
+  { labels: {}, value: watchedSymbols().length },
+]);
+
+// Whether the request sends `Authorization: Bearer <METRICS_TOKEN>`
+function metricsTokenSent(req) {
+  if (!METRICS_TOKEN) return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const given = (req.get('authorization') || '').replace(/^Bearer /, '');
+  return crypto.timingSafeEqual(digest(given), digest(METRICS_TOKEN));
 }
 
 // ============================
 // Express setup
 // ============================
 
-app.use(cors());
+// Request ids and logs (see lib/logger.js), and request counts by route
+// pattern, so ids and symbols in paths do not each get a series
+app.use(requestLogger);
+app.use((req, res, next) => {
+  res.on('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
+// Other sites may only call the API when listed in CORS_ORIGINS; the dashboard
+// itself is same-origin and needs no CORS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+if (CORS_ORIGINS.length > 0) app.use(cors({ origin: CORS_ORIGINS }));
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or loopback) lets req.ip and
+// secure cookies see the client's address and protocol
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(express.json());
 
 // Serve static frontend files (index.html, app.js, style.css)
 app.use(express.static(__dirname));
 
-// Scan one symbol and optionally store signal
+// Wraps account handlers: a resolved value is sent as JSON (undefined as 204),
+// errors with their status
+function accountRoute(handler, successStatus = 200) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req, res);
+      if (result === undefined) return res.status(204).end();
+      return res.status(successStatus).json(result);
+    } catch (err) {
+      if (!err.status) req.log.error('Account request failed', { error: err });
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  };
+}
+
+const loginLimiter = createLoginLimiter();
+
+// Whether the first (admin) account still has to be created
+app.get(
+  '/api/auth/status',
+  accountRoute(async () => ({ setupRequired: (await countUsers()) === 0 }))
+);
+
+// Creates the first account, an admin, and logs it in
+app.post(
+  '/api/auth/setup',
+  accountRoute(async (req, res) => {
+    if ((await countUsers()) > 0) throw httpError(409, 'Setup is done; log in instead');
+    const { username, password } = req.body || {};
+    const admin = await createUser({ username, password, role: 'admin' });
+    await adoptLegacyData(admin);
+    await refreshScanTargets();
+    setSessionCookie(req, res, await findUserById(admin.id));
+    return { user: admin };
+  }, 201)
+);
+
+app.post(
+  '/api/auth/login',
+  accountRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!loginLimiter.allowed(req, username)) {
+      throw httpError(429, 'Too many failed logins; try again in a few minutes');
+    }
+    const user = await verifyLogin(username, password);
+    if (!user) {
+      loginLimiter.failed(req, username);
+      throw httpError(401, 'Wrong username or password');
+    }
+    loginLimiter.succeeded(req, username);
+    setSessionCookie(req, res, user);
+    return { user: publicUser(user) };
+  })
+);
+
+app.post('/api/auth/logout', (req, res) => {
+  clearSessionCookie(res);
+  res.status(204).end();
+});
+
+app.get('/api/health', (req, res) => {
+  const report = healthReport();
+  res.status(report.db.configured && report.db.state !== 'connected' ? 503 : 200).json(report);
+});
+
+// Prometheus scrape endpoint (see lib/metrics.js). Its labels name symbols, so
+// it takes the METRICS_TOKEN or an admin's session or API key.
+function sendMetrics(req, res) {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+}
+
+app.get(
+  '/metrics',
+  (req, res, next) => (metricsTokenSent(req) ? sendMetrics(req, res) : next()),
+  requireUser,
+  requireAdmin,
+  sendMetrics
+);
+
+app.use('/api', requireUser);
+
+// The caller, the API key it used (if any) and what is left of its scan quota
+app.get('/api/auth/me', (req, res) => {
+  const [userQuota, keyQuota] = quotaSubjects(req).map((subject) => scanQuota.status(subject));
+  res.json({ user: req.user, apiKey: req.apiKey, quota: userQuota, apiKeyQuota: keyQuota || null });
+});
+
+// Ends the user's other sessions; this one gets a fresh cookie
+app.put(
+  '/api/auth/password',
+  accountRoute(async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    const user = await changePassword(req.user.id, currentPassword, newPassword);
+    if (!req.apiKey) setSessionCookie(req, res, user);
+    return { user: publicUser(user) };
+  })
+);
+
+// The user's API keys; the key itself is only in the POST response
+app.get('/api/keys', accountRoute((req) => listApiKeys(req.user.id)));
+app.post('/api/keys', accountRoute((req) => createApiKey(req.user.id, req.body), 201));
+app.delete(
+  '/api/keys/:id',
+  accountRoute(async (req) => {
+    await revokeApiKey(req.user.id, req.params.id);
+  })
+);
+
+// Account management, admins only
+app.use('/api/users', requireAdmin);
+app.get('/api/users', accountRoute(() => listUsers()));
+app.post('/api/users', accountRoute((req) => createUser(req.body), 201));
+app.put('/api/users/:id', accountRoute((req) => updateUser(req.params.id, req.body)));
+// Also drops the user's watchlists, screener rules, paper trades and API keys
+app.delete(
+  '/api/users/:id',
+  accountRoute(async (req) => {
+    await deleteUser(req.params.id);
+    for (const w of await listWatchlists(req.params.id)) {
+      await deleteWatchlist(req.params.id, w.name);
+    }
+    for (const rule of await listScreeners(req.params.id)) {
+      await deleteScreener(req.params.id, rule.name);
+    }
+    if (mongoUri) await deletePaperData(req.params.id);
+    scanQuota.forget(`user:${req.params.id}`);
+    await Promise.all([refreshScanTargets(), refreshScreeners()]);
+  })
+);
+
+// Parses a detector config layer sent as JSON (query string or body field)
+function parseDetectorParam(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  let layer = value;
+  if (typeof value === 'string') {
+    try {
+      layer = JSON.parse(value);
+    } catch (err) {
+      throw badRequest(`detector must be a JSON object: ${err.message}`);
+    }
+  }
+  return validateDetectorConfig(layer, 'detector');
+}
+
+// Per-request scan overrides from a query string or JSON body: profile,
+// detector, accountSize / riskPercent and confirmedOnly. Throws with status 400.
+function parseScanOverrides(input, source) {
+  const overrides = {};
+  overrides.detector = parseDetectorParam(input.detector);
+  if (input.profile !== undefined) {
+    if (typeof input.profile !== 'string') {
+      throw badRequest('profile must be a string');
+    }
+    overrides.profile = input.profile;
+    resolveProfile(input.profile);
+  }
+  if (input.accountSize !== undefined || input.riskPercent !== undefined) {
+    overrides.sizing = validateSizing({ ...DEFAULT_SIZING, ...input }, source);
+  }
+  if (input.confirmedOnly !== undefined) {
+    if (![true, false, 'true', 'false'].includes(input.confirmedOnly)) {
+      throw badRequest('confirmedOnly must be true or false');
+    }
+    overrides.confirmedOnly = String(input.confirmedOnly) === 'true';
+  }
+  return overrides;
+}
+
+const SCAN_QUERY_PARAMS = [
+  'symbol',
+  'profile',
+  'detector',
+  'accountSize',
+  'riskPercent',
+  'confirmedOnly',
+];
+
+// Scan one symbol and optionally store signal.
+// `detector` (JSON), `accountSize`, `riskPercent` and `confirmedOnly` apply to this request only.
 app.get('/api/scan', async (req, res) => {
-  const symbol = req.query.symbol;
-  if (!symbol) {
-    return res.status(400).json({ error: 'symbol query param is required' });
+  let symbol;
+  let overrides;
+  try {
+    checkQuery(req.query, SCAN_QUERY_PARAMS);
+    symbol = parseSymbol(req.query.symbol);
+    overrides = {
+      ...parseScanOverrides(req.query, 'query'),
+      requestedBy: req.user.id,
+      paperTrade: true,
+      log: req.log,
+    };
+    resolveScanSetup(settingsFor(symbol, req.user.id), overrides);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
   }
+  if (!takeScanQuota(req, res)) return undefined;
 
   try {
-    const [day, week] = await Promise.all([
-      fetchSeries(symbol, HTF_DAY.interval, 500),
-      fetchSeries(symbol, HTF_WEEK.interval, 500),
-    ]);
-
-    const dayTrend = detectTrendHTF(day);
-    const weekTrend = detectTrendHTF(week);
-
-    let bestSignal = null;
-    let lastClose = null;
-
-    for (const tf of PATTERN_TIMEFRAMES) {
-      const tfCandles = await fetchSeries(symbol, tf.interval, 400);
-      if (tfCandles.length === 0) continue;
-      lastClose = tfCandles[tfCandles.length - 1].close;
-
-      const signal = detectPatternWithConfluence(
-        tfCandles,
-        tf.key,
-        dayTrend,
-        weekTrend
-      );
+    // The paper position is the caller's alone
+    const { paperPosition, ...result } = await scanSymbol(
+      symbol,
+      settingsFor(symbol, req.user.id),
+      overrides
+    );
+    publish('scan', { ...result, updatedAt: new Date(), requestedBy: req.user.id });
+    return res.json({ ...scopeScan(req.user, result), paperPosition: paperPosition ?? null });
+  } catch (err) {
+    // Log more detail so we can see exact Twelve Data / network error
+    req.log.error('Scan failed', { symbol, error: err, details: err.response?.data || err.stack });
+    publish('server-error', {
+      symbol,
+      error: err.message || 'Scan failed',
+      updatedAt: new Date(),
+      requestedBy: req.user.id,
+    });
+    // 429 when the data provider's credits ran out
+    return res.status(err.status || 500).json({
+      error: err.message || 'Scan failed',
+      details: err.response?.data || null,
+    });
+  }
+});
 
-      if (signal) {
-        bestSignal = signal;
-        break;
-      }
+// Queue a list of symbols for scanning; poll GET /api/scan/batch/:id for
+// progress, ETA and the results so far. Takes one scan per symbol from the quota.
+app.post('/api/scan/batch', (req, res) => {
+  const { symbols, ...options } = req.body || {};
+  if (!Array.isArray(symbols) || symbols.length === 0 || symbols.length > BATCH_MAX_SYMBOLS) {
+    return res
+      .status(400)
+      .json({ error: `symbols must be an array of 1-${BATCH_MAX_SYMBOLS} symbols` });
+  }
+
+  let distinct;
+  let overrides;
+  try {
+    distinct = [...new Set(symbols.map((symbol, i) => parseSymbol(symbol, `symbols[${i}]`)))];
+    overrides = { ...parseScanOverrides(options, 'body'), requestedBy: req.user.id };
+    distinct.forEach((symbol) => resolveScanSetup(settingsFor(symbol, req.user.id), overrides));
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  if (!takeScanQuota(req, res, distinct.length)) return undefined;
+
+  const job = batchQueue.submit(distinct, overrides, req.user.id);
+  return res.status(202).location(`/api/scan/batch/${job.id}`).json(job);
+});
+
+// The user's recent batches, without their results
+app.get('/api/scan/batch', (req, res) => {
+  res.json(batchQueue.list().filter((job) => job.owner === req.user.id));
+});
+
+// Other users' batches are reported as not found
+function ownBatch(req, res) {
+  const job = batchQueue.get(req.params.id, { withResults: false });
+  if (job && job.owner === req.user.id) return true;
+  res.status(404).json({ error: `Batch "${req.params.id}" not found` });
+  return false;
+}
+
+app.get('/api/scan/batch/:id', (req, res) => {
+  if (!ownBatch(req, res)) return undefined;
+  const job = batchQueue.get(req.params.id);
+  const results = Object.fromEntries(
+    Object.entries(job.results).map(([symbol, r]) => [symbol, scopeScan(req.user, r)])
+  );
+  return res.json({ ...job, results });
+});
+
+// Drops the symbols not scanned yet
+app.delete('/api/scan/batch/:id', (req, res) => {
+  if (!ownBatch(req, res)) return undefined;
+  return res.json(batchQueue.cancel(req.params.id));
+});
+
+// Server-Sent Events: scan results, stored signals, scanner status and errors as they happen.
+// Each connection starts with a full status snapshot, so reconnecting clients resync.
+const STREAM_HEARTBEAT_MS = 25000;
+
+app.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies such as Nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { user } = req;
+  send({ type: 'status', data: scopeStatus(user, scannerStatus()) });
+  // Only the user's own symbols, signals, batches and lists
+  const unsubscribe = subscribe(({ type, data }) => {
+    const scoped = scopeEvent(user, { type, data });
+    if (scoped !== null) send({ type, data: scoped });
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Background scanner state, including the latest result per symbol of the
+// user's watchlists
+app.get('/api/scanner/status', (req, res) => {
+  res.json(scopeStatus(req.user, scannerStatus()));
+});
+
+// Metrics of every user's scans, for the dashboard's status panel
+app.get('/api/metrics', requireAdmin, (req, res) => {
+  res.json(metricsSummary());
+});
+
+// The scanner serves every user, so only admins start and stop it
+app.post('/api/scanner/start', requireAdmin, (req, res) => {
+  const { intervalSec } = req.body || {};
+  let options = {};
+  if (intervalSec !== undefined) {
+    const n = Number.parseInt(intervalSec, 10);
+    if (!Number.isFinite(n) || n < MIN_SCAN_INTERVAL_SEC) {
+      return res
+        .status(400)
+        .json({ error: `intervalSec must be a number >= ${MIN_SCAN_INTERVAL_SEC}` });
+    }
+    options = { intervalSec: n };
+  }
+  scheduler.start(options);
+  res.json(scopeStatus(req.user, scannerStatus()));
+});
+
+app.post('/api/scanner/stop', requireAdmin, (req, res) => {
+  scheduler.stop();
+  res.json(scopeStatus(req.user, scannerStatus()));
+});
+
+// Watchlist CRUD on the user's own lists. Lists are addressed by name; symbols
+// containing "/" must be URL-encoded in paths (BTC%2FUSD). Symbols new to a list
+// are checked against their data provider before the list is saved.
+function watchlistRoute(handler) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req);
+      if (req.method !== 'GET') await refreshScanTargets();
+      if (result === undefined) return res.status(204).end();
+      return res.status(req.method === 'POST' && !req.params.name ? 201 : 200).json(result);
+    } catch (err) {
+      if (!err.status) req.log.error('Watchlist request failed', { error: err });
+      return res.status(err.status || 500).json({ error: err.message });
     }
+  };
+}
 
-    if (bestSignal && mongoUri) {
-      try {
-        await Signal.create({
-          symbol,
-          direction: bestSignal.direction,
-          pattern: bestSignal.pattern,
-          timeframe: bestSignal.timeframe,
-          dayTrend: dayTrend.trend,
-          weekTrend: weekTrend.trend,
-          price: lastClose,
-          patternFrom: bestSignal.from,
-          patternTo: bestSignal.to,
-        });
-      } catch (dbErr) {
-        console.error('Failed to store signal', dbErr.message);
-      }
+app.get('/api/watchlists', watchlistRoute((req) => listWatchlists(req.user.id)));
+app.post('/api/watchlists', watchlistRoute((req) => createWatchlist(req.user.id, req.body)));
+app.get(
+  '/api/watchlists/:name',
+  watchlistRoute((req) => getWatchlist(req.user.id, req.params.name))
+);
+app.put(
+  '/api/watchlists/:name',
+  watchlistRoute((req) => updateWatchlist(req.user.id, req.params.name, req.body))
+);
+app.delete(
+  '/api/watchlists/:name',
+  watchlistRoute((req) => deleteWatchlist(req.user.id, req.params.name))
+);
+app.post(
+  '/api/watchlists/:name/symbols',
+  watchlistRoute((req) => addSymbol(req.user.id, req.params.name, req.body))
+);
+app.delete(
+  '/api/watchlists/:name/symbols/:symbol',
+  watchlistRoute((req) => removeSymbol(req.user.id, req.params.name, req.params.symbol))
+);
+
+// Screener rule CRUD on the user's own rules, addressed by name (see
+// lib/screenerRules.js for the format). Rules run from the next scan on.
+function screenerRoute(handler) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req);
+      if (req.method !== 'GET') await refreshScreeners();
+      if (result === undefined) return res.status(204).end();
+      return res.status(req.method === 'POST' ? 201 : 200).json(result);
+    } catch (err) {
+      if (!err.status) req.log.error('Screener request failed', { error: err });
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  };
+}
+
+app.get('/api/screeners', screenerRoute((req) => listScreeners(req.user.id)));
+app.post('/api/screeners', screenerRoute((req) => createScreener(req.user.id, req.body)));
+app.get(
+  '/api/screeners/:name',
+  screenerRoute((req) => getScreener(req.user.id, req.params.name))
+);
+app.put(
+  '/api/screeners/:name',
+  screenerRoute((req) => updateScreener(req.user.id, req.params.name, req.body))
+);
+app.delete(
+  '/api/screeners/:name',
+  screenerRoute((req) => deleteScreener(req.user.id, req.params.name))
+);
+
+// The user's paper portfolio, or { enabled: false } with paper trading off
+app.get('/api/paper', async (req, res) => {
+  if (!PAPER_TRADING) return res.json({ enabled: false });
+  try {
+    return res.json({ enabled: true, ...(await paperPortfolio(req.user.id)) });
+  } catch (err) {
+    req.log.error('Loading the paper portfolio failed', { error: err });
+    return res.status(500).json({ error: 'Failed to load the paper portfolio' });
+  }
+});
+
+// One of the user's paper positions with its orders and fills
+app.get('/api/paper/positions/:id', async (req, res) => {
+  if (!PAPER_TRADING) return res.status(404).json({ error: 'Paper trading is off' });
+  try {
+    return res.json(await paperPositionDetail(req.user.id, req.params.id));
+  } catch (err) {
+    if (!err.status) req.log.error('Loading a paper position failed', { error: err });
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Global detector defaults, the allowed range of every setting and the patterns
+app.get('/api/detector/config', (req, res) => {
+  const patterns = PATTERN_DETECTORS.map(({ type, directions }) => ({ type, directions }));
+  res.json({ defaults: DEFAULT_DETECTOR_CONFIG, schema: DETECTOR_CONFIG_SCHEMA, patterns });
+});
+
+// Known timeframes and the timeframe profiles built from them
+app.get('/api/timeframes', (req, res) => {
+  const profiles = Object.fromEntries(
+    Object.keys(TIMEFRAME_PROFILES).map((name) => {
+      const { patterns, htf } = resolveProfile(name);
+      return [name, { patterns, htf }];
+    })
+  );
+  res.json({ timeframes: TIMEFRAMES, profiles, defaultProfile: DEFAULT_PROFILE });
+});
+
+// Configured alert channels (secrets masked); they are server-wide, so admins only
+app.get('/api/notifications/channels', requireAdmin, (req, res) => {
+  res.json(listChannels());
+});
+
+// Send a sample alert to one channel ({ "channel": "name" }) or to all of them
+app.post('/api/notifications/test', requireAdmin, async (req, res) => {
+  try {
+    res.json(await sendTestNotification(req.body?.channel));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Replay a symbol's history bar by bar through the same detectors as /api/scan.
+// Takes one scan from the quota.
+app.post('/api/backtest', async (req, res) => {
+  const { profile, timeframes, outputsize, window, maxBars, detector } = req.body || {};
+  let symbol;
+  try {
+    symbol = parseSymbol(req.body?.symbol);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  if (timeframes !== undefined && !Array.isArray(timeframes)) {
+    return res.status(400).json({ error: 'timeframes must be an array, e.g. ["1h", "4h"]' });
+  }
+
+  const options = { profile, timeframes };
+  try {
+    options.outputsize = intParam(outputsize, 'outputsize', 100, 5000);
+    options.window = intParam(window, 'window', 50, 1000);
+    options.maxBars = intParam(maxBars, 'maxBars', 1, 1000);
+    options.detector = parseDetectorParam(detector);
+    resolveDetectorConfig(options.detector);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  if (!takeScanQuota(req, res)) return undefined;
+
+  try {
+    const result = await backtestSymbol(symbol, options);
+    return res.json(result);
+  } catch (err) {
+    req.log.error('Backtest failed', { symbol, error: err, details: err.response?.data || err.stack });
+    return res.status(err.status || 500).json({
+      error: err.message || 'Backtest failed',
+      details: err.response?.data || null,
+    });
+  }
+});
+
+// Cached candles for the dashboard chart, with the EMAs and swing points the
+// detectors use for this symbol. Any known timeframe, by key or API interval.
+// A series that has to come from the provider costs one scan of the quota.
+const CHART_BARS = 400;
+
+app.get('/api/candles', async (req, res) => {
+  let symbol;
+  let outputsize;
+  try {
+    checkQuery(req.query, ['symbol', 'interval', 'outputsize']);
+    symbol = parseSymbol(req.query.symbol);
+    outputsize = intParam(req.query.outputsize, 'outputsize', 50, 1000, CHART_BARS);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  const tf = findTimeframe(req.query.interval);
+  if (!tf) {
+    return res.status(400).json({
+      error: `interval must be one of ${TIMEFRAMES.map((t) => t.key).join(', ')}`,
+    });
+  }
+
+  try {
+    if (!(await isCached(symbol, tf.interval, outputsize)) && !takeScanQuota(req, res)) {
+      return undefined;
     }
+    const config = resolveDetectorConfig(settingsFor(symbol, req.user.id).detector);
+    const candles = await loadSeries(symbol, tf, outputsize);
+    const closes = candles.map((c) => c.close);
+    // EMA values start once the period is filled; pad so they line up with candles
+    const emaLine = (period) => {
+      const values = ema(closes, period);
+      return { period, values: [...Array(candles.length - values.length).fill(null), ...values] };
+    };
 
     return res.json({
       symbol,
-      lastClose,
-      dayTrend: dayTrend.trend,
-      weekTrend: weekTrend.trend,
-      signal: bestSignal,
+      timeframe: tf.key,
+      interval: tf.interval,
+      candles,
+      ema: { fast: emaLine(config.emaFast), slow: emaLine(config.emaSlow) },
+      pivots: findPivots(candles, config.pivotLookback),
     });
   } catch (err) {
-    // Log more detail so we can see exact Twelve Data / network error
-    const extra = err.response?.data || err.stack || err.toString();
-    console.error('Scan error', symbol, err.message, extra);
+    req.log.error('Loading candles failed', { symbol, interval: tf.interval, error: err });
     return res.status(500).json({
-      error: err.message || 'Scan failed',
+      error: err.message || 'Failed to load candles',
       details: err.response?.data || null,
     });
   }
 });
 
-// Simple endpoint to fetch recent signals from MongoDB
+// The user's stored signals matching the history filters; pass them through
+// scopeSignal before sending
+function userSignals(req, filter) {
+  return Signal.find(ownSignals(req.user, filter));
+}
+
+// Stored signals, newest first, filtered and paged (see lib/signalQuery.js)
 app.get('/api/signals', async (req, res) => {
+  let query;
+  try {
+    checkQuery(req.query, SIGNAL_QUERY_PARAMS, SIGNAL_LIST_PARAMS);
+    query = parseSignalQuery(req.query, req.user.id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
   if (!mongoUri) {
-    return res.status(200).json([]);
+    return res.json({ items: [], nextCursor: null });
   }
 
-  const { symbol, limit = 50 } = req.query;
-  const query = symbol ? { symbol } : {};
+  try {
+    // One extra record tells whether there is a next page
+    const items = await userSignals(req, query.filter)
+      .sort(SIGNAL_SORT)
+      .limit(query.limit + 1)
+      .lean();
+    const more = items.length > query.limit;
+    if (more) items.pop();
+    return res.json({
+      items: items.map((signal) => scopeSignal(req.user, signal)),
+      nextCursor: more ? encodeCursor(items[items.length - 1]) : null,
+    });
+  } catch (err) {
+    req.log.error('Fetching signals failed', { error: err });
+    return res.status(500).json({ error: 'Failed to fetch signals' });
+  }
+});
+
+// Filters of the history endpoints without paging, for stats and exports
+const UNPAGED_PARAMS = SIGNAL_QUERY_PARAMS.filter((name) => !['limit', 'cursor'].includes(name));
+
+// Outcome statistics of the stored signals matching the /api/signals filters,
+// overall and by pattern, timeframe, symbol and HTF trend combination
+app.get('/api/stats', async (req, res) => {
+  let query;
+  try {
+    checkQuery(req.query, UNPAGED_PARAMS, SIGNAL_LIST_PARAMS);
+    query = parseSignalQuery(req.query, req.user.id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  const stats = createStatsAccumulator();
+  if (!mongoUri) return res.json(stats.result());
+
+  try {
+    const cursor = userSignals(req, query.filter)
+      .select('symbol pattern timeframe htfTrends dayTrend weekTrend outcome')
+      .lean()
+      .cursor();
+    for await (const signal of cursor) stats.add(signal);
+    return res.json(stats.result());
+  } catch (err) {
+    req.log.error('Computing stats failed', { error: err });
+    return res.status(500).json({ error: 'Failed to compute stats' });
+  }
+});
+
+// Every stored signal matching the /api/signals filters, as CSV or JSON
+app.get('/api/signals/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+  let query;
+  try {
+    checkQuery(req.query, [...UNPAGED_PARAMS, 'format'], SIGNAL_LIST_PARAMS);
+    query = parseSignalQuery(req.query, req.user.id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`signals-${date}.${format}`);
+  res.type(format);
+  if (!mongoUri) {
+    return res.send(format === 'csv' ? CSV_HEADER : '[]\n');
+  }
 
+  // Streamed record by record so large histories never sit in memory
+  const cursor = userSignals(req, query.filter).sort(SIGNAL_SORT).lean().cursor();
+  let first = true;
   try {
-    const items = await Signal.find(query)
-      .sort({ createdAt: -1 })
-      .limit(Number(limit));
-    res.json(items);
+    res.write(format === 'csv' ? CSV_HEADER : '[');
+    for await (const record of cursor) {
+      const signal = scopeSignal(req.user, record);
+      if (format === 'csv') {
+        res.write(signalToCsv(signal));
+      } else {
+        res.write(`${first ? '' : ','}\n${JSON.stringify(signal)}`);
+      }
+      first = false;
+    }
+    if (format === 'json') res.write('\n]\n');
+    return res.end();
   } catch (err) {
-    console.error('Error fetching signals', err.message);
-    res.status(500).json({ error: 'Failed to fetch signals' });
+    req.log.error('Exporting signals failed', { error: err });
+    // Headers are gone once rows were sent; cut the download short instead
+    if (!res.headersSent) return res.status(500).json({ error: 'Failed to export signals' });
+    return res.destroy(err);
   }
 });
 
@@ -438,6 +1667,53 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+app.listen(PORT, async () => {
+  logger.info(`Server listening on http://localhost:${PORT}`, {
+    providers: providersInUse(),
+    candleCache: cacheStore,
+  });
+
+  try {
+    let admin = await firstAdmin();
+    if (!admin && process.env.ADMIN_USERNAME && (await countUsers()) === 0) {
+      admin = await createUser({
+        username: process.env.ADMIN_USERNAME,
+        password: process.env.ADMIN_PASSWORD,
+        role: 'admin',
+      });
+      logger.info(`Created admin account "${admin.username}"`);
+    }
+    if (admin) await adoptLegacyData(admin);
+    else logger.info('No accounts yet: open the dashboard to create the admin account');
+  } catch (err) {
+    logger.error('Failed to set up accounts', { error: err });
+  }
+  try {
+    await refreshScanTargets();
+  } catch (err) {
+    logger.error('Failed to load watchlists', { error: err });
+  }
+  try {
+    await refreshScreeners();
+  } catch (err) {
+    logger.error('Failed to load screener rules', { error: err });
+  }
+
+  if (liveQuotes) {
+    logger.info(`Live quotes streaming for ${liveQuotes.status().symbols} symbols`);
+  }
+
+  if (process.env.SCANNER_AUTOSTART !== 'false') {
+    scheduler.start();
+    logger.info(`Scanner started for ${watchedSymbols().length} symbols`);
+  }
+
+  if (mongoUri) {
+    mongoose.connection.once('connected', trackOutcomes);
+    setInterval(trackOutcomes, OUTCOME_INTERVAL_SEC * 1000);
+  }
+  if (PAPER_TRADING) {
+    mongoose.connection.once('connected', trackPaperPositions);
+    setInterval(trackPaperPositions, PAPER_INTERVAL_SEC * 1000);
+  }
 });
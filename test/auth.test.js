@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+const file = path.join(dir, 'users.json');
+process.env.USERS_FILE = file;
+process.env.SESSION_SECRET = 'test-secret';
+process.env.SESSION_TTL_HOURS = '1';
+delete process.env.MONGODB_URI;
+
+const users = require('../lib/users');
+const { setSessionCookie, requireUser, createLoginLimiter } = require('../lib/auth');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const request = (headers = {}) => ({
+  ip: '127.0.0.1',
+  secure: false,
+  headers,
+  get(name) {
+    return headers[name.toLowerCase()];
+  },
+});
+
+// Runs requireUser and resolves to the HTTP status it answered, or 200 and req.user
+function authenticate(headers) {
+  const req = request(headers);
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        return { json: () => resolve({ status: code }) };
+      },
+    };
+    requireUser(req, res, (err) => (err ? reject(err) : resolve({ status: 200, user: req.user })));
+  });
+}
+
+// The session cookie setSessionCookie would send for the user, as a Cookie header
+function sessionCookie(user) {
+  let cookie;
+  setSessionCookie(request(), { cookie: (name, value) => (cookie = `${name}=${value}`) }, user);
+  return cookie;
+}
+
+let alice;
+let bob;
+test.before(async () => {
+  alice = await users.createUser({ username: 'alice', password: 'password1' });
+  bob = await users.createUser({ username: 'bob', password: 'password2' });
+});
+
+test('logging in checks the password', async () => {
+  assert.equal((await users.verifyLogin(' Alice ', 'password1')).id, alice.id);
+  assert.equal(await users.verifyLogin('alice', 'password2'), null);
+  assert.equal(await users.verifyLogin('nobody', 'password1'), null);
+  assert.equal(await users.verifyLogin('alice'), null);
+  assert.equal('passwordHash' in alice, false);
+});
+
+test('a session cookie identifies its user until it expires', async (t) => {
+  const cookie = sessionCookie(await users.findUserById(alice.id));
+  const { status, user } = await authenticate({ cookie: `theme=dark; ${cookie}` });
+  assert.equal(status, 200);
+  assert.equal(user.id, alice.id);
+  assert.equal('passwordHash' in user, false);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 61 * 60 * 1000);
+  assert.equal((await authenticate({ cookie })).status, 401);
+});
+
+test('a forged or outdated session cookie is refused', async () => {
+  assert.equal((await authenticate({})).status, 401);
+  const cookie = sessionCookie(await users.findUserById(bob.id));
+  const [id, expires, signature] = cookie.slice('session='.length).split('.');
+  // Another user's id or a later expiry breaks the signature
+  assert.equal(
+    (await authenticate({ cookie: `session=${alice.id}.${expires}.${signature}` })).status,
+    401
+  );
+  assert.equal(
+    (await authenticate({ cookie: `session=${id}.${Number(expires) + 1}.${signature}` })).status,
+    401
+  );
+
+  // A new password ends the sessions started with the old one
+  await users.changePassword(bob.id, 'password2', 'password3');
+  assert.equal((await authenticate({ cookie })).status, 401);
+  const fresh = sessionCookie(await users.findUserById(bob.id));
+  assert.equal((await authenticate({ cookie: fresh })).status, 200);
+});
+
+test('API keys are stored hashed and work until revoked', async () => {
+  const created = await users.createApiKey(alice.id, { name: 'script', quota: { perMinute: 2 } });
+  assert.match(created.key, /^tcs_/);
+  assert.equal(created.prefix, created.key.slice(0, 10));
+  assert.equal('hash' in created, false);
+
+  const stored = fs.readFileSync(file, 'utf8');
+  assert.equal(stored.includes(created.key), false);
+  const record = JSON.parse(stored).apiKeys.find((k) => k.id === created.id);
+  assert.equal(record.hash, crypto.createHash('sha256').update(created.key).digest('hex'));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  for (const headers of [
+    { authorization: `Bearer ${created.key}` },
+    { 'x-api-key': created.key },
+  ]) {
+    const { status, user } = await authenticate(headers);
+    assert.equal(status, 200);
+    assert.equal(user.id, alice.id);
+  }
+  assert.equal((await authenticate({ 'x-api-key': `${created.key}x` })).status, 401);
+  assert.deepEqual(
+    (await users.listApiKeys(alice.id)).map((k) => [k.name, 'hash' in k]),
+    [['script', false]]
+  );
+
+  // Only the owner can revoke a key
+  await assert.rejects(users.revokeApiKey(bob.id, created.id), { status: 404 });
+  assert.equal((await authenticate({ 'x-api-key': created.key })).status, 200);
+  await users.revokeApiKey(alice.id, created.id);
+  assert.equal((await authenticate({ 'x-api-key': created.key })).status, 401);
+  assert.deepEqual(await users.listApiKeys(alice.id), []);
+});
+
+test('repeated wrong passwords are throttled per IP and username', () => {
+  const limiter = createLoginLimiter();
+  const req = request();
+  for (let i = 0; i < 10; i += 1) {
+    assert.equal(limiter.allowed(req, 'alice'), true);
+    limiter.failed(req, 'alice');
+  }
+  assert.equal(limiter.allowed(req, 'ALICE'), false);
+  assert.equal(limiter.allowed(req, 'bob'), true);
+  assert.equal(limiter.allowed({ ...req, ip: '10.0.0.1' }, 'alice'), true);
+  limiter.succeeded(req, 'alice');
+  assert.equal(limiter.allowed(req, 'alice'), true);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateTrade, runBacktest } = require('../lib/backtest');
+
+const start = Date.UTC(2024, 0, 1);
+
+// Hourly bars from [open, high, low, close]
+const bars = (list) =>
+  list.map(([open, high, low, close], i) => ({
+    time: new Date(start + i * 3600 * 1000),
+    open,
+    high,
+    low,
+    close,
+  }));
+
+// Bullish plan: buy stop at 110, stop 100, first target 120
+const plan = { entry: 110, stop: 100, riskPerUnit: 10, targets: [{ price: 120 }, { price: 130 }] };
+const bullish = { direction: 'bullish' };
+
+test('a stop entry fills at the neckline and exits at the first target', () => {
+  const candles = bars([
+    [104, 106, 103, 105],
+    [105, 108, 104, 107],
+    [107, 112, 106, 111],
+    [111, 121, 110, 119],
+  ]);
+  assert.deepEqual(simulateTrade(candles, 0, bullish, plan, 100), {
+    entryIdx: 2,
+    entryPrice: 110,
+    exitIdx: 3,
+    exitPrice: 120,
+    outcome: 'target',
+    r: 1,
+  });
+});
+
+test('gaps fill at the open and count in R', () => {
+  const candles = bars([
+    [104, 106, 103, 105],
+    [113, 114, 112, 113],
+    [101, 102, 97, 98],
+  ]);
+  const trade = simulateTrade(candles, 0, bullish, plan, 100);
+  assert.equal(trade.entryPrice, 113);
+  assert.equal(trade.exitPrice, 100);
+  assert.equal(trade.outcome, 'stop');
+  assert.equal(trade.r, -1.3);
+});
+
+test('a neckline that already broke is entered at the next open', () => {
+  const candles = bars([
+    [108, 112, 107, 111],
+    [111, 112, 110, 111],
+    [111, 112, 111, 111.5],
+  ]);
+  const trade = simulateTrade(candles, 0, { ...bullish, breakout: { breakoutAt: 'x' } }, plan, 1);
+  assert.equal(trade.entryIdx, 1);
+  assert.equal(trade.entryPrice, 111);
+  assert.equal(trade.outcome, 'timeout');
+  assert.equal(trade.r, 0.05);
+});
+
+test('no trade when the stop trades before the entry', () => {
+  const candles = bars([
+    [104, 106, 103, 105],
+    [105, 106, 99, 100],
+    [100, 115, 100, 114],
+  ]);
+  assert.equal(simulateTrade(candles, 0, bullish, plan, 100), null);
+});
+
+test('the stop fills first when one bar reaches stop and target', () => {
+  const candles = bars([
+    [104, 106, 103, 105],
+    [109, 125, 95, 110],
+  ]);
+  const trade = simulateTrade(candles, 0, bullish, plan, 100);
+  assert.equal(trade.outcome, 'stop');
+  assert.equal(trade.r, -1);
+});
+
+test('bearish plans sell below the neckline', () => {
+  const bearishPlan = { entry: 100, stop: 110, riskPerUnit: 10, targets: [{ price: 90 }] };
+  const candles = bars([
+    [104, 105, 102, 103],
+    [103, 104, 99, 99.5],
+    [99.5, 100, 89, 90],
+  ]);
+  const trade = simulateTrade(candles, 0, { direction: 'bearish' }, bearishPlan, 100);
+  assert.deepEqual(
+    [trade.entryPrice, trade.exitPrice, trade.outcome, trade.r],
+    [100, 90, 'target', 1]
+  );
+});
+
+// Hourly candles walking in straight lines between `anchors`, `legBars` bars per leg
+function pathCandles(anchors, legBars) {
+  const prices = [anchors[0]];
+  for (let i = 1; i < anchors.length; i++) {
+    const step = (anchors[i] - anchors[i - 1]) / legBars[i - 1];
+    for (let j = 1; j <= legBars[i - 1]; j++) prices.push(anchors[i - 1] + step * j);
+  }
+  return prices.map((close, i) => {
+    const open = i === 0 ? close : (prices[i - 1] + close) / 2;
+    return {
+      time: new Date(start + i * 3600 * 1000),
+      open,
+      high: Math.max(open, close) + 0.1,
+      low: Math.min(open, close) - 0.1,
+      close,
+      volume: 1000,
+    };
+  });
+}
+
+test('backtests trade the M-top by its plan, not at the signal close', () => {
+  const candles = pathCandles([99, 100, 110, 104, 110, 106, 95], [45, 5, 5, 5, 5, 10]);
+  const { trades, summary } = runBacktest({
+    htf: [],
+    timeframes: [{ key: '1h', interval: '1h', candles }],
+  });
+  assert.equal(trades.length, 1);
+  const [trade] = trades;
+  assert.equal(trade.pattern, 'M-top');
+  // Short on the break of the low between the tops (103.9), stop above the second top
+  assert.ok(Math.abs(trade.entry - 103.9) < 1e-9);
+  assert.ok(Math.abs(trade.stop - 110.1) < 1e-9);
+  assert.ok(Math.abs(trade.target - (103.9 - 6.2)) < 1e-9);
+  assert.ok(trade.entryTime > trade.signalTime);
+  assert.equal(trade.outcome, 'target');
+  assert.ok(Math.abs(trade.r - 1) < 1e-9);
+  assert.equal(summary.wins, 1);
+});
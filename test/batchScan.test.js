@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBatchQueue } = require('../lib/batchScan');
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Scans that finish when the test says so: scans[symbol] holds the open ones
+function controlledScans() {
+  const scans = {};
+  const calls = [];
+  const scan = (symbol, overrides) => {
+    calls.push(symbol);
+    return new Promise((resolve, reject) => {
+      scans[symbol] = {
+        overrides,
+        resolve: (result = {}) => resolve({ symbol, ...result }),
+        reject,
+      };
+    });
+  };
+  return { scans, calls, scan };
+}
+
+const rateLimited = (extra = {}) =>
+  Object.assign(new Error('Too many requests'), { rateLimited: true, ...extra });
+
+test('symbols are scanned a few at a time until the batch is done', async () => {
+  const { scans, calls, scan } = controlledScans();
+  const results = [];
+  const queue = createBatchQueue({
+    scan,
+    concurrency: 2,
+    onResult: (job, entry) => results.push(entry.symbol),
+  });
+  const job = queue.submit(['A', 'B', 'C'], { profile: 'swing' }, 'alice');
+  assert.equal(job.owner, 'alice');
+  assert.deepEqual(calls, ['A', 'B']);
+  assert.deepEqual(scans.A.overrides, { profile: 'swing' });
+  assert.equal(queue.get(job.id).progress.running, 2);
+
+  scans.B.resolve({ lastClose: 2 });
+  await flush();
+  assert.deepEqual(calls, ['A', 'B', 'C']);
+  scans.A.reject(new Error('No data'));
+  scans.C.resolve();
+  await flush();
+
+  const finished = queue.get(job.id);
+  assert.equal(finished.status, 'done');
+  assert.deepEqual(finished.progress, {
+    total: 3,
+    done: 2,
+    failed: 1,
+    running: 0,
+    retrying: 0,
+    queued: 0,
+  });
+  assert.equal(finished.results.B.lastClose, 2);
+  assert.equal(finished.results.A.error, 'No data');
+  assert.equal(finished.symbols.A.error, 'No data');
+  assert.equal(finished.etaSec, 0);
+  assert.deepEqual(results, ['B', 'A', 'C']);
+  assert.equal('results' in queue.list()[0], false);
+});
+
+test('rate-limited scans are retried with a growing delay', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const { scans, calls, scan } = controlledScans();
+  const queue = createBatchQueue({ scan, retryBaseMs: 1000, maxRetries: 3 });
+  const { id } = queue.submit(['A']);
+
+  scans.A.reject(rateLimited());
+  await flush();
+  let state = queue.get(id).symbols.A;
+  assert.equal(state.status, 'retrying');
+  assert.equal(state.error, 'Too many requests');
+  assert.equal(state.nextAttemptAt.getTime(), 1000);
+  t.mock.timers.tick(999);
+  assert.equal(calls.length, 1);
+  t.mock.timers.tick(1);
+  assert.equal(calls.length, 2);
+
+  // The delay doubles, unless the provider asks for a longer one
+  scans.A.reject(rateLimited());
+  await flush();
+  assert.equal(queue.get(id).symbols.A.nextAttemptAt.getTime(), 1000 + 2000);
+  t.mock.timers.tick(2000);
+  scans.A.reject(rateLimited({ retryAfterMs: 60 * 1000 }));
+  await flush();
+  assert.equal(queue.get(id).symbols.A.nextAttemptAt.getTime(), 3000 + 60 * 1000);
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(calls.length, 4);
+
+  // Out of retries
+  scans.A.reject(rateLimited());
+  await flush();
+  const job = queue.get(id);
+  assert.equal(job.status, 'done');
+  assert.equal(job.retries, 3);
+  state = job.symbols.A;
+  assert.equal(state.status, 'failed');
+  assert.equal(state.attempts, 4);
+});
+
+test('daily limits and other errors are not retried', async () => {
+  const { scans, scan } = controlledScans();
+  const queue = createBatchQueue({ scan, concurrency: 2 });
+  const { id } = queue.submit(['A', 'B']);
+  scans.A.reject(rateLimited({ daily: true }));
+  scans.B.reject(new Error('Invalid symbol'));
+  await flush();
+  const job = queue.get(id);
+  assert.equal(job.retries, 0);
+  assert.equal(job.progress.failed, 2);
+});
+
+test('retries wait without holding up other symbols', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const { scans, calls, scan } = controlledScans();
+  const queue = createBatchQueue({ scan, concurrency: 1, retryBaseMs: 5000 });
+  queue.submit(['A', 'B']);
+  scans.A.reject(rateLimited());
+  await flush();
+  assert.deepEqual(calls, ['A', 'B']);
+  scans.B.resolve();
+  await flush();
+  t.mock.timers.tick(5000);
+  assert.deepEqual(calls, ['A', 'B', 'A']);
+});
+
+test('cancelling drops the queued symbols and ignores running scans', async () => {
+  const { scans, calls, scan } = controlledScans();
+  const results = [];
+  const queue = createBatchQueue({
+    scan,
+    concurrency: 1,
+    onResult: (job, entry) => results.push(entry),
+  });
+  const { id } = queue.submit(['A', 'B']);
+  const cancelled = queue.cancel(id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.symbols.A.status, 'cancelled');
+  assert.equal(cancelled.symbols.B.status, 'cancelled');
+
+  scans.A.resolve();
+  await flush();
+  assert.deepEqual(calls, ['A']);
+  assert.deepEqual(results, []);
+  assert.deepEqual(queue.get(id).results, {});
+  assert.equal(queue.cancel('nope'), null);
+
+  // A finished batch stays as it was
+  const other = queue.submit(['C']);
+  scans.C.resolve();
+  await flush();
+  assert.equal(queue.cancel(other.id).status, 'done');
+});
+
+test('only the latest finished batches are kept', async () => {
+  const { scans, scan } = controlledScans();
+  const queue = createBatchQueue({ scan, keepJobs: 2 });
+  const first = queue.submit(['A']);
+  scans.A.resolve();
+  await flush();
+  const second = queue.submit(['B']);
+  const third = queue.submit(['C']);
+  assert.equal(queue.get(first.id), null);
+  // A batch still running is never dropped
+  const fourth = queue.submit(['D']);
+  assert.notEqual(queue.get(second.id), null);
+  const ids = queue.list().map((job) => job.id);
+  assert.deepEqual(ids, [fourth.id, third.id, second.id]);
+});
+
+test('the ETA covers the credits the remaining symbols need', () => {
+  const { scan } = controlledScans();
+  const queue = createBatchQueue({
+    scan,
+    concurrency: 1,
+    estimateCredits: () => 3,
+    creditWaitMs: (credits) => credits * 1000,
+  });
+  const job = queue.submit(['A', 'B']);
+  assert.equal(job.etaSec, 6);
+});
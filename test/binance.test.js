@@ -0,0 +1,53 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A local stand-in for the Binance REST API answering with `reply`
+let reply;
+const server = http.createServer((req, res) => {
+  res.writeHead(reply.status, { 'content-type': 'application/json', ...reply.headers });
+  res.end(JSON.stringify(reply.body));
+});
+
+let provider;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.BINANCE_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  provider = require('../lib/providers/binance');
+});
+test.after(() => server.close());
+
+const fetch = () => provider.fetchCandles('BTC/USD', '1h', 10);
+
+test('HTTP 429 is a rate-limit error that retries after Retry-After', async () => {
+  reply = { status: 429, headers: { 'retry-after': '7' }, body: { code: -1003, msg: 'Too many requests' } };
+  await assert.rejects(fetch(), (err) => {
+    assert.equal(err.rateLimited, true);
+    assert.equal(err.daily, false);
+    assert.equal(err.status, 429);
+    assert.equal(err.retryAfterMs, 7000);
+    assert.match(err.message, /^\[Binance\] Too many requests/);
+    return true;
+  });
+});
+
+test('HTTP 418 (IP ban after ignoring 429s) is a rate-limit error too', async () => {
+  reply = { status: 418, headers: {}, body: { code: -1003, msg: 'Way too many requests' } };
+  await assert.rejects(fetch(), (err) => err.rateLimited === true && err.retryAfterMs === null);
+});
+
+test('other API errors are not marked as rate limits', async () => {
+  reply = { status: 400, headers: {}, body: { code: -1121, msg: 'Invalid symbol.' } };
+  await assert.rejects(fetch(), (err) => {
+    assert.equal(err.rateLimited, undefined);
+    assert.match(err.message, /Invalid symbol/);
+    return true;
+  });
+});
+
+test('klines become candles with volume', async () => {
+  const t = Date.UTC(2024, 0, 1);
+  reply = { status: 200, headers: {}, body: [[t, '1', '2', '0.5', '1.5', '42']] };
+  const [candle] = await fetch();
+  assert.deepEqual(candle, { time: new Date(t), open: 1, high: 2, low: 0.5, close: 1.5, volume: 42 });
+});
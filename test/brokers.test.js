@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.PAPER_BROKER;
+delete process.env.PAPER_SPREAD_BPS;
+delete process.env.PAPER_SLIPPAGE_BPS;
+
+const { BROKERS, currentBroker } = require('../lib/brokers');
+
+const bar = { time: new Date(Date.UTC(2024, 0, 1)), open: 100, high: 110, low: 90, close: 105 };
+const fill = (order) => currentBroker().submitOrder({ quantity: 10, bar, ...order });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual}`);
+
+test('the mock broker is the default with 2 bps of spread and 1 of slippage', () => {
+  assert.equal(currentBroker(), BROKERS.mock);
+  assert.deepEqual(currentBroker().settings, { spreadBps: 2, slippageBps: 1 });
+});
+
+test('market orders fill at the open plus half the spread and slippage', async () => {
+  const buy = await fill({ side: 'buy', type: 'market' });
+  close(buy.price, 100.02);
+  assert.equal(buy.quantity, 10);
+  assert.equal(buy.time, bar.time);
+  close((await fill({ side: 'sell', type: 'market' })).price, 99.98);
+});
+
+test('stop and limit orders fill at their level or a better open', async () => {
+  close((await fill({ side: 'buy', type: 'stop', price: 104 })).price, 104.0208);
+  // Opened beyond the stop: filled at the open
+  close((await fill({ side: 'buy', type: 'stop', price: 95 })).price, 100.02);
+  close((await fill({ side: 'sell', type: 'stop', price: 95 })).price, 94.981);
+  // Limits do not slip
+  close((await fill({ side: 'sell', type: 'limit', price: 108 })).price, 107.9892);
+  close((await fill({ side: 'sell', type: 'limit', price: 95 })).price, 99.99);
+  close((await fill({ side: 'buy', type: 'limit', price: 95 })).price, 95.0095);
+});
+
+test('orders without a bar are rejected', async () => {
+  await assert.rejects(
+    currentBroker().submitOrder({ side: 'buy', type: 'market', quantity: 1 }),
+    /needs the bar/
+  );
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'candles-'));
+process.env.CANDLE_CACHE_DIR = cacheDir;
+process.env.DATA_PROVIDER = 'twelvedata';
+delete process.env.MONGODB_URI;
+delete process.env.CANDLE_CACHE;
+
+const { providerFor } = require('../lib/providers');
+const { fetchSeries, isCached } = require('../lib/candles');
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+// Hourly bars ending at the current hour
+function hourly(count) {
+  const last = Math.floor(Date.now() / 3600000) * 3600000;
+  return Array.from({ length: count }, (_, i) => ({
+    time: new Date(last - (count - 1 - i) * 3600000),
+    open: i,
+    high: i + 1,
+    low: i - 1,
+    close: i,
+    volume: 10,
+  }));
+}
+
+// Replaces the provider request with one that answers after a tick and records its outputsize
+function mockProvider(t, symbol) {
+  const sizes = [];
+  t.mock.method(providerFor(symbol), 'fetchCandles', async (_symbol, _interval, outputsize) => {
+    sizes.push(outputsize);
+    await new Promise((resolve) => setImmediate(resolve));
+    return hourly(outputsize);
+  });
+  return sizes;
+}
+
+test('concurrent requests for one series share a single provider request', async (t) => {
+  const sizes = mockProvider(t, 'AA/USD');
+  const [a, b, c] = await Promise.all([
+    fetchSeries('AA/USD', '1h', 300),
+    fetchSeries('AA/USD', '1h', 100),
+    fetchSeries('AA/USD', '1h', 300),
+  ]);
+  assert.deepEqual(sizes, [300]);
+  assert.equal(a.length, 300);
+  assert.equal(b.length, 100);
+  assert.deepEqual(c, a);
+});
+
+test('a deeper request waiting on a shallower one fetches the rest', async (t) => {
+  const sizes = mockProvider(t, 'BB/USD');
+  const [small, large] = await Promise.all([
+    fetchSeries('BB/USD', '1h', 100),
+    fetchSeries('BB/USD', '1h', 500),
+  ]);
+  assert.deepEqual(sizes, [100, 500]);
+  assert.equal(small.length, 100);
+  assert.equal(large.length, 500);
+});
+
+test('a smaller request never shrinks the cached depth', async (t) => {
+  const sizes = mockProvider(t, 'CC/USD');
+  await fetchSeries('CC/USD', '1h', 1000);
+  assert.equal((await fetchSeries('CC/USD', '1h', 200)).length, 200);
+  assert.equal((await fetchSeries('CC/USD', '1h', 1000)).length, 1000);
+  assert.deepEqual(sizes, [1000]);
+
+  // A cache too stale to catch up is refetched at its full depth, not the requested one
+  const file = path.join(cacheDir, 'twelvedata', 'CC_USD__1h.json');
+  const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  entry.candles = entry.candles.map((c) => ({ ...c, time: new Date(c.time) - 6000 * 3600000 }));
+  entry.fetchedAt = new Date(0);
+  fs.writeFileSync(file, JSON.stringify(entry));
+  assert.equal((await fetchSeries('CC/USD', '1h', 200)).length, 200);
+  assert.deepEqual(sizes, [1000, 1000]);
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).depth, 1000);
+});
+
+test('a failed request rejects every caller sharing it and is not cached', async (t) => {
+  let calls = 0;
+  t.mock.method(providerFor('DD/USD'), 'fetchCandles', async () => {
+    calls += 1;
+    await new Promise((resolve) => setImmediate(resolve));
+    throw new Error('down');
+  });
+  const results = await Promise.allSettled([
+    fetchSeries('DD/USD', '1h', 300),
+    fetchSeries('DD/USD', '1h', 300),
+  ]);
+  assert.deepEqual(
+    results.map((r) => r.status),
+    ['rejected', 'rejected']
+  );
+  assert.equal(calls, 1);
+  await assert.rejects(fetchSeries('DD/USD', '1h', 300), /down/);
+  assert.equal(calls, 2);
+});
+
+test('isCached tells whether a request would reach the provider', async (t) => {
+  mockProvider(t, 'EE/USD');
+  assert.equal(await isCached('EE/USD', '1h', 300), false);
+  await fetchSeries('EE/USD', '1h', 300);
+  assert.equal(await isCached('EE/USD', '1h', 300), true);
+  assert.equal(await isCached('EE/USD', '1h', 100), true);
+  assert.equal(await isCached('EE/USD', '1h', 301), false);
+  assert.equal(await isCached('EE/USD', '4h', 300), false);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseConfluenceRule,
+  checkRuleTimeframes,
+  confluenceDirections,
+} = require('../lib/confluence');
+
+const term = (timeframe, trend) => ({ op: 'term', timeframe, trend });
+
+test('terms take timeframe keys or labels in any case', () => {
+  assert.deepEqual(parseConfluenceRule('1W Bullish'), term('1w', 'bullish'));
+  assert.deepEqual(parseConfluenceRule(' 1d sideways '), term('1d', 'sideways'));
+  assert.deepEqual(parseConfluenceRule('1m neutral'), term('1mo', 'neutral'));
+});
+
+test('AND binds tighter than OR and both group to the left', () => {
+  assert.deepEqual(parseConfluenceRule('1w bullish OR 1d bullish and 4h bullish'), {
+    op: 'or',
+    left: term('1w', 'bullish'),
+    right: { op: 'and', left: term('1d', 'bullish'), right: term('4h', 'bullish') },
+  });
+  assert.deepEqual(parseConfluenceRule('1w bullish AND 1d bullish OR 4h bullish'), {
+    op: 'or',
+    left: { op: 'and', left: term('1w', 'bullish'), right: term('1d', 'bullish') },
+    right: term('4h', 'bullish'),
+  });
+  assert.deepEqual(parseConfluenceRule('1w bullish AND 1d bullish AND 4h bullish'), {
+    op: 'and',
+    left: { op: 'and', left: term('1w', 'bullish'), right: term('1d', 'bullish') },
+    right: term('4h', 'bullish'),
+  });
+});
+
+test('parentheses group and NOT negates a term or a group', () => {
+  assert.deepEqual(parseConfluenceRule('(1W bullish OR 1W sideways) AND NOT 1D bearish'), {
+    op: 'and',
+    left: { op: 'or', left: term('1w', 'bullish'), right: term('1w', 'sideways') },
+    right: { op: 'not', arg: term('1d', 'bearish') },
+  });
+  // NOT binds tighter than AND
+  assert.deepEqual(parseConfluenceRule('not 1w bearish and 1d bullish'), {
+    op: 'and',
+    left: { op: 'not', arg: term('1w', 'bearish') },
+    right: term('1d', 'bullish'),
+  });
+  assert.deepEqual(parseConfluenceRule('NOT (1w bearish OR 1d bearish)'), {
+    op: 'not',
+    arg: { op: 'or', left: term('1w', 'bearish'), right: term('1d', 'bearish') },
+  });
+  assert.deepEqual(parseConfluenceRule('NOT NOT ((1w bullish))'), {
+    op: 'not',
+    arg: { op: 'not', arg: term('1w', 'bullish') },
+  });
+});
+
+test('malformed rules are rejected with what is wrong', () => {
+  const rejects = (rule, message) =>
+    assert.throws(
+      () => parseConfluenceRule(rule),
+      (err) => err.status === 400 && message.test(err.message)
+    );
+  rejects('', /non-empty string/);
+  rejects('   ', /non-empty string/);
+  rejects(42, /non-empty string/);
+  rejects('2w bullish', /unknown timeframe "2w", use one of 15m, 30m, 1h, 4h, 1D, 1W, 1M/);
+  rejects('1w up', /expected one of bullish, bearish, sideways, neutral after "1w"/);
+  rejects('1w', /expected one of/);
+  rejects('1w bullish AND', /unexpected end of rule/);
+  rejects('NOT', /unexpected end of rule/);
+  rejects('(1w bullish OR 1d bullish', /missing "\)"/);
+  rejects('1w bullish)', /unexpected "\)"/);
+  rejects('1w bullish 1d bullish', /unexpected "1d"/);
+  rejects('1w bullish XOR 1d bullish', /unexpected "XOR"/);
+  rejects('()', /unknown timeframe "\)"/);
+  rejects('AND 1w bullish', /unknown timeframe "AND"/);
+});
+
+const trends = (week, day) => ({ '1w': { trend: week }, '1d': { trend: day } });
+
+test('bearish patterns are checked against the mirrored rule', () => {
+  const rule = '1W bullish AND (1D bullish OR 1D sideways)';
+  assert.deepEqual(confluenceDirections(rule, trends('bullish', 'sideways')), ['bullish']);
+  assert.deepEqual(confluenceDirections(rule, trends('bearish', 'sideways')), ['bearish']);
+  assert.deepEqual(confluenceDirections(rule, trends('bearish', 'bullish')), []);
+  // Sideways and neutral have no mirror image
+  assert.deepEqual(confluenceDirections('1w sideways', trends('sideways', 'bullish')), [
+    'bullish',
+    'bearish',
+  ]);
+  assert.deepEqual(confluenceDirections('NOT 1d bearish', trends('bullish', 'neutral')), [
+    'bullish',
+    'bearish',
+  ]);
+});
+
+test('evaluation follows operator precedence', () => {
+  // 1W sideways OR (1D sideways AND 1W bullish); read left to right it would hold for neither
+  const rule = '1w sideways OR 1d sideways AND 1w bullish';
+  const htf = trends('sideways', 'bullish');
+  assert.deepEqual(confluenceDirections(rule, htf), ['bullish', 'bearish']);
+  assert.deepEqual(confluenceDirections('(1w sideways OR 1d sideways) AND 1w bullish', htf), []);
+  // A missing trend matches nothing
+  assert.deepEqual(confluenceDirections('1w bullish OR 4h bullish', { '4h': {} }), []);
+});
+
+test('without a rule every HTF must agree', () => {
+  assert.deepEqual(confluenceDirections(null, trends('bullish', 'bullish')), ['bullish']);
+  assert.deepEqual(confluenceDirections(undefined, trends('bearish', 'bearish')), ['bearish']);
+  assert.deepEqual(confluenceDirections('', trends('bullish', 'sideways')), []);
+});
+
+test('a rule may only use the timeframes the profile scans', () => {
+  assert.doesNotThrow(() => checkRuleTimeframes('1w bullish OR 1D bullish', ['1d', '1w'], 'x'));
+  assert.doesNotThrow(() => checkRuleTimeframes(null, [], 'x'));
+  assert.throws(
+    () => checkRuleTimeframes('NOT (1d bullish AND 4h bullish)', ['1d', '1w'], 'standard'),
+    (err) =>
+      err.status === 400 &&
+      /uses 4h, which the "standard" timeframe profile does not scan \(HTF: 1d, 1w\)/.test(
+        err.message
+      )
+  );
+});
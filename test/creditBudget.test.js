@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBucket, createCreditBudget } = require('../lib/creditBudget');
+
+// Mocked timers and clock; flush() lets the awaiting takes run
+function useClock(t) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_700_000_000_000 });
+  return (ms) => t.mock.timers.tick(ms);
+}
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Takes in submission order, each recording when it got its credits
+function recorder(budget, start) {
+  const done = [];
+  const take = (name, n) => budget.take(n).then(() => done.push([name, Date.now() - start]));
+  return { done, take };
+}
+
+test('a bucket refills evenly up to its capacity', (t) => {
+  const tick = useClock(t);
+  const bucket = createBucket(4, 60 * 1000);
+  bucket.take(4);
+  assert.equal(bucket.available(), 0);
+  assert.equal(bucket.waitMs(1), 15 * 1000);
+  tick(30 * 1000);
+  assert.equal(bucket.available(), 2);
+  tick(10 * 60 * 1000);
+  assert.equal(bucket.available(), 4);
+  assert.equal(bucket.waitMs(4), 0);
+  bucket.drain();
+  assert.equal(bucket.available(), 0);
+});
+
+test('takes wait for the credits they need', async (t) => {
+  const tick = useClock(t);
+  const budget = createCreditBudget({ perMinute: 2, perDay: 100 });
+  const { done, take } = recorder(budget, Date.now());
+  take('a', 2);
+  take('b', 1);
+  await flush();
+  assert.deepEqual(done, [['a', 0]]);
+  assert.equal(budget.status().waiting, 1);
+
+  tick(29 * 1000);
+  await flush();
+  assert.equal(done.length, 1);
+  tick(1000);
+  await flush();
+  assert.deepEqual(done, [
+    ['a', 0],
+    ['b', 30 * 1000],
+  ]);
+  assert.deepEqual(budget.status(), {
+    perMinute: 2,
+    perDay: 100,
+    availableMinute: 0,
+    availableDay: 97,
+    waiting: 0,
+  });
+});
+
+test('takes are served in order, so small ones never starve a large one', async (t) => {
+  const tick = useClock(t);
+  const budget = createCreditBudget({ perMinute: 4, perDay: 100 });
+  const { done, take } = recorder(budget, Date.now());
+  take('all', 4);
+  take('large', 3);
+  take('small', 1);
+  await flush();
+  for (let i = 0; i < 4; i += 1) {
+    tick(15 * 1000);
+    await flush();
+  }
+  assert.deepEqual(done, [
+    ['all', 0],
+    ['large', 45 * 1000],
+    ['small', 60 * 1000],
+  ]);
+});
+
+test('more than a bucket holds passes once it is full', async (t) => {
+  const tick = useClock(t);
+  const budget = createCreditBudget({ perMinute: 2, perDay: 100 });
+  const { done, take } = recorder(budget, Date.now());
+  take('batch', 5);
+  take('next', 1);
+  await flush();
+  assert.deepEqual(done, [['batch', 0]]);
+  // 3 credits overdrawn, then one more needed: 4 refills of 30 s
+  assert.equal(budget.waitMs(1), 120 * 1000);
+  tick(120 * 1000);
+  await flush();
+  assert.deepEqual(done[1], ['next', 120 * 1000]);
+});
+
+test('the day bucket holds when the minute one has room', async (t) => {
+  const tick = useClock(t);
+  const budget = createCreditBudget({ perMinute: 10, perDay: 3 });
+  const { done, take } = recorder(budget, Date.now());
+  take('a', 3);
+  take('b', 1);
+  await flush();
+  tick(60 * 1000);
+  await flush();
+  assert.deepEqual(done, [['a', 0]]);
+  // One credit per 8 hours
+  tick(8 * 60 * 60 * 1000 - 60 * 1000 - 1000);
+  await flush();
+  assert.equal(done.length, 1);
+  tick(2000);
+  await flush();
+  assert.equal(done[1][0], 'b');
+});
+
+test('drain makes the next take wait for a refill', async (t) => {
+  const tick = useClock(t);
+  const budget = createCreditBudget({ perMinute: 2, perDay: 4 });
+  budget.drain();
+  assert.equal(budget.status().availableMinute, 0);
+  assert.equal(budget.status().availableDay, 4);
+  assert.equal(budget.waitMs(1), 30 * 1000);
+
+  budget.drain({ daily: true });
+  assert.equal(budget.status().availableDay, 0);
+  assert.equal(budget.waitMs(1), 6 * 60 * 60 * 1000);
+  const { done, take } = recorder(budget, Date.now());
+  take('a', 1);
+  tick(6 * 60 * 60 * 1000);
+  await flush();
+  assert.deepEqual(done, [['a', 6 * 60 * 60 * 1000]]);
+});
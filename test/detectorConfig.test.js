@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_DETECTOR_CONFIG,
+  validateDetectorConfig,
+  resolveDetectorConfig,
+} = require('../lib/detectorConfig');
+
+const rejects = (layer, message) =>
+  assert.throws(
+    () => validateDetectorConfig(layer, 'detector'),
+    (err) => err.status === 400 && message.test(err.message)
+  );
+
+test('a valid layer comes back as a copy', () => {
+  const layer = { pivotLookback: 3, tolerances: { topsEqual: 0.02 }, trendMethods: ['ema', 'adx'] };
+  const copy = validateDetectorConfig(layer);
+  assert.deepEqual(copy, layer);
+  assert.notEqual(copy.tolerances, layer.tolerances);
+  assert.deepEqual(validateDetectorConfig(undefined), {});
+});
+
+test('unknown and inherited settings are rejected', () => {
+  rejects({ pivotLokback: 3 }, /Unknown detector setting "pivotLokback"/);
+  rejects({ toString: 5 }, /Unknown detector setting "toString"/);
+  rejects({ constructor: {} }, /Unknown detector setting "constructor"/);
+  rejects(JSON.parse('{"__proto__": {"pivotLookback": 3}}'), /"__proto__"/);
+  rejects({ tolerances: { hasOwnProperty: 0.1 } }, /Unknown detector: tolerances key/);
+});
+
+test('values are checked against their type and range', () => {
+  rejects({ pivotLookback: 2.5 }, /pivotLookback must be an integer in \[1, 10\]/);
+  rejects({ flagMaxRetrace: 0.95 }, /flagMaxRetrace must be a number/);
+  rejects({ requireRetest: 'yes' }, /requireRetest must be true or false/);
+  rejects({ toleranceMode: 'pips' }, /toleranceMode must be one of percent, atr/);
+  rejects({ trendMethods: ['ema', 'ema'] }, /trendMethods must be a non-empty list/);
+  rejects({ confluenceRule: '1d == up' }, /detector: /);
+  rejects({ tolerances: { topsEqual: 0 } }, /tolerances.topsEqual must be a number in \(0, 0.2\]/);
+  rejects([], /detector must be an object/);
+});
+
+test('layers merge over the defaults, tolerances key by key', () => {
+  const config = resolveDetectorConfig(
+    { pivotLookback: 3, tolerances: { topsEqual: 0.02 } },
+    { pivotLookback: 4 }
+  );
+  assert.equal(config.pivotLookback, 4);
+  assert.equal(config.tolerances.topsEqual, 0.02);
+  assert.equal(config.tolerances.minDepth, DEFAULT_DETECTOR_CONFIG.tolerances.minDepth);
+});
+
+test('settings that depend on each other are checked after merging', () => {
+  assert.throws(
+    () => resolveDetectorConfig({ emaFast: 300 }),
+    (err) => err.status === 400 && /emaFast \(300\) must be lower than emaSlow/.test(err.message)
+  );
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  factorSeries,
+  measureDivergence,
+  measureVolume,
+  passesFactorFilters,
+} = require('../lib/factors');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+const candles = (rows) =>
+  rows.map(([high, low, close, volume], i) => ({
+    time: new Date(T0 + i * HOUR),
+    open: close,
+    high,
+    low,
+    close,
+    volume,
+  }));
+
+const config = {
+  rsiPeriod: 2,
+  macdFast: 2,
+  macdSlow: 3,
+  macdSignal: 2,
+  volumeAvgBars: 4,
+  volumeBreakoutRatio: 1.5,
+  divergenceFilter: 'off',
+  volumeFilter: false,
+};
+
+test('a second top with weaker momentum is a bearish divergence', () => {
+  const bars = candles([
+    [10, 9, 9],
+    [12, 10, 11],
+    [11, 9, 10],
+    [12, 10, 10],
+  ]);
+  const series = { rsi: [null, 70.123, 50, 60], macd: [null, null, 0, 0.2] };
+  const pattern = { type: 'M-top', indices: { h1Idx: 1, h2Idx: 3 } };
+  assert.deepEqual(measureDivergence(pattern, 'bearish', bars, series), {
+    from: '2024-01-01T01:00:00.000Z',
+    to: '2024-01-01T03:00:00.000Z',
+    price: { first: 12, second: 12 },
+    rsi: { first: 70.12, second: 60, diverging: true },
+    // Too few bars for MACD at the first top
+    macd: null,
+  });
+});
+
+test('a second bottom with stronger momentum is a bullish divergence', () => {
+  const bars = candles([
+    [12, 10, 11],
+    [11, 8, 9],
+    [12, 9, 11],
+    [10, 8, 9],
+  ]);
+  const series = { rsi: [null, 30, 50, 25], macd: [null, -0.5, 0, -0.25] };
+  const pattern = { type: 'Inverted M', indices: { l1Idx: 1, l2Idx: 3 } };
+  const divergence = measureDivergence(pattern, 'bullish', bars, series);
+  assert.deepEqual(divergence.price, { first: 8, second: 8 });
+  assert.equal(divergence.rsi.diverging, false);
+  assert.deepEqual(divergence.macd, { first: -0.5, second: -0.25, diverging: true });
+
+  // Head and shoulders compare the shoulders; other patterns have no points
+  const shoulders = { type: 'Head & Shoulders', indices: { lsIdx: 0, hIdx: 1, rsIdx: 2 } };
+  assert.equal(
+    measureDivergence(shoulders, 'bearish', bars, series).to,
+    bars[2].time.toISOString()
+  );
+  assert.equal(measureDivergence({ type: 'Flag', indices: {} }, 'bullish', bars, series), null);
+});
+
+test('factor series leave live bars without volume out of the OBV', () => {
+  const rows = [
+    [10, 9, 9, 100],
+    [11, 9, 10, 100],
+    [11, 9, 9, 50],
+  ];
+  const full = factorSeries(candles(rows), config);
+  assert.equal(full.rsi.length, 3);
+  assert.equal(full.macd.length, 3);
+  assert.deepEqual(full.obv, [0, 100, 50]);
+  const live = factorSeries(candles([...rows, [10, 9, 10]]), config);
+  assert.deepEqual(live.obv, [0, 100, 50]);
+  assert.equal(factorSeries(candles([[10, 9, 9]]), config).obv, null);
+});
+
+test('volume fades through the pattern and expands on the breakout', () => {
+  const bars = candles([
+    [10, 9, 10, 100],
+    [11, 9, 9, 100],
+    [10, 8, 10, 50],
+    [11, 9, 9, 50],
+    [9, 7, 7, 300],
+  ]);
+  const series = factorSeries(bars, config);
+  const pattern = { indices: { l1Idx: 0, hIdx: 1, l2Idx: 3 } };
+  const broken = { breakoutAt: bars[4].time.toISOString() };
+  assert.deepEqual(measureVolume(pattern, bars, series, broken, config), {
+    fade: 0.5,
+    breakoutRatio: 4,
+    obvChange: -100,
+    confirmed: true,
+  });
+  // Before the break only the fade counts
+  assert.deepEqual(measureVolume(pattern, bars, series, null, config), {
+    fade: 0.5,
+    breakoutRatio: null,
+    obvChange: -100,
+    confirmed: true,
+  });
+  const weak = measureVolume(pattern, bars, series, broken, { ...config, volumeBreakoutRatio: 5 });
+  assert.equal(weak.confirmed, false);
+  assert.equal(measureVolume(pattern, bars, { obv: null }, broken, config), null);
+});
+
+test('factor filters keep candidates whose oscillators diverge as configured', () => {
+  const divergence = (rsi, macd) => ({
+    rsi: rsi === null ? null : { diverging: rsi },
+    macd: macd === null ? null : { diverging: macd },
+  });
+  const keeps = (filter, factors) =>
+    passesFactorFilters(factors, { ...config, divergenceFilter: filter });
+  const rsiOnly = { divergence: divergence(true, false), volume: null };
+  assert.equal(keeps('off', { divergence: divergence(false, false) }), true);
+  assert.equal(keeps('rsi', rsiOnly), true);
+  assert.equal(keeps('macd', rsiOnly), false);
+  assert.equal(keeps('any', rsiOnly), true);
+  assert.equal(keeps('all', rsiOnly), false);
+  assert.equal(keeps('all', { divergence: divergence(true, true) }), true);
+  assert.equal(keeps('rsi', { divergence: divergence(null, true) }), false);
+  // Patterns without divergence points pass
+  assert.equal(keeps('all', { divergence: null }), true);
+
+  const volumeFilter = { ...config, volumeFilter: true };
+  assert.equal(passesFactorFilters({ volume: { confirmed: false } }, volumeFilter), false);
+  assert.equal(passesFactorFilters({ volume: { confirmed: true } }, volumeFilter), true);
+  assert.equal(passesFactorFilters({ volume: null }, volumeFilter), true);
+  assert.equal(passesFactorFilters({ volume: { confirmed: false } }, config), true);
+});
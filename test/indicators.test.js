@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ema, atr, atrSeries, rsi, macd, obv } = require('../lib/indicators');
+
+const bar = (high, low, close, volume) => ({ open: close, high, low, close, volume });
+
+test('ema starts from the average of the first period', () => {
+  assert.deepEqual(ema([1, 2, 3, 4, 5], 3), [2, 3, 4]);
+  assert.deepEqual(ema([1, 2], 3), []);
+});
+
+test('atr smooths true ranges the Wilder way', () => {
+  const candles = [bar(10, 8, 9), bar(11, 9, 10), bar(12, 10, 11), bar(15, 11, 14)];
+  assert.deepEqual(atrSeries(candles, 2), [null, null, 2, 3]);
+  assert.equal(atr(candles, 2), 3);
+  assert.equal(atr(candles.slice(0, 2), 2), null);
+  // A gap counts from the previous close
+  assert.deepEqual(atrSeries([bar(10, 9, 10), bar(15, 14, 15)], 1), [null, 5]);
+});
+
+test('rsi is null until a full period and bounded by flat and one-way moves', () => {
+  assert.deepEqual(rsi([1, 2, 1], 2), [null, null, 50]);
+  const [, , first, next] = rsi([1, 2, 1, 3], 2);
+  assert.equal(first, 50);
+  // Gain 1.25 and loss 0.25 after smoothing: RS 5
+  assert.ok(Math.abs(next - (100 - 100 / 6)) < 1e-9);
+  assert.equal(rsi([1, 2, 3, 4], 2)[3], 100);
+  assert.equal(rsi([4, 3, 2, 1], 2)[3], 0);
+  assert.equal(rsi([5, 5, 5], 2)[2], 50);
+  assert.deepEqual(rsi([1, 2], 2), [null, null]);
+});
+
+test('macd lines up with the closes and is null until each part has bars', () => {
+  const result = macd([1, 2, 3, 4, 5, 6], 2, 3, 2);
+  assert.deepEqual(result.macd, [null, null, 0.5, 0.5, 0.5, 0.5]);
+  assert.deepEqual(result.signal, [null, null, null, 0.5, 0.5, 0.5]);
+  assert.deepEqual(result.histogram, [null, null, null, 0, 0, 0]);
+  const short = macd([1, 2], 2, 3, 2);
+  assert.deepEqual(short.macd, [null, null]);
+  assert.deepEqual(short.histogram, [null, null]);
+});
+
+test('obv adds volume on up closes and takes it on down closes', () => {
+  const candles = [bar(1, 1, 1, 10), bar(2, 2, 2, 20), bar(2, 2, 2, 30), bar(1, 1, 1, 40)];
+  assert.deepEqual(obv(candles), [0, 20, 20, -20]);
+  assert.equal(obv([bar(1, 1, 1, 10), bar(2, 2, 2)]), null);
+  assert.equal(obv([]), null);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFile } = require('../lib/jsonFile');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a missing file reads as empty and is created by the first update', async () => {
+  const file = path.join(dir, 'nested', 'list.json');
+  const json = createJsonFile(file, { empty: () => [] });
+  assert.deepEqual(await json.read(), []);
+  assert.equal(await json.update((list) => list.push('a')), 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), ['a']);
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('concurrent updates are applied one after another', async () => {
+  const json = createJsonFile(path.join(dir, 'counter.json'), { empty: () => ({ n: 0 }) });
+  await Promise.all(
+    Array.from({ length: 25 }, () =>
+      json.update(async (data) => {
+        const { n } = data;
+        // Yield between read and write, as a slow request would
+        await new Promise((resolve) => setImmediate(resolve));
+        data.n = n + 1;
+      })
+    )
+  );
+  assert.deepEqual(await json.read(), { n: 25 });
+});
+
+test('a failed update leaves the file as it was and later updates still run', async () => {
+  const file = path.join(dir, 'failing.json');
+  const json = createJsonFile(file, { empty: () => ({ items: [] }) });
+  await json.update((data) => data.items.push(1));
+  const failed = json.update((data) => {
+    data.items.push(2);
+    throw new Error('bad change');
+  });
+  const after = json.update((data) => data.items.push(3));
+  await assert.rejects(failed, /bad change/);
+  await after;
+  assert.deepEqual(await json.read(), { items: [1, 3] });
+});
+
+test('mode sets the permissions of the written file', async () => {
+  const file = path.join(dir, 'secret.json');
+  await createJsonFile(file, { mode: 0o600 }).update((data) => {
+    data.secret = true;
+  });
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
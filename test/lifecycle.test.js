@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STAGE, evaluateBreakout } = require('../lib/confirmation');
+const { STATUS, evaluateLifecycle } = require('../lib/lifecycle');
+
+// Hourly bars from { close, low?, high? }, a bar's range 1 around its close by default
+function bars(list) {
+  const start = Date.UTC(2024, 0, 1);
+  return list.map(({ close, low = close - 1, high = close + 1 }, i) => ({
+    time: new Date(start + i * 3600 * 1000),
+    open: close,
+    high,
+    low,
+    close,
+  }));
+}
+
+// Bullish pattern ending on the first bar: neckline 110, extreme 100, target 120
+const signal = (candles) => ({
+  direction: 'bullish',
+  patternTo: candles[0].time,
+  levels: { neckline: 110, invalidation: 100, target: 120 },
+});
+
+const rules = (overrides) => ({
+  requireRetest: false,
+  retestMaxBars: 10,
+  failedBreakoutBars: 5,
+  retestZone: 0.5,
+  ...overrides,
+});
+
+const stageOf = (candles, breakoutRules) =>
+  evaluateBreakout({ ...signal(candles), to: candles[0].time }, candles, breakoutRules).stage;
+
+const statuses = (candles, breakoutRules) =>
+  evaluateLifecycle(signal(candles), candles, breakoutRules).map((t) => [
+    t.status,
+    candles.findIndex((c) => c.time === t.at),
+  ]);
+
+// Breaks out on bar 2, comes back to the neckline on bar 4, reaches the target on bar 5
+const RETESTED = bars([
+  { close: 105 },
+  { close: 108 },
+  { close: 112, low: 111 },
+  { close: 114, low: 113 },
+  { close: 113, low: 110.3 },
+  { close: 121 },
+]);
+
+test('confirms on the first close beyond the neckline without requireRetest', () => {
+  assert.deepEqual(statuses(RETESTED, rules()), [
+    [STATUS.CONFIRMED, 2],
+    [STATUS.TARGET_HIT, 5],
+  ]);
+});
+
+test('with requireRetest, stays detected until the retest confirms the stage', () => {
+  const retest = rules({ requireRetest: true });
+  const beforeRetest = RETESTED.slice(0, 4);
+  assert.equal(stageOf(beforeRetest, retest), STAGE.FORMING);
+  assert.deepEqual(statuses(beforeRetest, retest), []);
+
+  assert.equal(stageOf(RETESTED.slice(0, 5), retest), STAGE.CONFIRMED);
+  assert.deepEqual(statuses(RETESTED, retest), [
+    [STATUS.CONFIRMED, 4],
+    [STATUS.TARGET_HIT, 5],
+  ]);
+});
+
+test('a breakout that is never retested fails before it is confirmed', () => {
+  const candles = bars([
+    { close: 105 },
+    { close: 112, low: 111 },
+    { close: 114, low: 113 },
+    { close: 115, low: 114 },
+  ]);
+  const retest = rules({ requireRetest: true, retestMaxBars: 2 });
+  assert.equal(stageOf(candles, retest), STAGE.FAILED);
+  assert.deepEqual(statuses(candles, retest), [[STATUS.FAILED_BREAKOUT, 3]]);
+});
+
+test('a close back inside the neckline soon after the break fails it', () => {
+  const candles = bars([{ close: 105 }, { close: 112, low: 111 }, { close: 108 }]);
+  assert.deepEqual(statuses(candles, rules()), [
+    [STATUS.CONFIRMED, 1],
+    [STATUS.FAILED_BREAKOUT, 2],
+  ]);
+});
+
+test('price past the pattern extreme invalidates the signal', () => {
+  const candles = bars([{ close: 105 }, { close: 101, low: 99 }]);
+  assert.deepEqual(statuses(candles, rules()), [[STATUS.INVALIDATED, 1]]);
+});
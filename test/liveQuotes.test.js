@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuoteIngestor } = require('../lib/liveQuotes');
+
+// A feed module whose ticks the test sends itself through `feeds[name].tick(...)`
+function fakeFeed(name, feeds) {
+  return {
+    name,
+    createFeed({ onQuote }) {
+      const feed = {
+        symbols: new Set(),
+        tick: (symbol, price, time, volume) =>
+          onQuote({ symbol, price, time: new Date(time), volume }),
+        subscribe: (list) => list.forEach((s) => feed.symbols.add(s)),
+        unsubscribe: (list) => list.forEach((s) => feed.symbols.delete(s)),
+        close() {},
+        status: () => ({ name, symbols: [...feed.symbols] }),
+      };
+      feeds[name] = feed;
+      return feed;
+    },
+  };
+}
+
+function setup(options = {}) {
+  const feeds = {};
+  const modules = { a: fakeFeed('a', feeds), b: fakeFeed('b', feeds) };
+  const closed = [];
+  const quotes = [];
+  const ingestor = createQuoteIngestor({
+    // Symbols starting with "B" stream from feed b, others from a, NONE from none
+    feedFor: (symbol) => (symbol === 'NONE' ? undefined : modules[symbol[0] === 'B' ? 'b' : 'a']),
+    onQuote: (quote) => quotes.push(quote),
+    onBarClose: (symbol, interval, bar) => closed.push({ symbol, interval, bar }),
+    ...options,
+  });
+  return { ingestor, feeds, closed, quotes };
+}
+
+const bar = (time, open, high, low, close, volume) => ({
+  time: new Date(time),
+  open,
+  high,
+  low,
+  close,
+  volume,
+});
+
+test('symbols subscribe to the feed of their provider', () => {
+  const { ingestor, feeds } = setup();
+  ingestor.setSymbols(['XY', 'BTC/USD', 'NONE']);
+  assert.deepEqual([...feeds.a.symbols], ['XY']);
+  assert.deepEqual([...feeds.b.symbols], ['BTC/USD']);
+  assert.deepEqual(ingestor.status(), {
+    enabled: true,
+    symbols: 2,
+    feeds: [
+      { name: 'a', symbols: ['XY'] },
+      { name: 'b', symbols: ['BTC/USD'] },
+    ],
+  });
+
+  ingestor.setSymbols(['BTC/USD', 'BNB/USD']);
+  assert.deepEqual([...feeds.a.symbols], []);
+  assert.deepEqual([...feeds.b.symbols], ['BTC/USD', 'BNB/USD']);
+});
+
+test('ticks build the bar of every timeframe and close it on the next bar', () => {
+  const { ingestor, feeds, closed, quotes } = setup();
+  ingestor.setSymbols(['XY']);
+  feeds.a.tick('XY', 10, '2024-01-01T10:05:00Z', 2);
+  feeds.a.tick('XY', 12, '2024-01-01T10:20:00Z', 3);
+  feeds.a.tick('XY', 9, '2024-01-01T10:40:00Z');
+  feeds.a.tick('XY', 11, '2024-01-01T10:59:00Z', 1);
+  const intervals = closed.map((c) => c.interval);
+  assert.deepEqual(intervals, ['15min', '15min', '30min', '15min']);
+  assert.deepEqual(quotes.map((q) => [q.price, q.change]).flat(), [10, 0, 12, 2, 9, -3, 11, 2]);
+
+  feeds.a.tick('XY', 13, '2024-01-01T11:00:00Z');
+  const hour = closed.filter((c) => c.interval === '1h');
+  assert.deepEqual(hour, [
+    { symbol: 'XY', interval: '1h', bar: bar('2024-01-01T10:00:00Z', 10, 12, 9, 11, 6) },
+  ]);
+  // Bars of longer timeframes stay open
+  assert.equal(closed.filter((c) => c.interval === '4h').length, 0);
+  assert.deepEqual(ingestor.quotes(), [
+    { symbol: 'XY', price: 13, time: new Date('2024-01-01T11:00:00Z'), change: 2 },
+  ]);
+});
+
+test('late, broken and unsubscribed ticks are ignored', () => {
+  const { ingestor, feeds, quotes } = setup();
+  ingestor.setSymbols(['XY']);
+  feeds.a.tick('XY', 10, '2024-01-01T10:05:00Z');
+  feeds.a.tick('XY', 8, '2024-01-01T10:04:00Z');
+  feeds.a.tick('XY', Number.NaN, '2024-01-01T10:06:00Z');
+  feeds.a.tick('XY', 9, 'not a time');
+  feeds.a.tick('ZZ', 9, '2024-01-01T10:06:00Z');
+  assert.equal(quotes.length, 1);
+});
+
+test('live bars are laid over fetched candles', () => {
+  const { ingestor, feeds } = setup();
+  ingestor.setSymbols(['XY']);
+  const candles = [
+    bar('2024-01-01T08:00:00Z', 1, 5, 1, 4, 100),
+    bar('2024-01-01T09:00:00Z', 4, 6, 3, 5, 50),
+  ];
+  assert.equal(ingestor.overlay('XY', '1h', candles), candles);
+
+  // The forming 09:00 bar is widened, then a new 10:00 bar follows
+  feeds.a.tick('XY', 7, '2024-01-01T09:30:00Z', 20);
+  feeds.a.tick('XY', 2, '2024-01-01T09:45:00Z', 40);
+  feeds.a.tick('XY', 3, '2024-01-01T10:10:00Z');
+  assert.deepEqual(ingestor.overlay('XY', '1h', candles), [
+    bar('2024-01-01T09:00:00Z', 4, 7, 2, 2, 60),
+    bar('2024-01-01T10:00:00Z', 3, 3, 3, 3, undefined),
+  ]);
+  assert.deepEqual(ingestor.overlay('XY', '1h', []), [
+    bar('2024-01-01T09:00:00Z', 7, 7, 2, 2, 60),
+    bar('2024-01-01T10:00:00Z', 3, 3, 3, 3, undefined),
+  ]);
+  assert.equal(ingestor.overlay('ZZ', '1h', candles), candles);
+});
+
+test('only the latest bars are kept, and dropped symbols are forgotten', () => {
+  const { ingestor, feeds } = setup({ maxBars: 2 });
+  ingestor.setSymbols(['XY']);
+  ['10:00', '11:00', '12:00'].forEach((hour, i) =>
+    feeds.a.tick('XY', i + 1, `2024-01-01T${hour}:00Z`)
+  );
+  const kept = ingestor.overlay('XY', '1h', []);
+  assert.deepEqual(
+    kept.map((b) => b.close),
+    [2, 3]
+  );
+
+  ingestor.setSymbols([]);
+  assert.deepEqual(ingestor.quotes(), []);
+  assert.deepEqual(ingestor.overlay('XY', '1h', []), []);
+});
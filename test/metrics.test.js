@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { counter, gauge, histogram, renderMetrics, scansTotal } = require('../lib/metrics');
+
+// The lines of one metric's block in the rendered text
+function block(name) {
+  const lines = renderMetrics().split('\n');
+  const start = lines.findIndex((line) => line.startsWith(`# HELP ${name} `));
+  const end = lines.findIndex((line, i) => i > start + 1 && line.startsWith('# HELP '));
+  return lines.slice(start, end === -1 ? lines.length - 1 : end);
+}
+
+test('counters keep one series per label combination', () => {
+  const requests = counter('test_requests_total', 'Requests', ['method', 'status']);
+  requests.inc({ method: 'GET', status: 200 });
+  requests.inc({ method: 'GET', status: 200 }, 2);
+  requests.inc({ method: 'POST', status: 500 });
+  assert.deepEqual(requests.values(), [
+    { labels: { method: 'GET', status: '200' }, value: 3 },
+    { labels: { method: 'POST', status: '500' }, value: 1 },
+  ]);
+  assert.deepEqual(block('test_requests_total'), [
+    '# HELP test_requests_total Requests',
+    '# TYPE test_requests_total counter',
+    'test_requests_total{method="GET",status="200"} 3',
+    'test_requests_total{method="POST",status="500"} 1',
+  ]);
+});
+
+test('label values are escaped and missing ones are empty', () => {
+  const odd = counter('test_odd_total', 'Odd labels', ['name', 'other']);
+  odd.inc({ name: 'a "quoted"\\path\nnext' });
+  assert.equal(
+    block('test_odd_total')[2],
+    'test_odd_total{name="a \\"quoted\\"\\\\path\\nnext",other=""} 1'
+  );
+  const plain = counter('test_plain_total', 'No labels');
+  plain.inc();
+  assert.equal(block('test_plain_total')[2], 'test_plain_total 1');
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const duration = histogram('test_duration_seconds', 'Durations', ['step'], [0.1, 1]);
+  duration.observe({ step: 'fetch' }, 0.05);
+  duration.observe({ step: 'fetch' }, 0.5);
+  duration.observe({ step: 'fetch' }, 3);
+  assert.deepEqual(block('test_duration_seconds').slice(2), [
+    'test_duration_seconds_bucket{step="fetch",le="0.1"} 1',
+    'test_duration_seconds_bucket{step="fetch",le="1"} 2',
+    'test_duration_seconds_bucket{step="fetch",le="+Inf"} 3',
+    'test_duration_seconds_sum{step="fetch"} 3.55',
+    'test_duration_seconds_count{step="fetch"} 3',
+  ]);
+  assert.deepEqual(duration.values(), [{ labels: { step: 'fetch' }, count: 3, sum: 3.55 }]);
+});
+
+test('timers observe the time since they were started', async () => {
+  const duration = histogram('test_timer_seconds', 'Timed', [], [10]);
+  const stop = duration.startTimer();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  stop();
+  const [{ count, sum }] = duration.values();
+  assert.equal(count, 1);
+  assert.ok(sum >= 0.015 && sum < 10, `took ${sum}s`);
+});
+
+test('gauges are read when the metrics are rendered', () => {
+  let queued = 1;
+  gauge('test_queued', 'Queued items', () => [{ labels: { queue: 'scan' }, value: queued }]);
+  assert.equal(block('test_queued')[2], 'test_queued{queue="scan"} 1');
+  queued = 4;
+  assert.equal(block('test_queued')[2], 'test_queued{queue="scan"} 4');
+});
+
+test('the app metrics render with help and type even before use', () => {
+  const text = renderMetrics();
+  assert.ok(text.endsWith('\n'));
+  assert.ok(text.includes('# HELP scanner_scans_total Symbol scans by result\n'));
+  assert.ok(text.includes('# TYPE scanner_scan_duration_seconds histogram\n'));
+  scansTotal.inc({ symbol: 'EUR/USD', result: 'ok' });
+  assert.ok(renderMetrics().includes('scanner_scans_total{symbol="EUR/USD",result="ok"} 1\n'));
+});
@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+
+delete process.env.MONGODB_URI;
+
+// Stand-in HTTP receiver: records every request, fails the ones to `failing` paths
+function startHttp(requests, failing) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(failing.has(req.url) ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Stand-in SMTP server: accepts every message and records its envelope and data
+function startSmtp(mails) {
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let mail = { to: [] };
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end = buffer.indexOf('\r\n');
+      while (end !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        end = buffer.indexOf('\r\n');
+        if (data) {
+          if (line !== '.') {
+            data.push(line);
+            continue;
+          }
+          mails.push({ ...mail, data: data.join('\n') });
+          mail = { to: [] };
+          data = null;
+          socket.write('250 Queued\r\n');
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          if (command === 'RCPT') mail.to.push(line.slice(line.indexOf(':') + 1).trim());
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const requests = [];
+const mails = [];
+const failing = new Set();
+let httpServer;
+let smtpServer;
+let notifiers;
+
+test.before(async () => {
+  httpServer = await startHttp(requests, failing);
+  smtpServer = await startSmtp(mails);
+  const base = `http://127.0.0.1:${httpServer.address().port}`;
+  // Channels are read when the module loads
+  process.env.NOTIFY_CHANNELS = JSON.stringify([
+    { type: 'webhook', url: `${base}/hook`, secret: 'shh', filter: { symbols: ['XY'] } },
+    {
+      type: 'email',
+      name: 'ops',
+      host: '127.0.0.1',
+      port: smtpServer.address().port,
+      to: 'ops@example.com',
+      from: 'scanner@example.com',
+    },
+    { type: 'telegram', apiBase: base, botToken: 'T0KEN', chatId: 42 },
+    { type: 'discord', webhookUrl: `${base}/discord`, filter: { directions: ['bullish'] } },
+  ]);
+  notifiers = require('../lib/notifiers');
+});
+
+test.after(() => {
+  httpServer.closeAllConnections();
+  httpServer.close();
+  smtpServer.close();
+});
+
+test.beforeEach(() => {
+  requests.length = 0;
+  mails.length = 0;
+});
+
+const scan = (symbol, signal = {}) => ({
+  symbol,
+  lastClose: 1.2345,
+  profile: 'standard',
+  dayTrend: 'bearish',
+  weekTrend: 'bullish',
+  trends: { '1d': { trend: 'bearish', strength: 64 } },
+  signal: {
+    direction: 'bearish',
+    pattern: 'M-top',
+    timeframe: '1h',
+    from: '2024-01-01 00:00:00',
+    to: '2024-01-02 00:00:00',
+    score: 81,
+    ...signal,
+  },
+});
+
+const statuses = (results) => results.map((r) => `${r.channel}:${r.status}`);
+
+test('a signal goes to every matching channel', async () => {
+  const results = await notifiers.notifySignal(scan('XY'), 'settings-a');
+  assert.deepEqual(statuses(results), ['webhook-1:sent', 'ops:sent', 'telegram-3:sent']);
+
+  const hook = requests.find((r) => r.url === '/hook');
+  const payload = JSON.parse(hook.body);
+  assert.equal(payload.event, 'signal');
+  assert.equal(payload.symbol, 'XY');
+  assert.equal(payload.lastClose, 1.2345);
+  assert.equal(payload.signal.pattern, 'M-top');
+  assert.deepEqual(payload.trends, { '1d': { trend: 'bearish', strength: 64 } });
+  assert.equal(hook.headers['content-type'], 'application/json');
+
+  const telegram = requests.find((r) => r.url === '/botT0KEN/sendMessage');
+  const { chat_id: chatId, text } = JSON.parse(telegram.body);
+  assert.equal(chatId, 42);
+  assert.match(text, /^BEARISH M-top on XY \(1h\)\n/);
+  assert.match(text, /Trend: D bearish \(strength 64\) \/ W bullish/);
+  assert.match(text, /Quality score: 81\/100/);
+
+  assert.equal(mails.length, 1);
+  assert.deepEqual(mails[0].to, ['<ops@example.com>']);
+  assert.match(mails[0].data, /^Subject: \[Scanner\] BEARISH M-top on XY \(1h\)$/m);
+  assert.match(mails[0].data, /^Pattern window: 2024-01-01 00:00:00 -> 2024-01-02 00:00:00$/m);
+});
+
+test('webhook deliveries are signed with the channel secret', async () => {
+  await notifiers.notifySignal(scan('XY', { from: '2024-02-01 00:00:00' }), 'settings-a');
+  const { headers, body } = requests.find((r) => r.url === '/hook');
+  const timestamp = headers['x-scanner-timestamp'];
+  assert.ok(Math.abs(Date.now() - Number(timestamp)) < 60 * 1000);
+  const expected = crypto.createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+  assert.equal(headers['x-scanner-signature'], `sha256=${expected}`);
+});
+
+test('channel filters decide who hears about a signal', async () => {
+  const results = await notifiers.notifySignal(scan('AB', { direction: 'bullish' }), 'settings-a');
+  assert.deepEqual(statuses(results), ['ops:sent', 'telegram-3:sent', 'discord-4:sent']);
+  const discord = JSON.parse(requests.find((r) => r.url === '/discord').body);
+  assert.match(discord.content, /^BULLISH M-top on AB \(1h\)/);
+  assert.equal(discord.username, 'Confluence Scanner');
+});
+
+test('a pattern window is alerted once per channel and settings', async () => {
+  const signal = scan('XY', { from: '2024-03-01 00:00:00' });
+  // Scans running side by side still send it once
+  const [first, second] = await Promise.all([
+    notifiers.notifySignal(signal, 'settings-a'),
+    notifiers.notifySignal(signal, 'settings-a'),
+  ]);
+  assert.deepEqual([...first, ...second].map((r) => r.status).sort(), [
+    'duplicate',
+    'duplicate',
+    'duplicate',
+    'sent',
+    'sent',
+    'sent',
+  ]);
+  assert.equal(requests.filter((r) => r.url === '/hook').length, 1);
+  assert.equal(mails.length, 1);
+
+  const sent = ['webhook-1:sent', 'ops:sent', 'telegram-3:sent'];
+  const again = await notifiers.notifySignal(signal, 'settings-a');
+  assert.deepEqual(statuses(again), [
+    'webhook-1:duplicate',
+    'ops:duplicate',
+    'telegram-3:duplicate',
+  ]);
+  // Scans with other settings found it on their own, and alert it on their own
+  assert.deepEqual(statuses(await notifiers.notifySignal(signal, 'settings-b')), sent);
+  // So does the next window of the same pattern
+  const next = scan('XY', { from: '2024-03-02 00:00:00' });
+  assert.deepEqual(statuses(await notifiers.notifySignal(next, 'settings-a')), sent);
+});
+
+test('a failed delivery is reported and retried on the next scan', async () => {
+  const signal = scan('XY', { from: '2024-04-01 00:00:00' });
+  failing.add('/hook');
+  const failed = await notifiers.notifySignal(signal, 'settings-a');
+  failing.delete('/hook');
+  assert.deepEqual(statuses(failed), ['webhook-1:failed', 'ops:sent', 'telegram-3:sent']);
+  assert.match(failed[0].error, /500/);
+
+  const retried = await notifiers.notifySignal(signal, 'settings-a');
+  assert.deepEqual(statuses(retried), ['webhook-1:sent', 'ops:duplicate', 'telegram-3:duplicate']);
+});
+
+test('test notifications skip filters and the delivery log', async () => {
+  const first = await notifiers.sendTestNotification();
+  const second = await notifiers.sendTestNotification('discord-4');
+  assert.deepEqual(statuses(first), [
+    'webhook-1:sent',
+    'ops:sent',
+    'telegram-3:sent',
+    'discord-4:sent',
+  ]);
+  assert.deepEqual(statuses(second), ['discord-4:sent']);
+  assert.equal(JSON.parse(requests.find((r) => r.url === '/hook').body).event, 'test');
+  assert.match(mails[0].data, /^Subject: \[Scanner\] Test notification$/m);
+  await assert.rejects(notifiers.sendTestNotification('nope'), /Unknown notification channel/);
+});
+
+test('listed channels hide their secrets', () => {
+  const [hook, mail, telegram, discord] = notifiers.listChannels();
+  assert.equal(hook.url, '***');
+  assert.equal(hook.secret, '***');
+  assert.equal(mail.to, 'ops@example.com');
+  assert.equal(telegram.botToken, '***');
+  assert.equal(telegram.chatId, 42);
+  assert.equal(discord.webhookUrl, '***');
+});
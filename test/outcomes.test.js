@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OUTCOME_HORIZONS = '3, 1,3';
+
+const {
+  OUTCOME_HORIZONS,
+  OUTCOME_MAX_BARS,
+  evaluateOutcome,
+  trendCombination,
+  createStatsAccumulator,
+} = require('../lib/outcomes');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1, 12);
+
+// Hourly bars from the detection bar on; each is [high, low, close]
+const candles = (...bars) =>
+  bars.map(([high, low, close], i) => ({
+    time: new Date(T0 + i * HOUR),
+    open: close,
+    high,
+    low,
+    close,
+  }));
+
+const bullish = {
+  direction: 'bullish',
+  price: 100,
+  createdAt: new Date(T0),
+  plan: { stop: 95, targets: [{ price: 110 }], riskPerUnit: 5 },
+  target: 130,
+  invalidation: 90,
+};
+
+test('horizons come from OUTCOME_HORIZONS, sorted and distinct', () => {
+  assert.deepEqual(OUTCOME_HORIZONS, [1, 3]);
+});
+
+test('excursions are measured up to the first target hit', () => {
+  const outcome = evaluateOutcome(
+    bullish,
+    candles(
+      [100, 100, 100],
+      [104, 99, 103],
+      [108, 97, 106],
+      [111, 105, 110],
+      // After the target, excursions no longer count
+      [120, 80, 90]
+    )
+  );
+  const { updatedAt, ...rest } = outcome;
+  assert.ok(updatedAt instanceof Date);
+  assert.deepEqual(rest, {
+    barsTracked: 4,
+    mfePct: 11,
+    maePct: 3,
+    mfeR: 2.2,
+    maeR: 0.6,
+    returns: { 1: 3, 3: 10 },
+    targetHit: { at: new Date(T0 + 3 * HOUR), bars: 3 },
+    stopHit: null,
+    result: 'target',
+    complete: true,
+  });
+});
+
+test('bearish signals count the other way, and the stop wins a shared bar', () => {
+  const bearish = {
+    direction: 'bearish',
+    price: 100,
+    createdAt: new Date(T0),
+    target: 90,
+    invalidation: 105,
+  };
+  const outcome = evaluateOutcome(bearish, candles([100, 100, 100], [102, 98, 99], [106, 89, 95]));
+  assert.equal(outcome.result, 'stop');
+  assert.deepEqual(outcome.stopHit, { at: new Date(T0 + 2 * HOUR), bars: 2 });
+  assert.equal(outcome.targetHit, null);
+  assert.equal(outcome.mfePct, 11);
+  assert.equal(outcome.maePct, 6);
+  // Without a plan there is no risk to measure in R
+  assert.equal(outcome.mfeR, null);
+  assert.deepEqual(outcome.returns, { 1: 1 });
+  // The 3-bar return is still missing
+  assert.equal(outcome.complete, false);
+});
+
+test('without a plan the pattern target and invalidation are used', () => {
+  const { plan, ...signal } = bullish;
+  const outcome = evaluateOutcome(
+    signal,
+    candles([100, 100, 100], [112, 96, 111], [131, 100, 130])
+  );
+  assert.equal(outcome.result, 'target');
+  assert.equal(outcome.targetHit.bars, 2);
+});
+
+test('an unresolved signal stays open until the last tracked bar', () => {
+  const flat = Array.from({ length: OUTCOME_MAX_BARS + 5 }, () => [101, 99, 100]);
+  const few = evaluateOutcome(bullish, candles(...flat.slice(0, 4)));
+  assert.equal(few.result, 'open');
+  assert.equal(few.complete, false);
+  const all = evaluateOutcome(bullish, candles(...flat));
+  assert.equal(all.barsTracked, OUTCOME_MAX_BARS);
+  assert.equal(all.complete, true);
+  assert.equal(all.result, 'open');
+});
+
+test('candles that do not reach back to the detection give no outcome', () => {
+  const late = candles([100, 100, 100], [101, 99, 100]).slice(1);
+  assert.equal(evaluateOutcome(bullish, late), null);
+  assert.equal(evaluateOutcome(bullish, []), null);
+  assert.equal(evaluateOutcome({ ...bullish, price: 0 }, candles([100, 100, 100])), null);
+});
+
+test('trend combinations fall back to the day and week trends', () => {
+  assert.equal(
+    trendCombination({ htfTrends: { '4h': 'bearish', '1d': 'bullish' } }),
+    '4h:bearish 1d:bullish'
+  );
+  assert.equal(
+    trendCombination({ dayTrend: 'bullish', weekTrend: 'sideways' }),
+    '1d:bullish 1w:sideways'
+  );
+  assert.equal(trendCombination({ dayTrend: 'bullish' }), '1d:bullish');
+  assert.equal(trendCombination({}), '');
+});
+
+test('statistics are summed overall and per group', () => {
+  const stats = createStatsAccumulator();
+  const record = (fields, outcome) =>
+    stats.add({
+      pattern: 'M-top',
+      timeframe: '1h',
+      symbol: 'XY',
+      htfTrends: { '1d': 'bearish' },
+      ...fields,
+      outcome,
+    });
+  record({}, { result: 'target', mfePct: 4, maePct: 1, returns: { 1: 2, 3: 3 } });
+  record({}, { result: 'stop', mfePct: 1, maePct: 2, returns: { 1: -1 } });
+  record({ symbol: 'AB' }, { result: 'open', mfePct: 1, maePct: 0, returns: {} });
+  record({ pattern: 'W-bottom', htfTrends: undefined }, { result: 'untracked' });
+  record({ timeframe: '4h' }, null);
+
+  const result = stats.result();
+  assert.deepEqual(result.horizons, [1, 3]);
+  assert.deepEqual(result.overall, {
+    signals: 5,
+    tracked: 3,
+    resolved: 2,
+    targetHits: 1,
+    stopHits: 1,
+    hitRate: 0.5,
+    avgMfePct: 2,
+    avgMaePct: 1,
+    avgReturnPct: { 1: 0.5, 3: 3 },
+  });
+  // Largest groups first; records without a key land in "unknown"
+  const counts = (groups) => groups.map((g) => `${g.key}:${g.signals}`);
+  assert.deepEqual(counts(result.byPattern), ['M-top:4', 'W-bottom:1']);
+  assert.deepEqual(counts(result.byTrend), ['1d:bearish:4', 'unknown:1']);
+  const ab = result.bySymbol.find((g) => g.key === 'AB');
+  assert.equal(ab.hitRate, null);
+  assert.deepEqual(ab.avgReturnPct, {});
+  assert.equal(result.byTimeframe.find((g) => g.key === '4h').avgMfePct, null);
+});
@@ -0,0 +1,272 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.PAPER_TRADING = 'true';
+process.env.PAPER_STARTING_EQUITY = '10000';
+process.env.PAPER_ENTRY_MAX_BARS = '3';
+// Fills at the reference price, so the levels are easy to follow
+process.env.PAPER_SPREAD_BPS = '0';
+process.env.PAPER_SLIPPAGE_BPS = '0';
+process.env.LOG_LEVEL = 'error';
+
+const {
+  PAPER_CONFIG,
+  openPaperPosition,
+  updatePaperPositions,
+  paperPortfolio,
+  paperPositionDetail,
+} = require('../lib/paperTrading');
+const { currentBroker } = require('../lib/brokers');
+
+const { PaperPosition, PaperOrder, PaperFill, PaperEquity } = mongoose.models;
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+// Enough of the four models, kept in memory, for the engine's queries
+function memoryStore(t) {
+  const store = { positions: [], orders: [], fills: [], equity: [] };
+  const matches = (filter) => (doc) =>
+    Object.entries(filter).every(([key, value]) =>
+      value && value.$in ? value.$in.includes(doc[key]) : String(doc[key]) === String(value)
+    );
+  const query = (docs) => {
+    const q = {
+      sort(spec) {
+        const [[key, order]] = Object.entries(spec);
+        docs = [...docs].sort((a, b) => order * (a[key] - b[key]));
+        return q;
+      },
+      limit: () => q,
+      select: () => q,
+      lean: async () => docs.map((doc) => (doc.toObject ? doc.toObject() : doc)),
+      then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+    };
+    return q;
+  };
+  const create = (Model, list) => async (fields) => {
+    const docs = [].concat(fields).map((f) => new Model(f));
+    list.push(...docs);
+    return Array.isArray(fields) ? docs : docs[0];
+  };
+
+  [PaperPosition, PaperOrder].forEach((Model) =>
+    t.mock.method(Model.prototype, 'save', async function save() {
+      return this;
+    })
+  );
+  t.mock.method(PaperPosition, 'find', (filter) => query(store.positions.filter(matches(filter))));
+  t.mock.method(PaperPosition, 'findOne', (filter) => ({
+    lean: async () => store.positions.find(matches(filter))?.toObject() ?? null,
+  }));
+  t.mock.method(PaperPosition, 'create', async (fields) => {
+    if (store.positions.some(matches({ owner: fields.owner, signalId: fields.signalId }))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    return create(PaperPosition, store.positions)(fields);
+  });
+  t.mock.method(PaperPosition, 'aggregate', async ([{ $match }]) => {
+    const closed = store.positions.filter(matches($match));
+    if (closed.length === 0) return [];
+    return [
+      {
+        pnl: closed.reduce((sum, p) => sum + p.pnl, 0),
+        trades: closed.length,
+        wins: closed.filter((p) => p.pnl > 0).length,
+      },
+    ];
+  });
+  t.mock.method(PaperOrder, 'find', (filter) => query(store.orders.filter(matches(filter))));
+  t.mock.method(PaperOrder, 'create', create(PaperOrder, store.orders));
+  t.mock.method(PaperFill, 'find', (filter) => query(store.fills.filter(matches(filter))));
+  t.mock.method(PaperFill, 'create', create(PaperFill, store.fills));
+  t.mock.method(PaperEquity, 'find', (filter) => query(store.equity.filter(matches(filter))));
+  t.mock.method(PaperEquity, 'create', create(PaperEquity, store.equity));
+  return store;
+}
+
+// Hourly bars after the scan's last candle at T0; each is [open, high, low, close]
+const bars = (...rows) =>
+  rows.map(([open, high, low, close], i) => ({
+    time: new Date(T0 + (i + 1) * HOUR),
+    open,
+    high,
+    low,
+    close,
+  }));
+const scanCandles = [{ time: new Date(T0), open: 99, high: 99, low: 99, close: 99 }];
+
+// A loader that returns the bars plus a forming one, which is never traded
+const loader = (closed) => async () => [
+  ...closed,
+  { ...closed[0], time: new Date(T0 + 99 * HOUR) },
+];
+
+const bullish = (fields = {}) => ({
+  id: 'sig-1',
+  timeframe: '1h',
+  pattern: 'W-bottom',
+  direction: 'bullish',
+  plan: { entry: 100, stop: 95, targets: [{ price: 110 }], riskPercent: 1, riskPerUnit: 5 },
+  ...fields,
+});
+
+const bearish = (fields = {}) =>
+  bullish({
+    id: 'sig-2',
+    pattern: 'M-top',
+    direction: 'bearish',
+    plan: { entry: 100, stop: 105, targets: [{ price: 90 }], riskPercent: 1, riskPerUnit: 5 },
+    ...fields,
+  });
+
+test('a position waits on a stop entry sized from the paper equity', async (t) => {
+  const store = memoryStore(t);
+  const position = await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+  assert.equal(position.status, 'pending');
+  assert.equal(position.owner, undefined);
+  // 1% of 10000 over 5 of risk per unit
+  assert.equal(position.quantity, 20);
+  assert.equal(position.entryLevel, 100);
+  assert.deepEqual(
+    store.orders.map((o) => [o.side, o.type, o.purpose, o.price]),
+    [['buy', 'stop', 'entry', 100]]
+  );
+
+  // The same signal is traded once per user
+  const again = await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+  assert.equal(String(again._id), String(position._id));
+  assert.equal(store.orders.length, 1);
+  assert.equal((await openPaperPosition('bob', 'XY', bullish(), scanCandles)).status, 'pending');
+  assert.equal(await openPaperPosition('alice', 'XY', bullish({ plan: null }), scanCandles), null);
+  assert.equal(await openPaperPosition('alice', 'XY', bullish({ id: 'sig-3' }), []), null);
+});
+
+test('an entry fills on the break and the target closes it', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 + 100 * HOUR });
+  const store = memoryStore(t);
+  const { _id } = await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+
+  const first = bars([98, 99, 97, 98], [99, 102, 98, 101]);
+  assert.deepEqual(await updatePaperPositions(loader(first)), ['alice']);
+  let portfolio = await paperPortfolio('alice');
+  const [open] = portfolio.positions;
+  assert.equal(open.status, 'open');
+  assert.equal(open.entryPrice, 100);
+  assert.equal(open.barsWaited, 1);
+  assert.equal(open.unrealizedPnl, 20);
+  assert.equal(portfolio.equity, 10020);
+
+  // Nothing new since the last run
+  assert.deepEqual(await updatePaperPositions(loader(first)), []);
+
+  t.mock.timers.tick(HOUR);
+  const later = bars([98, 99, 97, 98], [99, 102, 98, 101], [105, 111, 104, 109]);
+  await updatePaperPositions(loader(later));
+  portfolio = await paperPortfolio('alice');
+  assert.deepEqual(portfolio.positions, []);
+  const [trade] = portfolio.trades;
+  assert.equal(trade.status, 'closed');
+  assert.equal(trade.exitReason, 'target');
+  assert.equal(trade.exitPrice, 110);
+  assert.equal(trade.pnl, 200);
+  assert.equal(portfolio.realized, 200);
+  assert.equal(portfolio.closedTrades, 1);
+  assert.equal(portfolio.winRate, 1);
+  assert.deepEqual(
+    portfolio.equityCurve.map((point) => point.equity),
+    [10020, 10200]
+  );
+  assert.deepEqual(portfolio.broker, { name: 'mock', spreadBps: 0, slippageBps: 0 });
+
+  const detail = await paperPositionDetail('alice', String(_id));
+  assert.deepEqual(
+    detail.orders.map((o) => `${o.purpose}:${o.status}`),
+    ['entry:filled', 'stop:cancelled', 'target:filled']
+  );
+  assert.deepEqual(
+    detail.fills.map((f) => [f.side, f.price]),
+    [
+      ['buy', 100],
+      ['sell', 110],
+    ]
+  );
+  assert.equal(store.fills.length, 2);
+
+  // Realized P&L sizes the next position
+  const next = await openPaperPosition('alice', 'XY', bullish({ id: 'sig-3' }), scanCandles);
+  assert.equal(next.quantity, 20.4);
+});
+
+test('a bar reaching both exits takes the stop first', async (t) => {
+  memoryStore(t);
+  await openPaperPosition('alice', 'XY', bearish(), scanCandles);
+  await updatePaperPositions(loader(bars([101, 106, 89, 95])));
+  const [trade] = (await paperPortfolio('alice')).trades;
+  assert.equal(trade.exitReason, 'stop');
+  assert.equal(trade.entryPrice, 100);
+  assert.equal(trade.exitPrice, 105);
+  assert.equal(trade.pnl, -100);
+  assert.equal((await paperPortfolio('alice')).winRate, 0);
+});
+
+test('an entry is cancelled when the stop trades first', async (t) => {
+  memoryStore(t);
+  await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+  await updatePaperPositions(loader(bars([98, 99, 94, 95])));
+  const [trade] = (await paperPortfolio('alice')).trades;
+  assert.equal(trade.status, 'cancelled');
+  assert.equal(trade.exitReason, 'invalidated');
+  assert.equal(trade.entryPrice, undefined);
+});
+
+test('an entry that does not fill in time expires', async (t) => {
+  memoryStore(t);
+  await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+  const waiting = bars([98, 99, 97, 98], [98, 99, 97, 98], [98, 99, 97, 98], [98, 101, 97, 99]);
+  await updatePaperPositions(loader(waiting));
+  const [trade] = (await paperPortfolio('alice')).trades;
+  assert.equal(trade.exitReason, 'expired');
+  assert.equal(trade.barsWaited, PAPER_CONFIG.entryMaxBars);
+  assert.equal(trade.closedAt.getTime(), T0 + 3 * HOUR);
+});
+
+test('a broken neckline enters at the next open', async (t) => {
+  const store = memoryStore(t);
+  const broken = bullish({ breakout: { breakoutAt: new Date(T0).toISOString() } });
+  const position = await openPaperPosition('alice', 'XY', broken, scanCandles);
+  assert.equal(position.entryLevel, undefined);
+  assert.equal(store.orders[0].type, 'market');
+  await updatePaperPositions(loader(bars([103, 104, 102, 103])));
+  const [open] = (await paperPortfolio('alice')).positions;
+  assert.equal(open.entryPrice, 103);
+  assert.equal(open.unrealizedPnl, 0);
+});
+
+test('rejected orders and missing candles leave positions to the next run', async (t) => {
+  const store = memoryStore(t);
+  await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+  const failing = async () => {
+    throw new Error('Provider down');
+  };
+  assert.deepEqual(await updatePaperPositions(failing), []);
+  assert.equal(store.positions[0].status, 'pending');
+
+  t.mock.method(currentBroker(), 'submitOrder', async () => {
+    throw new Error('Market closed');
+  });
+  await updatePaperPositions(loader(bars([101, 102, 100, 101])));
+  assert.equal(store.positions[0].status, 'cancelled');
+  assert.equal(store.positions[0].exitReason, 'rejected');
+  assert.equal(store.orders[0].status, 'cancelled');
+  assert.equal(store.orders[0].error, 'Market closed');
+});
+
+test('positions of other users are not found', async (t) => {
+  memoryStore(t);
+  const { _id } = await openPaperPosition('alice', 'XY', bullish(), scanCandles);
+  const notFound = (err) => err.status === 404 && /not found/.test(err.message);
+  await assert.rejects(paperPositionDetail('bob', String(_id)), notFound);
+  await assert.rejects(paperPositionDetail('alice', 'nope'), notFound);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectMTop,
+  detectInvertedM,
+  detectHeadAndShoulders,
+  detectInverseHeadAndShoulders,
+  detectTripleTop,
+  detectTripleBottom,
+  detectAscendingTriangle,
+  detectDescendingTriangle,
+  detectSymmetricalTriangle,
+  detectRisingWedge,
+  detectFallingWedge,
+  detectRectangle,
+  detectBullFlag,
+  detectBearFlag,
+} = require('../lib/patterns');
+
+// Hourly candles walking in straight lines between `anchors`, `legBars` bars per
+// leg (one count, or one per leg). Every bar opens halfway from the previous
+// close, so each turn is a single swing high or low.
+function pathCandles(anchors, legBars = 5, wick = 0.1) {
+  const prices = [anchors[0]];
+  for (let i = 1; i < anchors.length; i++) {
+    const from = anchors[i - 1];
+    const bars = Array.isArray(legBars) ? legBars[i - 1] : legBars;
+    const step = (anchors[i] - from) / bars;
+    for (let j = 1; j <= bars; j++) prices.push(from + step * j);
+  }
+  const start = Date.UTC(2024, 0, 1);
+  return prices.map((close, i) => {
+    const open = i === 0 ? close : (prices[i - 1] + close) / 2;
+    return {
+      time: new Date(start + i * 3600 * 1000),
+      open,
+      high: Math.max(open, close) + wick,
+      low: Math.min(open, close) - wick,
+      close,
+      volume: 1000,
+    };
+  });
+}
+
+// Each detector gets a shape it must find and a near miss it must reject
+const FIXTURES = [
+  {
+    detect: detectMTop,
+    type: 'M-top',
+    // Two tops on the latest pivots
+    hit: [100, 110, 104, 110, 106],
+    // Second top 4.5% above the first
+    miss: [100, 110, 104, 115, 108],
+  },
+  {
+    detect: detectInvertedM,
+    type: 'Inverted M',
+    hit: [110, 100, 106, 100, 104],
+    miss: [110, 100, 106, 95, 102],
+  },
+  {
+    detect: detectHeadAndShoulders,
+    type: 'Head & Shoulders',
+    hit: [100, 108, 103, 114, 103, 108, 100],
+    // Head only 0.5% above the shoulders
+    miss: [100, 108, 103, 108.5, 103, 108, 100],
+  },
+  {
+    detect: detectInverseHeadAndShoulders,
+    type: 'Inverse Head & Shoulders',
+    hit: [114, 106, 111, 100, 111, 106, 114],
+    miss: [114, 106, 111, 105.5, 111, 106, 114],
+  },
+  {
+    detect: detectTripleTop,
+    type: 'Triple Top',
+    hit: [100, 110, 104, 110, 104, 110, 105],
+    // Third top 2.7% above the others
+    miss: [100, 110, 104, 110, 104, 113, 105],
+  },
+  {
+    detect: detectTripleBottom,
+    type: 'Triple Bottom',
+    hit: [110, 100, 106, 100, 106, 100, 105],
+    miss: [110, 100, 106, 100, 106, 97, 105],
+  },
+  {
+    detect: detectAscendingTriangle,
+    type: 'Ascending Triangle',
+    hit: [100, 110, 100, 110, 103, 110, 106, 109],
+    // Resistance rises with the lows
+    miss: [100, 110, 100, 112, 103, 114, 106, 109],
+  },
+  {
+    detect: detectDescendingTriangle,
+    type: 'Descending Triangle',
+    hit: [110, 100, 110, 100, 107, 100, 104, 101],
+    miss: [110, 100, 110, 98, 107, 96, 104, 101],
+  },
+  {
+    detect: detectSymmetricalTriangle,
+    type: 'Symmetrical Triangle',
+    hit: [105, 112, 98, 109, 101, 106, 104, 105],
+    // Flat highs make it an ascending triangle
+    miss: [105, 112, 98, 112, 101, 112, 104, 105],
+  },
+  {
+    detect: detectRisingWedge,
+    type: 'Rising Wedge',
+    hit: [98, 110, 100, 112, 104, 114, 108, 110],
+    // Highs rise faster than the lows: the lines diverge
+    miss: [98, 110, 100, 114, 101, 118, 102, 110],
+  },
+  {
+    detect: detectFallingWedge,
+    type: 'Falling Wedge',
+    hit: [116, 100, 114, 98, 110, 96, 106, 100],
+    miss: [116, 100, 114, 96, 112, 92, 110, 100],
+  },
+  {
+    detect: detectRectangle,
+    type: 'Rectangle',
+    hit: [105, 110, 100, 110, 100, 110, 100, 105],
+    // Only 0.5% between support and resistance
+    miss: [100.2, 100.5, 100, 100.5, 100, 100.5, 100, 100.2],
+    wick: 0.05,
+  },
+  {
+    detect: detectBullFlag,
+    type: 'Bull Flag',
+    // 10% pole over 8 bars, then a 6-bar pullback giving back 30% of it
+    hit: [100, 110, 107],
+    // The pullback gives back 70% of the pole
+    miss: [100, 110, 103],
+    legBars: [8, 6],
+  },
+  {
+    detect: detectBearFlag,
+    type: 'Bear Flag',
+    hit: [110, 100, 103],
+    miss: [110, 100, 107],
+    legBars: [8, 6],
+  },
+];
+
+FIXTURES.forEach(({ detect, type, hit, miss, legBars, wick }) => {
+  test(`${type}: detected on a clean fixture`, () => {
+    const result = detect(pathCandles(hit, legBars, wick));
+    assert.ok(result, `expected a ${type}`);
+    assert.equal(result.type, type);
+    assert.ok(Number.isFinite(result.neckline));
+    assert.ok(Number.isFinite(result.extreme));
+  });
+
+  test(`${type}: not detected on a near miss`, () => {
+    assert.equal(detect(pathCandles(miss, legBars, wick)), null);
+  });
+});
+
+test('M-top levels come from the two tops and the low between them', () => {
+  const candles = pathCandles([100, 110, 104, 110, 106]);
+  const result = detectMTop(candles);
+  assert.equal(result.neckline, candles[result.indices.lIdx].low);
+  assert.equal(result.indices.h2Idx, 15);
+  assert.ok(Math.abs(result.extreme - 110.1) < 1e-9);
+});
+
+test('Bull Flag targets the pole projected from its tip', () => {
+  const result = detectBullFlag(pathCandles([100, 110, 107], [8, 6]));
+  const pole = result.neckline - 99.9;
+  assert.ok(Math.abs(result.target - (result.neckline + pole)) < 1e-9);
+});
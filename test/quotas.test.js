@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQuota, createQuotaTracker } = require('../lib/quotas');
+
+// Quota buckets refill with Date.now(); tests move the clock themselves
+function useClock(t) {
+  const clock = { now: 1_700_000_000_000 };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+}
+
+const user = { key: 'user:alice' };
+
+test('scans are refused once the minute quota is used up', (t) => {
+  const clock = useClock(t);
+  const quotas = createQuotaTracker({ perMinute: 3, perDay: 100 });
+  assert.deepEqual(quotas.take([user], 2), { ok: true, retryAfterSec: 0 });
+  assert.equal(quotas.take([user]).ok, true);
+  assert.deepEqual(quotas.take([user]), { ok: false, retryAfterSec: 20 });
+  assert.deepEqual(quotas.status(user), {
+    perMinute: 3,
+    perDay: 100,
+    availableMinute: 0,
+    availableDay: 97,
+  });
+
+  // A refused take uses nothing, and the bucket refills evenly
+  clock.now += 20 * 1000;
+  assert.equal(quotas.take([user]).ok, true);
+  assert.equal(quotas.take([user]).ok, false);
+  assert.equal(quotas.take([{ key: 'user:bob' }]).ok, true);
+});
+
+test('the day quota holds when the minute quota has room', (t) => {
+  const clock = useClock(t);
+  const quotas = createQuotaTracker({ perMinute: 10, perDay: 4 });
+  assert.equal(quotas.take([user], 4).ok, true);
+  clock.now += 60 * 1000;
+  const refused = quotas.take([user]);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.retryAfterSec, 6 * 60 * 60 - 60);
+});
+
+test('a key with its own quota takes from itself and its user', (t) => {
+  useClock(t);
+  const quotas = createQuotaTracker({ perMinute: 5, perDay: 100 });
+  const key = { key: 'key:1', quota: { perMinute: 2 } };
+  assert.equal(quotas.take([user, key], 2).ok, true);
+  // The key is used up, its user is not, and a refusal takes from neither
+  assert.equal(quotas.take([user, key]).ok, false);
+  assert.equal(quotas.status(user).availableMinute, 3);
+  assert.equal(quotas.take([user], 3).ok, true);
+  assert.equal(quotas.take([user]).ok, false);
+});
+
+test('a larger batch than the quota passes once the bucket is full', (t) => {
+  useClock(t);
+  const quotas = createQuotaTracker({ perMinute: 3, perDay: 100 });
+  assert.equal(quotas.take([user], 5).ok, true);
+  assert.equal(quotas.take([user]).ok, false);
+});
+
+test('a changed quota starts with full buckets', (t) => {
+  useClock(t);
+  const quotas = createQuotaTracker({ perMinute: 2, perDay: 100 });
+  assert.equal(quotas.take([user], 2).ok, true);
+  assert.equal(quotas.take([user]).ok, false);
+  const raised = { ...user, quota: { perMinute: 4 } };
+  assert.equal(quotas.take([raised], 4).ok, true);
+  quotas.forget(user.key);
+  assert.equal(quotas.status(user).availableMinute, 2);
+});
+
+test('quotas are validated', () => {
+  assert.deepEqual(validateQuota({ perDay: 50 }), { perDay: 50 });
+  assert.equal(validateQuota(null), null);
+  for (const bad of [[], 5, { perHour: 1 }, { perMinute: 0 }, { perDay: 1.5 }, { perDay: '5' }]) {
+    assert.throws(() => validateQuota(bad), { status: 400 });
+  }
+  assert.throws(() => validateQuota({ perMinute: 200000 }, 'SCAN_QUOTA'), /SCAN_QUOTA\.perMinute/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+process.env.DATA_PROVIDER = 'file';
+process.env.FILE_PROVIDER_DIR = dir;
+process.env.QUOTE_REPLAY_FROM = '2024-01-01T00:30:00Z';
+process.env.QUOTE_REPLAY_TICK_MS = '1';
+delete process.env.DATA_PROVIDER_BY_SYMBOL;
+delete process.env.FILE_PROVIDER_UNTIL;
+
+fs.writeFileSync(
+  path.join(dir, 'XY_1h.csv'),
+  [
+    'datetime,open,high,low,close,volume',
+    '2024-01-01 00:00:00,9,10,8,10,4',
+    '2024-01-01 01:00:00,10,12,8,9,8',
+    '2024-01-01 02:00:00,9,11,7,10,',
+    '2024-01-01 03:00:00,10,13,10,12,4',
+  ].join('\n')
+);
+
+const { feedFor } = require('../lib/feeds');
+const { createQuoteIngestor } = require('../lib/liveQuotes');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Resolves with the feed status once every symbol has played to its end
+function untilEnded(symbols) {
+  let done;
+  const ended = new Promise((resolve) => {
+    done = resolve;
+  });
+  const onStatus = (status) => {
+    if (symbols.every((s) => status.ended.includes(s))) done(status);
+  };
+  return { ended, onStatus };
+}
+
+test('file provider symbols replay their bars as ticks', async () => {
+  const replay = feedFor('XY');
+  assert.equal(replay.name, 'file');
+
+  const quotes = [];
+  const { ended, onStatus } = untilEnded(['XY', 'QQ']);
+  const feed = replay.createFeed({ onQuote: (quote) => quotes.push(quote), onStatus });
+  // QQ has no file
+  feed.subscribe(['XY', 'QQ']);
+  const status = await ended;
+  // The replay stops by itself once every symbol has ended
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(feed.status().connected, false);
+
+  const at = (time) => new Date(`2024-01-01T${time}Z`);
+  // Bars after QUOTE_REPLAY_FROM only; a falling bar reaches its high first
+  assert.deepEqual(quotes.slice(0, 4), [
+    { symbol: 'XY', price: 10, time: at('01:00:00'), volume: 2 },
+    { symbol: 'XY', price: 12, time: at('01:15:00'), volume: 2 },
+    { symbol: 'XY', price: 8, time: at('01:30:00'), volume: 2 },
+    { symbol: 'XY', price: 9, time: at('01:45:00'), volume: 2 },
+  ]);
+  assert.deepEqual(
+    quotes.slice(4).map((q) => [q.price, q.volume]),
+    [
+      [9, undefined],
+      [7, undefined],
+      [11, undefined],
+      [10, undefined],
+      [10, 1],
+      [10, 1],
+      [13, 1],
+      [12, 1],
+    ]
+  );
+  assert.deepEqual(status.symbols, ['XY', 'QQ']);
+  assert.match(status.error, /QQ/);
+});
+
+test('replayed ticks rebuild the file bars', async () => {
+  const closed = [];
+  const { ended, onStatus } = untilEnded(['XY']);
+  const ingestor = createQuoteIngestor({
+    feedFor,
+    onBarClose: (symbol, interval, bar) => {
+      if (interval === '1h') closed.push(bar);
+    },
+    onStatus,
+  });
+  ingestor.setSymbols(['XY']);
+  await ended;
+  ingestor.setSymbols([]);
+
+  const bar = (time, open, high, low, close, volume) => ({
+    time: new Date(`2024-01-01T${time}Z`),
+    open,
+    high,
+    low,
+    close,
+    volume,
+  });
+  // The last bar closes with the first tick of the next, which never comes
+  assert.deepEqual(closed, [
+    bar('01:00:00', 10, 12, 8, 9, 8),
+    bar('02:00:00', 9, 11, 7, 10, undefined),
+  ]);
+});
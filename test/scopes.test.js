@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scopeScan, scopeSignal, ownSignals, createScopes } = require('../lib/scopes');
+
+const alice = { id: 'alice' };
+const bob = { id: 'bob' };
+const carol = { id: 'carol' };
+
+// Alice and Bob watch XY with different settings; only Alice watches EUR/USD
+const targets = [
+  { symbol: 'XY', profile: 'standard', owners: ['alice'], labels: { alice: 'Mine' } },
+  { symbol: 'XY', profile: 'swing', owners: ['bob'], labels: { bob: 'XY' } },
+  { symbol: 'EUR/USD', profile: 'standard', owners: ['alice'], labels: { alice: 'EURUSD' } },
+];
+const { watchedBy, scopeStatus, scopeEvent } = createScopes(() => targets);
+
+const scan = (profile, ruleMatches = []) => ({ symbol: 'XY', profile, ruleMatches });
+
+test('each watcher gets the scan run with their own settings', () => {
+  const entry = {
+    ...scan('standard'),
+    updatedAt: 'now',
+    variants: [
+      { owners: ['alice'], result: scan('standard') },
+      { owners: ['bob'], result: scan('swing') },
+    ],
+  };
+  assert.deepEqual(scopeScan(alice, entry), { ...scan('standard'), updatedAt: 'now' });
+  assert.deepEqual(scopeScan(bob, entry), { ...scan('swing'), updatedAt: 'now' });
+  assert.equal('variants' in scopeScan(carol, entry), false);
+});
+
+test('users only get their own screener rule matches, without the owner', () => {
+  const result = scan('standard', [
+    { rule: 'a', owner: 'alice' },
+    { rule: 'b', owner: 'bob' },
+  ]);
+  assert.deepEqual(scopeScan(alice, result).ruleMatches, [{ rule: 'a' }]);
+  assert.deepEqual(scopeScan(carol, result).ruleMatches, []);
+});
+
+test('signals lose their owners and other users rules', () => {
+  const signal = {
+    symbol: 'XY',
+    owners: ['alice', 'bob'],
+    rules: [
+      { owner: 'alice', name: 'mine' },
+      { owner: 'bob', name: 'theirs' },
+    ],
+  };
+  assert.deepEqual(scopeSignal(alice, signal), { symbol: 'XY', rules: ['mine'] });
+  assert.deepEqual(ownSignals(bob, { symbol: 'XY', owners: 'alice' }), {
+    symbol: 'XY',
+    owners: 'bob',
+  });
+});
+
+test('the scanner status only shows the user their own symbols', () => {
+  const status = {
+    symbols: ['XY', 'EUR/USD'],
+    currentSymbol: 'EUR/USD',
+    lastError: { symbol: 'EUR/USD', message: 'down' },
+    live: { enabled: true, feeds: [{ name: 'file', symbols: ['XY', 'EUR/USD'], ended: ['XY'] }] },
+    quotes: [{ symbol: 'XY' }, { symbol: 'EUR/USD' }],
+    results: { XY: scan('standard'), 'EUR/USD': { symbol: 'EUR/USD' } },
+  };
+  const mine = scopeStatus(bob, status);
+  assert.deepEqual(mine.symbols, ['XY']);
+  assert.equal(mine.currentSymbol, null);
+  assert.equal(mine.lastError, null);
+  assert.deepEqual(mine.live.feeds[0].symbols, ['XY']);
+  assert.deepEqual(mine.live.feeds[0].ended, ['XY']);
+  assert.deepEqual(mine.quotes, [{ symbol: 'XY' }]);
+  assert.deepEqual(Object.keys(mine.results), ['XY']);
+  assert.deepEqual(mine.labels, { XY: 'XY' });
+  assert.deepEqual(mine.profiles, { XY: 'swing' });
+  assert.deepEqual(scopeStatus(alice, status).labels, { XY: 'Mine', 'EUR/USD': 'EURUSD' });
+  assert.deepEqual(scopeStatus(carol, status).symbols, []);
+});
+
+test('stream events only reach the users they belong to', () => {
+  const seenBy = (type, data) =>
+    [alice, bob, carol]
+      .filter((user) => scopeEvent(user, { type, data }) !== null)
+      .map((u) => u.id);
+
+  // Scheduled scans go to the watchers, scans someone asked for to them alone
+  assert.deepEqual(seenBy('scan', scan('standard')), ['alice', 'bob']);
+  assert.deepEqual(seenBy('scan', { ...scan('standard'), requestedBy: 'carol' }), ['carol']);
+  assert.deepEqual(seenBy('server-error', { symbol: 'XY', requestedBy: 'bob' }), ['bob']);
+  assert.deepEqual(seenBy('quote', { symbol: 'EUR/USD' }), ['alice']);
+  assert.deepEqual(seenBy('breakout', { symbol: 'XY', owners: ['bob'] }), ['bob']);
+  assert.deepEqual(seenBy('signal', { symbol: 'XY', owners: ['alice', 'carol'] }), [
+    'alice',
+    'carol',
+  ]);
+  assert.deepEqual(seenBy('signal-update', { symbol: 'XY' }), []);
+  assert.deepEqual(seenBy('batch', { owner: 'carol' }), ['carol']);
+  assert.deepEqual(seenBy('paper', { owner: 'alice' }), ['alice']);
+
+  assert.deepEqual(scopeEvent(bob, { type: 'breakout', data: { symbol: 'XY', owners: ['bob'] } }), {
+    symbol: 'XY',
+  });
+  assert.deepEqual(scopeEvent(alice, { type: 'paper', data: { owner: 'alice' } }), {});
+  const lists = [
+    { owner: 'alice', name: 'a' },
+    { owner: 'bob', name: 'b' },
+  ];
+  assert.deepEqual(scopeEvent(bob, { type: 'watchlists', data: lists }), [lists[1]]);
+  assert.equal(watchedBy(carol, 'XY'), false);
+});
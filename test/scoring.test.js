@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Candles come from CSV files through the same fetchSeries the scanner uses
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-'));
+process.env.DATA_PROVIDER = 'file';
+process.env.FILE_PROVIDER_DIR = dir;
+
+const { fetchSeries } = require('../lib/candles');
+const { scorePattern } = require('../lib/scoring');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Twelve bars around 100; `volumes` gives each bar's volume, or null for no column
+function writeCsv(symbol, volumes) {
+  const header = volumes ? 'datetime,open,high,low,close,volume' : 'datetime,open,high,low,close';
+  const rows = Array.from({ length: 12 }, (_, i) => {
+    const hour = String(i).padStart(2, '0');
+    const close = 100 + (i % 2);
+    const cells = [`2024-01-01 ${hour}:00`, close, close + 1, close - 1, close];
+    if (volumes) cells.push(volumes[i]);
+    return cells.join(',');
+  });
+  fs.writeFileSync(path.join(dir, `${symbol}_1h.csv`), [header, ...rows].join('\n'));
+}
+
+// A pattern spanning bars 0-11
+const pattern = { indices: { a: 0, b: 11 }, neckline: 100, extreme: 104 };
+
+test('volume fading through the pattern scores above 0.5', async () => {
+  writeCsv('FADE', [900, 900, 800, 800, 700, 700, 300, 300, 200, 200, 100, 100]);
+  const candles = await fetchSeries('FADE', '1h', 12);
+  assert.equal(candles[0].volume, 900);
+  const { scoreParts } = scorePattern(pattern, candles, 1);
+  assert.ok(scoreParts.volume > 0.5);
+});
+
+test('volume rising through the pattern scores below 0.5', async () => {
+  writeCsv('RISE', [100, 100, 200, 200, 300, 300, 700, 700, 800, 800, 900, 900]);
+  const { scoreParts } = scorePattern(pattern, await fetchSeries('RISE', '1h', 12), 1);
+  assert.ok(scoreParts.volume < 0.5);
+});
+
+test('without volume the part is null and the other weights are rescaled', async () => {
+  writeCsv('NOVOL', null);
+  const candles = await fetchSeries('NOVOL', '1h', 12);
+  const { score, scoreParts } = scorePattern(pattern, candles, 1);
+  assert.equal(scoreParts.volume, null);
+  // Only height (4 of the 6 ATRs for full marks) and recency apply
+  assert.equal(scoreParts.height, 0.67);
+  assert.equal(scoreParts.recency, 1);
+  assert.equal(score, Math.round(((20 * (4 / 6) + 20) / 40) * 100));
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_DETECTOR_CONFIG } = require('../lib/detectorConfig');
+const {
+  normalizeRuleLogic,
+  ruleTimeframes,
+  createRuleContext,
+  matchRule,
+} = require('../lib/screenerRules');
+
+const rejects = (logic, message) =>
+  assert.throws(
+    () => normalizeRuleLogic(logic),
+    (err) => err.status === 400 && message.test(err.message)
+  );
+
+const compare = (left, op, right) => ({ when: { left, op, right } });
+
+// ============================
+// Validation
+// ============================
+
+test('a rule gets its default stages and keeps its conditions', () => {
+  const logic = normalizeRuleLogic({
+    pattern: { types: 'M-top', timeframes: ['4h', '4h'] },
+    when: {
+      all: [
+        { left: { indicator: 'close', timeframe: '1d' }, op: '>', right: 100 },
+        { not: { trend: '1w', is: 'bearish' } },
+      ],
+    },
+  });
+  assert.deepEqual(logic.pattern, {
+    stages: ['forming', 'confirmed'],
+    types: ['M-top'],
+    timeframes: ['4h'],
+  });
+  assert.deepEqual(logic.when.all[1], { not: { trend: '1w', is: ['bearish'] } });
+  assert.deepEqual(ruleTimeframes(logic, ['1h']).sort(), ['1d', '1w', '4h']);
+});
+
+test('operators and indicators must be own keys of their tables', () => {
+  rejects(compare(1, 'constructor', 2), /when.op must be one of > >= < <=/);
+  rejects(compare(1, '__proto__', 2), /when.op must be one of/);
+  rejects(compare(1, '==', 2), /when.op must be one of/);
+  rejects(compare({ indicator: 'toString' }, '>', 2), /when.left: unknown indicator "toString"/);
+  rejects(compare({ indicator: 'hasOwnProperty' }, '>', 2), /unknown indicator/);
+});
+
+test('malformed conditions name the bad part', () => {
+  rejects(compare({ indicator: 'ema' }, '>', 1), /when.left: ema needs a period/);
+  rejects(compare({ indicator: 'close', period: 5 }, '>', 1), /close takes no period/);
+  rejects(compare({ indicator: 'close', barsAgo: 101 }, '>', 1), /barsAgo must be an integer/);
+  rejects(compare(1, '>', 'x'), /when.right must be a number/);
+  rejects({ when: { any: [] } }, /when.any must be a non-empty array/);
+  rejects({ when: { trend: '2h', is: 'bullish' } }, /unknown timeframe "2h"/);
+  rejects({ when: { trend: '1d', is: 'up' } }, /when.is must be one or more of/);
+  rejects({ when: { pattern: 'Cup', timeframe: '1d' } }, /when.pattern must be one or more of/);
+  rejects({ when: { foo: 1 } }, /when must have one of/);
+  rejects({ pattern: { minScore: 101 } }, /minScore must be a number in \[0, 100\]/);
+  rejects({ pattern: { limit: 1 } }, /pattern: unknown field "limit"/);
+});
+
+test('rules may not nest too deep or hold too many conditions', () => {
+  let deep = { trend: '1d', is: 'bullish' };
+  for (let i = 0; i < 8; i++) deep = { not: deep };
+  rejects({ when: deep }, /nest deeper than 8 levels/);
+  const many = Array.from({ length: 50 }, () => ({ trend: '1d', is: 'bullish' }));
+  rejects({ when: { all: many } }, /at most 50 conditions/);
+});
+
+// ============================
+// Evaluation
+// ============================
+
+const candidate = (overrides) => ({
+  pattern: 'M-top',
+  timeframe: '4h',
+  direction: 'bearish',
+  stage: 'forming',
+  score: 60,
+  ...overrides,
+});
+
+// A context with fixed trends, candidates per timeframe and operand values
+function fakeContext({ trends = {}, candidates = {}, values = {} }) {
+  return {
+    trend: (tf) => ({ trend: trends[tf] || 'neutral' }),
+    candidates: (tf) => candidates[tf] || [],
+    value: (operand) =>
+      typeof operand === 'number' ? operand : (values[operand.indicator] ?? null),
+  };
+}
+
+test('the selector filters candidates and sorts them best first', () => {
+  const rule = normalizeRuleLogic({ pattern: { directions: 'bearish', minScore: 50 } });
+  const context = fakeContext({
+    candidates: {
+      '4h': [
+        candidate({ score: 55 }),
+        candidate({ score: 80 }),
+        candidate({ direction: 'bullish', pattern: 'Inverted M', score: 90 }),
+        candidate({ score: 40 }),
+        candidate({ stage: 'failed', score: 95 }),
+      ],
+    },
+  });
+  assert.deepEqual(
+    matchRule(rule, context, ['4h']).map((c) => c.score),
+    [80, 55]
+  );
+  assert.deepEqual(matchRule(rule, context, ['1h']), []);
+});
+
+test('trend conditions compare with the candidate direction', () => {
+  const context = fakeContext({
+    trends: { '1d': 'bearish', '1w': 'bullish' },
+    candidates: { '4h': [candidate()] },
+  });
+  const matches = (when) => matchRule(normalizeRuleLogic({ when }), context, ['4h']).length === 1;
+  assert.equal(matches({ trend: '1d', is: 'aligned' }), true);
+  assert.equal(matches({ trend: '1w', is: 'opposed' }), true);
+  assert.equal(matches({ trend: '1w', is: ['aligned', 'sideways'] }), false);
+  assert.equal(
+    matches({ all: [{ trend: '1d', is: 'bearish' }, { not: { trend: '1w', is: 'bullish' } }] }),
+    false
+  );
+  assert.equal(
+    matches({
+      any: [
+        { trend: '1d', is: 'bullish' },
+        { trend: '1w', is: 'bullish' },
+      ],
+    }),
+    true
+  );
+});
+
+test('pattern conditions look for another pattern on their timeframe', () => {
+  const context = fakeContext({
+    candidates: {
+      '4h': [candidate()],
+      '1d': [candidate({ timeframe: '1d', pattern: 'Rising Wedge', stage: 'confirmed' })],
+    },
+  });
+  const matches = (when) => matchRule(normalizeRuleLogic({ when }), context, ['4h']).length === 1;
+  assert.equal(matches({ pattern: 'Rising Wedge', timeframe: '1d' }), true);
+  assert.equal(matches({ pattern: 'any', timeframe: '1d', directions: 'bullish' }), false);
+  assert.equal(matches({ pattern: 'any', timeframe: '1d', stages: 'forming' }), false);
+});
+
+test('comparisons fail when an operand has no value', () => {
+  const context = fakeContext({ candidates: { '4h': [candidate()] }, values: { rsi: 72 } });
+  const matches = (logic) => matchRule(normalizeRuleLogic(logic), context, ['4h']).length === 1;
+  assert.equal(matches(compare({ indicator: 'rsi' }, '>=', 70)), true);
+  assert.equal(matches(compare({ indicator: 'rsi' }, '<', 70)), false);
+  assert.equal(matches(compare({ indicator: 'atr' }, '>', 0)), false);
+});
+
+test('indicators are read on closed bars of the series', () => {
+  const start = Date.UTC(2024, 0, 1);
+  const series = {
+    '1d': [10, 11, 12, 13].map((close, i) => ({
+      time: new Date(start + i * 86400000),
+      open: close,
+      high: close + 1,
+      low: close - 1,
+      close,
+      volume: 100 * (i + 1),
+    })),
+  };
+  const context = createRuleContext({ series, trends: {}, config: DEFAULT_DETECTOR_CONFIG });
+  const c = candidate({ timeframe: '1d' });
+  // The last bar (13) is still forming
+  assert.equal(context.value({ indicator: 'close' }, c), 12);
+  assert.equal(context.value({ indicator: 'volume', barsAgo: 2 }, c), 100);
+  assert.equal(context.value({ indicator: 'ema', period: 50 }, c), null);
+});
@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+delete process.env.OUTCOME_HORIZONS;
+
+const {
+  SIGNAL_SORT,
+  CSV_HEADER,
+  parseSignalQuery,
+  encodeCursor,
+  signalToCsv,
+} = require('../lib/signalQuery');
+
+// Enough of MongoDB's query language for the filters parseSignalQuery builds
+function compare(a, b) {
+  const value = (v) => (v instanceof mongoose.Types.ObjectId ? v.toHexString() : v);
+  const [x, y] = [value(a), value(b)];
+  if (x instanceof Date) return x.getTime() - y.getTime();
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((f) => matches(doc, f));
+    if (key === '$or') return condition.some((f) => matches(doc, f));
+    const value = key.split('.').reduce((v, part) => v?.[part], doc);
+    if (condition instanceof Date || condition instanceof mongoose.Types.ObjectId) {
+      return compare(value, condition) === 0;
+    }
+    if (condition && typeof condition === 'object') {
+      return Object.entries(condition).every(([op, arg]) => {
+        if (op === '$in') return arg.includes(value);
+        if (op === '$exists') return (value !== undefined) === arg;
+        if (op === '$lt') return compare(value, arg) < 0;
+        if (op === '$gte') return compare(value, arg) >= 0;
+        if (op === '$lte') return compare(value, arg) <= 0;
+        throw new Error(`Unsupported operator ${op}`);
+      });
+    }
+    return value === condition;
+  });
+}
+
+// The history endpoint's find(filter).sort(SIGNAL_SORT).limit(limit + 1) over `docs`
+function findPage(docs, query) {
+  const { filter, limit } = parseSignalQuery(query);
+  const sorted = docs
+    .filter((doc) => matches(doc, filter))
+    .sort(
+      (a, b) =>
+        SIGNAL_SORT.createdAt * compare(a.createdAt, b.createdAt) ||
+        SIGNAL_SORT._id * compare(a._id, b._id)
+    );
+  const items = sorted.slice(0, limit);
+  return {
+    items,
+    nextCursor: sorted.length > limit ? encodeCursor(items[items.length - 1]) : null,
+  };
+}
+
+// Cells of one CSV line, unquoted
+function parseCsvRow(line) {
+  const cells = [];
+  const cell = /("((?:[^"]|"")*)"|[^,"]*)(,|$)/y;
+  for (;;) {
+    const match = cell.exec(line);
+    cells.push(match[2] !== undefined ? match[2].replace(/""/g, '"') : match[1]);
+    if (match[3] === '') return cells;
+  }
+}
+
+const signal = (minute, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.UTC(2024, 0, 1, 12, minute)),
+  symbol: 'EUR/USD',
+  direction: 'bearish',
+  pattern: 'M-top',
+  timeframe: '1h',
+  ...fields,
+});
+
+test('cursors page through every record once, even with equal times', () => {
+  // Several records share a createdAt, as a scan stores its candidates together
+  const docs = [0, 0, 0, 1, 1, 2, 3, 3, 3, 3, 4].map((minute) => signal(minute));
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = findPage(docs, { limit: '3', ...(cursor ? { cursor } : {}) });
+    seen.push(...page.items);
+    cursor = page.nextCursor;
+    pages += 1;
+  } while (cursor);
+
+  assert.equal(pages, 4);
+  assert.equal(new Set(seen.map((d) => d._id.toHexString())).size, docs.length);
+  const times = seen.map((d) => d.createdAt.getTime());
+  const newestFirst = [...times].sort((a, b) => b - a);
+  assert.deepEqual(times, newestFirst);
+});
+
+test('a page that ends the history has no next cursor', () => {
+  const docs = [signal(0), signal(1)];
+  assert.equal(findPage(docs, { limit: '2' }).nextCursor, null);
+  assert.equal(findPage(docs, {}).items.length, 2);
+  assert.notEqual(findPage(docs, { limit: '1' }).nextCursor, null);
+});
+
+test('filters combine with the cursor', () => {
+  const docs = [
+    signal(0, { symbol: 'XY' }),
+    signal(1, { direction: 'bullish' }),
+    signal(2, { htfTrends: { '1w': 'bullish' } }),
+    // Stored before timeframe profiles
+    signal(3, { weekTrend: 'bullish' }),
+    signal(4, { weekTrend: 'bullish', htfTrends: { '1w': 'bearish' } }),
+  ];
+  const page = findPage(docs, { direction: 'bearish', trend: '1w:bullish', limit: '1' });
+  assert.deepEqual(page.items, [docs[3]]);
+  const next = findPage(docs, {
+    direction: 'bearish',
+    trend: '1w:bullish',
+    cursor: page.nextCursor,
+  });
+  assert.deepEqual(next.items, [docs[2]]);
+  assert.equal(next.nextCursor, null);
+
+  assert.deepEqual(findPage(docs, { symbol: 'xy' }).items, [docs[0]]);
+  const range = findPage(docs, { from: '2024-01-01T12:01:00Z', to: '2024-01-01T12:02:00Z' });
+  assert.deepEqual(range.items, [docs[2], docs[1]]);
+});
+
+test('lists take commas or repeated parameters', () => {
+  const { filter } = parseSignalQuery({ timeframe: ['1h,4h', '1d'], status: 'target hit' });
+  assert.deepEqual(filter, {
+    $and: [{ timeframe: { $in: ['1h', '4h', '1d'] } }, { status: { $in: ['target hit'] } }],
+  });
+  assert.deepEqual(parseSignalQuery({}), { filter: {}, limit: 50 });
+  assert.deepEqual(parseSignalQuery({ rule: 'mine' }, 'alice').filter, {
+    $and: [{ rules: { $elemMatch: { owner: 'alice', name: { $in: ['mine'] } } } }],
+  });
+});
+
+test('bad parameters are rejected', () => {
+  const rejects = (query, message) =>
+    assert.throws(
+      () => parseSignalQuery(query),
+      (err) => err.status === 400 && message.test(err.message)
+    );
+  rejects({ direction: 'up' }, /Unknown direction "up"/);
+  rejects({ pattern: 'Cup' }, /Unknown pattern "Cup"/);
+  rejects({ timeframe: '2h' }, /Unknown timeframe "2h"/);
+  rejects({ status: 'open' }, /Unknown status "open"/);
+  rejects({ trend: '1w' }, /trend must look like 1w:bullish/);
+  rejects({ trend: '2w:bullish' }, /Unknown trend timeframe "2w"/);
+  rejects({ from: 'yesterday' }, /from must be an ISO date/);
+  rejects({ from: '2024-02-01', to: '2024-01-01' }, /from must not be after to/);
+  rejects({ limit: '0' }, /limit must be an integer in \[1, 500\]/);
+  rejects({ limit: '501' }, /limit must be an integer/);
+  rejects({ limit: '2.5' }, /limit must be an integer/);
+  rejects({ cursor: 'garbage' }, /Invalid cursor/);
+  const badId = Buffer.from('2024-01-01T00:00:00.000Z|nope').toString('base64url');
+  rejects({ cursor: badId }, /Invalid cursor/);
+});
+
+test('signals export as CSV rows under the header', () => {
+  const columns = CSV_HEADER.trim().split(',');
+  assert.deepEqual(columns.slice(0, 5), [
+    'createdAt',
+    'symbol',
+    'direction',
+    'pattern',
+    'timeframe',
+  ]);
+  assert.deepEqual(columns.slice(-3), ['return5', 'return10', 'return20']);
+
+  const row = signalToCsv({
+    ...signal(0),
+    htfTrends: { '1d': 'bearish', '1w': 'sideways' },
+    rules: ['mine', 'theirs'],
+    score: 72,
+    pattern: 'Head & Shoulders',
+    symbol: 'A "quoted", name',
+    plan: { entry: 1.1, stop: 1.2, targets: [{ price: 1, rr: 1 }], size: 1000 },
+    statusHistory: [
+      { status: 'detected', at: new Date('2024-01-01T12:00:00Z') },
+      { status: 'confirmed', at: new Date('2024-01-01T13:00:00Z') },
+    ],
+    outcome: { result: 'win', mfePct: 1.5, maePct: -0.2, returns: { 5: 0.4, 20: -0.1 } },
+  });
+  assert.ok(row.endsWith('\n'));
+  assert.ok(row.includes(',"A ""quoted"", name",'));
+  const cells = parseCsvRow(row.slice(0, -1));
+  assert.equal(cells.length, columns.length);
+  const cell = (name) => cells[columns.indexOf(name)];
+  assert.equal(cell('createdAt'), '2024-01-01T12:00:00.000Z');
+  assert.equal(cell('symbol'), 'A "quoted", name');
+  assert.equal(cell('pattern'), 'Head & Shoulders');
+  assert.equal(cell('htfTrends'), '1d:bearish 1w:sideways');
+  assert.equal(cell('rules'), 'mine; theirs');
+  assert.equal(cell('entry'), '1.1');
+  assert.equal(cell('rr1'), '1');
+  assert.equal(cell('statusChangedAt'), '2024-01-01T13:00:00.000Z');
+  assert.equal(cell('return5'), '0.4');
+  assert.equal(cell('return10'), '');
+  assert.equal(cell('neckline'), '');
+});
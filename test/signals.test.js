@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS } = require('../lib/lifecycle');
+const { Signal, scanSettingsKey, recordSignal, updateOpenSignals } = require('../lib/signals');
+
+const from = new Date(Date.UTC(2024, 0, 1));
+const to = new Date(Date.UTC(2024, 0, 2));
+const signal = (direction) => ({ pattern: 'Rectangle', timeframe: '1h', direction, from, to });
+
+test('the unique index includes the direction and the scan settings', () => {
+  const [fields] = Signal.schema.indexes().find(([, options]) => options.unique);
+  assert.deepEqual(Object.keys(fields), [
+    'symbol',
+    'pattern',
+    'timeframe',
+    'direction',
+    'patternFrom',
+    'patternTo',
+    'settingsKey',
+  ]);
+});
+
+test('a bullish and a bearish signal on the same window are stored apart', async (t) => {
+  const keys = [];
+  t.mock.method(Signal, 'findOneAndUpdate', async (key) => {
+    keys.push(key);
+    return { value: {}, lastErrorObject: { updatedExisting: false } };
+  });
+  await recordSignal('XY', signal('bullish'), { profile: 'swing' });
+  await recordSignal('XY', signal('bearish'), { profile: 'swing' });
+  assert.deepEqual(
+    keys.map((key) => key.direction),
+    ['bullish', 'bearish']
+  );
+  assert.equal(keys[0].patternFrom, from);
+});
+
+test('the same window found with other settings is another signal', async (t) => {
+  const keys = [];
+  t.mock.method(Signal, 'findOneAndUpdate', async (key) => {
+    keys.push(key);
+    return { value: {}, lastErrorObject: { updatedExisting: false } };
+  });
+  const config = { pivotLookback: 5 };
+  const sizing = { accountSize: 10000, riskPercent: 1 };
+  const mine = scanSettingsKey({ profile: 'swing', config, sizing });
+  const same = scanSettingsKey({ profile: 'swing', config: { ...config }, sizing });
+  const other = scanSettingsKey({ profile: 'swing', config: { pivotLookback: 3 }, sizing });
+  assert.equal(mine, same);
+  assert.notEqual(mine, other);
+  assert.notEqual(mine, scanSettingsKey({ profile: 'standard', config, sizing }));
+
+  await recordSignal('XY', signal('bullish'), { settingsKey: mine, owners: ['u1'] });
+  await recordSignal('XY', signal('bullish'), { settingsKey: other, owners: ['u2'] });
+  assert.deepEqual(
+    keys.map((key) => key.settingsKey),
+    [mine, other]
+  );
+});
+
+// Hourly bars from closes, a bar's range 1 around its close; the last one is still forming
+function bars(closes) {
+  const start = Date.UTC(2024, 0, 1);
+  return closes.map((close, i) => ({
+    time: new Date(start + i * 3600 * 1000),
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+  }));
+}
+
+// Breaks out above 110 on bar 2 and reaches the 120 target on bar 4
+const CANDLES = bars([105, 108, 112, 114, 121, 121]);
+const scanTime = new Date(Date.UTC(2024, 0, 3));
+
+// An open bullish signal ending on the first bar, saved in memory
+function openSignal(statusHistory, status = statusHistory.at(-1).status) {
+  return {
+    timeframe: '1h',
+    direction: 'bullish',
+    patternTo: CANDLES[0].time,
+    neckline: 110,
+    invalidation: 100,
+    target: 120,
+    breakoutRules: {
+      requireRetest: false,
+      retestMaxBars: 10,
+      failedBreakoutBars: 1,
+      retestZone: 0.5,
+    },
+    status,
+    statusHistory,
+    saves: 0,
+    async save() {
+      this.saves += 1;
+    },
+  };
+}
+
+const update = async (t, doc, candles = CANDLES) => {
+  t.mock.method(Signal, 'find', async () => [doc]);
+  return updateOpenSignals('XY', { '1h': candles });
+};
+
+test('a new signal moves through every replayed transition', async (t) => {
+  const doc = openSignal([{ status: STATUS.DETECTED, at: scanTime }]);
+  assert.equal((await update(t, doc)).length, 1);
+  assert.deepEqual(doc.statusHistory.slice(1), [
+    { status: STATUS.CONFIRMED, at: CANDLES[2].time },
+    { status: STATUS.TARGET_HIT, at: CANDLES[4].time },
+  ]);
+  assert.equal(doc.status, STATUS.TARGET_HIT);
+});
+
+test('only transitions after the newest recorded one are added', async (t) => {
+  const doc = openSignal([
+    { status: STATUS.DETECTED, at: scanTime },
+    { status: STATUS.CONFIRMED, at: CANDLES[2].time },
+  ]);
+  await update(t, doc);
+  assert.deepEqual(
+    doc.statusHistory.map((s) => s.status),
+    [STATUS.DETECTED, STATUS.CONFIRMED, STATUS.TARGET_HIT]
+  );
+});
+
+test('extra detected entries neither skip nor repeat transitions', async (t) => {
+  const doc = openSignal([
+    { status: STATUS.DETECTED, at: scanTime },
+    { status: STATUS.DETECTED, at: new Date(scanTime.getTime() + 1000) },
+  ]);
+  await update(t, doc, CANDLES.slice(0, 4));
+  assert.deepEqual(doc.statusHistory.at(-1), { status: STATUS.CONFIRMED, at: CANDLES[2].time });
+
+  // The next scan sees the same bars plus the target bar
+  const changed = await update(t, doc);
+  assert.equal(changed.length, 1);
+  assert.deepEqual(
+    doc.statusHistory.map((s) => s.status),
+    [STATUS.DETECTED, STATUS.DETECTED, STATUS.CONFIRMED, STATUS.TARGET_HIT]
+  );
+});
+
+test('replaying the same bars changes nothing', async (t) => {
+  const doc = openSignal([
+    { status: STATUS.DETECTED, at: scanTime },
+    { status: STATUS.CONFIRMED, at: CANDLES[2].time },
+  ]);
+  assert.deepEqual(await update(t, doc, CANDLES.slice(0, 4)), []);
+  assert.equal(doc.saves, 0);
+});
+
+test('a pattern that scrolled out expires at the last closed bar', async (t) => {
+  const doc = openSignal([{ status: STATUS.DETECTED, at: scanTime }]);
+  await update(t, doc, CANDLES.slice(1, 4));
+  assert.deepEqual(doc.statusHistory.at(-1), { status: STATUS.EXPIRED, at: CANDLES[2].time });
+});
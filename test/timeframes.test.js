@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProfile, barStart } = require('../lib/timeframes');
+
+test('resolveProfile returns the timeframes of a built-in profile', () => {
+  const profile = resolveProfile('swing');
+  assert.equal(profile.name, 'swing');
+  assert.deepEqual(
+    profile.patterns.map((tf) => tf.key),
+    ['1d']
+  );
+  assert.deepEqual(
+    profile.htf.map((tf) => tf.interval),
+    ['1week', '1month']
+  );
+});
+
+test('resolveProfile rejects unknown and inherited names with status 400', () => {
+  ['nope', 'constructor', 'toString', '__proto__'].forEach((name) => {
+    assert.throws(
+      () => resolveProfile(name),
+      (err) => err.status === 400 && err.message.includes(`"${name}"`)
+    );
+  });
+});
+
+test('weekly bars start on Monday 00:00 UTC', () => {
+  const sunday = new Date(Date.UTC(2024, 0, 7, 15));
+  assert.deepEqual(barStart(sunday, '1week'), new Date(Date.UTC(2024, 0, 1)));
+  assert.deepEqual(barStart(sunday, '4h'), new Date(Date.UTC(2024, 0, 7, 12)));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+const file = path.join(dir, 'watchlists.json');
+process.env.WATCHLIST_FILE = file;
+delete process.env.MONGODB_URI;
+
+const { loadScanTargets } = require('../lib/watchlists');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const list = (owner, name, symbols, extra = {}) => ({
+  owner,
+  name,
+  enabled: true,
+  ...extra,
+  symbols,
+});
+
+test('scan targets are grouped by symbol and settings', async () => {
+  fs.writeFileSync(
+    file,
+    JSON.stringify([
+      list('alice', 'main', [
+        { symbol: 'EUR/USD', label: 'Euro' },
+        { symbol: 'XY', label: 'XY', detector: { pivotLookback: 3 } },
+      ]),
+      // Bob's settings resolve to Alice's for EUR/USD but not for XY
+      list('bob', 'fx', [
+        { symbol: 'EUR/USD', label: 'EURUSD', detector: { pivotLookback: 2 } },
+        { symbol: 'XY', label: 'XY', timeframes: ['4h'], detector: { pivotLookback: 3 } },
+      ]),
+      // A later list of Alice's never replaces her first one's settings
+      list('alice', 'swing', [{ symbol: 'XY', label: 'other' }], { profile: 'swing' }),
+      list('carol', 'off', [{ symbol: 'XY', label: 'XY' }], { enabled: false }),
+    ])
+  );
+
+  const targets = await loadScanTargets();
+  assert.deepEqual(
+    targets.map((t) => [t.symbol, t.owners]),
+    [
+      ['EUR/USD', ['alice', 'bob']],
+      ['XY', ['alice']],
+      ['XY', ['bob']],
+    ]
+  );
+  assert.deepEqual(targets[0].labels, { alice: 'Euro', bob: 'EURUSD' });
+  assert.equal(targets[1].profile, 'standard');
+  assert.deepEqual(targets[1].detector, { pivotLookback: 3 });
+  assert.deepEqual(targets[2].timeframes, ['4h']);
+});
+
+test('lists without an owner are scanned for nobody', async () => {
+  fs.writeFileSync(
+    file,
+    JSON.stringify([
+      { name: 'legacy', enabled: true, symbols: [{ symbol: 'XY', label: 'XY' }] },
+      list('alice', 'main', [{ symbol: 'XY', label: 'Mine' }]),
+    ])
+  );
+  const targets = await loadScanTargets();
+  assert.equal(targets.length, 1);
+  assert.deepEqual(targets[0].owners, ['alice']);
+  assert.deepEqual(targets[0].labels, { '': 'XY', alice: 'Mine' });
+});